@@ -0,0 +1,77 @@
+/**
+ * Component for the combined progress list of a bulk translation.
+ */
+
+import { Spinner } from '@wordpress/components';
+import { getLanguageData } from '../../shared/utils/languages';
+import { getStatusColors, getStatusLabel } from '../../single-translator/utils/languageCardHelpers';
+
+/**
+ * Bulk progress list component.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.items - Items with id, title, languages and finished flag
+ * @param {Object<number, string>} props.errors - Queue errors by content ID
+ * @returns {JSX.Element} The component
+ */
+export function BulkProgressList({ items, errors = {} }) {
+	return (
+		<div className="pllat-bulk-progress-list" style={{ maxHeight: '400px', overflowY: 'auto' }}>
+			{items.map((item) => (
+				<div
+					key={item.id}
+					style={{
+						display: 'flex',
+						alignItems: 'center',
+						gap: '12px',
+						padding: '8px 0',
+						borderBottom: '1px solid #f0f0f1',
+					}}
+				>
+					<div style={{ width: '16px', flexShrink: 0 }}>
+						{!item.finished && !errors[item.id] && <Spinner style={{ margin: 0, width: '16px', height: '16px' }} />}
+					</div>
+
+					<div style={{ flex: 1, minWidth: 0 }}>
+						<div style={{ fontWeight: '500', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+							{item.title}
+						</div>
+
+						{errors[item.id] ? (
+							<div style={{ fontSize: '12px', color: '#d63638', marginTop: '4px' }}>{errors[item.id]}</div>
+						) : (
+							<div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '4px' }}>
+								{item.languages.map((lang) => {
+									const colors = getStatusColors(lang.status, false);
+									const flagUrl = getLanguageData(lang.language)?.flag;
+
+									return (
+										<span
+											key={lang.language}
+											title={lang.language_name}
+											style={{
+												display: 'inline-flex',
+												alignItems: 'center',
+												gap: '4px',
+												padding: '2px 6px',
+												fontSize: '12px',
+												border: `1px solid ${colors.borderColor}`,
+												borderRadius: '3px',
+												backgroundColor: colors.backgroundColor,
+											}}
+										>
+											{flagUrl ? <img src={flagUrl} alt="" style={{ width: '16px', height: 'auto' }} /> : lang.language}
+											{getStatusLabel(lang.status, lang.progress)}
+										</span>
+									);
+								})}
+							</div>
+						)}
+					</div>
+				</div>
+			))}
+		</div>
+	);
+}
+
+export default BulkProgressList;
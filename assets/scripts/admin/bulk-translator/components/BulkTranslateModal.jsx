@@ -0,0 +1,154 @@
+/**
+ * Component for the bulk translate modal opened from list tables.
+ */
+
+import { useState, useMemo } from '@wordpress/element';
+import { Modal, Button, Notice } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import LanguageSelector from '../../single-translator/components/LanguageSelector';
+import InstructionsInput from '../../single-translator/components/InstructionsInput';
+import ForceToggle from '../../single-translator/components/ForceToggle';
+import { bulkTranslate } from '../../single-translator/utils/api';
+import { useBulkProgress } from '../hooks/useBulkProgress';
+import BulkProgressList from './BulkProgressList';
+
+/**
+ * Bulk translate modal component.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.type - Content type (post or term)
+ * @param {Array<number>} props.ids - Selected content IDs
+ * @param {Object<number, string>} props.titles - Titles of the selected items, from the list table
+ * @param {Function} props.onClose - Callback when modal is closed
+ * @returns {JSX.Element} The component
+ */
+export function BulkTranslateModal({ type, ids, titles = {}, onClose }) {
+	const [selectedLanguages, setSelectedLanguages] = useState([]);
+	const [instructions, setInstructions] = useState('');
+	const [force, setForce] = useState(false);
+	const [submitting, setSubmitting] = useState(false);
+	const [error, setError] = useState(null);
+	const [queued, setQueued] = useState(null);
+
+	// Items can have different source languages, so every language is offered
+	const languages = useMemo(
+		() => (window.pllat?.languages || []).map((lang) => ({
+			language: lang.slug,
+			language_name: lang.name,
+			status: null,
+		})),
+		[]
+	);
+
+	const queuedIds = useMemo(
+		() => (queued ? Object.keys(queued.runs).map(Number) : []),
+		[queued]
+	);
+
+	const { items, finishedCount, allFinished } = useBulkProgress(type, queuedIds, selectedLanguages, queuedIds.length > 0);
+
+	/**
+	 * Queue the selected items.
+	 */
+	const handleTranslate = async () => {
+		try {
+			setSubmitting(true);
+			setError(null);
+			const data = await bulkTranslate(type, ids, selectedLanguages, force, instructions);
+			setQueued({ runs: data.runs || {}, errors: data.errors || {} });
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setSubmitting(false);
+		}
+	};
+
+	const failedIds = queued ? Object.keys(queued.errors).map(Number) : [];
+	const progressItems = [
+		...items.map((item) => ({ ...item, title: titles[item.id] || item.title })),
+		...failedIds.map((id) => ({ id, title: titles[id] || `#${id}`, languages: [], finished: true })),
+	];
+
+	return (
+		<Modal
+			title={__('Translate with AI', 'polylang-ai-autotranslate')}
+			onRequestClose={onClose}
+			className="pllat-bulk-translate-modal"
+			size="large"
+		>
+			{error && (
+				<div style={{ marginBottom: '15px' }}>
+					<Notice status="error" isDismissible={true} onRemove={() => setError(null)}>
+						{error}
+					</Notice>
+				</div>
+			)}
+
+			{!queued && (
+				<div className="pllat-bulk-translate-form">
+					<p style={{ marginTop: 0 }}>
+						{/* translators: %d is the number of selected items */}
+						{__('%d items selected.', 'polylang-ai-autotranslate').replace('%d', ids.length)}
+					</p>
+
+					<LanguageSelector
+						languages={languages}
+						selected={selectedLanguages}
+						onChange={setSelectedLanguages}
+						disabled={submitting}
+						showStatus={false}
+					/>
+
+					<InstructionsInput
+						value={instructions}
+						onChange={setInstructions}
+						disabled={submitting}
+					/>
+
+					<ForceToggle
+						value={force}
+						onChange={setForce}
+						disabled={submitting}
+					/>
+
+					<div style={{ display: 'flex', gap: '8px' }}>
+						<Button
+							variant="primary"
+							onClick={handleTranslate}
+							disabled={submitting || selectedLanguages.length === 0}
+							isBusy={submitting}
+						>
+							{__('Translate', 'polylang-ai-autotranslate')}
+						</Button>
+						<Button variant="tertiary" onClick={onClose} disabled={submitting}>
+							{__('Cancel', 'polylang-ai-autotranslate')}
+						</Button>
+					</div>
+				</div>
+			)}
+
+			{queued && (
+				<div className="pllat-bulk-translate-progress">
+					<p style={{ marginTop: 0 }}>
+						{allFinished || queuedIds.length === 0
+							? __('All items finished.', 'polylang-ai-autotranslate')
+							// translators: %1$d is the number of finished items, %2$d the number of queued items
+							: __('%1$d of %2$d items finished.', 'polylang-ai-autotranslate')
+								.replace('%1$d', finishedCount)
+								.replace('%2$d', queuedIds.length)}
+					</p>
+
+					<BulkProgressList items={progressItems} errors={queued.errors} />
+
+					<div style={{ marginTop: '15px' }}>
+						<Button variant="primary" onClick={onClose}>
+							{__('Close', 'polylang-ai-autotranslate')}
+						</Button>
+					</div>
+				</div>
+			)}
+		</Modal>
+	);
+}
+
+export default BulkTranslateModal;
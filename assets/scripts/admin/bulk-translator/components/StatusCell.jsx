@@ -0,0 +1,124 @@
+/**
+ * Component for the translation status cell of a list table row.
+ */
+
+import { useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+import { getLanguageData } from '../../shared/utils/languages';
+import { useTranslationStore, getItemKey } from '../../shared/store';
+import { isRunningStatus } from '../../single-translator/constants/jobStatuses';
+import { getStatusDisplay, getStatusColors, getStatusLabel } from '../../single-translator/utils/languageCardHelpers';
+import { startTranslation } from '../../single-translator/utils/api';
+
+/**
+ * Get the indicator of a status: the status icon, or a loader for running translations.
+ *
+ * @param {string|null} status - Translation status
+ * @returns {JSX.Element|null} Indicator
+ */
+function getIndicator(status) {
+	if (isRunningStatus(status)) {
+		const loader = status === 'queued'
+			? window.pllat?.assets?.icons?.dotsLoader
+			: window.pllat?.assets?.icons?.ringLoader;
+
+		return loader ? <img src={loader} width="12" height="12" alt="" /> : null;
+	}
+
+	const statusDisplay = getStatusDisplay(status);
+
+	return statusDisplay ? <span style={{ fontSize: '10px', lineHeight: 1 }}>{statusDisplay.indicator}</span> : null;
+}
+
+/**
+ * Status cell component.
+ *
+ * Shows a flag per target language, clicking a flag translates that language.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.type - Content type (post or term)
+ * @param {number} props.id - Content ID
+ * @param {Function} props.onStarted - Callback after a translation was started, receives the content ID
+ * @returns {JSX.Element|null} The component
+ */
+export function StatusCell({ type, id, onStarted }) {
+	const languages = useTranslationStore((state) => state.languageStatus[getItemKey(type, id)]);
+	const [starting, setStarting] = useState(null);
+	const [error, setError] = useState(null);
+
+	if (!languages) {
+		return null;
+	}
+
+	/**
+	 * Start the translation of one language.
+	 *
+	 * @param {Object} lang - Language status
+	 */
+	const handleTranslate = async (lang) => {
+		// Existing translations are only replaced after confirmation (force mode)
+		const force = lang.status === 'translated';
+
+		// translators: %s is the language name
+		if (force && !confirm(__('Re-translate %s? The current translation will be overwritten.', 'polylang-ai-autotranslate').replace('%s', lang.language_name))) {
+			return;
+		}
+
+		try {
+			setStarting(lang.language);
+			setError(null);
+			await startTranslation(type, id, [lang.language], force);
+			await onStarted(id);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setStarting(null);
+		}
+	};
+
+	return (
+		<div>
+			<div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+				{Object.values(languages).map((lang) => {
+					const colors = getStatusColors(lang.status, false);
+					const flagUrl = getLanguageData(lang.language)?.flag;
+					const disabled = starting !== null || isRunningStatus(lang.status);
+
+					return (
+						<button
+							key={lang.language}
+							type="button"
+							title={`${lang.language_name}: ${getStatusLabel(lang.status, lang.progress)}`}
+							aria-label={
+								// translators: %s is the language name
+								__('Translate to %s', 'polylang-ai-autotranslate').replace('%s', lang.language_name)
+							}
+							onClick={() => handleTranslate(lang)}
+							disabled={disabled}
+							style={{
+								display: 'inline-flex',
+								alignItems: 'center',
+								gap: '3px',
+								padding: '2px 4px',
+								border: `1px solid ${colors.borderColor}`,
+								borderRadius: '3px',
+								backgroundColor: colors.backgroundColor,
+								cursor: disabled ? 'default' : 'pointer',
+								opacity: starting === lang.language ? 0.5 : 1,
+							}}
+						>
+							{flagUrl ? <img src={flagUrl} alt="" style={{ width: '16px', height: 'auto' }} /> : lang.language}
+							{getIndicator(lang.status)}
+						</button>
+					);
+				})}
+			</div>
+
+			{error && (
+				<div style={{ fontSize: '12px', color: '#d63638', marginTop: '4px' }}>{error}</div>
+			)}
+		</div>
+	);
+}
+
+export default StatusCell;
@@ -0,0 +1,34 @@
+/**
+ * Component for the translation status column of a list table.
+ */
+
+import { useMemo, createPortal } from '@wordpress/element';
+import { useStatusColumn } from '../hooks/useStatusColumn';
+import StatusCell from './StatusCell';
+
+/**
+ * Status column component.
+ *
+ * Renders into the server-side cell placeholders, so all rows share one status request.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.type - Content type (post or term)
+ * @param {Array<{id: number, element: HTMLElement}>} props.cells - Cell placeholders
+ * @returns {JSX.Element} The component
+ */
+export function StatusColumn({ type, cells }) {
+	const ids = useMemo(() => cells.map((cell) => cell.id), [cells]);
+	const { refreshItem } = useStatusColumn(type, ids);
+
+	return (
+		<>
+			{cells.map(({ id, element }) => createPortal(
+				<StatusCell type={type} id={id} onStarted={refreshItem} />,
+				element,
+				String(id)
+			))}
+		</>
+	);
+}
+
+export default StatusColumn;
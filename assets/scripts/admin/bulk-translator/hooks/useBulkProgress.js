@@ -0,0 +1,76 @@
+/**
+ * Hook for polling the progress of a bulk translation.
+ */
+
+import { useState, useEffect, useCallback, useMemo } from '@wordpress/element';
+import { isRunningStatus } from '../../single-translator/constants/jobStatuses';
+import { useTranslationStore, getItemKey, getBulkKey } from '../../shared/store';
+import { usePolling } from '../../shared/hooks/usePolling';
+
+const POLL_INTERVAL = 3000; // 3 seconds
+
+/**
+ * Custom hook to poll the status of the queued items until every item finished.
+ *
+ * @param {string} type - Content type (post or term)
+ * @param {Array<number>} ids - Queued content IDs (stable reference)
+ * @param {Array<string>} languages - Target language codes (stable reference)
+ * @param {boolean} enabled - Whether polling is enabled
+ * @returns {Object} Progress state { items, finishedCount, allFinished }
+ */
+export function useBulkProgress(type, ids, languages, enabled) {
+    const fetchBulkStatus = useTranslationStore((state) => state.fetchBulkStatus);
+    const storedItems = useTranslationStore((state) => state.items);
+    const languageStatus = useTranslationStore((state) => state.languageStatus);
+    const [startedAt, setStartedAt] = useState(0);
+
+    // Only statuses fetched after the items were queued can tell they finished
+    const fetchedAt = useTranslationStore((state) => state.requests[getBulkKey(type, ids)]?.fetchedAt || 0);
+
+    const poll = useCallback(() => {
+        if (ids.length === 0) {
+            return;
+        }
+
+        fetchBulkStatus(type, ids, languages).catch((err) => {
+            // Fail silently during polling
+            console.error('Failed to poll bulk translation status:', err);
+        });
+    }, [fetchBulkStatus, type, ids, languages]);
+
+    /**
+     * Poll immediately once enabled, instead of waiting for the interval.
+     */
+    useEffect(() => {
+        if (enabled) {
+            setStartedAt(Date.now());
+            poll();
+        }
+    }, [enabled, poll]);
+
+    const items = useMemo(() => ids.map((id) => {
+        const key = getItemKey(type, id);
+        const statuses = Object.values(languageStatus[key] || {})
+            .filter((lang) => languages.includes(lang.language));
+
+        return {
+            id,
+            title: storedItems[key]?.title || `#${id}`,
+            languages: statuses,
+            finished: fetchedAt >= startedAt && statuses.every((lang) => !isRunningStatus(lang.status)),
+        };
+    }), [type, ids, languages, storedItems, languageStatus, fetchedAt, startedAt]);
+
+    const finishedCount = items.filter((item) => item.finished).length;
+    const allFinished = startedAt > 0 && finishedCount === items.length;
+
+    usePolling(enabled && !allFinished, poll, POLL_INTERVAL);
+
+    return {
+        items,
+        finishedCount,
+        allFinished,
+    };
+}
+
+export default useBulkProgress;
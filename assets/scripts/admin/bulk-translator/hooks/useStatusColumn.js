@@ -0,0 +1,62 @@
+/**
+ * Hook for loading and polling the list table status column.
+ */
+
+import { useEffect, useCallback, useMemo } from '@wordpress/element';
+import { isRunningStatus } from '../../single-translator/constants/jobStatuses';
+import { useTranslationStore, getItemKey } from '../../shared/store';
+import { usePolling } from '../../shared/hooks/usePolling';
+
+const POLL_INTERVAL = 3000; // 3 seconds
+
+/**
+ * Custom hook to load the status of the list table rows, and poll rows with running translations.
+ *
+ * @param {string} type - Content type (post or term)
+ * @param {Array<number>} ids - Content IDs of the rows (stable reference)
+ * @returns {Object} Methods { refreshItem }
+ */
+export function useStatusColumn(type, ids) {
+    const fetchBulkStatus = useTranslationStore((state) => state.fetchBulkStatus);
+    const languageStatus = useTranslationStore((state) => state.languageStatus);
+
+    // Every language is requested, the backend skips the source language of each row
+    const languages = useMemo(() => (window.pllat?.languages || []).map((lang) => lang.slug), []);
+
+    /**
+     * Fetch the status of some rows.
+     *
+     * @param {Array<number>} rowIds - Content IDs
+     * @returns {Promise<void>}
+     */
+    const fetchRows = useCallback((rowIds) => fetchBulkStatus(type, rowIds, languages).catch((err) => {
+        // Fail silently, the cells keep their last status
+        console.error('Failed to fetch translation status:', err);
+    }), [fetchBulkStatus, type, languages]);
+
+    // Joined into a string, so the poll function only changes when the running rows do
+    const runningKey = ids
+        .filter((id) => Object.values(languageStatus[getItemKey(type, id)] || {}).some((lang) => isRunningStatus(lang.status)))
+        .join(',');
+
+    const poll = useCallback(() => {
+        fetchRows(runningKey.split(',').map(Number));
+    }, [fetchRows, runningKey]);
+
+    /**
+     * Load all rows once.
+     */
+    useEffect(() => {
+        if (ids.length > 0) {
+            fetchRows(ids);
+        }
+    }, [ids, fetchRows]);
+
+    usePolling(runningKey !== '', poll, POLL_INTERVAL);
+
+    return {
+        refreshItem: (id) => fetchRows([id]),
+    };
+}
+
+export default useStatusColumn;
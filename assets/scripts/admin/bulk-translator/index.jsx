@@ -0,0 +1,109 @@
+/**
+ * Entry point for the Bulk Translator (list table bulk action and status column).
+ */
+
+import { render, unmountComponentAtNode } from '@wordpress/element';
+import BulkTranslateModal from './components/BulkTranslateModal';
+import StatusColumn from './components/StatusColumn';
+
+/**
+ * Get the selected items of the list table.
+ *
+ * @param {HTMLFormElement} form - List table form
+ * @returns {Object} Selected IDs and their titles
+ */
+function getSelectedItems(form) {
+	const checkboxes = form.querySelectorAll('input[name="post[]"]:checked, input[name="delete_tags[]"]:checked');
+	const ids = [];
+	const titles = {};
+
+	checkboxes.forEach((checkbox) => {
+		const id = parseInt(checkbox.value, 10);
+		const title = checkbox.closest('tr')?.querySelector('.row-title');
+
+		ids.push(id);
+		titles[id] = title ? title.textContent.trim() : `#${id}`;
+	});
+
+	return { ids, titles };
+}
+
+/**
+ * Open the bulk translate modal.
+ *
+ * @param {Array<number>} ids - Selected content IDs
+ * @param {Object<number, string>} titles - Titles by content ID
+ */
+function openModal(ids, titles) {
+	const { type } = window.pllatBulkTranslator;
+	const container = document.createElement('div');
+	document.body.appendChild(container);
+
+	// The status column shares the store, so queued rows keep updating after closing
+	const handleClose = () => {
+		unmountComponentAtNode(container);
+		container.remove();
+	};
+
+	render(<BulkTranslateModal type={type} ids={ids} titles={titles} onClose={handleClose} />, container);
+}
+
+/**
+ * Render the status column into its cell placeholders.
+ */
+function initStatusColumn() {
+	const { type } = window.pllatBulkTranslator;
+	const cells = Array.from(document.querySelectorAll('.pllat-status-column')).map((element) => ({
+		id: parseInt(element.dataset.id, 10),
+		element,
+	}));
+
+	if (cells.length === 0) {
+		return;
+	}
+
+	const container = document.createElement('div');
+	document.body.appendChild(container);
+
+	render(<StatusColumn type={type} cells={cells} />, container);
+}
+
+/**
+ * Initialize the Bulk Translator, intercepting the bulk action submit.
+ */
+function initBulkTranslator() {
+	const form = document.getElementById('posts-filter');
+	const { action } = window.pllatBulkTranslator || {};
+
+	if (!form || !action) {
+		return;
+	}
+
+	initStatusColumn();
+
+	form.addEventListener('submit', (event) => {
+		// The top and bottom dropdowns each apply their own action
+		const submitter = event.submitter?.id;
+		const select = form.querySelector(submitter === 'doaction2' ? 'select[name="action2"]' : 'select[name="action"]');
+
+		if (!select || select.value !== action) {
+			return;
+		}
+
+		event.preventDefault();
+
+		const { ids, titles } = getSelectedItems(form);
+
+		if (ids.length > 0) {
+			openModal(ids, titles);
+		}
+	});
+}
+
+// Try to initialize immediately (in case DOM is already loaded)
+if (document.readyState === 'loading') {
+	document.addEventListener('DOMContentLoaded', initBulkTranslator);
+} else {
+	// DOM already loaded
+	initBulkTranslator();
+}
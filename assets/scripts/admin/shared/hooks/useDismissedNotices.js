@@ -0,0 +1,37 @@
+import { useCallback, useEffect } from "@wordpress/element";
+import { useTranslationStore, translationStore } from "../store";
+
+/**
+ * Dismissed notices hook
+ *
+ * Loads the dismissals of the current user once per page.
+ *
+ * @returns {Object} - { dismissed, isHidden, dismissNotice, showDismissed, setShowDismissed }
+ */
+export const useDismissedNotices = () => {
+  const dismissed = useTranslationStore((state) => state.dismissedNotices);
+  const showDismissed = useTranslationStore((state) => state.showDismissed);
+  const fetchDismissedNotices = useTranslationStore((state) => state.fetchDismissedNotices);
+  const dismissNotice = useTranslationStore((state) => state.dismissNotice);
+  const setShowDismissed = useTranslationStore((state) => state.setShowDismissed);
+
+  useEffect(() => {
+    if (translationStore.getState().requests.notices) {
+      return;
+    }
+
+    fetchDismissedNotices().catch((error) => {
+      console.error("Failed to fetch dismissed notices:", error);
+    });
+  }, [fetchDismissedNotices]);
+
+  /**
+   * Check if a notice is hidden
+   *
+   * @param {string} key - Notice key
+   * @returns {boolean} - Whether the notice is dismissed and dismissed notices are not shown
+   */
+  const isHidden = useCallback((key) => !showDismissed && Boolean(dismissed[key]), [dismissed, showDismissed]);
+
+  return { dismissed, isHidden, dismissNotice, showDismissed, setShowDismissed };
+};
@@ -0,0 +1,126 @@
+import { useEffect, useRef, useState } from "@wordpress/element";
+
+/**
+ * Get the delay before the next attempt after failed polls
+ *
+ * Exponential backoff with jitter, so tabs that lost the connection at the
+ * same moment don't retry in lockstep.
+ *
+ * @param {number} interval - Regular polling interval in milliseconds
+ * @param {number} failures - Number of consecutive failed polls
+ * @param {number} maxInterval - Maximum delay in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+export const getBackoffDelay = (interval, failures, maxInterval) => {
+  const delay = Math.min(maxInterval, interval * 2 ** failures);
+
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+/**
+ * Polling hook
+ *
+ * Calls pollFn every interval while shouldPoll is true. Pass a stable
+ * function (e.g. a store action), polling restarts when it changes.
+ *
+ * A rejected pollFn counts as a failed poll, the next attempts back off
+ * exponentially until a poll succeeds again. Polling pauses while the tab
+ * is hidden and polls immediately when it becomes visible again.
+ *
+ * @param {boolean} shouldPoll - Whether polling should be active
+ * @param {Function} pollFn - Function to call on each poll interval, may return a promise
+ * @param {number} interval - Polling interval in milliseconds (default: 3000)
+ * @param {number} maxInterval - Maximum backoff delay in milliseconds (default: 60000)
+ * @returns {Object} - { isPolling, failures, retryAt } retryAt is the time of the next attempt after a failure
+ */
+export const usePolling = (shouldPoll, pollFn, interval = 3000, maxInterval = 60000) => {
+  const [hidden, setHidden] = useState(() => document.hidden);
+  const [failures, setFailures] = useState(0);
+  const [retryAt, setRetryAt] = useState(null);
+
+  // Kept in refs as well, so restarting the timer doesn't reset the backoff
+  const failuresRef = useRef(0);
+  const retryAtRef = useRef(null);
+  const resumedRef = useRef(false);
+
+  /**
+   * Track tab visibility.
+   */
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        resumedRef.current = true;
+      }
+
+      setHidden(document.hidden);
+    };
+
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    return () => document.removeEventListener("visibilitychange", handleVisibilityChange);
+  }, []);
+
+  useEffect(() => {
+    if (!shouldPoll || hidden) {
+      return;
+    }
+
+    let timer = null;
+    let cancelled = false;
+
+    const updateFailures = (count, nextRetryAt) => {
+      failuresRef.current = count;
+      retryAtRef.current = nextRetryAt;
+      setFailures(count);
+      setRetryAt(nextRetryAt);
+    };
+
+    const run = async () => {
+      try {
+        await pollFn();
+
+        if (cancelled) {
+          return;
+        }
+
+        if (failuresRef.current > 0) {
+          updateFailures(0, null);
+        }
+
+        timer = setTimeout(run, interval);
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+
+        const delay = getBackoffDelay(interval, failuresRef.current + 1, maxInterval);
+
+        updateFailures(failuresRef.current + 1, Date.now() + delay);
+        timer = setTimeout(run, delay);
+      }
+    };
+
+    // Poll right away when the tab became visible again, otherwise keep the pending backoff
+    let delay = interval;
+
+    if (resumedRef.current) {
+      delay = 0;
+    } else if (retryAtRef.current) {
+      delay = Math.max(0, retryAtRef.current - Date.now());
+    }
+
+    resumedRef.current = false;
+    timer = setTimeout(run, delay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [shouldPoll, hidden, pollFn, interval, maxInterval]);
+
+  return {
+    isPolling: shouldPoll && !hidden,
+    failures: shouldPoll ? failures : 0,
+    retryAt: shouldPoll ? retryAt : null,
+  };
+};
@@ -0,0 +1,32 @@
+import { useEffect, useState } from "@wordpress/element";
+
+/**
+ * Retry countdown hook
+ *
+ * Counts down the seconds until the next polling attempt, for the
+ * "connection lost" indicator.
+ *
+ * @param {number|null} retryAt - Time of the next attempt in milliseconds, null when connected
+ * @returns {number|null} - Seconds until the next attempt, null when connected
+ */
+export const useRetryCountdown = (retryAt) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!retryAt) {
+      return;
+    }
+
+    setNow(Date.now());
+
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
+  if (!retryAt) {
+    return null;
+  }
+
+  return Math.max(0, Math.ceil((retryAt - now) / 1000));
+};
@@ -0,0 +1,58 @@
+import { createStore, useStore } from "zustand";
+import { createRequestSlice } from "./slices/requestSlice";
+import { createItemSlice } from "./slices/itemSlice";
+import { createDashboardSlice } from "./slices/dashboardSlice";
+import { createLogsSlice } from "./slices/logsSlice";
+import { createRunHistorySlice } from "./slices/runHistorySlice";
+import { createSyncSlice } from "./slices/syncSlice";
+import { createNoticesSlice } from "./slices/noticesSlice";
+import { createAutoTranslateSlice } from "./slices/autoTranslateSlice";
+import { createDashboardPreferencesSlice } from "./slices/dashboardPreferencesSlice";
+import { registerNonceRefresh } from "../utils/nonceRefresh";
+
+export { getItemKey, getBulkKey } from "./slices/itemSlice";
+export { getLogsKey } from "./slices/logsSlice";
+export { getRunHistoryKey } from "./slices/runHistorySlice";
+export { getNoticeKey } from "./slices/noticesSlice";
+
+/**
+ * Create the translation store
+ *
+ * @returns {Object} - Vanilla zustand store
+ */
+const createTranslationStore = () =>
+  createStore((...args) => ({
+    ...createRequestSlice(...args),
+    ...createItemSlice(...args),
+    ...createDashboardSlice(...args),
+    ...createLogsSlice(...args),
+    ...createRunHistorySlice(...args),
+    ...createSyncSlice(...args),
+    ...createNoticesSlice(...args),
+    ...createAutoTranslateSlice(...args),
+    ...createDashboardPreferencesSlice(...args),
+  }));
+
+// Every bundle imports the store, so its requests survive an expired nonce
+registerNonceRefresh();
+
+/**
+ * Translation store shared by the dashboard and single translator bundles
+ *
+ * Kept on window so every bundle loaded on a page uses the same instance.
+ */
+export const translationStore =
+  window.pllatTranslationStore || (window.pllatTranslationStore = createTranslationStore());
+
+/**
+ * Subscribe to a slice of the translation store
+ *
+ * Selectors should return stored references or primitives, derived
+ * objects have to be memoized by the caller.
+ *
+ * @param {Function} selector - State selector
+ * @returns {*} - Selected state
+ */
+export const useTranslationStore = (selector) => useStore(translationStore, selector);
+
+export default translationStore;
@@ -0,0 +1,108 @@
+import apiFetch from "@wordpress/api-fetch";
+
+/**
+ * Auto-translate slice
+ *
+ * Holds the auto-translate setting, the scope of each content type and
+ * the item each content type auto-translated last. Every change is saved
+ * right away and replaced with the saved settings once the request finished.
+ *
+ * @param {Function} set - Store setter
+ * @param {Function} get - Store getter
+ * @returns {Object} - Slice state and actions
+ */
+export const createAutoTranslateSlice = (set, get) => {
+  /**
+   * Store the settings returned by the server
+   *
+   * @param {Object} response - Auto-translate response
+   * @returns {Object} - Stored settings
+   */
+  const receive = (response) => {
+    const autoTranslate = {
+      enabled: Boolean(response.enabled),
+      scopes: response.scopes || {},
+      lastItems: response.last_items || {},
+    };
+
+    set({ autoTranslate });
+
+    return autoTranslate;
+  };
+
+  return {
+    autoTranslate: {
+      enabled: false,
+      // Type => entity => { enabled, languages }, languages null means all languages
+      scopes: {},
+      // Type => entity => { id, title, edit_link, run_id, translated_at }
+      lastItems: {},
+    },
+
+    /**
+     * Fetch the auto-translate settings
+     *
+     * @returns {Promise<Object>} - Auto-translate settings
+     */
+    fetchAutoTranslate: () =>
+      get().request("autoTranslate", () =>
+        apiFetch({ path: "/pllat/v1/auto-translate" }).then(receive)
+      ),
+
+    /**
+     * Enable or disable auto-translate
+     *
+     * @param {boolean} enabled - Whether auto-translate is enabled
+     * @returns {Promise<Object>} - Auto-translate settings
+     */
+    setAutoTranslateEnabled: (enabled) => {
+      const previous = get().autoTranslate;
+
+      set({ autoTranslate: { ...previous, enabled } });
+
+      return apiFetch({
+        path: "/pllat/v1/auto-translate",
+        method: "POST",
+        data: { enabled },
+      })
+        .then(receive)
+        .catch((error) => {
+          set({ autoTranslate: previous });
+          throw error;
+        });
+    },
+
+    /**
+     * Set the auto-translate scope of a content type
+     *
+     * @param {string} type - Content type ('post' or 'term')
+     * @param {string} entity - Post type or taxonomy name
+     * @param {Object} scope - { enabled, languages }, languages null means all languages
+     * @returns {Promise<Object>} - Auto-translate settings
+     */
+    setAutoTranslateScope: (type, entity, scope) => {
+      const previous = get().autoTranslate;
+
+      set({
+        autoTranslate: {
+          ...previous,
+          scopes: {
+            ...previous.scopes,
+            [type]: { ...previous.scopes[type], [entity]: scope },
+          },
+        },
+      });
+
+      return apiFetch({
+        path: `/pllat/v1/auto-translate/${type}/${entity}`,
+        method: "POST",
+        data: scope,
+      })
+        .then(receive)
+        .catch((error) => {
+          set({ autoTranslate: previous });
+          throw error;
+        });
+    },
+  };
+};
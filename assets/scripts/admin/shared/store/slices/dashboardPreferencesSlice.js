@@ -0,0 +1,73 @@
+import apiFetch from "@wordpress/api-fetch";
+
+/**
+ * Dashboard preferences slice
+ *
+ * Holds the content type cards the current user hid and their sort order.
+ * Preferences are stored in user meta and saved right away, a failed save
+ * restores the previous preferences.
+ *
+ * @param {Function} set - Store setter
+ * @param {Function} get - Store getter
+ * @returns {Object} - Slice state and actions
+ */
+export const createDashboardPreferencesSlice = (set, get) => {
+  /**
+   * Store the preferences returned by the server
+   *
+   * @param {Object} response - Preferences response
+   * @returns {Object} - Stored preferences
+   */
+  const receive = (response) => {
+    const dashboardPreferences = {
+      hidden: response.hidden || [],
+      sort: response.sort || "default",
+    };
+
+    set({ dashboardPreferences });
+
+    return dashboardPreferences;
+  };
+
+  return {
+    dashboardPreferences: {
+      // Slugs of the hidden content types
+      hidden: [],
+      // default, name, completion_asc or completion_desc
+      sort: "default",
+    },
+
+    /**
+     * Fetch the dashboard preferences of the current user
+     *
+     * @returns {Promise<Object>} - Dashboard preferences
+     */
+    fetchDashboardPreferences: () =>
+      get().request("dashboardPreferences", () =>
+        apiFetch({ path: "/pllat/v1/dashboard-preferences" }).then(receive)
+      ),
+
+    /**
+     * Save changed dashboard preferences
+     *
+     * @param {Object} changes - { hidden, sort }
+     * @returns {Promise<Object>} - Dashboard preferences
+     */
+    updateDashboardPreferences: (changes) => {
+      const previous = get().dashboardPreferences;
+
+      set({ dashboardPreferences: { ...previous, ...changes } });
+
+      return apiFetch({
+        path: "/pllat/v1/dashboard-preferences",
+        method: "POST",
+        data: changes,
+      })
+        .then(receive)
+        .catch((error) => {
+          set({ dashboardPreferences: previous });
+          throw error;
+        });
+    },
+  };
+};
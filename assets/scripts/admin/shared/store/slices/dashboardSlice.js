@@ -0,0 +1,76 @@
+import apiFetch from "@wordpress/api-fetch";
+
+/**
+ * Dashboard slice
+ *
+ * Normalizes the dashboard response into overview data, content types
+ * and the active run of each content type.
+ *
+ * @param {Function} set - Store setter
+ * @param {Function} get - Store getter
+ * @returns {Object} - Slice state and actions
+ */
+export const createDashboardSlice = (set, get) => ({
+  overview: {
+    overall: { translated: 0, total: 0 },
+    targetLanguages: [],
+    discovery: null,
+  },
+  // Content type slug => content type, its active run is referenced by runId
+  contentTypes: {},
+  // Run ID => { id, contentType, state, progress }
+  runs: {},
+
+  /**
+   * Fetch the dashboard data
+   *
+   * @returns {Promise<Object>} - Dashboard response
+   */
+  fetchDashboard: () =>
+    get().request("dashboard", () =>
+      apiFetch({ path: "/pllat/v1/dashboard" }).then((response) => {
+        get().receiveDashboard(response);
+        return response;
+      })
+    ),
+
+  /**
+   * Store the dashboard data
+   *
+   * @param {Object} response - Dashboard response from the API
+   */
+  receiveDashboard: (response) => {
+    const contentTypes = {};
+    const runs = {};
+
+    Object.entries(response.contentTypes || {}).forEach(([slug, contentType]) => {
+      if (!contentType.runId) {
+        contentTypes[slug] = contentType;
+        return;
+      }
+
+      const { runProgress, ...rest } = contentType;
+
+      contentTypes[slug] = rest;
+      runs[contentType.runId] = {
+        id: contentType.runId,
+        contentType: slug,
+        state: contentType.translationState,
+        progress: runProgress || null,
+      };
+    });
+
+    set((state) => ({
+      overview: {
+        overall: {
+          translated: response.overallProgress?.total_translated || 0,
+          total: response.overallProgress?.total_possible_translations || 0,
+        },
+        targetLanguages: response.targetLanguages || [],
+        discovery: response.discovery || null,
+      },
+      contentTypes,
+      runs: { ...state.runs, ...runs },
+    }));
+  },
+});
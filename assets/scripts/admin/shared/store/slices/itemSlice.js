@@ -0,0 +1,164 @@
+import apiFetch from "@wordpress/api-fetch";
+import { addQueryArgs } from "@wordpress/url";
+
+/**
+ * Get the store key of a content item
+ *
+ * @param {string} type - Content type (post or term)
+ * @param {number} id - Content ID
+ * @returns {string} - Item key
+ */
+export const getItemKey = (type, id) => `${type}:${id}`;
+
+/**
+ * Get the request key of a bulk status request
+ *
+ * @param {string} type - Content type (post or term)
+ * @param {Array<number>} ids - Content IDs
+ * @returns {string} - Request key
+ */
+export const getBulkKey = (type, ids) => `bulk:${type}:${ids.join(",")}`;
+
+/**
+ * Index the language status of an item by language code and collect its jobs
+ *
+ * @param {string} key - Item key
+ * @param {Array} languages - Per-language status from the API
+ * @returns {Object} - { languageMap, jobs }
+ */
+const normalizeLanguages = (key, languages) => {
+  const languageMap = {};
+  const jobs = {};
+
+  languages.forEach((lang) => {
+    languageMap[lang.language] = lang;
+
+    if (lang.job_id) {
+      jobs[lang.job_id] = {
+        id: lang.job_id,
+        item: key,
+        language: lang.language,
+        status: lang.status,
+        progress: lang.progress || null,
+      };
+    }
+  });
+
+  return { languageMap, jobs };
+};
+
+/**
+ * Item slice
+ *
+ * Normalizes the single translator status of content items into items,
+ * per-language status and jobs.
+ *
+ * @param {Function} set - Store setter
+ * @param {Function} get - Store getter
+ * @returns {Object} - Slice state and actions
+ */
+export const createItemSlice = (set, get) => ({
+  // Item key => item status, `languages` holds the target language codes
+  items: {},
+  // Item key => { language code => language status }
+  languageStatus: {},
+  // Job ID => { id, item, language, status, progress }
+  jobs: {},
+
+  /**
+   * Fetch the translation status of a content item
+   *
+   * The translatable fields are only read when asked for, status polls keep the stored ones.
+   *
+   * @param {string} type - Content type (post or term)
+   * @param {number} id - Content ID
+   * @param {boolean} withFields - Also fetch the translatable fields
+   * @returns {Promise<Object>} - Status data
+   */
+  fetchItemStatus: (type, id, withFields = false) =>
+    get()
+      .request(`item:${getItemKey(type, id)}`, () =>
+        apiFetch({
+          path: addQueryArgs(`/pllat/v1/single-translator/status/${type}/${id}`, withFields ? { fields: 1 } : {}),
+          method: "GET",
+        }).then((data) => {
+          get().receiveItemStatus(type, id, data);
+          get().broadcastItemStatus(type, id, data, get().requests[`item:${getItemKey(type, id)}`].requestedAt);
+          return data;
+        })
+      )
+      // A poll that was already running has no fields, fetch again once it is done
+      .then((data) => (withFields && !data.fields ? get().fetchItemStatus(type, id, true) : data)),
+
+  /**
+   * Fetch the translation status of several content items (bulk translator)
+   *
+   * @param {string} type - Content type (post or term)
+   * @param {Array<number>} ids - Content IDs
+   * @param {Array<string>} languages - Target language codes
+   * @returns {Promise<Object>} - Status data with items
+   */
+  fetchBulkStatus: (type, ids, languages) =>
+    get().request(getBulkKey(type, ids), () =>
+      apiFetch({
+        path: addQueryArgs(`/pllat/v1/single-translator/bulk/status/${type}`, { ids, languages }),
+        method: "GET",
+      }).then((data) => {
+        get().receiveBulkStatus(type, data.items || []);
+        return data;
+      })
+    ),
+
+  /**
+   * Store the translation status of a content item
+   *
+   * @param {string} type - Content type (post or term)
+   * @param {number} id - Content ID
+   * @param {Object} data - Status data from the API
+   */
+  receiveItemStatus: (type, id, data) => {
+    const key = getItemKey(type, id);
+    const { languages = [], ...item } = data;
+    const { languageMap, jobs } = normalizeLanguages(key, languages);
+
+    set((state) => ({
+      items: {
+        ...state.items,
+        [key]: {
+          ...item,
+          fields: item.fields ?? state.items[key]?.fields,
+          languages: languages.map((lang) => lang.language),
+        },
+      },
+      languageStatus: { ...state.languageStatus, [key]: languageMap },
+      jobs: { ...state.jobs, ...jobs },
+    }));
+  },
+
+  /**
+   * Store the translation status of several content items
+   *
+   * Bulk items only hold the id, title and requested languages, so they are
+   * merged into the stored item instead of replacing it.
+   *
+   * @param {string} type - Content type (post or term)
+   * @param {Array} bulkItems - Items from the bulk status API
+   */
+  receiveBulkStatus: (type, bulkItems) =>
+    set((state) => {
+      const items = { ...state.items };
+      const languageStatus = { ...state.languageStatus };
+      const jobs = { ...state.jobs };
+
+      bulkItems.forEach(({ languages = [], ...item }) => {
+        const key = getItemKey(type, item.id);
+        const normalized = normalizeLanguages(key, languages);
+
+        items[key] = { ...items[key], ...item, languages: languages.map((lang) => lang.language) };
+        languageStatus[key] = { ...languageStatus[key], ...normalized.languageMap };
+        Object.assign(jobs, normalized.jobs);
+      });
+
+      return { items, languageStatus, jobs };
+    }),
+});
@@ -0,0 +1,70 @@
+import apiFetch from "@wordpress/api-fetch";
+
+/**
+ * Get the store key of a log query
+ *
+ * @param {string} date - Log date (YYYY-MM-DD)
+ * @param {string} type - Log type filter
+ * @returns {string} - Log query key
+ */
+export const getLogsKey = (date, type) => `logs:${date}:${type}`;
+
+/**
+ * Logs slice
+ *
+ * Holds the entries of the current log query and the available log dates.
+ *
+ * @param {Function} set - Store setter
+ * @param {Function} get - Store getter
+ * @returns {Object} - Slice state and actions
+ */
+export const createLogsSlice = (set, get) => ({
+  logs: {
+    query: null,
+    entries: [],
+    dates: [],
+  },
+
+  /**
+   * Fetch the log entries of a date
+   *
+   * Responses of an older query are dropped so they can't overwrite the current one.
+   *
+   * @param {string} date - Log date (YYYY-MM-DD)
+   * @param {string} type - Log type filter
+   * @returns {Promise<Array>} - Log entries
+   */
+  fetchLogs: (date, type) => {
+    const key = getLogsKey(date, type);
+
+    set((state) => ({ logs: { ...state.logs, query: key } }));
+
+    return get().request(key, () =>
+      apiFetch({ path: `/pllat/v1/logs?date=${date}&type=${type}` }).then((response) => {
+        const entries = response.logs || [];
+
+        if (get().logs.query === key) {
+          set((state) => ({ logs: { ...state.logs, entries } }));
+        }
+
+        return entries;
+      })
+    );
+  },
+
+  /**
+   * Fetch the dates that have log files
+   *
+   * @returns {Promise<Array>} - Log dates
+   */
+  fetchLogDates: () =>
+    get().request("logs:dates", () =>
+      apiFetch({ path: "/pllat/v1/logs/dates" }).then((response) => {
+        const dates = response.dates || [];
+
+        set((state) => ({ logs: { ...state.logs, dates } }));
+
+        return dates;
+      })
+    ),
+});
@@ -0,0 +1,85 @@
+import apiFetch from "@wordpress/api-fetch";
+
+/**
+ * Get the key of a dismissible notice
+ *
+ * Job notices are keyed by job ID and language, run notices by run ID.
+ *
+ * @param {string} scope - Notice scope (job or run)
+ * @param {number} id - Job or run ID
+ * @param {string} language - Language code, for job notices
+ * @returns {string} - Notice key
+ */
+export const getNoticeKey = (scope, id, language = "") =>
+  scope === "job" ? `job:${id}:${language}` : `run:${id}`;
+
+/**
+ * Notices slice
+ *
+ * Holds the notices the current user dismissed. They are stored in user
+ * meta, so dismissals follow the user across browsers and both apps.
+ *
+ * @param {Function} set - Store setter
+ * @param {Function} get - Store getter
+ * @returns {Object} - Slice state and actions
+ */
+export const createNoticesSlice = (set, get) => ({
+  // Notice key => dismissal time (unix seconds)
+  dismissedNotices: {},
+  // Whether dismissed notices are shown again
+  showDismissed: false,
+
+  /**
+   * Fetch the notices dismissed by the current user
+   *
+   * @returns {Promise<Object>} - Dismissed notices
+   */
+  fetchDismissedNotices: () =>
+    get().request("notices", () =>
+      apiFetch({ path: "/pllat/v1/notices" }).then((response) => {
+        const dismissedNotices = response.dismissed || {};
+
+        set({ dismissedNotices });
+
+        return dismissedNotices;
+      })
+    ),
+
+  /**
+   * Dismiss a notice
+   *
+   * The notice is hidden right away, the saved dismissals replace the
+   * local ones once the request finished.
+   *
+   * @param {string} scope - Notice scope (job or run)
+   * @param {number} id - Job or run ID
+   * @param {string} language - Language code, for job notices
+   * @returns {Promise<Object>} - Dismissed notices
+   */
+  dismissNotice: (scope, id, language = "") => {
+    const key = getNoticeKey(scope, id, language);
+
+    set((state) => ({
+      dismissedNotices: { ...state.dismissedNotices, [key]: Math.floor(Date.now() / 1000) },
+    }));
+
+    return apiFetch({
+      path: "/pllat/v1/notices/dismiss",
+      method: "POST",
+      data: { scope, id, language },
+    }).then((response) => {
+      const dismissedNotices = response.dismissed || {};
+
+      set({ dismissedNotices });
+
+      return dismissedNotices;
+    });
+  },
+
+  /**
+   * Show or hide dismissed notices
+   *
+   * @param {boolean} showDismissed - Whether dismissed notices are shown
+   */
+  setShowDismissed: (showDismissed) => set({ showDismissed }),
+});
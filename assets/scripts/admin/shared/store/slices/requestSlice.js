@@ -0,0 +1,63 @@
+/**
+ * Request slice
+ *
+ * Tracks the state of every store request by key and shares in-flight
+ * requests, so components asking for the same data never fetch it twice.
+ *
+ * @param {Function} set - Store setter
+ * @returns {Object} - Slice state and actions
+ */
+export const createRequestSlice = (set) => {
+  const inFlight = new Map();
+
+  /**
+   * Merge changes into the state of a request
+   *
+   * @param {string} key - Request key
+   * @param {Object} changes - Request state changes
+   */
+  const updateRequest = (key, changes) =>
+    set((state) => ({
+      requests: {
+        ...state.requests,
+        [key]: { ...state.requests[key], ...changes },
+      },
+    }));
+
+  return {
+    // Request key => { loading, error, requestedAt, fetchedAt }
+    requests: {},
+
+    /**
+     * Run a request, or join the one already running for the same key
+     *
+     * @param {string} key - Request key
+     * @param {Function} fetcher - Function returning the request promise
+     * @returns {Promise<*>} - The request result
+     */
+    request: (key, fetcher) => {
+      if (inFlight.has(key)) {
+        return inFlight.get(key);
+      }
+
+      updateRequest(key, { loading: true, error: null, requestedAt: Date.now() });
+
+      const promise = fetcher()
+        .then((data) => {
+          updateRequest(key, { loading: false, fetchedAt: Date.now() });
+          return data;
+        })
+        .catch((error) => {
+          updateRequest(key, { loading: false, error: error.message });
+          throw error;
+        })
+        .finally(() => {
+          inFlight.delete(key);
+        });
+
+      inFlight.set(key, promise);
+
+      return promise;
+    },
+  };
+};
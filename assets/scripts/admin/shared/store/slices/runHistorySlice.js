@@ -0,0 +1,81 @@
+import apiFetch from "@wordpress/api-fetch";
+
+/**
+ * Get the store key of a run history query
+ *
+ * @param {number} page - Page number
+ * @param {string} status - Run status filter
+ * @returns {string} - Run history query key
+ */
+export const getRunHistoryKey = (page, status) => `runHistory:${page}:${status}`;
+
+/**
+ * Run history slice
+ *
+ * Holds the current page of the run history and the details of opened runs.
+ *
+ * @param {Function} set - Store setter
+ * @param {Function} get - Store getter
+ * @returns {Object} - Slice state and actions
+ */
+export const createRunHistorySlice = (set, get) => ({
+  runHistory: {
+    query: null,
+    entries: [],
+    total: 0,
+    pages: 0,
+    details: {},
+  },
+
+  /**
+   * Fetch a page of the run history
+   *
+   * Responses of an older query are dropped so they can't overwrite the current one.
+   *
+   * @param {number} page - Page number
+   * @param {string} status - Run status filter ("all" for every status)
+   * @returns {Promise<Array>} - Runs
+   */
+  fetchRunHistory: (page, status) => {
+    const key = getRunHistoryKey(page, status);
+    const statusParam = status === "all" ? "" : `&status=${status}`;
+
+    set((state) => ({ runHistory: { ...state.runHistory, query: key } }));
+
+    return get().request(key, () =>
+      apiFetch({ path: `/pllat/v1/runs?page=${page}${statusParam}` }).then((response) => {
+        const entries = response.runs || [];
+
+        if (get().runHistory.query === key) {
+          set((state) => ({
+            runHistory: {
+              ...state.runHistory,
+              entries,
+              total: response.total || 0,
+              pages: response.pages || 0,
+            },
+          }));
+        }
+
+        return entries;
+      })
+    );
+  },
+
+  /**
+   * Fetch the jobs and failures of a run
+   *
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object>} - Run details
+   */
+  fetchRunDetails: (runId) =>
+    get().request(`runHistory:details:${runId}`, () =>
+      apiFetch({ path: `/pllat/v1/runs/${runId}` }).then((details) => {
+        set((state) => ({
+          runHistory: { ...state.runHistory, details: { ...state.runHistory.details, [runId]: details } },
+        }));
+
+        return details;
+      })
+    ),
+});
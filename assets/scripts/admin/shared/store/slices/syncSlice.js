@@ -0,0 +1,83 @@
+/**
+ * Broadcast channel shared by every tab of the site
+ */
+const CHANNEL_NAME = "pllat-translation-status";
+
+/**
+ * Sync slice
+ *
+ * Shares fetched item status with the other open tabs through a
+ * BroadcastChannel, so a translation started in one tab shows as running
+ * in the others and only one tab per item has to poll.
+ *
+ * @param {Function} set - Store setter
+ * @param {Function} get - Store getter
+ * @returns {Object} - Slice state and actions
+ */
+export const createSyncSlice = (set, get) => {
+  const tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  if (channel) {
+    channel.onmessage = ({ data: message }) => {
+      if (message?.kind !== "item-status") {
+        return;
+      }
+
+      const { type, id, data, requestedAt } = message;
+      const key = `${type}:${id}`;
+
+      get().receiveItemStatus(type, id, data);
+
+      set((state) => ({
+        remoteStatus: {
+          ...state.remoteStatus,
+          [key]: { tabId: message.tabId, receivedAt: Date.now() },
+        },
+        // Counts as a finished request of this tab, so completion detection works without polling
+        requests: {
+          ...state.requests,
+          [`item:${key}`]: {
+            ...state.requests[`item:${key}`],
+            loading: state.requests[`item:${key}`]?.loading || false,
+            requestedAt: Math.max(requestedAt, state.requests[`item:${key}`]?.requestedAt || 0),
+            fetchedAt: Date.now(),
+          },
+        },
+      }));
+    };
+  }
+
+  return {
+    // Item key => { tabId, receivedAt } of the last status received from another tab
+    remoteStatus: {},
+
+    /**
+     * Share a fetched item status with the other tabs
+     *
+     * @param {string} type - Content type (post or term)
+     * @param {number} id - Content ID
+     * @param {Object} data - Status data from the API
+     * @param {number} requestedAt - Start time of the request
+     */
+    broadcastItemStatus: (type, id, data, requestedAt) => {
+      channel?.postMessage({ kind: "item-status", tabId, type, id, data, requestedAt });
+    },
+
+    /**
+     * Check if another tab is polling an item
+     *
+     * The tab with the lowest ID polls, the others follow its broadcasts
+     * until they stop arriving.
+     *
+     * @param {string} key - Item key
+     * @param {number} interval - Polling interval in milliseconds
+     * @returns {boolean} - Whether this tab can skip polling
+     */
+    isPolledElsewhere: (key, interval) => {
+      const remote = get().remoteStatus[key];
+
+      return Boolean(remote) && remote.tabId < tabId && Date.now() - remote.receivedAt < interval * 2;
+    },
+  };
+};
@@ -0,0 +1,74 @@
+import apiFetch from "@wordpress/api-fetch";
+
+let refreshing = null;
+
+/**
+ * Fetch a fresh REST nonce from WordPress
+ *
+ * Concurrent callers share one request.
+ *
+ * @returns {Promise<string>} - The new nonce
+ */
+const fetchNonce = () => {
+  if (!refreshing) {
+    refreshing = window
+      .fetch(`${window.ajaxurl}?action=rest-nonce`, { credentials: "same-origin" })
+      .then((response) => response.text().then((nonce) => {
+        // WordPress answers "0" when the session itself expired
+        if (!response.ok || nonce === "0") {
+          throw new Error("Could not refresh the nonce.");
+        }
+
+        return nonce;
+      }))
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+
+  return refreshing;
+};
+
+/**
+ * Retry a request once with a fresh nonce when the nonce expired
+ *
+ * Open editor and dashboard pages outlive the nonce they were loaded with.
+ *
+ * @param {Object} options - Request options
+ * @param {Function} next - Next middleware
+ * @returns {Promise<*>} - The response
+ */
+const nonceRefreshMiddleware = async (options, next) => {
+  try {
+    return await next(options);
+  } catch (error) {
+    if (error?.code !== "rest_cookie_invalid_nonce" || options.nonceRefreshed || !window.ajaxurl) {
+      throw error;
+    }
+
+    const nonce = await fetchNonce();
+
+    // The core nonce middleware sets the header on every request
+    if (apiFetch.nonceMiddleware) {
+      apiFetch.nonceMiddleware.nonce = nonce;
+    }
+
+    return next({
+      ...options,
+      nonceRefreshed: true,
+      headers: { ...options.headers, "X-WP-Nonce": nonce },
+    });
+  }
+};
+
+/**
+ * Register the nonce refresh middleware once per page
+ */
+export const registerNonceRefresh = () => {
+  if (window.pllatNonceRefresh) {
+    return;
+  }
+
+  window.pllatNonceRefresh = true;
+  apiFetch.use(nonceRefreshMiddleware);
+};
@@ -10,14 +10,31 @@ import { __ } from '@wordpress/i18n';
  *
  * @param {Object} props - Component props
  * @param {Function} props.onTranslate - Callback when translate is clicked
+ * @param {Function} props.onPreview - Callback when preview is clicked
  * @param {Function} props.onCancel - Callback when cancel is clicked
+ * @param {Function} props.onPause - Callback when pause is clicked
+ * @param {Function} props.onResume - Callback when resume is clicked
  * @param {boolean} props.disabled - Whether translate button is disabled
  * @param {boolean} props.canCancel - Whether cancel button should be shown
+ * @param {boolean} props.canPause - Whether pause button should be shown
+ * @param {boolean} props.canResume - Whether resume button should be shown
  * @param {boolean} props.loading - Whether action is loading
  * @param {boolean} props.isProcessing - Whether translations are currently processing
  * @returns {JSX.Element} The component
  */
-export function ActionButtons({ onTranslate, onCancel, disabled, canCancel, loading, isProcessing }) {
+export function ActionButtons({
+	onTranslate,
+	onPreview,
+	onCancel,
+	onPause,
+	onResume,
+	disabled,
+	canCancel,
+	canPause,
+	canResume,
+	loading,
+	isProcessing,
+}) {
 	const buttonText = isProcessing
 		? __('Processing...', 'polylang-ai-autotranslate')
 		: __('Start Translation', 'polylang-ai-autotranslate');
@@ -27,6 +44,21 @@ export function ActionButtons({ onTranslate, onCancel, disabled, canCancel, load
 			<Button variant="primary" onClick={onTranslate} disabled={disabled} isBusy={loading}>
 				{buttonText}
 			</Button>
+			{onPreview && (
+				<Button variant="secondary" onClick={onPreview} disabled={disabled}>
+					{__('Preview', 'polylang-ai-autotranslate')}
+				</Button>
+			)}
+			{canPause && (
+				<Button variant="secondary" onClick={onPause} disabled={loading}>
+					{__('Pause', 'polylang-ai-autotranslate')}
+				</Button>
+			)}
+			{canResume && (
+				<Button variant="secondary" onClick={onResume} disabled={loading}>
+					{__('Resume', 'polylang-ai-autotranslate')}
+				</Button>
+			)}
 			{canCancel && (
 				<Button variant="secondary" isDestructive onClick={onCancel} disabled={loading}>
 					{__('Cancel Translation', 'polylang-ai-autotranslate')}
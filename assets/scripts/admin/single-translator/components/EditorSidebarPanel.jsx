@@ -0,0 +1,32 @@
+/**
+ * Component for the block editor document sidebar panel.
+ */
+
+import { PluginDocumentSettingPanel } from '@wordpress/editor';
+import { __ } from '@wordpress/i18n';
+import { useEditorSaveState } from '../hooks/useEditorSaveState';
+import SingleTranslator from './SingleTranslator';
+
+/**
+ * Editor sidebar panel component.
+ *
+ * Renders the single translator in the document settings sidebar and
+ * keeps it in sync with the save state of the editor.
+ *
+ * @returns {JSX.Element} The component
+ */
+export function EditorSidebarPanel() {
+	const { isDirty, savedAt } = useEditorSaveState();
+
+	return (
+		<PluginDocumentSettingPanel
+			name="pllat-single-translator"
+			title={__('AI Translation', 'polylang-ai-autotranslate')}
+			className="pllat-single-translator-panel"
+		>
+			<SingleTranslator hasUnsavedChanges={isDirty} savedAt={savedAt} />
+		</PluginDocumentSettingPanel>
+	);
+}
+
+export default EditorSidebarPanel;
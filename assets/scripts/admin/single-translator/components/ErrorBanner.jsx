@@ -2,55 +2,53 @@
  * Component for recovery banner when errors are detected on mount.
  */
 
-import { useState } from '@wordpress/element';
 import { Notice, Button } from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
-import { markAsDismissed, isDismissed } from '../utils/dismissedNotifications';
+import { useDismissedNotices } from '../../shared/hooks/useDismissedNotices';
+import { getNoticeKey } from '../../shared/store';
 
 /**
  * Error banner component.
  *
  * @param {Object} props - Component props
  * @param {Array} props.languages - Languages with status
- * @param {Function} props.onDismiss - Callback when dismissed
+ * @param {Function} props.onDismiss - Callback to refresh the status
  * @returns {JSX.Element|null} The component
  */
 export function ErrorBanner({ languages, onDismiss }) {
-	const [dismissed, setDismissed] = useState(false);
+	const { dismissed, isHidden, dismissNotice } = useDismissedNotices();
 
-	// Find languages with errors
+	// Find languages with errors that were not dismissed
+	// Dismissals stick to the failed jobs, a new translation attempt shows the banner again
 	const errorLanguages = languages.filter((lang) => {
-		return lang.status === 'failed' || lang.status === 'completed_with_errors';
+		return (lang.status === 'failed' || lang.status === 'completed_with_errors')
+			&& lang.job_id
+			&& !isHidden(getNoticeKey('job', lang.job_id, lang.language));
 	});
 
-	if (errorLanguages.length === 0 || dismissed) {
+	if (errorLanguages.length === 0) {
 		return null;
 	}
 
-	// Generate stable notification ID based on failed job IDs
-	// This ensures dismissal persists until the job IDs change (new translation attempt)
-	const { id: contentId } = window.pllatSingleTranslator;
-	const failedJobIds = errorLanguages.map(lang => lang.job_id).filter(Boolean).sort().join('_');
-	const notificationId = `pllat_notification_error_${contentId}_${failedJobIds}`;
-
-	// Check if already dismissed
-	if (isDismissed(notificationId)) {
-		return null;
-	}
+	const allDismissed = errorLanguages.every((lang) => dismissed[getNoticeKey('job', lang.job_id, lang.language)]);
 
 	/**
 	 * Handle dismiss.
 	 */
 	const handleDismiss = () => {
-		markAsDismissed(notificationId);
-		setDismissed(true);
+		errorLanguages.forEach((lang) => {
+			dismissNotice('job', lang.job_id, lang.language).catch((err) => {
+				console.error('Failed to dismiss notice:', err);
+			});
+		});
 	};
 
 	/**
 	 * Handle refresh.
+	 *
+	 * Doesn't dismiss, the banner goes away by itself once the status has no errors.
 	 */
 	const handleRefresh = () => {
-		handleDismiss();
 		if (onDismiss) {
 			onDismiss();
 		}
@@ -67,7 +65,7 @@ export function ErrorBanner({ languages, onDismiss }) {
 			  );
 
 	return (
-		<Notice status="error" isDismissible={true} onRemove={handleDismiss} className="pllat-error-banner">
+		<Notice status="error" isDismissible={!allDismissed} onRemove={handleDismiss} className="pllat-error-banner">
 			<div>
 				<div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
 					<span>{message}</span>
@@ -5,7 +5,8 @@
 import { useState } from '@wordpress/element';
 import { Notice, Button } from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
-import { markAsDismissed, isDismissed } from '../utils/dismissedNotifications';
+import { useDismissedNotices } from '../../shared/hooks/useDismissedNotices';
+import { getNoticeKey } from '../../shared/store';
 import TaskDetailsModal from './TaskDetailsModal';
 
 /**
@@ -17,19 +18,17 @@ import TaskDetailsModal from './TaskDetailsModal';
  * @param {string} props.errorSummary - Error summary message
  * @param {number} props.jobId - Job ID for fetching tasks
  * @param {Function} props.onDismiss - Callback when dismissed
+ * @param {Function} props.onRetry - Callback after failed tasks were queued for retry
  * @returns {JSX.Element|null} The component
  */
-export function ErrorSummaryBanner({ language, languageName, errorSummary, jobId, onDismiss }) {
-	const [dismissed, setDismissed] = useState(false);
+export function ErrorSummaryBanner({ language, languageName, errorSummary, jobId, onDismiss, onRetry }) {
 	const [showTaskDetails, setShowTaskDetails] = useState(false);
+	const { dismissed, isHidden, dismissNotice } = useDismissedNotices();
 
-	const { id: contentId } = window.pllatSingleTranslator;
+	// Dismissal sticks to the failed job, a new translation attempt shows the banner again
+	const noticeKey = getNoticeKey('job', jobId, language);
 
-	// Generate notification ID (unique per language and timestamp)
-	const notificationId = `pllat_notification_error_${contentId}_${language}_${Date.now()}`;
-
-	// Check if already dismissed
-	if (isDismissed(notificationId) || dismissed) {
+	if (isHidden(noticeKey)) {
 		return null;
 	}
 
@@ -37,8 +36,9 @@ export function ErrorSummaryBanner({ language, languageName, errorSummary, jobId
 	 * Handle dismiss.
 	 */
 	const handleDismiss = () => {
-		markAsDismissed(notificationId);
-		setDismissed(true);
+		dismissNotice('job', jobId, language).catch((err) => {
+			console.error('Failed to dismiss notice:', err);
+		});
 
 		if (onDismiss) {
 			onDismiss();
@@ -54,7 +54,7 @@ export function ErrorSummaryBanner({ language, languageName, errorSummary, jobId
 
 	return (
 		<>
-			<Notice status="error" isDismissible={true} onRemove={handleDismiss} className="pllat-error-summary-banner">
+			<Notice status="error" isDismissible={!dismissed[noticeKey]} onRemove={handleDismiss} className="pllat-error-summary-banner">
 				<div>
 					<strong>
 						{languageName}: {errorSummary}
@@ -67,7 +67,14 @@ export function ErrorSummaryBanner({ language, languageName, errorSummary, jobId
 				</div>
 			</Notice>
 
-			{showTaskDetails && <TaskDetailsModal jobId={jobId} languageName={languageName} onClose={() => setShowTaskDetails(false)} />}
+			{showTaskDetails && (
+				<TaskDetailsModal
+					jobId={jobId}
+					languageName={languageName}
+					onClose={() => setShowTaskDetails(false)}
+					onRetry={onRetry}
+				/>
+			)}
 		</>
 	);
 }
@@ -0,0 +1,131 @@
+/**
+ * Component for selecting which fields to translate.
+ */
+
+import { useState } from '@wordpress/element';
+import { CheckboxControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Field selector component (collapsible "Fields" panel).
+ *
+ * A selection of null means every field is translated.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.fields - Translatable fields ({ key, label, type })
+ * @param {Array<string>|null} props.selected - Selected field references (null = all)
+ * @param {Function} props.onChange - Callback when selection changes
+ * @param {boolean} props.disabled - Whether selector is disabled
+ * @returns {JSX.Element|null} The component
+ */
+export function FieldSelector({ fields, selected, onChange, disabled }) {
+	const [open, setOpen] = useState(false);
+
+	if (!fields || fields.length === 0) {
+		return null;
+	}
+
+	const allKeys = fields.map((field) => field.key);
+	const selectedKeys = selected === null ? allKeys : selected;
+
+	/**
+	 * Toggle field selection.
+	 *
+	 * @param {string} key - Field reference to toggle
+	 */
+	const toggleField = (key) => {
+		const next = selectedKeys.includes(key)
+			? selectedKeys.filter((selectedKey) => selectedKey !== key)
+			: [...selectedKeys, key];
+
+		// Back to "all fields" when everything is ticked again
+		onChange(next.length === allKeys.length ? null : next);
+	};
+
+	const coreFields = fields.filter((field) => field.type !== 'meta');
+	const metaFields = fields.filter((field) => field.type === 'meta');
+
+	const summary = selected === null
+		? __('All fields', 'polylang-ai-autotranslate')
+		// translators: %1$d is the number of selected fields, %2$d the number of available fields
+		: __('%1$d of %2$d fields', 'polylang-ai-autotranslate')
+			.replace('%1$d', selectedKeys.length)
+			.replace('%2$d', allKeys.length);
+
+	const renderField = (field) => (
+		<CheckboxControl
+			key={field.key}
+			label={field.label}
+			checked={selectedKeys.includes(field.key)}
+			onChange={() => toggleField(field.key)}
+			disabled={disabled}
+		/>
+	);
+
+	return (
+		<div className="pllat-field-selector" style={{ marginBottom: '15px', border: '1px solid #dcdcde', borderRadius: '4px' }}>
+			<button
+				type="button"
+				onClick={() => setOpen(!open)}
+				aria-expanded={open}
+				style={{
+					display: 'flex',
+					justifyContent: 'space-between',
+					alignItems: 'center',
+					width: '100%',
+					padding: '10px 12px',
+					background: 'transparent',
+					border: 0,
+					cursor: 'pointer',
+				}}
+			>
+				<span style={{ fontWeight: '600' }}>{__('Fields', 'polylang-ai-autotranslate')}</span>
+				<span style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#757575' }}>
+					{summary}
+					<span className={`dashicons dashicons-arrow-${open ? 'up' : 'down'}-alt2`}></span>
+				</span>
+			</button>
+
+			{open && (
+				<div style={{ padding: '0 12px 12px' }}>
+					<div style={{ display: 'flex', gap: '8px', marginBottom: '10px' }}>
+						<button
+							type="button"
+							className="button button-small"
+							onClick={() => onChange(null)}
+							disabled={disabled || selected === null}
+						>
+							{__('Select All', 'polylang-ai-autotranslate')}
+						</button>
+
+						<button
+							type="button"
+							className="button button-small"
+							onClick={() => onChange([])}
+							disabled={disabled || selectedKeys.length === 0}
+						>
+							{__('Deselect All', 'polylang-ai-autotranslate')}
+						</button>
+					</div>
+
+					{coreFields.map(renderField)}
+
+					{metaFields.length > 0 && (
+						<>
+							<p style={{ margin: '10px 0 6px', fontWeight: '600' }}>
+								{__('Meta fields', 'polylang-ai-autotranslate')}
+							</p>
+							{metaFields.map(renderField)}
+						</>
+					)}
+
+					<p style={{ fontSize: '12px', color: '#757575', marginBottom: 0 }}>
+						{__('Selected fields are re-translated even if a translation already exists.', 'polylang-ai-autotranslate')}
+					</p>
+				</div>
+			)}
+		</div>
+	);
+}
+
+export default FieldSelector;
@@ -0,0 +1,276 @@
+/**
+ * Component for modal showing the version history of a translation, with diff and restore.
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Modal, Spinner, Notice, Button, CheckboxControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import { getVersions, restoreVersion } from '../utils/api';
+import { formatDate } from '../utils/languageCardHelpers';
+import { diffWords } from '../utils/diff';
+
+/**
+ * Get the label of a version source.
+ *
+ * @param {string} source - Version source (ai|manual|original|restore)
+ * @returns {string} Label
+ */
+function getSourceLabel(source) {
+	switch (source) {
+		case 'ai':
+			return __('AI translation', 'polylang-ai-autotranslate');
+		case 'manual':
+			return __('Manual edit', 'polylang-ai-autotranslate');
+		case 'original':
+			return __('Before first AI translation', 'polylang-ai-autotranslate');
+		case 'restore':
+			return __('Restored', 'polylang-ai-autotranslate');
+		default:
+			return source;
+	}
+}
+
+/**
+ * Render a word diff.
+ *
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {JSX.Element} Diff
+ */
+function renderDiff(before, after) {
+	return diffWords(before, after).map((part, index) => {
+		if (part.type === 'added') {
+			return (
+				<ins key={index} style={{ backgroundColor: '#d7f5dd', textDecoration: 'none' }}>
+					{part.value}
+				</ins>
+			);
+		}
+
+		if (part.type === 'removed') {
+			return (
+				<del key={index} style={{ backgroundColor: '#fbdcdc' }}>
+					{part.value}
+				</del>
+			);
+		}
+
+		return <span key={index}>{part.value}</span>;
+	});
+}
+
+/**
+ * History modal component.
+ *
+ * Versions only hold the fields written at that moment, so the diff compares the fields present in either version.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.language - Target language code
+ * @param {string} props.languageName - Language name
+ * @param {Function} props.onClose - Callback when modal is closed
+ * @param {Function} props.onRestored - Callback after a version was restored
+ * @returns {JSX.Element} The component
+ */
+export function HistoryModal({ language, languageName, onClose, onRestored }) {
+	const { type, id } = window.pllatSingleTranslator;
+
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [versions, setVersions] = useState([]);
+	const [compare, setCompare] = useState([]);
+	const [restoringId, setRestoringId] = useState(null);
+
+	/**
+	 * Fetch the versions.
+	 */
+	const fetchVersions = async () => {
+		try {
+			setLoading(true);
+			setError(null);
+			const data = await getVersions(type, id, language);
+			setVersions(data.versions || []);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	useEffect(() => {
+		fetchVersions();
+	}, [language]);
+
+	/**
+	 * Toggle a version for comparison, keeping at most two.
+	 *
+	 * @param {number} versionId - Version ID
+	 */
+	const toggleCompare = (versionId) => {
+		if (compare.includes(versionId)) {
+			setCompare(compare.filter((item) => item !== versionId));
+		} else {
+			setCompare([...compare, versionId].slice(-2));
+		}
+	};
+
+	/**
+	 * Restore a version onto the translation.
+	 *
+	 * @param {Object} version - The version to restore
+	 */
+	const handleRestore = async (version) => {
+		if (!confirm(__('Restore this version? The current translation will be overwritten.', 'polylang-ai-autotranslate'))) {
+			return;
+		}
+
+		try {
+			setRestoringId(version.id);
+			setError(null);
+			await restoreVersion(type, id, version.id);
+			setCompare([]);
+			await fetchVersions();
+
+			if (onRestored) {
+				onRestored();
+			}
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setRestoringId(null);
+		}
+	};
+
+	// Compare oldest to newest, versions are sorted newest first.
+	const compared = versions.filter((version) => compare.includes(version.id)).reverse();
+	const comparedFields = compared.length === 2
+		? [...new Set([...Object.keys(compared[0].fields), ...Object.keys(compared[1].fields)])]
+		: [];
+
+	return (
+		<Modal
+			title={
+				// translators: %s is the language name
+				__('Translation History: %s', 'polylang-ai-autotranslate').replace('%s', languageName)
+			}
+			onRequestClose={onClose}
+			className="pllat-history-modal"
+		>
+			{loading && (
+				<div style={{ padding: '20px', textAlign: 'center' }}>
+					<Spinner />
+				</div>
+			)}
+
+			{error && (
+				<div style={{ marginBottom: '15px' }}>
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				</div>
+			)}
+
+			{!loading && versions.length === 0 && (
+				<p>{__('No versions recorded yet.', 'polylang-ai-autotranslate')}</p>
+			)}
+
+			{!loading && versions.length > 0 && (
+				<div>
+					<p style={{ color: '#757575', marginTop: 0 }}>
+						{__('Select two versions to compare them.', 'polylang-ai-autotranslate')}
+					</p>
+
+					<div className="pllat-version-list">
+						{versions.map((version) => (
+							<div
+								key={version.id}
+								style={{
+									display: 'flex',
+									alignItems: 'flex-start',
+									gap: '10px',
+									marginBottom: '10px',
+									padding: '10px 12px',
+									border: `1px solid ${compare.includes(version.id) ? '#2271b1' : '#dcdcde'}`,
+									borderRadius: '4px',
+									backgroundColor: '#fff',
+								}}
+							>
+								<CheckboxControl
+									checked={compare.includes(version.id)}
+									onChange={() => toggleCompare(version.id)}
+									__nextHasNoMarginBottom
+								/>
+								<div style={{ flex: 1, minWidth: 0, fontSize: '13px' }}>
+									<div>
+										<strong>{getSourceLabel(version.source)}</strong>
+										{` • ${formatDate(version.created_at)}`}
+										{version.created_by_name && ` • ${version.created_by_name}`}
+									</div>
+									<div style={{ color: '#757575', marginTop: '2px' }}>
+										{Object.keys(version.fields).join(', ')}
+										{version.model && ` • ${version.model}`}
+										{/* translators: %d is the job ID */}
+										{version.job_id && ` • ${__('Job #%d', 'polylang-ai-autotranslate').replace('%d', version.job_id)}`}
+									</div>
+									{version.instructions && (
+										<div style={{ color: '#757575', marginTop: '2px', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+											{version.instructions}
+										</div>
+									)}
+								</div>
+								<Button
+									variant="secondary"
+									size="small"
+									onClick={() => handleRestore(version)}
+									disabled={restoringId !== null}
+									isBusy={restoringId === version.id}
+								>
+									{__('Restore', 'polylang-ai-autotranslate')}
+								</Button>
+							</div>
+						))}
+					</div>
+
+					{comparedFields.length > 0 && (
+						<div className="pllat-version-diff" style={{ marginTop: '20px' }}>
+							<h3 style={{ marginBottom: '10px' }}>{__('Changes', 'polylang-ai-autotranslate')}</h3>
+							{comparedFields.map((field) => {
+								const before = compared[0].fields[field];
+								const after = compared[1].fields[field];
+
+								return (
+									<div
+										key={field}
+										style={{
+											marginBottom: '15px',
+											padding: '12px',
+											border: '1px solid #dcdcde',
+											borderRadius: '4px',
+											backgroundColor: '#fff',
+										}}
+									>
+										<div style={{ marginBottom: '8px' }}>
+											<strong>{field}</strong>
+										</div>
+										{before === undefined || after === undefined ? (
+											<div style={{ fontSize: '13px', color: '#757575' }}>
+												{__('Only stored in one of the versions.', 'polylang-ai-autotranslate')}
+											</div>
+										) : (
+											<div style={{ fontSize: '13px', whiteSpace: 'pre-wrap', wordBreak: 'break-word', maxHeight: '200px', overflowY: 'auto' }}>
+												{before === after
+													? __('No changes.', 'polylang-ai-autotranslate')
+													: renderDiff(before, after)}
+											</div>
+										)}
+									</div>
+								);
+							})}
+						</div>
+					)}
+				</div>
+			)}
+		</Modal>
+	);
+}
+
+export default HistoryModal;
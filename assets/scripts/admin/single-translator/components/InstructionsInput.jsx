@@ -4,6 +4,7 @@
 
 import { TextareaControl } from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
+import PresetPicker from './PresetPicker';
 
 /**
  * Instructions input component.
@@ -17,6 +18,7 @@ import { __ } from '@wordpress/i18n';
 export function InstructionsInput({ value, onChange, disabled }) {
 	return (
 		<div className="pllat-instructions-input" style={{ marginBottom: '15px' }}>
+			<PresetPicker value={value} onChange={onChange} disabled={disabled} />
 			<TextareaControl
 				label={__('Custom AI Instructions (optional)', 'polylang-ai-autotranslate')}
 				help={__('Provide specific instructions for the AI translator, such as tone, style, or terminology preferences.', 'polylang-ai-autotranslate')}
@@ -2,7 +2,7 @@
  * Component for individual language card.
  */
 
-import { CheckboxControl } from '@wordpress/components';
+import { CheckboxControl, TextareaControl } from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
 import { getLanguageData } from '../../shared/utils/languages';
 import { getStatusDisplay, getStatusColors, formatDate } from '../utils/languageCardHelpers';
@@ -31,7 +31,18 @@ function getInlineStatus(status, progress, translatedAt, isRunning) {
 		);
 	}
 
-	// Priority 2: Queued state - show ALWAYS (not just when isRunning)
+	// Priority 2: Outdated state - source changed after translation
+	if (status === 'outdated') {
+		const formattedDate = translatedAt && translatedAt > 0 ? formatDate(translatedAt) : null;
+		return (
+			<div style={{fontSize: '12px', color: '#996800', marginTop: '4px'}}>
+				🔄 {__('Outdated - source changed', 'polylang-ai-autotranslate')}
+				{formattedDate && ` • ${formattedDate}`}
+			</div>
+		);
+	}
+
+	// Priority 3: Queued state - show ALWAYS (not just when isRunning)
 	// This ensures "In Queue" is visible even after page refresh
 	if (status === 'queued') {
 		return (
@@ -57,7 +68,7 @@ function getInlineStatus(status, progress, translatedAt, isRunning) {
 		);
 	}
 
-	// Priority 3: In-progress state - show ALWAYS (not just when isRunning)
+	// Priority 4: In-progress state - show ALWAYS (not just when isRunning)
 	// This ensures progress is visible even after page refresh
 	if (status === 'in_progress' && progress) {
 		return (
@@ -85,7 +96,7 @@ function getInlineStatus(status, progress, translatedAt, isRunning) {
 		);
 	}
 
-	// Priority 4: Pending
+	// Priority 5: Pending
 	if (status === 'pending') {
 		return (
 			<div style={{fontSize: '12px', color: '#646970', marginTop: '4px'}}>
@@ -94,7 +105,7 @@ function getInlineStatus(status, progress, translatedAt, isRunning) {
 		);
 	}
 
-	// Priority 5: Failed state
+	// Priority 6: Failed state
 	if (status === 'failed') {
 		return (
 			<div style={{fontSize: '12px', color: '#d63638', marginTop: '4px'}}>
@@ -103,7 +114,7 @@ function getInlineStatus(status, progress, translatedAt, isRunning) {
 		);
 	}
 
-	// Priority 6: Fallback - not yet translated
+	// Priority 7: Fallback - not yet translated
 	return (
 		<div style={{fontSize: '12px', color: '#646970', marginTop: '4px'}}>
 			{__('Not yet translated', 'polylang-ai-autotranslate')}
@@ -124,6 +135,13 @@ function getInlineStatus(status, progress, translatedAt, isRunning) {
  * @param {boolean} props.selected - Whether language is selected
  * @param {Function} props.onToggle - Callback when card is toggled
  * @param {boolean} props.disabled - Whether card is disabled
+ * @param {Array<string>} props.manualEdits - Manually edited field references
+ * @param {Object|null} props.quality - Quality check result {score, flagged, threshold}
+ * @param {Function|null} props.onViewDetails - Callback to open the task details
+ * @param {Function|null} props.onViewHistory - Callback to open the version history
+ * @param {boolean} props.showStatus - Whether to show the translation status
+ * @param {string} props.instructions - Language-specific AI instructions
+ * @param {Function|null} props.onInstructionsChange - Callback when language-specific instructions change
  * @returns {JSX.Element} The component
  */
 export function LanguageCard({
@@ -135,7 +153,14 @@ export function LanguageCard({
 	isRunning = false,
 	selected,
 	onToggle,
-	disabled
+	disabled,
+	manualEdits = [],
+	quality = null,
+	onViewDetails = null,
+	onViewHistory = null,
+	showStatus = true,
+	instructions = '',
+	onInstructionsChange = null
 }) {
 	const statusDisplay = getStatusDisplay(status);
 	const statusColors = getStatusColors(status, selected);
@@ -196,7 +221,62 @@ export function LanguageCard({
 					</div>
 
 					{/* Inline status display */}
-					{getInlineStatus(status, progress, translatedAt, isRunning)}
+					{showStatus && getInlineStatus(status, progress, translatedAt, isRunning)}
+
+					{(manualEdits.length > 0 || quality || onViewDetails || onViewHistory) && (
+						<div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', marginTop: '4px' }}>
+							{showStatus && quality && (
+								<span
+									className="pllat-quality-badge"
+									title={__('Similarity of the back-translation to the source', 'polylang-ai-autotranslate')}
+									style={{
+										padding: '0 6px',
+										borderRadius: '8px',
+										color: quality.flagged.length > 0 ? '#996800' : '#00a32a',
+										backgroundColor: quality.flagged.length > 0 ? '#fcf9e8' : '#edfaef',
+									}}
+								>
+									{/* translators: %d is the quality score in percent */}
+									{__('Quality %d%', 'polylang-ai-autotranslate').replace('%d', quality.score)}
+									{quality.flagged.length > 0 &&
+										// translators: %d is the number of fields below the quality threshold
+										` · ${__('%d flagged', 'polylang-ai-autotranslate').replace('%d', quality.flagged.length)}`}
+								</span>
+							)}
+							{manualEdits.length > 0 && (
+								<span style={{ color: '#996800' }}>
+									{/* translators: %d is the number of manually edited fields */}
+									{__('%d manually edited', 'polylang-ai-autotranslate').replace('%d', manualEdits.length)}
+								</span>
+							)}
+							{onViewDetails && (
+								<button
+									type="button"
+									className="button-link"
+									style={{ fontSize: '12px' }}
+									onClick={(e) => {
+										e.stopPropagation();
+										onViewDetails(language);
+									}}
+								>
+									{__('Edit translations', 'polylang-ai-autotranslate')}
+								</button>
+							)}
+							{onViewHistory && (
+								<button
+									type="button"
+									className="button-link"
+									style={{ fontSize: '12px' }}
+									onClick={(e) => {
+										e.stopPropagation();
+										onViewHistory(language);
+									}}
+								>
+									{__('History', 'polylang-ai-autotranslate')}
+								</button>
+							)}
+						</div>
+					)}
 				</div>
 
 				{/* Status Indicator */}
@@ -213,6 +293,24 @@ export function LanguageCard({
 					</div>
 				)}
 			</div>
+
+			{/* Language-specific instructions (only for selected languages) */}
+			{selected && onInstructionsChange && (
+				<div style={{ marginTop: '10px', cursor: 'auto' }} onClick={(e) => e.stopPropagation()}>
+					<TextareaControl
+						label={
+							// translators: %s is the language name
+							__('Instructions for %s (optional)', 'polylang-ai-autotranslate').replace('%s', languageName)
+						}
+						value={instructions}
+						onChange={(value) => onInstructionsChange(language, value)}
+						disabled={disabled}
+						rows={2}
+						maxLength={500}
+						__nextHasNoMarginBottom
+					/>
+				</div>
+			)}
 		</div>
 	);
 }
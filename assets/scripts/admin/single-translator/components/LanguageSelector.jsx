@@ -14,6 +14,11 @@ import LanguageCard from './LanguageCard';
  * @param {Function} props.onChange - Callback when selection changes
  * @param {boolean} props.disabled - Whether selector is disabled
  * @param {Array<string>} props.runningLanguages - Languages currently being translated
+ * @param {Function} props.onViewDetails - Callback to open the task details of a language
+ * @param {Function} props.onViewHistory - Callback to open the version history of a language
+ * @param {boolean} props.showStatus - Whether to show the translation status of each language
+ * @param {Object<string, string>} props.languageInstructions - Language-specific instructions by language code
+ * @param {Function} props.onLanguageInstructionsChange - Callback when language-specific instructions change
  * @returns {JSX.Element} The component
  */
 export function LanguageSelector({
@@ -21,7 +26,12 @@ export function LanguageSelector({
 	selected,
 	onChange,
 	disabled,
-	runningLanguages = []
+	runningLanguages = [],
+	onViewDetails = null,
+	onViewHistory = null,
+	showStatus = true,
+	languageInstructions = {},
+	onLanguageInstructionsChange = null
 }) {
 	/**
 	 * Toggle language selection.
@@ -40,6 +50,10 @@ export function LanguageSelector({
 		}
 	};
 
+	const outdatedLanguages = languages
+		.filter((lang) => lang.status === 'outdated' && !runningLanguages.includes(lang.language))
+		.map((lang) => lang.language);
+
 	// Show all languages (no filtering) so users can see inline progress
 	if (languages.length === 0) {
 		return (
@@ -74,6 +88,17 @@ export function LanguageSelector({
 						{__('Select All', 'polylang-ai-autotranslate')}
 					</button>
 
+					{outdatedLanguages.length > 0 && (
+						<button
+							type="button"
+							className="button button-small"
+							onClick={() => onChange(outdatedLanguages)}
+							disabled={disabled}
+						>
+							{__('Select Outdated', 'polylang-ai-autotranslate')}
+						</button>
+					)}
+
 					<button
 						type="button"
 						className="button button-small"
@@ -89,7 +114,7 @@ export function LanguageSelector({
 				style={{
 					display: 'grid',
 					gap: '10px',
-					gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))',
+					gridTemplateColumns: 'repeat(auto-fill, minmax(min(280px, 100%), 1fr))',
 				}}
 			>
 				{languages.map((lang) => {
@@ -107,6 +132,21 @@ export function LanguageSelector({
 							selected={selected.includes(lang.language)}
 							onToggle={toggleLanguage}
 							disabled={disabled || isRunning}
+							manualEdits={lang.manual_edits || []}
+							quality={lang.quality || null}
+							onViewDetails={
+								onViewDetails && lang.job_id && ['translated', 'outdated'].includes(lang.status)
+									? onViewDetails
+									: null
+							}
+							onViewHistory={
+								onViewHistory && lang.translation_id && ['translated', 'outdated'].includes(lang.status)
+									? onViewHistory
+									: null
+							}
+							showStatus={showStatus}
+							instructions={languageInstructions[lang.language] || ''}
+							onInstructionsChange={onLanguageInstructionsChange}
 						/>
 					);
 				})}
@@ -0,0 +1,128 @@
+/**
+ * Component for picking and saving AI instruction presets.
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, SelectControl, TextControl, Notice } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import { useInstructionPresets } from '../hooks/useInstructionPresets';
+
+/**
+ * Preset picker component.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - Current instructions
+ * @param {Function} props.onChange - Callback when instructions change
+ * @param {boolean} props.disabled - Whether picker is disabled
+ * @returns {JSX.Element} The component
+ */
+export function PresetPicker({ value, onChange, disabled }) {
+	const { presets, loading, error, savePreset } = useInstructionPresets();
+
+	const [presetId, setPresetId] = useState('');
+	const [saving, setSaving] = useState(false);
+	const [presetName, setPresetName] = useState('');
+	const [showSave, setShowSave] = useState(false);
+
+	const selectedPreset = presets.find((preset) => preset.id === presetId);
+
+	/**
+	 * Append the selected preset to the current instructions.
+	 */
+	const handleAppend = () => {
+		const current = value.trim();
+		onChange(current ? `${current}\n${selectedPreset.instructions}` : selectedPreset.instructions);
+	};
+
+	/**
+	 * Save the current instructions as a new preset.
+	 */
+	const handleSave = async () => {
+		try {
+			setSaving(true);
+			const preset = await savePreset(presetName, value);
+			setPresetId(preset.id);
+			setPresetName('');
+			setShowSave(false);
+		} catch (err) {
+			// Error is already set in useInstructionPresets
+			console.error('Saving preset failed:', err);
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	return (
+		<div className="pllat-preset-picker" style={{ marginBottom: '8px' }}>
+			{error && (
+				<div style={{ marginBottom: '8px' }}>
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				</div>
+			)}
+
+			<div style={{ display: 'flex', alignItems: 'flex-end', gap: '8px', flexWrap: 'wrap' }}>
+				<div style={{ flex: 1, minWidth: '180px' }}>
+					<SelectControl
+						label={__('Instruction preset', 'polylang-ai-autotranslate')}
+						value={presetId}
+						options={[
+							{
+								label: loading
+									? __('Loading presets...', 'polylang-ai-autotranslate')
+									: __('Select a preset', 'polylang-ai-autotranslate'),
+								value: '',
+							},
+							...presets.map((preset) => ({ label: preset.name, value: preset.id })),
+						]}
+						onChange={setPresetId}
+						disabled={disabled || loading || presets.length === 0}
+						__nextHasNoMarginBottom
+					/>
+				</div>
+				<Button
+					variant="secondary"
+					onClick={() => onChange(selectedPreset.instructions)}
+					disabled={disabled || !selectedPreset}
+				>
+					{__('Use', 'polylang-ai-autotranslate')}
+				</Button>
+				<Button variant="secondary" onClick={handleAppend} disabled={disabled || !selectedPreset}>
+					{__('Append', 'polylang-ai-autotranslate')}
+				</Button>
+				<Button
+					variant="tertiary"
+					onClick={() => setShowSave(!showSave)}
+					disabled={disabled || value.trim() === ''}
+				>
+					{__('Save current as preset', 'polylang-ai-autotranslate')}
+				</Button>
+			</div>
+
+			{showSave && (
+				<div style={{ display: 'flex', alignItems: 'flex-end', gap: '8px', marginTop: '8px' }}>
+					<div style={{ flex: 1 }}>
+						<TextControl
+							label={__('Preset name', 'polylang-ai-autotranslate')}
+							value={presetName}
+							onChange={setPresetName}
+							disabled={saving}
+							__nextHasNoMarginBottom
+						/>
+					</div>
+					<Button
+						variant="primary"
+						onClick={handleSave}
+						disabled={saving || presetName.trim() === ''}
+						isBusy={saving}
+					>
+						{__('Save preset', 'polylang-ai-autotranslate')}
+					</Button>
+				</div>
+			)}
+		</div>
+	);
+}
+
+export default PresetPicker;
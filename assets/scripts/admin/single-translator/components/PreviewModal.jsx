@@ -0,0 +1,211 @@
+/**
+ * Component for modal showing proposed translations side by side.
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Modal, Spinner, Notice, Button, CheckboxControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import { getPreview, cancelTranslation } from '../utils/api';
+
+const POLL_INTERVAL = 3000; // 3 seconds
+
+/**
+ * Run statuses after which the preview no longer changes.
+ */
+const FINISHED_RUN_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Turn a task reference into a readable field label.
+ *
+ * @param {string} reference - Task reference (e.g. post_title or _meta|key)
+ * @returns {string} Field label
+ */
+function formatReference(reference) {
+	const [prefix, field] = reference.split('|');
+
+	if (!field) {
+		return prefix;
+	}
+
+	return prefix === '_meta'
+		// translators: %s is the meta key
+		? __('Meta: %s', 'polylang-ai-autotranslate').replace('%s', field)
+		: field;
+}
+
+/**
+ * Preview modal component.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.runId - Preview run ID
+ * @param {Function} props.onApply - Callback with the accepted task IDs
+ * @param {Function} props.onClose - Callback when modal is closed (a running preview is cancelled first)
+ * @param {boolean} props.applying - Whether accepted fields are being applied
+ * @returns {JSX.Element} The component
+ */
+export function PreviewModal({ runId, onApply, onClose, applying }) {
+	const { type, id } = window.pllatSingleTranslator;
+
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [preview, setPreview] = useState(null);
+	const [accepted, setAccepted] = useState({});
+
+	const isFinished = preview && FINISHED_RUN_STATUSES.includes(preview.run_status);
+
+	/**
+	 * Fetch the preview until the run has finished.
+	 */
+	useEffect(() => {
+		if (isFinished) {
+			return;
+		}
+
+		const fetchPreview = async () => {
+			try {
+				const data = await getPreview(type, id, runId);
+				setPreview(data);
+				setError(null);
+			} catch (err) {
+				setError(err.message);
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchPreview();
+		const interval = setInterval(fetchPreview, POLL_INTERVAL);
+
+		return () => {
+			clearInterval(interval);
+		};
+	}, [type, id, runId, isFinished]);
+
+	/**
+	 * Accept every translated field by default once the preview is ready.
+	 */
+	useEffect(() => {
+		if (!isFinished) {
+			return;
+		}
+
+		const defaults = {};
+		preview.languages.forEach((lang) => {
+			lang.fields
+				.filter((field) => field.status === 'completed')
+				.forEach((field) => {
+					defaults[field.id] = true;
+				});
+		});
+		setAccepted(defaults);
+	}, [isFinished, preview]);
+
+	/**
+	 * Close the modal, cancelling the run first if it is still translating.
+	 */
+	const handleClose = async () => {
+		if (!isFinished) {
+			try {
+				await cancelTranslation(type, id);
+			} catch (err) {
+				console.error('Cancelling preview failed:', err);
+			}
+		}
+
+		onClose();
+	};
+
+	const acceptedIds = Object.keys(accepted)
+		.filter((taskId) => accepted[taskId])
+		.map(Number);
+
+	return (
+		<Modal
+			title={__('Translation Preview', 'polylang-ai-autotranslate')}
+			onRequestClose={handleClose}
+			className="pllat-preview-modal"
+			isFullScreen
+		>
+			{(loading || (preview && !isFinished)) && (
+				<div style={{ padding: '20px', textAlign: 'center' }}>
+					<Spinner />
+					<p>{__('Translating... The proposed translations will appear here.', 'polylang-ai-autotranslate')}</p>
+				</div>
+			)}
+
+			{error && (
+				<Notice status="error" isDismissible={false}>
+					{error}
+				</Notice>
+			)}
+
+			{isFinished && (
+				<div>
+					{preview.languages.map((lang) => (
+						<div key={lang.job_id} style={{ marginBottom: '25px' }}>
+							<h3 style={{ marginBottom: '10px' }}>{lang.language_name}</h3>
+
+							{lang.fields.length === 0 && <p>{__('No fields to translate.', 'polylang-ai-autotranslate')}</p>}
+
+							{lang.fields.map((field) => (
+								<div
+									key={field.id}
+									style={{
+										marginBottom: '12px',
+										padding: '12px',
+										border: '1px solid #dcdcde',
+										borderRadius: '4px',
+										backgroundColor: '#fff',
+									}}
+								>
+									<div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+										<strong>{formatReference(field.reference)}</strong>
+										{field.status === 'completed' ? (
+											<CheckboxControl
+												label={__('Accept', 'polylang-ai-autotranslate')}
+												checked={!!accepted[field.id]}
+												onChange={(checked) => setAccepted({ ...accepted, [field.id]: checked })}
+												disabled={applying}
+												__nextHasNoMarginBottom
+											/>
+										) : (
+											<span style={{ fontSize: '12px', color: '#d63638' }}>
+												{field.issue || __('Not translated', 'polylang-ai-autotranslate')}
+											</span>
+										)}
+									</div>
+									<div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', fontSize: '13px' }}>
+										<div>
+											<div style={{ color: '#757575', marginBottom: '4px' }}>{__('Source', 'polylang-ai-autotranslate')}</div>
+											<div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{field.value}</div>
+										</div>
+										<div>
+											<div style={{ color: '#757575', marginBottom: '4px' }}>{__('Proposed translation', 'polylang-ai-autotranslate')}</div>
+											<div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{field.translation}</div>
+										</div>
+									</div>
+								</div>
+							))}
+						</div>
+					))}
+
+					<div style={{ display: 'flex', gap: '10px' }}>
+						<Button
+							variant="primary"
+							onClick={() => onApply(acceptedIds)}
+							disabled={acceptedIds.length === 0 || applying}
+							isBusy={applying}
+						>
+							{__('Apply accepted translations', 'polylang-ai-autotranslate')}
+						</Button>
+						<Button variant="secondary" onClick={handleClose} disabled={applying}>
+							{__('Discard', 'polylang-ai-autotranslate')}
+						</Button>
+					</div>
+				</div>
+			)}
+		</Modal>
+	);
+}
+
+export default PreviewModal;
@@ -0,0 +1,48 @@
+/**
+ * Component for the post status of new and updated translations.
+ */
+
+import { SelectControl, CheckboxControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Result status select component.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - Selected result status (source, draft, pending or publish)
+ * @param {Function} props.onChange - Callback when the result status changes
+ * @param {boolean} props.matchSourceDate - Whether the translations get the publish date of the source
+ * @param {Function} props.onMatchSourceDateChange - Callback when the match source date flag changes
+ * @param {boolean} props.disabled - Whether the controls are disabled
+ * @returns {JSX.Element} The component
+ */
+export function ResultStatusSelect({ value, onChange, matchSourceDate, onMatchSourceDateChange, disabled }) {
+	const options = [
+		{ label: __('Same as source', 'polylang-ai-autotranslate'), value: 'source' },
+		{ label: __('Draft', 'polylang-ai-autotranslate'), value: 'draft' },
+		{ label: __('Pending review', 'polylang-ai-autotranslate'), value: 'pending' },
+		{ label: __('Published', 'polylang-ai-autotranslate'), value: 'publish' },
+	];
+
+	return (
+		<div className="pllat-result-status" style={{ marginBottom: '15px' }}>
+			<SelectControl
+				label={__('Result status', 'polylang-ai-autotranslate')}
+				help={__('Post status of the translations once they are written.', 'polylang-ai-autotranslate')}
+				value={value}
+				options={options}
+				onChange={onChange}
+				disabled={disabled}
+			/>
+			<CheckboxControl
+				label={__('Match the source publish date', 'polylang-ai-autotranslate')}
+				help={__('Published translations with a future date are scheduled.', 'polylang-ai-autotranslate')}
+				checked={matchSourceDate}
+				onChange={onMatchSourceDateChange}
+				disabled={disabled}
+			/>
+		</div>
+	);
+}
+
+export default ResultStatusSelect;
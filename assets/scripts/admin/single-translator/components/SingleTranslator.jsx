@@ -3,43 +3,61 @@
  */
 
 import { useEffect, useState, useCallback } from "@wordpress/element";
-import { Spinner, Notice } from "@wordpress/components";
+import { Spinner, Notice, ToggleControl } from "@wordpress/components";
 import { __ } from "@wordpress/i18n";
 
 import { useTranslationStatus } from "../hooks/useTranslationStatus";
 import { useTranslationActions } from "../hooks/useTranslationActions";
 import { useActiveTranslations } from "../hooks/useActiveTranslations";
 import { useInitialState } from "../hooks/useInitialState";
-import { cleanupExpired, markAsDismissed, isDismissed } from "../utils/dismissedNotifications";
+import { formatDate } from "../utils/languageCardHelpers";
+import { isRunningStatus } from "../constants/jobStatuses";
+import { useRetryCountdown } from "../../shared/hooks/useRetryCountdown";
+import { useDismissedNotices } from "../../shared/hooks/useDismissedNotices";
+import { getNoticeKey } from "../../shared/store";
 
 import ExclusionToggle from "./ExclusionToggle";
 import LanguageSelector from "./LanguageSelector";
+import SourceLanguageSelector from "./SourceLanguageSelector";
+import FieldSelector from "./FieldSelector";
 import InstructionsInput from "./InstructionsInput";
 import ForceToggle from "./ForceToggle";
+import ResultStatusSelect from "./ResultStatusSelect";
 import ActionButtons from "./ActionButtons";
 import ErrorBanner from "./ErrorBanner";
 import ErrorSummaryBanner from "./ErrorSummaryBanner";
 import ImportingMessage from "./ImportingMessage";
+import PreviewModal from "./PreviewModal";
+import TaskDetailsModal from "./TaskDetailsModal";
+import HistoryModal from "./HistoryModal";
 
 /**
  * Single Translator main component.
  *
+ * @param {Object} props - Component props
+ * @param {boolean} props.hasUnsavedChanges - Whether the edited content has unsaved changes (block editor)
+ * @param {number|null} props.savedAt - Timestamp of the last editor save, refreshes status when it changes
  * @returns {JSX.Element} The component
  */
-export function SingleTranslator() {
+export function SingleTranslator({ hasUnsavedChanges = false, savedAt = null }) {
   // Fetch translation status
   const {
     status,
     loading: statusLoading,
     error: statusError,
     refresh,
+    fetchState,
   } = useTranslationStatus();
 
   // Translation actions
   const {
     translate,
+    preview,
+    apply,
     toggleExclusion,
     cancel,
+    pause,
+    resume,
     loading: actionLoading,
     error: actionError,
     clearError,
@@ -49,21 +67,36 @@ export function SingleTranslator() {
   const initialState = useInitialState(status, statusLoading);
 
   // Local state
+  const { type, language: { currentLang } } = window.pllatSingleTranslator;
+  const [sourceLanguage, setSourceLanguage] = useState(currentLang);
   const [selectedLanguages, setSelectedLanguages] = useState([]);
   const [instructions, setInstructions] = useState("");
+  const [languageInstructions, setLanguageInstructions] = useState({}); // language code => instructions
   const [force, setForce] = useState(false);
+  const [resultStatus, setResultStatus] = useState("source");
+  const [matchSourceDate, setMatchSourceDate] = useState(false);
+  const [selectedFields, setSelectedFields] = useState(null); // null = all fields
   const [isExcluded, setIsExcluded] = useState(false);
   const [submitting, setSubmitting] = useState(false);
 
   // NEW: UI state tracking
   const [uiState, setUiState] = useState('idle'); // 'idle' | 'translating' | 'completed' | 'failed'
   const [runningLanguages, setRunningLanguages] = useState([]);
-
-  // Success notice dismissal state (5 minute TTL)
-  const [successDismissed, setSuccessDismissed] = useState(() => {
-    const notificationId = 'pllat_success_notice';
-    return isDismissed(notificationId, 5 * 60 * 1000); // 5 minutes
-  });
+  const [previewRunId, setPreviewRunId] = useState(null);
+  const [detailsLanguage, setDetailsLanguage] = useState(null);
+  const [historyLanguage, setHistoryLanguage] = useState(null);
+
+  // Notice dismissals are stored per user, keyed by job and language
+  const { dismissed, isHidden, dismissNotice, showDismissed, setShowDismissed } = useDismissedNotices();
+  const successLanguages = (status?.languages || []).filter(
+    (lang) => lang.status === "translated" && !lang.error_summary && lang.job_id
+  );
+  const successDismissed =
+    successLanguages.length > 0 &&
+    successLanguages.every((lang) => isHidden(getNoticeKey("job", lang.job_id, lang.language)));
+  const dismissedCount = (status?.languages || []).filter(
+    (lang) => lang.job_id && dismissed[getNoticeKey("job", lang.job_id, lang.language)]
+  ).length;
 
   // Handle polling completion with state tracking
   const handlePollingComplete = useCallback(() => {
@@ -86,22 +119,26 @@ export function SingleTranslator() {
   }, [status, runningLanguages]);
 
   // Active translations polling (with completion callback)
-  const { hasActive, polling, startPolling, stopPolling } =
+  const { hasActive, polling, retryAt, startPolling, stopPolling } =
     useActiveTranslations(true, refresh, handlePollingComplete);
+  const retryIn = useRetryCountdown(retryAt);
+  const isPaused = Boolean(status?.active_run?.paused);
 
   /**
-   * Clean up expired notifications on mount.
+   * Initial status fetch, with the translatable fields.
    */
   useEffect(() => {
-    cleanupExpired();
-  }, []);
+    fetchState();
+  }, [fetchState]);
 
   /**
-   * Initial status fetch.
+   * Refresh status and fields after the editor saved the content.
    */
   useEffect(() => {
-    refresh();
-  }, [refresh]);
+    if (savedAt) {
+      fetchState();
+    }
+  }, [savedAt, fetchState]);
 
   /**
    * Update exclusion state when status changes.
@@ -112,20 +149,94 @@ export function SingleTranslator() {
     }
   }, [status]);
 
+  // Also true for translations started in another tab, the store receives their status
+  const hasRunning = Boolean(status?.languages.some((lang) => lang && isRunningStatus(lang.status)));
+
   /**
-   * Start polling if there are active translations.
+   * Start polling if there are running translations.
    */
   useEffect(() => {
-    if (initialState.hasActive && !polling) {
+    if (hasRunning && !polling) {
       startPolling();
     }
-  }, [initialState.hasActive, polling, startPolling]);
+  }, [hasRunning, polling, startPolling]);
+
+  /**
+   * Get the non-empty language-specific instructions of the selected languages.
+   */
+  const getSelectedLanguageInstructions = () =>
+    selectedLanguages.reduce((result, language) => {
+      const text = (languageInstructions[language] || "").trim();
+      return text ? { ...result, [language]: text } : result;
+    }, {});
+
+  /**
+   * Get the source language to send, null when translating from the content itself.
+   */
+  const getSourceLanguage = () => (sourceLanguage === currentLang ? null : sourceLanguage);
+
+  /**
+   * Handle source language change, the source can't be a target as well.
+   *
+   * @param {string} language - Source language code
+   */
+  const handleSourceLanguageChange = (language) => {
+    setSourceLanguage(language);
+    setSelectedLanguages(selectedLanguages.filter((selected) => selected !== language));
+  };
+
+  /**
+   * Get selected languages whose manual edits would be overwritten.
+   * Force mode and field selection both re-translate existing fields.
+   */
+  const getOverwrittenEdits = () => {
+    if (!status || (!force && selectedFields === null)) {
+      return [];
+    }
+
+    return status.languages
+      .filter((lang) => selectedLanguages.includes(lang.language))
+      .map((lang) => ({
+        ...lang,
+        manual_edits: (lang.manual_edits || []).filter(
+          (reference) => selectedFields === null || selectedFields.includes(reference)
+        ),
+      }))
+      .filter((lang) => lang.manual_edits.length > 0);
+  };
+
+  /**
+   * Ask for confirmation when unsaved editor changes would not be translated.
+   *
+   * @returns {boolean} Whether to continue
+   */
+  const confirmUnsavedChanges = () =>
+    !hasUnsavedChanges ||
+    getSourceLanguage() !== null ||
+    confirm(
+      __(
+        "This content has unsaved changes that will not be translated. Continue anyway?",
+        "polylang-ai-autotranslate",
+      ),
+    );
 
   /**
    * Handle translation start.
    */
   const handleTranslate = async () => {
-    if (selectedLanguages.length === 0) {
+    if (selectedLanguages.length === 0 || !confirmUnsavedChanges()) {
+      return;
+    }
+
+    if (
+      getOverwrittenEdits().length > 0 &&
+      !confirm(
+        __(
+          "Some selected translations contain manual edits that will be overwritten. Continue?",
+          "polylang-ai-autotranslate",
+        ),
+      )
+    ) {
       return;
     }
 
@@ -134,7 +245,16 @@ export function SingleTranslator() {
     setRunningLanguages([...selectedLanguages]); // Track which languages we're starting
 
     try {
-      await translate(selectedLanguages, force, instructions);
+      await translate(
+        selectedLanguages,
+        force,
+        instructions,
+        selectedFields,
+        getSelectedLanguageInstructions(),
+        getSourceLanguage(),
+        resultStatus,
+        matchSourceDate,
+      );
 
       // Start polling for progress (polls immediately)
       startPolling();
@@ -142,7 +262,9 @@ export function SingleTranslator() {
       // Reset form
       setSelectedLanguages([]);
       setInstructions("");
+      setLanguageInstructions({});
       setForce(false);
+      setSelectedFields(null);
     } catch (err) {
       // Error occurred, reset state
       setUiState('failed');
@@ -153,6 +275,71 @@ export function SingleTranslator() {
     }
   };
 
+  /**
+   * Handle preview start (translations are held until applied).
+   */
+  const handlePreview = async () => {
+    if (selectedLanguages.length === 0 || !confirmUnsavedChanges()) {
+      return;
+    }
+
+    setSubmitting(true);
+
+    try {
+      const response = await preview(
+        selectedLanguages,
+        force,
+        instructions,
+        selectedFields,
+        getSelectedLanguageInstructions(),
+        getSourceLanguage(),
+        resultStatus,
+        matchSourceDate,
+      );
+      setPreviewRunId(response.run_id);
+
+      // Reset form
+      setSelectedLanguages([]);
+      setInstructions("");
+      setLanguageInstructions({});
+      setForce(false);
+      setSelectedFields(null);
+    } catch (err) {
+      console.error("Preview failed:", err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Handle applying the accepted preview fields.
+   */
+  const handleApplyPreview = async (accepted) => {
+    try {
+      await apply(previewRunId, accepted);
+      setPreviewRunId(null);
+      setUiState('completed');
+    } catch (err) {
+      // Error is already set in useTranslationActions
+      console.error("Applying preview failed:", err);
+    }
+  };
+
+  /**
+   * Handle preview modal close (discards unapplied translations).
+   * Applying an empty selection marks the preview jobs as not translated.
+   */
+  const handlePreviewClose = async () => {
+    try {
+      await apply(previewRunId, []);
+    } catch (err) {
+      // Error is already set in useTranslationActions
+      console.error("Discarding preview failed:", err);
+    }
+    setPreviewRunId(null);
+    refresh();
+  };
+
   /**
    * Handle exclusion toggle.
    */
@@ -185,14 +372,48 @@ export function SingleTranslator() {
     }
   };
 
+  /**
+   * Handle translation pause.
+   *
+   * Jobs already being translated still finish, polling stops on its own afterwards.
+   */
+  const handlePause = async () => {
+    try {
+      await pause();
+
+      // Paused languages are neither completed nor failed
+      setUiState('idle');
+      setRunningLanguages([]);
+    } catch (err) {
+      // Error is already set in useTranslationActions
+      console.error("Pause failed:", err);
+    }
+  };
+
+  /**
+   * Handle translation resume.
+   */
+  const handleResume = async () => {
+    try {
+      await resume();
+
+      startPolling();
+    } catch (err) {
+      // Error is already set in useTranslationActions
+      console.error("Resume failed:", err);
+    }
+  };
+
   /**
    * Handle success notice dismissal.
    */
   const handleSuccessDismiss = useCallback(() => {
-    const notificationId = 'pllat_success_notice';
-    markAsDismissed(notificationId);
-    setSuccessDismissed(true);
-  }, []);
+    successLanguages.forEach((lang) => {
+      dismissNotice("job", lang.job_id, lang.language).catch((err) => {
+        console.error("Failed to dismiss notice:", err);
+      });
+    });
+  }, [successLanguages, dismissNotice]);
 
   /**
    * Render loading state.
@@ -224,6 +445,9 @@ export function SingleTranslator() {
   }
 
   const { system_status: systemStatus, languages } = status;
+  const overwrittenEdits = getOverwrittenEdits();
+  const detailsLanguageStatus = languages.find((lang) => lang.language === detailsLanguage);
+  const historyLanguageStatus = languages.find((lang) => lang.language === historyLanguage);
 
   /**
    * Render system not ready state.
@@ -257,6 +481,18 @@ export function SingleTranslator() {
         </div>
       )}
 
+      {/* Connection lost while polling */}
+      {retryIn !== null && (
+        <div style={{ marginBottom: "15px" }}>
+          <Notice status="warning" isDismissible={false}>
+            {retryIn > 0
+              // translators: %d is the number of seconds
+              ? __("Connection lost, retrying in %ds...", "polylang-ai-autotranslate").replace("%d", retryIn)
+              : __("Connection lost, retrying...", "polylang-ai-autotranslate")}
+          </Notice>
+        </div>
+      )}
+
       {/* Recovery banners */}
       {initialState.hasRecentErrors && (
         <div style={{ marginBottom: "15px" }}>
@@ -294,6 +530,28 @@ export function SingleTranslator() {
             </div>
           )}
 
+          {/* Running notice - translation started by another editor or tab */}
+          {status.active_run && isPaused && (
+            <div style={{ marginBottom: "15px" }}>
+              <Notice status="warning" isDismissible={false}>
+                {__("Translation paused. Resume it to translate the remaining languages.", "polylang-ai-autotranslate")}
+              </Notice>
+            </div>
+          )}
+
+          {status.active_run && !isPaused && uiState !== 'translating' && !submitting && (
+            <div style={{ marginBottom: "15px" }}>
+              <Notice status="info" isDismissible={false}>
+                {status.active_run.requested_by_name && status.active_run.requested_at
+                  // translators: %1$s is the user name, %2$s the start date
+                  ? __("Translation started by %1$s on %2$s, progress is shown below.", "polylang-ai-autotranslate")
+                      .replace("%1$s", status.active_run.requested_by_name)
+                      .replace("%2$s", formatDate(status.active_run.requested_at))
+                  : __("A translation is running, progress is shown below.", "polylang-ai-autotranslate")}
+              </Notice>
+            </div>
+          )}
+
           {/* Success notice - after translation completes */}
           {uiState === 'completed' && (
             <div style={{ marginBottom: '15px' }}>
@@ -331,18 +589,52 @@ export function SingleTranslator() {
                   errorSummary={lang.error_summary}
                   jobId={lang.job_id}
                   onDismiss={refresh}
+                  onRetry={startPolling}
                 />
               </div>
             ))}
 
+          {/* Brings back dismissed error and success notices */}
+          {dismissedCount > 0 && (
+            <ToggleControl
+              label={
+                // translators: %d is the number of dismissed notices
+                __("Show dismissed notices (%d)", "polylang-ai-autotranslate").replace("%d", dismissedCount)
+              }
+              checked={showDismissed}
+              onChange={setShowDismissed}
+            />
+          )}
+
           {/* Translation form */}
           <div className="pllat-translation-form" style={{ marginTop: "20px" }}>
-            <LanguageSelector
+            <SourceLanguageSelector
+              currentLanguage={currentLang}
               languages={languages}
+              value={sourceLanguage}
+              onChange={handleSourceLanguageChange}
+              disabled={actionLoading || polling}
+            />
+
+            <LanguageSelector
+              languages={languages.filter((lang) => lang.language !== sourceLanguage)}
               selected={selectedLanguages}
               onChange={setSelectedLanguages}
               disabled={actionLoading || polling}
               runningLanguages={runningLanguages}
+              onViewDetails={setDetailsLanguage}
+              onViewHistory={setHistoryLanguage}
+              languageInstructions={languageInstructions}
+              onLanguageInstructionsChange={(language, value) =>
+                setLanguageInstructions({ ...languageInstructions, [language]: value })
+              }
+            />
+
+            <FieldSelector
+              fields={status.fields}
+              selected={selectedFields}
+              onChange={setSelectedFields}
+              disabled={actionLoading || polling}
             />
 
             <InstructionsInput
@@ -357,17 +649,90 @@ export function SingleTranslator() {
               disabled={actionLoading || polling}
             />
 
+            {type === "post" && (
+              <ResultStatusSelect
+                value={resultStatus}
+                onChange={setResultStatus}
+                matchSourceDate={matchSourceDate}
+                onMatchSourceDateChange={setMatchSourceDate}
+                disabled={actionLoading || polling}
+              />
+            )}
+
+            {overwrittenEdits.length > 0 && (
+              <div style={{ marginBottom: "15px" }}>
+                <Notice status="warning" isDismissible={false}>
+                  {__(
+                    "Manually edited fields will be overwritten:",
+                    "polylang-ai-autotranslate",
+                  )}{" "}
+                  {overwrittenEdits
+                    .map((lang) => `${lang.language_name} (${lang.manual_edits.join(", ")})`)
+                    .join("; ")}
+                </Notice>
+              </div>
+            )}
+
+            {hasUnsavedChanges && sourceLanguage === currentLang && (
+              <div style={{ marginBottom: "15px" }}>
+                <Notice status="warning" isDismissible={false}>
+                  {__(
+                    "Save your changes first, translations are made from the last saved version.",
+                    "polylang-ai-autotranslate",
+                  )}
+                </Notice>
+              </div>
+            )}
+
             <ActionButtons
               onTranslate={handleTranslate}
+              onPreview={handlePreview}
               onCancel={handleCancel}
+              onPause={handlePause}
+              onResume={handleResume}
               disabled={
-                selectedLanguages.length === 0 || actionLoading || polling
+                selectedLanguages.length === 0 ||
+                selectedFields?.length === 0 ||
+                actionLoading ||
+                polling ||
+                isPaused
               }
-              canCancel={polling || hasActive}
+              canCancel={polling || hasActive || isPaused}
+              canPause={(polling || hasActive) && !isPaused}
+              canResume={isPaused}
               loading={actionLoading}
               isProcessing={polling}
             />
           </div>
+
+          {detailsLanguageStatus && (
+            <TaskDetailsModal
+              jobId={detailsLanguageStatus.job_id}
+              languageName={detailsLanguageStatus.language_name}
+              qualityThreshold={detailsLanguageStatus.quality?.threshold ?? null}
+              onClose={() => setDetailsLanguage(null)}
+              onRetry={startPolling}
+              onSaved={refresh}
+            />
+          )}
+
+          {historyLanguageStatus && (
+            <HistoryModal
+              language={historyLanguageStatus.language}
+              languageName={historyLanguageStatus.language_name}
+              onClose={() => setHistoryLanguage(null)}
+              onRestored={refresh}
+            />
+          )}
+
+          {previewRunId && (
+            <PreviewModal
+              runId={previewRunId}
+              onApply={handleApplyPreview}
+              onClose={handlePreviewClose}
+              applying={actionLoading}
+            />
+          )}
         </>
       )}
     </div>
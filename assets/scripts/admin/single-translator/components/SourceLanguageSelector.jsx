@@ -0,0 +1,56 @@
+/**
+ * Component for choosing the language to translate from.
+ */
+
+import { SelectControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import { getLanguageData } from '../../shared/utils/languages';
+
+/**
+ * Source language selector component.
+ *
+ * Lists the content's own language and every language that already has a translation,
+ * so a reviewed translation can be used as source instead of the original.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.currentLanguage - Language code of the edited content
+ * @param {Array} props.languages - Language status array
+ * @param {string} props.value - Selected source language code
+ * @param {Function} props.onChange - Callback when the source language changes
+ * @param {boolean} props.disabled - Whether selector is disabled
+ * @returns {JSX.Element|null} The component
+ */
+export function SourceLanguageSelector({ currentLanguage, languages, value, onChange, disabled }) {
+	const translated = languages.filter((lang) => lang.translation_id > 0);
+
+	// Nothing to choose without translations.
+	if (translated.length === 0) {
+		return null;
+	}
+
+	const options = [
+		{
+			label: getLanguageData(currentLanguage)?.name || currentLanguage,
+			value: currentLanguage,
+		},
+		...translated.map((lang) => ({
+			label: lang.language_name,
+			value: lang.language,
+		})),
+	];
+
+	return (
+		<div className="pllat-source-language-selector" style={{ marginBottom: '15px' }}>
+			<SelectControl
+				label={__('Translate from', 'polylang-ai-autotranslate')}
+				help={__('Use an already reviewed translation as source. The original content is never overwritten.', 'polylang-ai-autotranslate')}
+				value={value}
+				options={options}
+				onChange={onChange}
+				disabled={disabled}
+			/>
+		</div>
+	);
+}
+
+export default SourceLanguageSelector;
@@ -1,11 +1,11 @@
 /**
- * Component for modal showing task error details.
+ * Component for modal showing task details, with inline editing and retry.
  */
 
 import { useState, useEffect } from '@wordpress/element';
-import { Modal, Spinner, Notice } from '@wordpress/components';
+import { Modal, Spinner, Notice, Button, TextareaControl } from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
-import { getJobTasks } from '../utils/api';
+import { getJobTasks, retryTasks, updateTaskTranslation } from '../utils/api';
 
 /**
  * Task details modal component.
@@ -13,13 +13,20 @@ import { getJobTasks } from '../utils/api';
  * @param {Object} props - Component props
  * @param {number} props.jobId - Job ID
  * @param {string} props.languageName - Language name
+ * @param {number|null} props.qualityThreshold - Quality score below which fields are flagged
  * @param {Function} props.onClose - Callback when modal is closed
+ * @param {Function} props.onRetry - Callback after tasks were queued for retry
+ * @param {Function} props.onSaved - Callback after a translation was edited
  * @returns {JSX.Element} The component
  */
-export function TaskDetailsModal({ jobId, languageName, onClose }) {
+export function TaskDetailsModal({ jobId, languageName, qualityThreshold = null, onClose, onRetry, onSaved }) {
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState(null);
 	const [tasks, setTasks] = useState([]);
+	const [retrying, setRetrying] = useState(false);
+	const [drafts, setDrafts] = useState({});
+	const [savingId, setSavingId] = useState(null);
+	const [saveError, setSaveError] = useState(null);
 
 	/**
 	 * Fetch task details.
@@ -41,14 +48,67 @@ export function TaskDetailsModal({ jobId, languageName, onClose }) {
 		fetchTasks();
 	}, [jobId]);
 
-	// Filter tasks with errors
-	const errorTasks = tasks.filter((task) => task.issue);
+	/**
+	 * Reset failed tasks and re-dispatch the job.
+	 *
+	 * @param {number|null} taskId - Retry only this task (null = all failed tasks)
+	 */
+	const handleRetry = async (taskId = null) => {
+		try {
+			setRetrying(true);
+			setError(null);
+			await retryTasks(jobId, taskId);
+
+			if (onRetry) {
+				onRetry();
+			}
+
+			onClose();
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setRetrying(false);
+		}
+	};
+
+	/**
+	 * Save an edited translation.
+	 *
+	 * @param {Object} task - The task being edited
+	 */
+	const handleSave = async (task) => {
+		try {
+			setSavingId(task.id);
+			setSaveError(null);
+			await updateTaskTranslation(task.id, drafts[task.id]);
+
+			// The quality check no longer applies to the edited translation
+			setTasks(tasks.map((item) => (
+				item.id === task.id
+					? { ...item, translation: drafts[task.id], back_translation: null, quality_score: null }
+					: item
+			)));
+
+			const { [task.id]: saved, ...rest } = drafts;
+			setDrafts(rest);
+
+			if (onSaved) {
+				onSaved();
+			}
+		} catch (err) {
+			setSaveError(err.message);
+		} finally {
+			setSavingId(null);
+		}
+	};
+
+	const hasFailedTasks = tasks.some((task) => task.status === 'failed');
 
 	return (
 		<Modal
 			title={
 				// translators: %s is the language name
-				__('Error Details: %s', 'polylang-ai-autotranslate').replace('%s', languageName)
+				__('Translation Details: %s', 'polylang-ai-autotranslate').replace('%s', languageName)
 			}
 			onRequestClose={onClose}
 			className="pllat-task-details-modal"
@@ -65,38 +125,135 @@ export function TaskDetailsModal({ jobId, languageName, onClose }) {
 				</Notice>
 			)}
 
+			{saveError && (
+				<div style={{ marginBottom: '15px' }}>
+					<Notice status="error" isDismissible={true} onRemove={() => setSaveError(null)}>
+						{saveError}
+					</Notice>
+				</div>
+			)}
+
 			{!loading && !error && (
 				<div>
-					{errorTasks.length === 0 && <p>{__('No error details available.', 'polylang-ai-autotranslate')}</p>}
-
-					{errorTasks.length > 0 && (
-						<div className="pllat-task-error-list">
-							{errorTasks.map((task, index) => (
-								<div
-									key={task.id}
-									style={{
-										marginBottom: '15px',
-										padding: '12px',
-										border: '1px solid #dcdcde',
-										borderRadius: '4px',
-										backgroundColor: '#fff',
-									}}
-								>
-									<div style={{ marginBottom: '8px' }}>
-										<strong>
-											{__('Task', 'polylang-ai-autotranslate')} #{index + 1}: {task.title || __('Untitled', 'polylang-ai-autotranslate')}
-										</strong>
-									</div>
-									<div style={{ fontSize: '13px', color: '#d63638' }}>
-										<strong>{__('Error:', 'polylang-ai-autotranslate')}</strong> {task.issue}
-									</div>
-									{task.task_type && (
-										<div style={{ fontSize: '12px', color: '#757575', marginTop: '5px' }}>
-											{__('Type:', 'polylang-ai-autotranslate')} {task.task_type}
+					{tasks.length === 0 && <p>{__('No task details available.', 'polylang-ai-autotranslate')}</p>}
+
+					{hasFailedTasks && (
+						<div style={{ marginBottom: '15px' }}>
+							<Button variant="primary" onClick={() => handleRetry()} disabled={retrying} isBusy={retrying}>
+								{__('Retry failed tasks', 'polylang-ai-autotranslate')}
+							</Button>
+						</div>
+					)}
+
+					{tasks.length > 0 && (
+						<div className="pllat-task-list">
+							{tasks.map((task) => {
+								const isEditing = drafts[task.id] !== undefined;
+								const isFlagged = qualityThreshold !== null
+									&& task.quality_score !== null
+									&& task.quality_score < qualityThreshold;
+
+								return (
+									<div
+										key={task.id}
+										style={{
+											marginBottom: '15px',
+											padding: '12px',
+											border: `1px solid ${task.issue ? '#d63638' : isFlagged ? '#dba617' : '#dcdcde'}`,
+											borderRadius: '4px',
+											backgroundColor: '#fff',
+										}}
+									>
+										<div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+											<strong>{task.reference}</strong>
+											{task.quality_score !== null && task.quality_score !== undefined && (
+												<span style={{ fontSize: '12px', color: isFlagged ? '#996800' : '#757575' }}>
+													{/* translators: %d is the quality score in percent */}
+													{__('Quality %d%', 'polylang-ai-autotranslate').replace('%d', task.quality_score)}
+												</span>
+											)}
 										</div>
-									)}
-								</div>
-							))}
+										<div style={{ fontSize: '13px', marginBottom: '8px' }}>
+											<div style={{ color: '#757575', marginBottom: '4px' }}>{__('Source', 'polylang-ai-autotranslate')}</div>
+											<div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', maxHeight: '150px', overflowY: 'auto' }}>{task.value}</div>
+										</div>
+
+										{task.status === 'completed' && (
+											<div style={{ fontSize: '13px' }}>
+												<div style={{ color: '#757575', marginBottom: '4px' }}>{__('Translation', 'polylang-ai-autotranslate')}</div>
+												{isEditing ? (
+													<>
+														<TextareaControl
+															value={drafts[task.id]}
+															onChange={(value) => setDrafts({ ...drafts, [task.id]: value })}
+															disabled={savingId === task.id}
+															rows={4}
+														/>
+														<div style={{ display: 'flex', gap: '8px' }}>
+															<Button
+																variant="primary"
+																size="small"
+																onClick={() => handleSave(task)}
+																disabled={savingId === task.id || drafts[task.id].trim() === ''}
+																isBusy={savingId === task.id}
+															>
+																{__('Save', 'polylang-ai-autotranslate')}
+															</Button>
+															<Button
+																variant="tertiary"
+																size="small"
+																onClick={() => {
+																	const { [task.id]: discarded, ...rest } = drafts;
+																	setDrafts(rest);
+																}}
+																disabled={savingId === task.id}
+															>
+																{__('Cancel', 'polylang-ai-autotranslate')}
+															</Button>
+														</div>
+													</>
+												) : (
+													<>
+														<div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', maxHeight: '150px', overflowY: 'auto' }}>{task.translation}</div>
+														<Button
+															variant="link"
+															onClick={() => setDrafts({ ...drafts, [task.id]: task.translation || '' })}
+															style={{ marginTop: '5px' }}
+														>
+															{__('Edit', 'polylang-ai-autotranslate')}
+														</Button>
+													</>
+												)}
+											</div>
+										)}
+
+										{/* Back-translation of fields below the quality threshold */}
+										{isFlagged && task.back_translation && !isEditing && (
+											<div style={{ fontSize: '13px', marginTop: '8px' }}>
+												<div style={{ color: '#757575', marginBottom: '4px' }}>
+													{__('Back-translation', 'polylang-ai-autotranslate')}
+												</div>
+												<div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', maxHeight: '150px', overflowY: 'auto', color: '#996800' }}>
+													{task.back_translation}
+												</div>
+											</div>
+										)}
+
+										{task.issue && (
+											<div style={{ fontSize: '13px', color: '#d63638', marginTop: '5px' }}>
+												<strong>{__('Error:', 'polylang-ai-autotranslate')}</strong> {task.issue}
+											</div>
+										)}
+										{task.status === 'failed' && (
+											<div style={{ marginTop: '8px' }}>
+												<Button variant="secondary" size="small" onClick={() => handleRetry(task.id)} disabled={retrying}>
+													{__('Retry this task', 'polylang-ai-autotranslate')}
+												</Button>
+											</div>
+										)}
+									</div>
+								);
+							})}
 						</div>
 					)}
 				</div>
@@ -9,6 +9,7 @@ export const JOB_STATUS = {
 	COMPLETED: 'completed',
 	FAILED: 'failed',
 	CANCELLED: 'cancelled',
+	PAUSED: 'paused',
 	COMPLETED_WITH_ERRORS: 'completed_with_errors'
 };
 
@@ -21,6 +22,26 @@ export const ACTIVE_STATUSES = [
 	JOB_STATUS.IN_PROGRESS
 ];
 
+/**
+ * Statuses of a job that is part of a run and still being worked on.
+ *
+ * Pending jobs without a run are waiting for a translation to be started, so they don't count.
+ */
+export const RUNNING_STATUSES = [
+	JOB_STATUS.QUEUED,
+	JOB_STATUS.IN_PROGRESS
+];
+
+/**
+ * Check if a status indicates a running translation.
+ *
+ * @param {string} status - The job status to check
+ * @returns {boolean} True if status is running
+ */
+export function isRunningStatus(status) {
+	return RUNNING_STATUSES.includes(status);
+}
+
 /**
  * Check if a status indicates active translation.
  *
@@ -31,6 +52,16 @@ export function isActiveStatus(status) {
 	return ACTIVE_STATUSES.includes(status);
 }
 
+/**
+ * Check if a status indicates a job waiting for its paused run to be resumed.
+ *
+ * @param {string} status - The job status to check
+ * @returns {boolean} True if status is paused
+ */
+export function isPausedStatus(status) {
+	return status === JOB_STATUS.PAUSED;
+}
+
 /**
  * Check if a status indicates completion (success or failure).
  *
@@ -4,6 +4,8 @@
 
 import { useState, useEffect, useCallback } from '@wordpress/element';
 import { isActiveStatus } from '../constants/jobStatuses';
+import { useTranslationStore, translationStore, getItemKey } from '../../shared/store';
+import { usePolling } from '../../shared/hooks/usePolling';
 
 const POLL_INTERVAL = 3000; // 3 seconds
 
@@ -13,52 +15,53 @@ const POLL_INTERVAL = 3000; // 3 seconds
  * @param {boolean} enabled - Whether polling is enabled
  * @param {Function} onPoll - Callback to refresh main status on each poll
  * @param {Function} onComplete - Optional callback when all translations complete
- * @returns {Object} Polling state and methods
+ * @returns {Object} Polling state and methods, retryAt is set while the connection is lost
  */
 export function useActiveTranslations(enabled, onPoll = null, onComplete = null) {
 	const [polling, setPolling] = useState(false);
-	const [hasActive, setHasActive] = useState(false);
+	const [startedAt, setStartedAt] = useState(0);
+
+	const { type, id } = window.pllatSingleTranslator;
+	const key = getItemKey(type, id);
+
+	// Derived from the shared store, so status fetched by any component counts
+	const hasActive = useTranslationStore((state) =>
+		Object.values(state.languageStatus[key] || {}).some((lang) => isActiveStatus(lang.status))
+	);
+
+	// Start time of the last finished status request
+	const lastRequestedAt = useTranslationStore((state) => {
+		const request = state.requests[`item:${key}`];
+		return request && !request.loading ? request.requestedAt : 0;
+	});
 
 	/**
 	 * Poll for active translations.
 	 */
 	const poll = useCallback(async () => {
-		if (!enabled) {
+		if (!enabled || !onPoll) {
 			return;
 		}
 
-		try {
-			// Call onPoll to refresh main status
-			if (onPoll) {
-				const data = await onPoll();
-
-				// Check if there are active translations
-				const active = data.languages.filter((lang) => isActiveStatus(lang.status));
-
-				const hasActiveNow = active.length > 0;
-				setHasActive(hasActiveNow);
-
-				// If no active translations, stop polling and notify completion
-				if (!hasActiveNow && polling) {
-					setPolling(false);
-					if (onComplete) {
-						onComplete();
-					}
-				}
-			}
-		} catch (err) {
-			// Fail silently during polling
-			console.error('Failed to poll translation status:', err);
+		// Another tab polls this item and shares its status, no need to request it twice
+		if (translationStore.getState().isPolledElsewhere(key, POLL_INTERVAL)) {
+			return;
 		}
-	}, [enabled, polling, onPoll, onComplete]);
+
+		// Rejections reach usePolling, which backs off until the server answers again
+		await onPoll();
+	}, [enabled, onPoll, key]);
 
 	/**
 	 * Start polling immediately.
 	 */
 	const startPolling = useCallback(() => {
+		setStartedAt(Date.now());
 		setPolling(true);
 		// Poll immediately instead of waiting for interval
-		poll();
+		poll().catch((err) => {
+			console.error('Failed to poll translation status:', err);
+		});
 	}, [poll]);
 
 	/**
@@ -66,31 +69,29 @@ export function useActiveTranslations(enabled, onPoll = null, onComplete = null)
 	 */
 	const stopPolling = useCallback(() => {
 		setPolling(false);
-		setHasActive(false);
 	}, []);
 
 	/**
-	 * Set up polling interval.
+	 * Stop polling and notify completion once a status requested after
+	 * polling started has no active translations.
 	 */
 	useEffect(() => {
-		if (!enabled || !polling) {
+		if (!polling || hasActive || lastRequestedAt < startedAt) {
 			return;
 		}
 
-		// Initial poll
-		poll();
-
-		// Set up interval
-		const interval = setInterval(poll, POLL_INTERVAL);
+		setPolling(false);
+		if (onComplete) {
+			onComplete();
+		}
+	}, [polling, hasActive, lastRequestedAt, startedAt, onComplete]);
 
-		return () => {
-			clearInterval(interval);
-		};
-	}, [enabled, polling, poll]);
+	const { retryAt } = usePolling(enabled && polling, poll, POLL_INTERVAL);
 
 	return {
 		hasActive,
 		polling,
+		retryAt,
 		startPolling,
 		stopPolling,
 	};
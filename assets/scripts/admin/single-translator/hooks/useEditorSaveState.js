@@ -0,0 +1,55 @@
+/**
+ * Hook for tracking the save state of the block editor.
+ */
+
+import { useState, useEffect, useRef } from '@wordpress/element';
+import { useSelect } from '@wordpress/data';
+
+/**
+ * Custom hook to subscribe to the core/editor store.
+ *
+ * Autosaves are ignored, only a finished manual save updates savedAt.
+ *
+ * @returns {Object} Save state { isDirty, isSaving, savedAt }
+ */
+export function useEditorSaveState() {
+    const { isDirty, isSaving, isAutosaving, didSaveFail } = useSelect((select) => {
+        const editor = select('core/editor');
+
+        return {
+            isDirty: editor.isEditedPostDirty(),
+            isSaving: editor.isSavingPost(),
+            isAutosaving: editor.isAutosavingPost(),
+            didSaveFail: editor.didPostSaveRequestFail(),
+        };
+    }, []);
+
+    const [savedAt, setSavedAt] = useState(null);
+    const wasSaving = useRef(false);
+
+    /**
+     * Detect the end of a manual save.
+     */
+    useEffect(() => {
+        if (isSaving && !isAutosaving) {
+            wasSaving.current = true;
+            return;
+        }
+
+        if (!isSaving && wasSaving.current) {
+            wasSaving.current = false;
+
+            if (!didSaveFail) {
+                setSavedAt(Date.now());
+            }
+        }
+    }, [isSaving, isAutosaving, didSaveFail]);
+
+    return {
+        isDirty,
+        isSaving,
+        savedAt,
+    };
+}
+
+export default useEditorSaveState;
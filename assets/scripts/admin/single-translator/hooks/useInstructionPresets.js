@@ -0,0 +1,84 @@
+/**
+ * Hook for the instruction preset library.
+ */
+
+import { useState, useEffect, useCallback } from '@wordpress/element';
+import { getPresets, createPreset, deletePreset } from '../utils/api';
+
+/**
+ * Custom hook to load and manage instruction presets.
+ *
+ * @returns {Object} Presets and methods
+ */
+export function useInstructionPresets() {
+    const [presets, setPresets] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    /**
+     * Fetch presets from API.
+     */
+    const fetchPresets = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const data = await getPresets();
+            setPresets(data.presets || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    /**
+     * Initial fetch.
+     */
+    useEffect(() => {
+        fetchPresets();
+    }, [fetchPresets]);
+
+    /**
+     * Save instructions as a new preset.
+     *
+     * @param {string} name - Preset name
+     * @param {string} instructions - Preset instructions
+     */
+    const savePreset = useCallback(async (name, instructions) => {
+        try {
+            setError(null);
+            const data = await createPreset(name, instructions);
+            await fetchPresets();
+            return data.preset;
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        }
+    }, [fetchPresets]);
+
+    /**
+     * Remove a preset.
+     *
+     * @param {string} presetId - Preset ID
+     */
+    const removePreset = useCallback(async (presetId) => {
+        try {
+            setError(null);
+            await deletePreset(presetId);
+            await fetchPresets();
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        }
+    }, [fetchPresets]);
+
+    return {
+        presets,
+        loading,
+        error,
+        savePreset,
+        removePreset,
+    };
+}
+
+export default useInstructionPresets;
@@ -1,9 +1,17 @@
 /**
- * Hook for translation actions (start, exclude, cancel).
+ * Hook for translation actions (start, preview, exclude, pause, resume, cancel).
  */
 
 import { useState, useCallback } from '@wordpress/element';
-import { startTranslation, setExclusion, cancelTranslation } from '../utils/api';
+import {
+    startTranslation,
+    startPreview,
+    applyPreview,
+    setExclusion,
+    cancelTranslation,
+    pauseTranslation,
+    resumeTranslation,
+} from '../utils/api';
 
 /**
  * Custom hook for translation actions.
@@ -23,13 +31,92 @@ export function useTranslationActions(onSuccess) {
      * @param {Array<string>} targetLanguages - Target language codes
      * @param {boolean} force - Force re-translation
      * @param {string} instructions - Custom AI instructions
+     * @param {Array<string>|null} fields - Field references to translate (null = all fields)
+     * @param {Object<string, string>} languageInstructions - Additional instructions per language code
+     * @param {string|null} sourceLanguage - Translate from the translation in this language (null = the content itself)
+     * @param {string|null} resultStatus - Post status of the translations: source, draft, pending or publish
+     * @param {boolean} matchSourceDate - Give the translations the publish date of the source
      */
-    const translate = useCallback(async (targetLanguages, force = false, instructions = '') => {
+    const translate = useCallback(async (targetLanguages, force = false, instructions = '', fields = null, languageInstructions = {}, sourceLanguage = null, resultStatus = null, matchSourceDate = false) => {
         try {
             setLoading(true);
             setError(null);
 
-            const response = await startTranslation(type, id, targetLanguages, force, instructions);
+            const response = await startTranslation(
+                type,
+                id,
+                targetLanguages,
+                force,
+                instructions,
+                fields,
+                languageInstructions,
+                sourceLanguage,
+                resultStatus,
+                matchSourceDate,
+            );
+
+            if (onSuccess) {
+                onSuccess(response);
+            }
+
+            return response;
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    }, [type, id, onSuccess]);
+
+    /**
+     * Start preview translation.
+     *
+     * @param {Array<string>} targetLanguages - Target language codes
+     * @param {boolean} force - Force re-translation
+     * @param {string} instructions - Custom AI instructions
+     * @param {Array<string>|null} fields - Field references to translate (null = all fields)
+     * @param {Object<string, string>} languageInstructions - Additional instructions per language code
+     * @param {string|null} sourceLanguage - Translate from the translation in this language (null = the content itself)
+     * @param {string|null} resultStatus - Post status of the translations: source, draft, pending or publish
+     * @param {boolean} matchSourceDate - Give the translations the publish date of the source
+     */
+    const preview = useCallback(async (targetLanguages, force = false, instructions = '', fields = null, languageInstructions = {}, sourceLanguage = null, resultStatus = null, matchSourceDate = false) => {
+        try {
+            setLoading(true);
+            setError(null);
+
+            return await startPreview(
+                type,
+                id,
+                targetLanguages,
+                force,
+                instructions,
+                fields,
+                languageInstructions,
+                sourceLanguage,
+                resultStatus,
+                matchSourceDate,
+            );
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    }, [type, id]);
+
+    /**
+     * Apply accepted preview fields.
+     *
+     * @param {number} runId - Preview run ID
+     * @param {Array<number>} accepted - IDs of the accepted tasks
+     */
+    const apply = useCallback(async (runId, accepted) => {
+        try {
+            setLoading(true);
+            setError(null);
+
+            const response = await applyPreview(type, id, runId, accepted);
 
             if (onSuccess) {
                 onSuccess(response);
@@ -92,6 +179,52 @@ export function useTranslationActions(onSuccess) {
         }
     }, [type, id, onSuccess]);
 
+    /**
+     * Pause active translation.
+     */
+    const pause = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+
+            const response = await pauseTranslation(type, id);
+
+            if (onSuccess) {
+                onSuccess(response);
+            }
+
+            return response;
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    }, [type, id, onSuccess]);
+
+    /**
+     * Resume paused translation.
+     */
+    const resume = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+
+            const response = await resumeTranslation(type, id);
+
+            if (onSuccess) {
+                onSuccess(response);
+            }
+
+            return response;
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    }, [type, id, onSuccess]);
+
     /**
      * Clear error state.
      */
@@ -101,8 +234,12 @@ export function useTranslationActions(onSuccess) {
 
     return {
         translate,
+        preview,
+        apply,
         toggleExclusion,
         cancel,
+        pause,
+        resume,
         loading,
         error,
         clearError,
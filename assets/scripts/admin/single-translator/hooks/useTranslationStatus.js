@@ -2,38 +2,46 @@
  * Hook for fetching and managing translation status.
  */
 
-import { useState, useCallback } from '@wordpress/element';
-import { getStatus } from '../utils/api';
+import { useMemo, useCallback } from '@wordpress/element';
+import { useTranslationStore, getItemKey } from '../../shared/store';
 
 /**
  * Custom hook to fetch translation status.
  *
+ * Status lives in the shared translation store, so every component
+ * reading the same item sees updates from any of them.
+ *
  * @returns {Object} Status data and methods
  */
 export function useTranslationStatus() {
-    const [status, setStatus] = useState(null);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-
     const { type, id } = window.pllatSingleTranslator;
+    const key = getItemKey(type, id);
+
+    const item = useTranslationStore((state) => state.items[key]);
+    const languageStatus = useTranslationStore((state) => state.languageStatus[key]);
+    const request = useTranslationStore((state) => state.requests[`item:${key}`]);
+    const fetchItemStatus = useTranslationStore((state) => state.fetchItemStatus);
 
     /**
-     * Fetch status from API.
+     * Rebuild the status shape from the normalized item and language status.
      */
-    const fetchStatus = useCallback(async () => {
-        try {
-            setLoading(true);
-            setError(null);
-            const data = await getStatus(type, id);
-            setStatus(data);
-            return data;
-        } catch (err) {
-            setError(err.message);
-            throw err;
-        } finally {
-            setLoading(false);
+    const status = useMemo(() => {
+        if (!item) {
+            return null;
         }
-    }, [type, id]);
+
+        return {
+            ...item,
+            languages: item.languages.map((language) => languageStatus[language]),
+        };
+    }, [item, languageStatus]);
+
+    /**
+     * Fetch status from API.
+     */
+    const fetchStatus = useCallback(() => {
+        return fetchItemStatus(type, id);
+    }, [fetchItemStatus, type, id]);
 
     /**
      * Refresh status (alias for fetchStatus).
@@ -42,11 +50,19 @@ export function useTranslationStatus() {
         return fetchStatus();
     }, [fetchStatus]);
 
+    /**
+     * Fetch status with the translatable fields, on load and after the content was saved.
+     */
+    const fetchState = useCallback(() => {
+        return fetchItemStatus(type, id, true);
+    }, [fetchItemStatus, type, id]);
+
     return {
         status,
-        loading,
-        error,
+        loading: request ? request.loading : true,
+        error: request ? request.error : null,
         fetchStatus,
+        fetchState,
         refresh,
     };
 }
@@ -0,0 +1,12 @@
+/**
+ * Entry point for the Single Translator block editor sidebar.
+ */
+
+import { registerPlugin } from '@wordpress/plugins';
+import EditorSidebarPanel from './components/EditorSidebarPanel';
+
+// Register the document sidebar panel (replaces the meta box in the block editor)
+registerPlugin('pllat-single-translator', {
+	render: EditorSidebarPanel,
+	icon: 'translation',
+});
@@ -16,37 +16,102 @@ if (nonce) {
 }
 
 /**
- * Get translation status for a content item.
+ * Start translation for a content item.
  *
  * @param {string} type - Content type (post or term)
  * @param {number} id - Content ID
- * @returns {Promise<Object>} Status data
+ * @param {Array<string>} targetLanguages - Target language codes
+ * @param {boolean} force - Force re-translation
+ * @param {string} instructions - Custom AI instructions
+ * @param {Array<string>|null} fields - Field references to translate (null = all fields)
+ * @param {Object<string, string>} languageInstructions - Additional instructions per language code
+ * @param {string|null} sourceLanguage - Translate from the translation in this language (null = the content itself)
+ * @param {string|null} resultStatus - Post status of the translations: source, draft, pending or publish
+ * @param {boolean} matchSourceDate - Give the translations the publish date of the source
+ * @returns {Promise<Object>} Response with run_id
  */
-export async function getStatus(type, id) {
+export async function startTranslation(type, id, targetLanguages, force = false, instructions = '', fields = null, languageInstructions = {}, sourceLanguage = null, resultStatus = null, matchSourceDate = false) {
     return apiFetch({
-        path: `/pllat/v1/single-translator/status/${type}/${id}`,
-        method: 'GET',
+        path: `/pllat/v1/single-translator/translate/${type}/${id}`,
+        method: 'POST',
+        data: {
+            target_languages: targetLanguages,
+            force,
+            instructions,
+            fields,
+            language_instructions: languageInstructions,
+            source_language: sourceLanguage,
+            result_status: resultStatus,
+            match_source_date: matchSourceDate,
+        },
     });
 }
 
 /**
- * Start translation for a content item.
+ * Start a preview translation for a content item.
+ *
+ * Translations are held back until they are applied with applyPreview().
  *
  * @param {string} type - Content type (post or term)
  * @param {number} id - Content ID
  * @param {Array<string>} targetLanguages - Target language codes
  * @param {boolean} force - Force re-translation
  * @param {string} instructions - Custom AI instructions
+ * @param {Array<string>|null} fields - Field references to translate (null = all fields)
+ * @param {Object<string, string>} languageInstructions - Additional instructions per language code
+ * @param {string|null} sourceLanguage - Translate from the translation in this language (null = the content itself)
+ * @param {string|null} resultStatus - Post status of the translations: source, draft, pending or publish
+ * @param {boolean} matchSourceDate - Give the translations the publish date of the source
  * @returns {Promise<Object>} Response with run_id
  */
-export async function startTranslation(type, id, targetLanguages, force = false, instructions = '') {
+export async function startPreview(type, id, targetLanguages, force = false, instructions = '', fields = null, languageInstructions = {}, sourceLanguage = null, resultStatus = null, matchSourceDate = false) {
     return apiFetch({
-        path: `/pllat/v1/single-translator/translate/${type}/${id}`,
+        path: `/pllat/v1/single-translator/preview/${type}/${id}`,
         method: 'POST',
         data: {
             target_languages: targetLanguages,
             force,
             instructions,
+            fields,
+            language_instructions: languageInstructions,
+            source_language: sourceLanguage,
+            result_status: resultStatus,
+            match_source_date: matchSourceDate,
+        },
+    });
+}
+
+/**
+ * Get the proposed translations of a preview run.
+ *
+ * @param {string} type - Content type (post or term)
+ * @param {number} id - Content ID
+ * @param {number} runId - Preview run ID
+ * @returns {Promise<Object>} Preview data with per-language fields
+ */
+export async function getPreview(type, id, runId) {
+    return apiFetch({
+        path: `/pllat/v1/single-translator/preview/${type}/${id}/${runId}`,
+        method: 'GET',
+    });
+}
+
+/**
+ * Apply the accepted fields of a preview run.
+ *
+ * @param {string} type - Content type (post or term)
+ * @param {number} id - Content ID
+ * @param {number} runId - Preview run ID
+ * @param {Array<number>} accepted - IDs of the accepted tasks
+ * @returns {Promise<Object>} Response with applied translation IDs
+ */
+export async function applyPreview(type, id, runId, accepted) {
+    return apiFetch({
+        path: `/pllat/v1/single-translator/apply/${type}/${id}`,
+        method: 'POST',
+        data: {
+            run_id: runId,
+            accepted,
         },
     });
 }
@@ -82,6 +147,139 @@ export async function getJobTasks(jobId) {
     });
 }
 
+/**
+ * Save a manually edited task translation.
+ *
+ * The translation is written to the translated content and flagged as a manual edit.
+ *
+ * @param {number} taskId - Task ID
+ * @param {string} translation - Edited translation
+ * @returns {Promise<Object>} Response message
+ */
+export async function updateTaskTranslation(taskId, translation) {
+    return apiFetch({
+        path: `/pllat/v1/single-translator/task/${taskId}`,
+        method: 'POST',
+        data: {
+            translation,
+        },
+    });
+}
+
+/**
+ * Retry failed tasks of a job.
+ *
+ * @param {number} jobId - Job ID
+ * @param {number|null} taskId - Retry only this task (null = all failed tasks)
+ * @returns {Promise<Object>} Response with the number of reset tasks
+ */
+export async function retryTasks(jobId, taskId = null) {
+    return apiFetch({
+        path: `/pllat/v1/single-translator/job/${jobId}/retry`,
+        method: 'POST',
+        data: taskId ? { task_id: taskId } : {},
+    });
+}
+
+/**
+ * Start translations for several content items.
+ *
+ * @param {string} type - Content type (post or term)
+ * @param {Array<number>} ids - Content IDs
+ * @param {Array<string>} targetLanguages - Target language codes
+ * @param {boolean} force - Force re-translation
+ * @param {string} instructions - Custom AI instructions
+ * @returns {Promise<Object>} Response with run IDs and errors by content ID
+ */
+export async function bulkTranslate(type, ids, targetLanguages, force = false, instructions = '') {
+    return apiFetch({
+        path: `/pllat/v1/single-translator/bulk/translate/${type}`,
+        method: 'POST',
+        data: {
+            ids,
+            target_languages: targetLanguages,
+            force,
+            instructions,
+        },
+    });
+}
+
+/**
+ * Get the version history of a translation.
+ *
+ * @param {string} type - Content type (post or term)
+ * @param {number} id - Source content ID
+ * @param {string} language - Target language code
+ * @returns {Promise<Object>} Response with versions (newest first)
+ */
+export async function getVersions(type, id, language) {
+    return apiFetch({
+        path: `/pllat/v1/single-translator/versions/${type}/${id}/${language}`,
+        method: 'GET',
+    });
+}
+
+/**
+ * Restore a version onto the translated content.
+ *
+ * @param {string} type - Content type (post or term)
+ * @param {number} id - Source content ID
+ * @param {number} versionId - Version ID
+ * @returns {Promise<Object>} Response message
+ */
+export async function restoreVersion(type, id, versionId) {
+    return apiFetch({
+        path: `/pllat/v1/single-translator/versions/${type}/${id}/restore`,
+        method: 'POST',
+        data: {
+            version_id: versionId,
+        },
+    });
+}
+
+/**
+ * Get the instruction preset library.
+ *
+ * @returns {Promise<Object>} Response with presets
+ */
+export async function getPresets() {
+    return apiFetch({
+        path: '/pllat/v1/instruction-presets',
+        method: 'GET',
+    });
+}
+
+/**
+ * Save instructions as a new preset.
+ *
+ * @param {string} name - Preset name
+ * @param {string} instructions - Preset instructions
+ * @returns {Promise<Object>} Response with the created preset
+ */
+export async function createPreset(name, instructions) {
+    return apiFetch({
+        path: '/pllat/v1/instruction-presets',
+        method: 'POST',
+        data: {
+            name,
+            instructions,
+        },
+    });
+}
+
+/**
+ * Delete a preset.
+ *
+ * @param {string} presetId - Preset ID
+ * @returns {Promise<Object>} Response message
+ */
+export async function deletePreset(presetId) {
+    return apiFetch({
+        path: `/pllat/v1/instruction-presets/${presetId}`,
+        method: 'DELETE',
+    });
+}
+
 /**
  * Cancel active translation for a content item.
  *
@@ -96,10 +294,52 @@ export async function cancelTranslation(type, id) {
     });
 }
 
+/**
+ * Pause active translation for a content item.
+ *
+ * Queued jobs wait until the translation is resumed.
+ *
+ * @param {string} type - Content type (post or term)
+ * @param {number} id - Content ID
+ * @returns {Promise<Object>} Response with run_id
+ */
+export async function pauseTranslation(type, id) {
+    return apiFetch({
+        path: `/pllat/v1/single-translator/pause/${type}/${id}`,
+        method: 'POST',
+    });
+}
+
+/**
+ * Resume paused translation for a content item.
+ *
+ * @param {string} type - Content type (post or term)
+ * @param {number} id - Content ID
+ * @returns {Promise<Object>} Response with run_id
+ */
+export async function resumeTranslation(type, id) {
+    return apiFetch({
+        path: `/pllat/v1/single-translator/resume/${type}/${id}`,
+        method: 'POST',
+    });
+}
+
 export default {
-    getStatus,
     startTranslation,
+    startPreview,
+    getPreview,
+    applyPreview,
     setExclusion,
     getJobTasks,
+    updateTaskTranslation,
+    retryTasks,
+    bulkTranslate,
+    getVersions,
+    restoreVersion,
+    getPresets,
+    createPreset,
+    deletePreset,
     cancelTranslation,
+    pauseTranslation,
+    resumeTranslation,
 };
@@ -0,0 +1,66 @@
+/**
+ * Word-level diff for comparing translation versions.
+ */
+
+/**
+ * Diff two strings word by word.
+ *
+ * Uses the longest common subsequence of the tokens, whitespace is kept as separate tokens.
+ *
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: string, value: string}>} Parts with type 'equal', 'removed' or 'added'
+ */
+export function diffWords(before = '', after = '') {
+    const a = before.split(/(\s+)/).filter(Boolean);
+    const b = after.split(/(\s+)/).filter(Boolean);
+
+    // LCS lengths, lengths[i][j] covers a[i..] and b[j..].
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, value) => {
+        const last = parts[parts.length - 1];
+
+        if (last && last.type === type) {
+            last.value += value;
+        } else {
+            parts.push({ type, value });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+
+    while (i < a.length) {
+        push('removed', a[i++]);
+    }
+
+    while (j < b.length) {
+        push('added', b[j++]);
+    }
+
+    return parts;
+}
+
+export default diffWords;
@@ -2,6 +2,8 @@
  * Helper functions for language card status display and formatting.
  */
 
+import { __ } from '@wordpress/i18n';
+
 /**
  * Get status indicator and color.
  *
@@ -14,8 +16,12 @@ export function getStatusDisplay(status) {
 			return { indicator: '✅', color: '#00a32a' }; // Green checkmark emoji
 		case 'completed':
 			return { indicator: '✅', color: '#00a32a' }; // Green checkmark emoji (legacy support)
+		case 'outdated':
+			return { indicator: '🔄', color: '#dba617' }; // Amber arrows emoji
 		case 'pending':
 			return { indicator: '⏳', color: '#f0b849' }; // Yellow hourglass emoji
+		case 'paused':
+			return { indicator: '⏸️', color: '#646970' }; // Gray pause emoji
 		case 'failed':
 		case 'completed_with_errors':
 			return { indicator: '❌', color: '#d63638' }; // Red X emoji
@@ -24,6 +30,36 @@ export function getStatusDisplay(status) {
 	}
 }
 
+/**
+ * Get a short label for a status.
+ *
+ * @param {string|null} status - Translation status
+ * @param {Object|null} progress - Progress data {completed, total}
+ * @returns {string} Label
+ */
+export function getStatusLabel(status, progress = null) {
+	switch (status) {
+		case 'queued':
+			return __('In Queue', 'polylang-ai-autotranslate');
+		case 'in_progress':
+			return progress ? `${progress.completed}/${progress.total}` : __('Translating', 'polylang-ai-autotranslate');
+		case 'translated':
+		case 'completed':
+			return __('Translated', 'polylang-ai-autotranslate');
+		case 'outdated':
+			return __('Outdated', 'polylang-ai-autotranslate');
+		case 'pending':
+			return __('Pending', 'polylang-ai-autotranslate');
+		case 'paused':
+			return __('Paused', 'polylang-ai-autotranslate');
+		case 'failed':
+		case 'completed_with_errors':
+			return __('Failed', 'polylang-ai-autotranslate');
+		default:
+			return __('Not translated', 'polylang-ai-autotranslate');
+	}
+}
+
 /**
  * Get background and border color based on status.
  *
@@ -51,6 +87,11 @@ export function getStatusColors(status, selected) {
 				backgroundColor: '#f0f9f4', // Light green (legacy support)
 				borderColor: '#00a32a'      // Green
 			};
+		case 'outdated':
+			return {
+				backgroundColor: '#fcf9e8', // Light amber
+				borderColor: '#dba617'      // Amber
+			};
 		case 'in_progress':
 			return {
 				backgroundColor: '#f3e8ff', // Light purple
@@ -66,6 +107,11 @@ export function getStatusColors(status, selected) {
 				backgroundColor: '#fef8e7', // Light yellow
 				borderColor: '#f0b849'      // Yellow/orange
 			};
+		case 'paused':
+			return {
+				backgroundColor: '#f6f7f7', // Light gray
+				borderColor: '#8c8f94'      // Gray
+			};
 		case 'failed':
 		case 'completed_with_errors':
 			return {
@@ -3,14 +3,18 @@ import { useState } from "@wordpress/element";
 const AutoTranslateToggle = ({ enabled, onToggle }) => {
   const [isChanging, setIsChanging] = useState(false);
 
-  const handleToggle = () => {
+  const handleToggle = async () => {
+    if (isChanging) {
+      return;
+    }
+
     setIsChanging(true);
-    onToggle(!enabled);
 
-    // Simulate API call
-    setTimeout(() => {
+    try {
+      await onToggle(!enabled);
+    } finally {
       setIsChanging(false);
-    }, 500);
+    }
   };
 
   return (
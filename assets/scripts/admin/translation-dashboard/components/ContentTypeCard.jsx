@@ -1,18 +1,33 @@
+import { useState, useEffect, useRef } from "@wordpress/element";
 import CardHeader from "./ContentTypeCard/CardHeader";
 import LanguageProgressList from "./ContentTypeCard/LanguageProgressList";
 import TranslationActions from "./ContentTypeCard/TranslationActions";
+import RunFailureNotice from "./ContentTypeCard/RunFailureNotice";
+import AutoTranslateScope from "./ContentTypeCard/AutoTranslateScope";
 
 const ContentTypeCard = ({
+  type,
+  entity,
   title,
   icon,
   languageStats,
   onStartTranslation,
   onCancelRun,
+  onPauseRun,
+  onResumeRun,
   currentStatus = "idle",
   activeRunId = null,
   runProgress = null,
   isAutoTranslateEnabled = false,
-  dryRunItemCount = 3,
+  autoTranslateScope = null,
+  onAutoTranslateScopeChange,
+  lastAutoTranslated = null,
+  dryRunId = null,
+  onReviewDryRun,
+  onOpenLanguage,
+  isHidden = false,
+  onToggleHidden,
+  supportsResultStatus = false,
 }) => {
   const stats = Object.values(languageStats);
   const totalTranslated = stats.reduce((sum, lang) => sum + lang.translated, 0);
@@ -22,27 +37,102 @@ const ContentTypeCard = ({
   const hasUntranslatedItems = stats.some(
     (lang) => lang.translated < lang.total
   );
+  const hasFailures =
+    activeRunId && (currentStatus === "failed" || runProgress?.failed > 0);
+
+  // Target languages of the next run, null means every language
+  const [selectedLanguages, setSelectedLanguages] = useState(null);
+  const languages = Object.keys(languageStats);
+  const canPickLanguages =
+    hasUntranslatedItems &&
+    !isAutoTranslateEnabled &&
+    ["idle", "cancelled", "failed"].includes(currentStatus);
+
+  const handleToggleLanguage = (code, checked) => {
+    const current = selectedLanguages ?? languages;
+    const next = checked
+      ? [...current, code]
+      : current.filter((language) => language !== code);
+
+    setSelectedLanguages(languages.every((language) => next.includes(language)) ? null : next);
+  };
+
+  const handleStartTranslation = (options) =>
+    onStartTranslation({ ...options, languages: selectedLanguages });
+
+  // Open the dry run results as soon as the dry run finished
+  const isRunning = ["pending", "translating", "paused"].includes(currentStatus);
+  const wasRunning = useRef(isRunning);
+  useEffect(() => {
+    if (wasRunning.current && !isRunning && dryRunId) {
+      onReviewDryRun();
+    }
+    wasRunning.current = isRunning;
+  }, [isRunning, dryRunId]);
 
   return (
-    <div className="bg-white p-5 rounded-lg border border-[#c3c4c7] shadow hover:shadow-lg transition-shadow justify-between flex-col flex">
+    <div
+      className={`bg-white p-5 rounded-lg border border-[#c3c4c7] shadow hover:shadow-lg transition-shadow justify-between flex-col flex ${
+        isHidden ? "opacity-60" : ""
+      }`}
+    >
       <div>
         <CardHeader
           icon={icon}
           title={title}
           completionPercentage={completionPercentage}
+          isHidden={isHidden}
+          onToggleHidden={onToggleHidden}
+        />
+        {hasFailures && (
+          <RunFailureNotice
+            runId={activeRunId}
+            status={currentStatus}
+            failedCount={runProgress?.failed || 0}
+          />
+        )}
+        <LanguageProgressList
+          languageStats={languageStats}
+          selectedLanguages={canPickLanguages ? selectedLanguages ?? languages : null}
+          onToggleLanguage={handleToggleLanguage}
+          onOpenLanguage={onOpenLanguage}
         />
-        <LanguageProgressList languageStats={languageStats} />
+        {dryRunId && !isRunning && (
+          <button
+            type="button"
+            className="w-full mb-4 !px-3 !py-1.5 !rounded !text-sm button button-secondary cursor-pointer"
+            onClick={onReviewDryRun}
+          >
+            <span className="flex items-center justify-center">
+              <span className="dashicons dashicons-list-view mr-1 text-sm"></span>
+              Review dry run results
+            </span>
+          </button>
+        )}
+        {autoTranslateScope && (
+          <AutoTranslateScope
+            scope={autoTranslateScope}
+            languages={Object.keys(languageStats)}
+            onChange={onAutoTranslateScopeChange}
+          />
+        )}
       </div>
 
       <TranslationActions
+        type={type}
+        entity={entity}
         hasUntranslatedItems={hasUntranslatedItems}
         isAutoTranslateEnabled={isAutoTranslateEnabled}
+        lastAutoTranslated={lastAutoTranslated}
         currentStatus={currentStatus}
         activeRunId={activeRunId}
         runProgress={runProgress}
-        onStartTranslation={onStartTranslation}
+        onStartTranslation={handleStartTranslation}
+        selectedLanguageCount={selectedLanguages?.length ?? null}
         onCancelRun={onCancelRun}
-        dryRunItemCount={dryRunItemCount}
+        onPauseRun={onPauseRun}
+        onResumeRun={onResumeRun}
+        supportsResultStatus={supportsResultStatus}
       />
     </div>
   );
@@ -1,4 +1,4 @@
-const ActiveState = ({ status, runId, runProgress, onCancelRun }) => {
+const ActiveState = ({ status, runId, runProgress, onPauseRun, onCancelRun }) => {
   const dotsLoader = window.pllat?.assets?.icons?.dotsLoader;
   const ringLoader = window.pllat?.assets?.icons?.ringLoader;
 
@@ -52,6 +52,15 @@ const ActiveState = ({ status, runId, runProgress, onCancelRun }) => {
             {progressLabel}
           </span>
         </button>
+        {onPauseRun && (
+          <button
+            className="!px-3 !py-2 !rounded button button-secondary cursor-pointer"
+            onClick={() => onPauseRun(runId)}
+            title="Pause translation"
+          >
+            <span className="dashicons dashicons-controls-pause"></span>
+          </button>
+        )}
         <button
           className="!px-3 !py-2 !rounded button button-link-delete cursor-pointer hover:!bg-red-50"
           onClick={() => onCancelRun(runId)}
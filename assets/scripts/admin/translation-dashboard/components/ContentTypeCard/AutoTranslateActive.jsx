@@ -1,10 +1,29 @@
-const AutoTranslateActive = () => {
+import { formatDate } from "../../../single-translator/utils/languageCardHelpers";
+
+const AutoTranslateActive = ({ lastItem = null }) => {
   return (
     <div className="text-center py-3 px-3 bg-blue-50 rounded border border-blue-200">
       <span className="text-sm text-blue-700 flex items-center justify-center">
         <span className="dashicons dashicons-update-alt mr-1 animate-spin"></span>
         Auto-translate active
       </span>
+      <span className="block mt-1 text-xs text-blue-600 truncate">
+        {lastItem ? (
+          <>
+            Last:{" "}
+            {lastItem.edit_link ? (
+              <a href={lastItem.edit_link} className="text-blue-700 underline">
+                {lastItem.title}
+              </a>
+            ) : (
+              lastItem.title
+            )}
+            {lastItem.translated_at && ` (${formatDate(lastItem.translated_at)})`}
+          </>
+        ) : (
+          "Nothing auto-translated yet"
+        )}
+      </span>
     </div>
   );
 };
@@ -0,0 +1,53 @@
+import { getLanguageData } from "../../../shared/utils/languages";
+
+const AutoTranslateScope = ({ scope, languages, onChange }) => {
+  // Null means all languages, including ones added later
+  const selected = scope.languages ?? languages;
+
+  const handleLanguageChange = (code, checked) => {
+    const next = checked
+      ? [...selected, code]
+      : selected.filter((language) => language !== code);
+
+    onChange({
+      enabled: scope.enabled,
+      languages: languages.every((language) => next.includes(language)) ? null : next,
+    });
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 rounded border border-gray-200 space-y-2 text-sm">
+      <label className="flex items-center font-medium text-gray-700">
+        <input
+          type="checkbox"
+          className="!mr-2"
+          checked={scope.enabled}
+          onChange={(event) => onChange({ ...scope, enabled: event.target.checked })}
+        />
+        Auto-translate new and updated content
+      </label>
+
+      {scope.enabled && (
+        <div className="flex flex-wrap gap-x-3 gap-y-1 pl-6">
+          {languages.map((code) => {
+            const langData = getLanguageData(code);
+
+            return (
+              <label key={code} className="flex items-center text-gray-600">
+                <input
+                  type="checkbox"
+                  className="!mr-1"
+                  checked={selected.includes(code)}
+                  onChange={(event) => handleLanguageChange(code, event.target.checked)}
+                />
+                {langData?.name || langData?.label || code.toUpperCase()}
+              </label>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AutoTranslateScope;
@@ -1,11 +1,24 @@
-const CardHeader = ({ icon, title, completionPercentage }) => {
+const CardHeader = ({ icon, title, completionPercentage, isHidden = false, onToggleHidden }) => {
   return (
     <div className="flex items-center justify-between mb-4 pb-3 border-b border-gray-200">
       <div className="flex items-center">
         <span className={`dashicons ${icon} mr-2 text-gray-600`}></span>
         <h3 className="text-base font-semibold mt-0 mb-0">{title}</h3>
       </div>
-      <span className="text-sm text-gray-500">{completionPercentage}%</span>
+      <div className="flex items-center space-x-2">
+        <span className="text-sm text-gray-500">{completionPercentage}%</span>
+        {onToggleHidden && (
+          <button
+            type="button"
+            className="bg-transparent border-0 p-0 cursor-pointer text-gray-400 hover:text-gray-700"
+            onClick={onToggleHidden}
+            title={isHidden ? "Show this content type" : "Hide this content type"}
+            aria-label={isHidden ? "Show this content type" : "Hide this content type"}
+          >
+            <span className={`dashicons ${isHidden ? "dashicons-visibility" : "dashicons-hidden"} text-base`}></span>
+          </button>
+        )}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,106 @@
+import { useState, useEffect } from "@wordpress/element";
+import apiFetch from "@wordpress/api-fetch";
+
+const MAX_SAMPLE_SIZE = 20;
+
+const DryRunOptions = ({ type, entity, sampleSize, onSampleSizeChange, items, onItemsChange }) => {
+  const [search, setSearch] = useState("");
+  const [results, setResults] = useState([]);
+
+  // Search the content type for specific items to sample
+  useEffect(() => {
+    if (search.trim().length < 2) {
+      setResults([]);
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      apiFetch({
+        path: `/wp/v2/search?search=${encodeURIComponent(search)}&type=${type}&subtype=${entity}&per_page=10`,
+      })
+        .then((response) => setResults(response))
+        .catch((error) => {
+          console.error("Failed to search items:", error);
+          setResults([]);
+        });
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [search, type, entity]);
+
+  const addItem = (item) => {
+    if (!items.some((selected) => selected.id === item.id)) {
+      onItemsChange([...items, { id: item.id, title: item.title }]);
+    }
+    setSearch("");
+  };
+
+  return (
+    <div className="p-3 bg-gray-50 rounded border border-gray-200 space-y-2 text-sm">
+      <label className="flex items-center justify-between">
+        <span className="text-gray-700">Sample size</span>
+        <input
+          type="number"
+          className="!w-20 !text-sm"
+          min="1"
+          max={MAX_SAMPLE_SIZE}
+          value={sampleSize}
+          disabled={items.length > 0}
+          onChange={(event) =>
+            onSampleSizeChange(
+              Math.min(MAX_SAMPLE_SIZE, Math.max(1, parseInt(event.target.value, 10) || 1))
+            )
+          }
+        />
+      </label>
+
+      <div>
+        <input
+          type="search"
+          className="w-full !text-sm"
+          placeholder="Or pick specific items..."
+          value={search}
+          onChange={(event) => setSearch(event.target.value)}
+        />
+        {results.length > 0 && (
+          <ul className="mt-1 bg-white border border-gray-200 rounded max-h-40 overflow-y-auto">
+            {results.map((result) => (
+              <li key={result.id}>
+                <button
+                  type="button"
+                  className="w-full text-left px-2 py-1 bg-transparent border-0 cursor-pointer hover:bg-gray-100"
+                  onClick={() => addItem(result)}
+                >
+                  {result.title || `#${result.id}`}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {items.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {items.map((item) => (
+            <span
+              key={item.id}
+              className="flex items-center bg-white border border-gray-300 rounded px-2 py-0.5 text-xs"
+            >
+              {item.title || `#${item.id}`}
+              <button
+                type="button"
+                className="ml-1 bg-transparent border-0 p-0 cursor-pointer text-gray-500"
+                onClick={() => onItemsChange(items.filter((selected) => selected.id !== item.id))}
+                aria-label="Remove item"
+              >
+                <span className="dashicons dashicons-no-alt text-sm"></span>
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DryRunOptions;
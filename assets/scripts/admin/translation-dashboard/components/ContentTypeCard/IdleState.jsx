@@ -1,28 +1,52 @@
-const IdleState = ({ onStartTranslation, dryRunItemCount = 3 }) => {
+const IdleState = ({
+  onStartTranslation,
+  dryRunItemCount = 3,
+  selectedLanguageCount = null,
+  onToggleDryRunOptions,
+}) => {
   const licenseValid = window.pllat?.licenseValid || false;
+  const canStart = licenseValid && selectedLanguageCount !== 0;
+
+  // Null means every language is selected
+  let label = "Translate all";
+  if (selectedLanguageCount !== null) {
+    label = `Translate ${selectedLanguageCount} ${selectedLanguageCount === 1 ? "language" : "languages"}`;
+  }
 
   return (
     <>
       <button
         className="w-full !px-4 !py-2 !rounded !font-medium button button-primary cursor-pointer"
         onClick={() => onStartTranslation({ isDryRun: false })}
-        disabled={!licenseValid}
-        style={!licenseValid ? { opacity: 0.6, cursor: 'not-allowed' } : {}}
+        disabled={!canStart}
+        style={!canStart ? { opacity: 0.6, cursor: 'not-allowed' } : {}}
       >
-        {licenseValid ? 'Translate all' : 'Translate all (Only Pro)'}
+        {licenseValid ? label : `${label} (Only Pro)`}
       </button>
 
-      <button
-        className="w-full !px-3 !py-1.5 !rounded !text-sm button button-secondary cursor-pointer hover:!bg-gray-100"
-        onClick={() => onStartTranslation({ isDryRun: true })}
-        disabled={!licenseValid}
-        style={!licenseValid ? { opacity: 0.6, cursor: 'not-allowed' } : {}}
-      >
-        <span className="flex items-center justify-center">
-          <span className="dashicons dashicons-visibility mr-1 text-sm"></span>
-          {licenseValid ? `Dry Run (${dryRunItemCount} items)` : `Dry Run (Only Pro)`}
-        </span>
-      </button>
+      <div className="flex gap-2">
+        <button
+          className="flex-1 !px-3 !py-1.5 !rounded !text-sm button button-secondary cursor-pointer hover:!bg-gray-100"
+          onClick={() => onStartTranslation({ isDryRun: true })}
+          disabled={!canStart}
+          style={!canStart ? { opacity: 0.6, cursor: 'not-allowed' } : {}}
+        >
+          <span className="flex items-center justify-center">
+            <span className="dashicons dashicons-visibility mr-1 text-sm"></span>
+            {licenseValid
+              ? `Dry Run (${dryRunItemCount} ${dryRunItemCount === 1 ? 'item' : 'items'})`
+              : `Dry Run (Only Pro)`}
+          </span>
+        </button>
+        <button
+          className="!px-3 !py-1.5 !rounded !text-sm button button-secondary cursor-pointer hover:!bg-gray-100"
+          onClick={onToggleDryRunOptions}
+          disabled={!licenseValid}
+          title="Dry run options"
+        >
+          <span className="dashicons dashicons-admin-generic text-sm"></span>
+        </button>
+      </div>
     </>
   );
 };
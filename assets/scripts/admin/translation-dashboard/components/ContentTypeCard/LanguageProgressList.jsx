@@ -1,6 +1,11 @@
 import LanguageProgress from "../LanguageProgress";
 
-const LanguageProgressList = ({ languageStats }) => {
+const LanguageProgressList = ({
+  languageStats,
+  selectedLanguages = null,
+  onToggleLanguage,
+  onOpenLanguage,
+}) => {
   return (
     <div
       className="space-y-3 mb-4 flex-grow overflow-y-auto"
@@ -12,6 +17,10 @@ const LanguageProgressList = ({ languageStats }) => {
           code={languageCode}
           translated={stats.translated}
           total={stats.total}
+          outdated={stats.outdated || 0}
+          selected={selectedLanguages ? selectedLanguages.includes(languageCode) : undefined}
+          onToggle={onToggleLanguage}
+          onOpen={onOpenLanguage}
         />
       ))}
     </div>
@@ -0,0 +1,33 @@
+const PausedState = ({ runId, runProgress, onResumeRun, onCancelRun }) => {
+  let progressLabel = "Paused";
+  if (runProgress && runProgress.total > 0) {
+    progressLabel = `Paused at ${runProgress.completed}/${runProgress.total} (${runProgress.percentage}%)`;
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <button
+          className="flex-1 !px-4 !py-2 !rounded !font-medium button button-primary cursor-pointer"
+          onClick={() => onResumeRun(runId)}
+        >
+          <span className="flex items-center justify-center">
+            <span className="dashicons dashicons-controls-play mr-2"></span>
+            Resume translation
+          </span>
+        </button>
+        <button
+          className="!px-3 !py-2 !rounded button button-link-delete cursor-pointer hover:!bg-red-50"
+          onClick={() => onCancelRun(runId)}
+          title="Cancel translation"
+        >
+          <span className="dashicons dashicons-dismiss"></span>
+        </button>
+      </div>
+
+      <div className="text-xs text-gray-600">{progressLabel}</div>
+    </div>
+  );
+};
+
+export default PausedState;
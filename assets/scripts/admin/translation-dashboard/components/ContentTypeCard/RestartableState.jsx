@@ -1,4 +1,4 @@
-const RestartableState = ({ status, onStartTranslation }) => {
+const RestartableState = ({ status, onStartTranslation, disabled = false }) => {
   const statusConfig = {
     cancelled: {
       icon: "dashicons-controls-repeat",
@@ -16,6 +16,7 @@ const RestartableState = ({ status, onStartTranslation }) => {
     <button
       className="w-full !px-4 !py-2 !rounded !font-medium button button-primary cursor-pointer"
       onClick={() => onStartTranslation({ isDryRun: false })}
+      disabled={disabled}
     >
       <span className="flex items-center justify-center">
         <span className={`dashicons ${config.icon} mr-2`}></span>
@@ -0,0 +1,43 @@
+const RESULT_STATUS_OPTIONS = [
+  { value: "source", label: "Same as source" },
+  { value: "draft", label: "Draft" },
+  { value: "pending", label: "Pending review" },
+  { value: "publish", label: "Published" },
+];
+
+const ResultStatusOptions = ({
+  resultStatus,
+  onResultStatusChange,
+  matchSourceDate,
+  onMatchSourceDateChange,
+}) => {
+  return (
+    <div className="space-y-1 text-sm">
+      <label className="flex items-center justify-between">
+        <span className="text-gray-700">Result status</span>
+        <select
+          className="!text-sm"
+          value={resultStatus}
+          onChange={(event) => onResultStatusChange(event.target.value)}
+        >
+          {RESULT_STATUS_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center text-gray-700">
+        <input
+          type="checkbox"
+          className="!mr-2"
+          checked={matchSourceDate}
+          onChange={(event) => onMatchSourceDateChange(event.target.checked)}
+        />
+        Match the source publish date
+      </label>
+    </div>
+  );
+};
+
+export default ResultStatusOptions;
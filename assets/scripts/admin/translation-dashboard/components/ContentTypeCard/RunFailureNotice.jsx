@@ -0,0 +1,42 @@
+import { useDismissedNotices } from "../../../shared/hooks/useDismissedNotices";
+import { getNoticeKey } from "../../../shared/store";
+
+const RunFailureNotice = ({ runId, status, failedCount }) => {
+  const { dismissed, isHidden, dismissNotice } = useDismissedNotices();
+  const noticeKey = getNoticeKey("run", runId);
+
+  if (isHidden(noticeKey)) {
+    return null;
+  }
+
+  const handleDismiss = () => {
+    dismissNotice("run", runId).catch((error) => {
+      console.error("Failed to dismiss notice:", error);
+    });
+  };
+
+  return (
+    <div className="mb-4 bg-red-50 border border-red-200 text-red-800 p-3 rounded text-sm">
+      <div className="flex items-center justify-between">
+        <span className="flex items-center">
+          <span className="dashicons dashicons-warning mr-2"></span>
+          {status === "failed"
+            ? "The last translation run failed."
+            : `${failedCount} ${failedCount === 1 ? "translation" : "translations"} failed in this run.`}
+        </span>
+        {!dismissed[noticeKey] && (
+          <button
+            type="button"
+            className="bg-transparent border-0 p-0 text-red-800 cursor-pointer"
+            onClick={handleDismiss}
+            aria-label="Dismiss notice"
+          >
+            <span className="dashicons dashicons-dismiss"></span>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RunFailureNotice;
@@ -1,33 +1,87 @@
+import { useState } from "@wordpress/element";
 import IdleState from "./IdleState";
 import ActiveState from "./ActiveState";
+import PausedState from "./PausedState";
 import RestartableState from "./RestartableState";
 import AutoTranslateActive from "./AutoTranslateActive";
 import AllTranslatedMessage from "./AllTranslatedMessage";
+import ResultStatusOptions from "./ResultStatusOptions";
+import DryRunOptions from "./DryRunOptions";
 
 const TranslationActions = ({
+  type,
+  entity,
   hasUntranslatedItems,
   isAutoTranslateEnabled,
+  lastAutoTranslated = null,
   currentStatus,
   activeRunId,
   runProgress,
   onStartTranslation,
+  selectedLanguageCount = null,
   onCancelRun,
-  dryRunItemCount,
+  onPauseRun,
+  onResumeRun,
+  supportsResultStatus = false,
 }) => {
+  const [resultStatus, setResultStatus] = useState("source");
+  const [matchSourceDate, setMatchSourceDate] = useState(false);
+  const [showDryRunOptions, setShowDryRunOptions] = useState(false);
+  const [dryRunSize, setDryRunSize] = useState(3);
+  const [dryRunItems, setDryRunItems] = useState([]);
+
   if (!hasUntranslatedItems) {
     return <AllTranslatedMessage />;
   }
 
   if (isAutoTranslateEnabled) {
-    return <AutoTranslateActive />;
+    return <AutoTranslateActive lastItem={lastAutoTranslated} />;
   }
 
+  const canStart = ["idle", "cancelled", "failed"].includes(currentStatus);
+
+  // Picked items replace the random sample.
+  const dryRunItemCount = dryRunItems.length || dryRunSize;
+
+  // Post status options only apply to post types.
+  const handleStartTranslation = (options) => {
+    const runOptions = options.isDryRun
+      ? { ...options, dryRun: { limit: dryRunItemCount, items: dryRunItems.map((item) => item.id) } }
+      : options;
+
+    return onStartTranslation(
+      supportsResultStatus ? { ...runOptions, resultStatus, matchSourceDate } : runOptions
+    );
+  };
+
   return (
     <div className="space-y-2">
+      {canStart && supportsResultStatus && (
+        <ResultStatusOptions
+          resultStatus={resultStatus}
+          onResultStatusChange={setResultStatus}
+          matchSourceDate={matchSourceDate}
+          onMatchSourceDateChange={setMatchSourceDate}
+        />
+      )}
+
       {currentStatus === "idle" && (
         <IdleState
-          onStartTranslation={onStartTranslation}
+          onStartTranslation={handleStartTranslation}
           dryRunItemCount={dryRunItemCount}
+          selectedLanguageCount={selectedLanguageCount}
+          onToggleDryRunOptions={() => setShowDryRunOptions(!showDryRunOptions)}
+        />
+      )}
+
+      {currentStatus === "idle" && showDryRunOptions && (
+        <DryRunOptions
+          type={type}
+          entity={entity}
+          sampleSize={dryRunSize}
+          onSampleSizeChange={setDryRunSize}
+          items={dryRunItems}
+          onItemsChange={setDryRunItems}
         />
       )}
 
@@ -36,6 +90,16 @@ const TranslationActions = ({
           status={currentStatus}
           runId={activeRunId}
           runProgress={runProgress}
+          onPauseRun={onPauseRun}
+          onCancelRun={onCancelRun}
+        />
+      )}
+
+      {currentStatus === "paused" && (
+        <PausedState
+          runId={activeRunId}
+          runProgress={runProgress}
+          onResumeRun={onResumeRun}
           onCancelRun={onCancelRun}
         />
       )}
@@ -43,7 +107,8 @@ const TranslationActions = ({
       {(currentStatus === "cancelled" || currentStatus === "failed") && (
         <RestartableState
           status={currentStatus}
-          onStartTranslation={onStartTranslation}
+          onStartTranslation={handleStartTranslation}
+          disabled={selectedLanguageCount === 0}
         />
       )}
     </div>
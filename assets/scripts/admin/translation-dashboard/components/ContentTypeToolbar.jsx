@@ -0,0 +1,75 @@
+const SELECT_CLASS_NAME =
+  "border border-gray-200 rounded-md px-3 py-1.5 text-sm bg-gray-50 hover:bg-white focus:outline-none focus:ring-1 focus:ring-gray-300 transition-colors";
+
+const ContentTypeToolbar = ({ filters, onFilterChange, sort, onSortChange, hiddenCount, resultCount }) => {
+  return (
+    <div className="bg-white p-4 rounded-lg border border-gray-200 mb-4">
+      <div className="flex items-center flex-wrap gap-3">
+        <input
+          type="search"
+          className="border border-gray-200 rounded-md px-3 py-1.5 text-sm"
+          placeholder="Search content types..."
+          value={filters.search}
+          onChange={(e) => onFilterChange("search", e.target.value)}
+        />
+
+        <select
+          className={SELECT_CLASS_NAME}
+          value={filters.kind}
+          onChange={(e) => onFilterChange("kind", e.target.value)}
+        >
+          <option value="all">Post types and taxonomies</option>
+          <option value="post">Post types</option>
+          <option value="term">Taxonomies</option>
+        </select>
+
+        <label className="flex items-center space-x-2 text-sm text-gray-600 cursor-pointer">
+          <input
+            type="checkbox"
+            className="!m-0"
+            checked={filters.untranslated}
+            onChange={(e) => onFilterChange("untranslated", e.target.checked)}
+          />
+          <span>Has untranslated items</span>
+        </label>
+
+        <label className="flex items-center space-x-2 text-sm text-gray-600 cursor-pointer">
+          <input
+            type="checkbox"
+            className="!m-0"
+            checked={filters.running}
+            onChange={(e) => onFilterChange("running", e.target.checked)}
+          />
+          <span>Running</span>
+        </label>
+
+        <div className="border-l border-gray-200 h-6"></div>
+
+        <select className={SELECT_CLASS_NAME} value={sort} onChange={(e) => onSortChange(e.target.value)}>
+          <option value="default">Default order</option>
+          <option value="name">Name</option>
+          <option value="completion_asc">Least complete first</option>
+          <option value="completion_desc">Most complete first</option>
+        </select>
+
+        {hiddenCount > 0 && (
+          <label className="flex items-center space-x-2 text-sm text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              className="!m-0"
+              checked={filters.showHidden}
+              onChange={(e) => onFilterChange("showHidden", e.target.checked)}
+            />
+            <span>Show hidden ({hiddenCount})</span>
+          </label>
+        )}
+
+        <span className="text-xs text-gray-500 ml-auto">
+          {resultCount} {resultCount === 1 ? "content type" : "content types"}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ContentTypeToolbar;
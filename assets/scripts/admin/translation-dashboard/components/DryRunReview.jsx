@@ -0,0 +1,142 @@
+import { useState, useEffect } from "@wordpress/element";
+import apiFetch from "@wordpress/api-fetch";
+import { getLanguageData } from "../../shared/utils/languages";
+
+const STATUS_COLORS = {
+  completed: "text-green-600",
+  failed: "text-red-600",
+  cancelled: "text-gray-500",
+};
+
+const DryRunReview = ({ runId, title, onClose, onTranslateAll }) => {
+  const [review, setReview] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setReview(null);
+    setError(null);
+
+    apiFetch({ path: `/pllat/v1/runs/${runId}/review` })
+      .then((response) => setReview(response))
+      .catch((fetchError) => setError(fetchError.message || "Failed to load the dry run results"));
+  }, [runId]);
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center" style={{ zIndex: 100000 }}>
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+
+      <div
+        className="relative bg-white rounded-lg shadow-2xl max-w-4xl w-full mx-4 flex flex-col"
+        style={{ maxHeight: "85vh", border: "1px solid #dcdcde" }}
+      >
+        <div className="flex items-center justify-between p-5 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold !m-0">Dry run results: {title}</h2>
+            {review && (
+              <p className="text-sm text-gray-600 !m-0 !mt-1">
+                {review.items.length} {review.items.length === 1 ? "item" : "items"} ·{" "}
+                {review.tokens.toLocaleString()} tokens used
+              </p>
+            )}
+          </div>
+          <button
+            type="button"
+            className="bg-transparent border-0 cursor-pointer text-gray-600"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            <span className="dashicons dashicons-no-alt"></span>
+          </button>
+        </div>
+
+        <div className="p-5 overflow-y-auto space-y-6">
+          {error && <div className="bg-red-50 border border-red-200 text-red-800 p-3 rounded text-sm">{error}</div>}
+
+          {!review && !error && (
+            <div className="flex justify-center">
+              <span className="spinner is-active" style={{ float: "none", margin: 0 }}></span>
+            </div>
+          )}
+
+          {review?.items.map((item) => (
+            <div key={`${item.type}:${item.id}`} className="space-y-3">
+              <h3 className="text-base font-semibold !m-0 flex items-center justify-between">
+                {item.edit_link ? <a href={item.edit_link}>{item.title}</a> : item.title}
+                <span className="text-xs font-normal text-gray-500">{item.tokens.toLocaleString()} tokens</span>
+              </h3>
+
+              {item.languages.map((language) => {
+                const langData = getLanguageData(language.language);
+
+                return (
+                  <div key={language.job_id} className="border border-gray-200 rounded">
+                    <div className="flex items-center justify-between px-3 py-2 bg-gray-50 text-sm">
+                      <span className="flex items-center space-x-2">
+                        {langData?.flag && <img src={langData.flag} alt="" className="w-4 h-auto" />}
+                        <span className="font-medium">{langData?.name || language.language.toUpperCase()}</span>
+                        <span className={STATUS_COLORS[language.status] || "text-blue-600"}>{language.status}</span>
+                      </span>
+                      <span className="flex items-center space-x-3 text-xs">
+                        {language.translation?.view_link && (
+                          <a href={language.translation.view_link} target="_blank" rel="noopener noreferrer">
+                            View
+                          </a>
+                        )}
+                        {language.translation?.edit_link && <a href={language.translation.edit_link}>Edit</a>}
+                        <span className="text-gray-500">{language.tokens.toLocaleString()} tokens</span>
+                      </span>
+                    </div>
+
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="px-3 py-1 w-1/5">Field</th>
+                          <th className="px-3 py-1 w-2/5">Source</th>
+                          <th className="px-3 py-1 w-2/5">Translation</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {language.fields.map((field) => (
+                          <tr key={field.reference} className="border-t border-gray-100 align-top">
+                            <td className="px-3 py-1 font-mono text-gray-600 break-all">{field.reference}</td>
+                            <td className="px-3 py-1">
+                              <div className="max-h-24 overflow-y-auto whitespace-pre-wrap break-words">{field.value}</div>
+                            </td>
+                            <td className="px-3 py-1">
+                              <div className="max-h-24 overflow-y-auto whitespace-pre-wrap break-words">
+                                {field.translation ?? <span className="text-gray-400">Not translated</span>}
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-2 p-5 border-t border-gray-200">
+          <button type="button" className="button button-secondary" onClick={onClose}>
+            Close
+          </button>
+          <button
+            type="button"
+            className="button button-primary"
+            onClick={() => {
+              onClose();
+              onTranslateAll();
+            }}
+          >
+            Translate all
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DryRunReview;
@@ -0,0 +1,254 @@
+import { useState, useEffect, useCallback } from "@wordpress/element";
+import apiFetch from "@wordpress/api-fetch";
+import { getLanguageData } from "../../shared/utils/languages";
+import { formatDate } from "../../single-translator/utils/languageCardHelpers";
+
+const STATUS_STYLES = {
+  translated: "bg-green-100 text-green-700",
+  untranslated: "bg-gray-100 text-gray-600",
+  pending: "bg-gray-100 text-gray-700",
+  in_progress: "bg-blue-100 text-blue-700",
+  paused: "bg-amber-100 text-amber-700",
+  failed: "bg-red-100 text-red-700",
+  cancelled: "bg-gray-100 text-gray-500",
+  completed: "bg-green-100 text-green-700",
+};
+
+const LanguageItems = ({ type, entity, title, language, onClose }) => {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState("untranslated");
+  const [search, setSearch] = useState("");
+  const [searchInput, setSearchInput] = useState("");
+  const [page, setPage] = useState(1);
+  // Item ID => action running for it
+  const [busy, setBusy] = useState({});
+  const [message, setMessage] = useState(null);
+
+  const langData = getLanguageData(language);
+  const languageName = langData?.name || language.toUpperCase();
+
+  const fetchItems = useCallback(() => {
+    const params = new URLSearchParams({ page, status, search });
+
+    return apiFetch({ path: `/pllat/v1/content-items/${type}/${entity}/${language}?${params}` })
+      .then((response) => {
+        setResult(response);
+        setError(null);
+      })
+      .catch((fetchError) => setError(fetchError.message || "Failed to load the items"));
+  }, [type, entity, language, page, status, search]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  // Search after typing stopped
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setSearch(searchInput);
+      setPage(1);
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  const runAction = async (item, action, request) => {
+    setBusy((current) => ({ ...current, [item.id]: action }));
+    setMessage(null);
+
+    try {
+      const response = await apiFetch(request);
+      setMessage({ type: "success", text: response.message });
+      await fetchItems();
+    } catch (actionError) {
+      setMessage({ type: "error", text: actionError.message || "The action failed" });
+    } finally {
+      setBusy((current) => ({ ...current, [item.id]: null }));
+    }
+  };
+
+  const handleTranslate = (item) =>
+    runAction(item, "translate", {
+      path: `/pllat/v1/single-translator/translate/${item.type}/${item.id}`,
+      method: "POST",
+      data: { target_languages: [language] },
+    });
+
+  const handleToggleExclusion = (item) =>
+    runAction(item, "exclude", {
+      path: `/pllat/v1/single-translator/exclusion/${item.type}/${item.id}`,
+      method: "POST",
+      data: { excluded: !item.excluded },
+    });
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center" style={{ zIndex: 100000 }}>
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+
+      <div
+        className="relative bg-white rounded-lg shadow-2xl max-w-5xl w-full mx-4 flex flex-col"
+        style={{ maxHeight: "85vh", border: "1px solid #dcdcde" }}
+      >
+        <div className="flex items-center justify-between p-5 border-b border-gray-200">
+          <div className="flex items-center space-x-2">
+            {langData?.flag && <img src={langData.flag} alt="" className="w-4 h-auto" />}
+            <h2 className="text-lg font-semibold !m-0">
+              {title}: {languageName}
+            </h2>
+          </div>
+          <button
+            type="button"
+            className="bg-transparent border-0 cursor-pointer text-gray-600"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            <span className="dashicons dashicons-no-alt"></span>
+          </button>
+        </div>
+
+        {/* Controls Bar */}
+        <div className="flex items-center flex-wrap gap-3 px-5 py-3 border-b border-gray-200">
+          <input
+            type="search"
+            className="border border-gray-200 rounded-md px-3 py-1.5 text-sm"
+            placeholder="Search items..."
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+          />
+          <select
+            className="border border-gray-200 rounded-md px-3 py-1.5 text-sm bg-gray-50 hover:bg-white focus:outline-none focus:ring-1 focus:ring-gray-300 transition-colors"
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+          >
+            <option value="untranslated">Missing translation</option>
+            <option value="translated">Translated</option>
+            <option value="all">All items</option>
+          </select>
+          {result && (
+            <span className="text-xs text-gray-500">
+              {result.total} {result.total === 1 ? "item" : "items"}
+            </span>
+          )}
+        </div>
+
+        <div className="p-5 overflow-y-auto space-y-3">
+          {message && (
+            <div
+              className={`p-3 rounded text-sm border ${
+                message.type === "error"
+                  ? "bg-red-50 border-red-200 text-red-800"
+                  : "bg-green-50 border-green-200 text-green-800"
+              }`}
+            >
+              {message.text}
+            </div>
+          )}
+
+          {error && <div className="bg-red-50 border border-red-200 text-red-800 p-3 rounded text-sm">{error}</div>}
+
+          {!result && !error && (
+            <div className="flex justify-center">
+              <span className="spinner is-active" style={{ float: "none", margin: 0 }}></span>
+            </div>
+          )}
+
+          {result && result.items.length === 0 && (
+            <p className="text-sm text-gray-500 text-center !m-0">No items found for the selected filter</p>
+          )}
+
+          {result && result.items.length > 0 && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                  <th className="px-3 py-2 font-medium">Item</th>
+                  <th className="px-3 py-2 font-medium">Status</th>
+                  <th className="px-3 py-2 font-medium">Last processed</th>
+                  <th className="px-3 py-2 font-medium">Errors</th>
+                  <th className="px-3 py-2 font-medium text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {result.items.map((item) => (
+                  <tr key={item.id} className={item.excluded ? "opacity-60" : ""}>
+                    <td className="px-3 py-2">
+                      {item.title}
+                      {item.excluded && (
+                        <span className="ml-2 text-xs px-1.5 py-0.5 bg-gray-100 text-gray-600 rounded">Excluded</span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2">
+                      <span className={`text-xs px-2 py-0.5 rounded ${STATUS_STYLES[item.status] || ""}`}>
+                        {item.status.replace("_", " ")}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-gray-600">{formatDate(item.last_processed) || "—"}</td>
+                    <td className={`px-3 py-2 ${item.errors > 0 ? "text-red-600" : "text-gray-600"}`}>
+                      {item.errors}
+                    </td>
+                    <td className="px-3 py-2">
+                      <div className="flex items-center justify-end gap-2">
+                        <button
+                          type="button"
+                          className="button button-small"
+                          disabled={item.excluded || Boolean(busy[item.id])}
+                          onClick={() => handleTranslate(item)}
+                        >
+                          {busy[item.id] === "translate" ? "Starting..." : "Translate now"}
+                        </button>
+                        <button
+                          type="button"
+                          className="button button-small"
+                          disabled={Boolean(busy[item.id])}
+                          onClick={() => handleToggleExclusion(item)}
+                        >
+                          {item.excluded ? "Include" : "Exclude"}
+                        </button>
+                        {item.edit_link && (
+                          <a className="button button-small" href={item.edit_link} target="_blank" rel="noopener noreferrer">
+                            Open editor
+                          </a>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Pagination */}
+        {result && result.pages > 1 && (
+          <div className="flex items-center justify-end space-x-2 px-5 py-3 border-t border-gray-200">
+            <button
+              type="button"
+              className="button button-small"
+              disabled={page <= 1}
+              onClick={() => setPage(page - 1)}
+            >
+              Previous
+            </button>
+            <span className="text-xs text-gray-500">
+              Page {page} of {result.pages}
+            </span>
+            <button
+              type="button"
+              className="button button-small"
+              disabled={page >= result.pages}
+              onClick={() => setPage(page + 1)}
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LanguageItems;
@@ -1,6 +1,6 @@
 import { getLanguageData } from "../../shared/utils/languages";
 
-const LanguageProgress = ({ code, translated, total }) => {
+const LanguageProgress = ({ code, translated, total, outdated = 0, selected, onToggle, onOpen }) => {
   const progress = total > 0 ? Math.round((translated / total) * 100) : 0;
   const remaining = total - translated;
   const isComplete = translated === total;
@@ -11,18 +11,51 @@ const LanguageProgress = ({ code, translated, total }) => {
   const flagUrl = langData?.flag;
 
   return (
-    <div className="space-y-2">
+    <div
+      className={`space-y-2 ${onOpen ? "cursor-pointer rounded hover:bg-gray-50" : ""}`}
+      role={onOpen ? "button" : undefined}
+      tabIndex={onOpen ? 0 : undefined}
+      title={onOpen ? `Show the ${label} state of every item` : undefined}
+      onClick={onOpen ? () => onOpen(code) : undefined}
+      onKeyDown={
+        onOpen
+          ? (event) => {
+              if (event.key === "Enter" || event.key === " ") {
+                event.preventDefault();
+                onOpen(code);
+              }
+            }
+          : undefined
+      }
+    >
       <div className="flex items-center justify-between text-sm">
         <div className="flex items-center space-x-2">
+          {/* Target language picker, only shown before starting a run */}
+          {selected !== undefined && (
+            <input
+              type="checkbox"
+              className="!m-0"
+              checked={selected}
+              onClick={(event) => event.stopPropagation()}
+              onChange={(event) => onToggle(code, event.target.checked)}
+              title="Include in the next translation run"
+            />
+          )}
           {flagUrl && <img src={flagUrl} alt={label} className="w-4 h-auto" />}
           <span className="font-medium">{label}</span>
         </div>
-        <span
-          className={`text-xs ${
-            isComplete ? "text-green-600" : "text-gray-500"
-          }`}
-        >
-          {translated}/{total}
+        <span className="flex items-center space-x-2 text-xs">
+          {outdated > 0 && (
+            <span
+              className="text-amber-600"
+              title="Translations whose source changed after translating"
+            >
+              {outdated} outdated
+            </span>
+          )}
+          <span className={isComplete ? "text-green-600" : "text-gray-500"}>
+            {translated}/{total}
+          </span>
         </span>
       </div>
 
@@ -0,0 +1,195 @@
+import { useState, useEffect } from "@wordpress/element";
+import { useTranslationStore } from "../../shared/store";
+import { getLanguageData } from "../../shared/utils/languages";
+import { formatDate } from "../../single-translator/utils/languageCardHelpers";
+import { RUN_STATUS_STYLES, formatDuration, getRunContentTypes } from "../utils/runs";
+
+const JOB_STATUS_COLORS = {
+  completed: "text-green-600",
+  failed: "text-red-600",
+  in_progress: "text-blue-600",
+  paused: "text-amber-600",
+  pending: "text-gray-500",
+  cancelled: "text-gray-500",
+};
+
+const RunDetails = ({ runId, contentTypes, onBack }) => {
+  const [error, setError] = useState(null);
+  const [jobFilter, setJobFilter] = useState("all");
+
+  const run = useTranslationStore((state) => state.runHistory.details[runId]);
+  const fetchRunDetails = useTranslationStore((state) => state.fetchRunDetails);
+
+  useEffect(() => {
+    setError(null);
+    fetchRunDetails(runId).catch((fetchError) => {
+      setError(fetchError.message || "Failed to load the run");
+    });
+  }, [fetchRunDetails, runId]);
+
+  const jobs = run ? run.jobs.filter((job) => jobFilter === "all" || job.status === jobFilter) : [];
+
+  return (
+    <div className="run-details">
+      <button
+        className="mb-4 inline-flex items-center text-sm text-gray-600 hover:text-gray-900 transition-colors bg-transparent border-0 cursor-pointer p-0"
+        onClick={onBack}
+      >
+        <span className="dashicons dashicons-arrow-left-alt2 mr-1"></span>
+        Back to runs
+      </button>
+
+      {error && <div className="bg-red-50 border border-red-200 text-red-800 p-3 rounded text-sm">{error}</div>}
+
+      {!run && !error && (
+        <div className="p-12 text-center">
+          <div className="text-gray-400 mb-2">
+            <span className="dashicons dashicons-update animate-spin text-2xl"></span>
+          </div>
+          <p className="text-sm text-gray-500">Loading run...</p>
+        </div>
+      )}
+
+      {run && (
+        <>
+          {/* Summary */}
+          <div className="bg-white p-4 rounded-lg border border-gray-200 mb-4">
+            <div className="flex items-center space-x-2 mb-3">
+              <h3 className="text-base font-semibold !m-0">Run #{run.id}</h3>
+              <span className={`text-xs px-2 py-0.5 rounded capitalize ${RUN_STATUS_STYLES[run.status] || ""}`}>
+                {run.status}
+              </span>
+              {run.dry_run && (
+                <span className="text-xs px-1.5 py-0.5 bg-purple-50 text-purple-600 rounded">Dry run</span>
+              )}
+            </div>
+            <dl className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm !m-0">
+              <div>
+                <dt className="text-xs text-gray-500">Content</dt>
+                <dd className="!m-0 text-gray-700">{getRunContentTypes(run, contentTypes)}</dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500">Languages</dt>
+                <dd className="!m-0 text-gray-700">
+                  {run.langs_to.map((lang) => getLanguageData(lang)?.name || lang).join(", ")}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500">Started by</dt>
+                <dd className="!m-0 text-gray-700">{run.requested_by_name || "System"}</dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500">Jobs</dt>
+                <dd className="!m-0 text-gray-700">
+                  {run.stats.completed} completed, {run.stats.failed} failed of {run.stats.total}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500">Started</dt>
+                <dd className="!m-0 text-gray-700">{formatDate(run.started_at) || "—"}</dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500">Ended</dt>
+                <dd className="!m-0 text-gray-700">{formatDate(run.ended_at) || "—"}</dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500">Duration</dt>
+                <dd className="!m-0 text-gray-700">{formatDuration(run.duration)}</dd>
+              </div>
+            </dl>
+          </div>
+
+          {/* Failures */}
+          {run.failures.length > 0 && (
+            <div className="bg-white rounded-lg border border-gray-200 mb-4">
+              <div className="px-4 py-3 border-b border-gray-200 text-sm font-medium text-red-700">
+                Failures ({run.failures.length})
+              </div>
+              <div className="divide-y divide-gray-200">
+                {run.failures.map((failure, index) => (
+                  <div key={`${failure.job_id}-${index}`} className="px-4 py-3 border-l-2 border-l-red-500">
+                    <div className="flex items-center space-x-2 mb-1">
+                      <span className="text-sm text-gray-700">{failure.item.title}</span>
+                      <span className="text-xs px-1.5 py-0.5 bg-blue-50 text-blue-600 rounded">
+                        {failure.language}
+                      </span>
+                      <span className="text-xs px-1.5 py-0.5 bg-gray-100 text-gray-600 rounded">
+                        {failure.reference}
+                      </span>
+                      <span className="text-xs text-gray-400">
+                        {failure.attempts} {failure.attempts === 1 ? "attempt" : "attempts"}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-600 m-0">{failure.issue || "No error message recorded"}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Jobs */}
+          <div className="bg-white rounded-lg border border-gray-200">
+            <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-700">Jobs ({run.jobs.length})</span>
+              <select
+                className="border border-gray-200 rounded-md px-3 py-1 text-sm bg-gray-50 hover:bg-white focus:outline-none focus:ring-1 focus:ring-gray-300 transition-colors"
+                value={jobFilter}
+                onChange={(e) => setJobFilter(e.target.value)}
+              >
+                <option value="all">All Jobs</option>
+                <option value="completed">Completed</option>
+                <option value="failed">Failed</option>
+                <option value="in_progress">In progress</option>
+                <option value="paused">Paused</option>
+                <option value="pending">Pending</option>
+                <option value="cancelled">Cancelled</option>
+              </select>
+            </div>
+            <div className="overflow-y-auto" style={{ maxHeight: "500px" }}>
+              {jobs.length > 0 ? (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                      <th className="px-4 py-2 font-medium">Item</th>
+                      <th className="px-4 py-2 font-medium">Type</th>
+                      <th className="px-4 py-2 font-medium">Language</th>
+                      <th className="px-4 py-2 font-medium">Status</th>
+                      <th className="px-4 py-2 font-medium">Completed</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {jobs.map((job) => (
+                      <tr key={job.id}>
+                        <td className="px-4 py-2">
+                          {job.item.edit_link ? (
+                            <a href={job.item.edit_link} target="_blank" rel="noopener noreferrer">
+                              {job.item.title}
+                            </a>
+                          ) : (
+                            job.item.title
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-gray-600">
+                          {contentTypes[job.content_type]?.label || job.content_type}
+                        </td>
+                        <td className="px-4 py-2 text-gray-600">{job.language}</td>
+                        <td className={`px-4 py-2 capitalize ${JOB_STATUS_COLORS[job.status] || ""}`}>
+                          {job.status.replace("_", " ")}
+                        </td>
+                        <td className="px-4 py-2 text-gray-600">{formatDate(job.completed_at) || "—"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="p-6 text-center text-sm text-gray-500 !m-0">No jobs found for the selected filter</p>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RunDetails;
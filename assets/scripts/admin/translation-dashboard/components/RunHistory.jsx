@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback } from "@wordpress/element";
+import { useTranslationStore, getRunHistoryKey } from "../../shared/store";
+import { usePolling } from "../../shared/hooks/usePolling";
+import { getLanguageData } from "../../shared/utils/languages";
+import { formatDate } from "../../single-translator/utils/languageCardHelpers";
+import { RUN_STATUS_STYLES, formatDuration, getRunContentTypes } from "../utils/runs";
+import RunDetails from "./RunDetails";
+
+const RunHistory = ({ contentTypes }) => {
+  const [page, setPage] = useState(1);
+  const [status, setStatus] = useState("all");
+  const [selectedRunId, setSelectedRunId] = useState(null);
+
+  const runs = useTranslationStore((state) => state.runHistory.entries);
+  const total = useTranslationStore((state) => state.runHistory.total);
+  const pages = useTranslationStore((state) => state.runHistory.pages);
+  const fetchRunPage = useTranslationStore((state) => state.fetchRunHistory);
+
+  // Loading until the selected page and filter have been fetched once
+  const isLoading = useTranslationStore(
+    (state) => !state.requests[getRunHistoryKey(page, status)]?.fetchedAt
+  );
+
+  const fetchRuns = useCallback(() => {
+    fetchRunPage(page, status).catch((error) => {
+      console.error("Error fetching runs:", error);
+    });
+  }, [fetchRunPage, page, status]);
+
+  useEffect(() => {
+    fetchRuns();
+  }, [fetchRuns]);
+
+  // Keep the statuses of active runs up to date while the list is shown
+  usePolling(selectedRunId === null, fetchRuns, 10000);
+
+  const handleStatusChange = (newStatus) => {
+    setStatus(newStatus);
+    setPage(1);
+  };
+
+  if (selectedRunId !== null) {
+    return (
+      <RunDetails
+        runId={selectedRunId}
+        contentTypes={contentTypes}
+        onBack={() => setSelectedRunId(null)}
+      />
+    );
+  }
+
+  return (
+    <div className="run-history">
+      {/* Controls Bar */}
+      <div className="bg-white p-4 rounded-lg border border-gray-200 mb-4">
+        <div className="flex items-center space-x-3">
+          <select
+            className="border border-gray-200 rounded-md px-3 py-1.5 text-sm bg-gray-50 hover:bg-white focus:outline-none focus:ring-1 focus:ring-gray-300 transition-colors"
+            value={status}
+            onChange={(e) => handleStatusChange(e.target.value)}
+          >
+            <option value="all">All Statuses</option>
+            <option value="completed">Completed</option>
+            <option value="cancelled">Cancelled</option>
+            <option value="failed">Failed</option>
+            <option value="running">Running</option>
+            <option value="paused">Paused</option>
+            <option value="pending">Pending</option>
+          </select>
+
+          <span className="text-xs text-gray-500">
+            {total} {total === 1 ? "run" : "runs"}
+          </span>
+        </div>
+      </div>
+
+      {/* Run List */}
+      <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+        {isLoading ? (
+          <div className="p-12 text-center">
+            <div className="text-gray-400 mb-2">
+              <span className="dashicons dashicons-update animate-spin text-2xl"></span>
+            </div>
+            <p className="text-sm text-gray-500">Loading runs...</p>
+          </div>
+        ) : runs.length > 0 ? (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                <th className="px-4 py-2 font-medium">Run</th>
+                <th className="px-4 py-2 font-medium">Content</th>
+                <th className="px-4 py-2 font-medium">Languages</th>
+                <th className="px-4 py-2 font-medium">Status</th>
+                <th className="px-4 py-2 font-medium">Started</th>
+                <th className="px-4 py-2 font-medium">Ended</th>
+                <th className="px-4 py-2 font-medium">Duration</th>
+                <th className="px-4 py-2 font-medium">Completed / Failed</th>
+                <th className="px-4 py-2 font-medium">Started by</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {runs.map((run) => (
+                <tr
+                  key={run.id}
+                  className="hover:bg-gray-50 cursor-pointer transition-colors"
+                  onClick={() => setSelectedRunId(run.id)}
+                >
+                  <td className="px-4 py-3 text-gray-700">
+                    #{run.id}
+                    {run.dry_run && (
+                      <span className="ml-2 text-xs px-1.5 py-0.5 bg-purple-50 text-purple-600 rounded">
+                        Dry run
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">{getRunContentTypes(run, contentTypes)}</td>
+                  <td className="px-4 py-3">
+                    <div className="flex flex-wrap gap-1">
+                      {run.langs_to.map((lang) => (
+                        <span
+                          key={lang}
+                          className="text-xs px-1.5 py-0.5 bg-blue-50 text-blue-600 rounded"
+                          title={getLanguageData(lang)?.name || lang}
+                        >
+                          {lang}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`text-xs px-2 py-0.5 rounded capitalize ${RUN_STATUS_STYLES[run.status] || ""}`}>
+                      {run.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{formatDate(run.started_at) || "—"}</td>
+                  <td className="px-4 py-3 text-gray-600">{formatDate(run.ended_at) || "—"}</td>
+                  <td className="px-4 py-3 text-gray-600">{formatDuration(run.duration)}</td>
+                  <td className="px-4 py-3">
+                    <span className="text-green-600">{run.stats.completed}</span>
+                    <span className="text-gray-400"> / </span>
+                    <span className={run.stats.failed > 0 ? "text-red-600" : "text-gray-600"}>
+                      {run.stats.failed}
+                    </span>
+                    <span className="text-xs text-gray-400"> of {run.stats.total}</span>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{run.requested_by_name || "System"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="p-12 text-center">
+            <div className="text-gray-400 mb-2">
+              <span className="dashicons dashicons-backup text-2xl"></span>
+            </div>
+            <p className="text-sm text-gray-500">No runs found for the selected filter</p>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {pages > 1 && (
+        <div className="mt-3 flex items-center justify-end space-x-2 text-sm">
+          <button
+            className="text-xs px-2 py-1 border border-gray-200 rounded hover:bg-gray-50 transition-colors disabled:opacity-50"
+            disabled={page <= 1}
+            onClick={() => setPage(page - 1)}
+          >
+            Previous
+          </button>
+          <span className="text-xs text-gray-500">
+            Page {page} of {pages}
+          </span>
+          <button
+            className="text-xs px-2 py-1 border border-gray-200 rounded hover:bg-gray-50 transition-colors disabled:opacity-50"
+            disabled={page >= pages}
+            onClick={() => setPage(page + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunHistory;
@@ -1,6 +1,7 @@
 const TabNavigation = ({ activeTab, onTabChange }) => {
   const tabs = [
     { id: "overview", label: "Overview", icon: "dashicons-admin-site-alt3" },
+    { id: "runs", label: "Runs", icon: "dashicons-backup" },
     { id: "logs", label: "Translation Logs", icon: "dashicons-list-view" },
   ];
 
@@ -1,20 +1,49 @@
 import { useState } from "@wordpress/element";
 import { useDashboardPolling } from "../hooks/useDashboardPolling";
 import { useDashboardActions } from "../hooks/useDashboardActions";
+import { useAutoTranslate } from "../hooks/useAutoTranslate";
+import { useContentTypeGrid } from "../hooks/useContentTypeGrid";
+import { useRetryCountdown } from "../../shared/hooks/useRetryCountdown";
+import { useDismissedNotices } from "../../shared/hooks/useDismissedNotices";
+import { getNoticeKey } from "../../shared/store";
 import TabNavigation from "./TabNavigation";
 import ContentTypeCard from "./ContentTypeCard";
+import ContentTypeToolbar from "./ContentTypeToolbar";
 import TranslationLogs from "./TranslationLogs";
+import RunHistory from "./RunHistory";
 import DashboardHeader from "./DashboardHeader";
 import { DiscoveryOverlay } from "./DiscoveryOverlay";
+import DryRunReview from "./DryRunReview";
+import LanguageItems from "./LanguageItems";
 
 const TranslationDashboard = () => {
-  const { data, isFetching, isPolling, refetch } = useDashboardPolling();
-  const { startContentTranslation, cancelRun, isProcessing } = useDashboardActions(refetch);
-  const [autoTranslate, setAutoTranslate] = useState(false);
+  const { data, isFetching, isPolling, retryAt, refetch } = useDashboardPolling();
+  const retryIn = useRetryCountdown(retryAt);
+  const { dismissed, showDismissed, setShowDismissed } = useDismissedNotices();
+  const dismissedCount = Object.values(data.contentTypes).filter(
+    (contentType) => contentType.runId && dismissed[getNoticeKey("run", contentType.runId)]
+  ).length;
+  const { startContentTranslation, cancelRun, pauseRun, resumeRun, isProcessing } =
+    useDashboardActions(refetch);
+  const autoTranslate = useAutoTranslate();
+  const grid = useContentTypeGrid(data.contentTypes);
   const [activeTab, setActiveTab] = useState("overview");
+  // Content type slug => ID of its last dry run
+  const [dryRuns, setDryRuns] = useState({});
+  const [reviewSlug, setReviewSlug] = useState(null);
+  // Content type slug and language of the opened item list
+  const [drillDown, setDrillDown] = useState(null);
 
-  const handleAutoTranslateToggle = (enabled) => {
-    setAutoTranslate(enabled);
+  const handleStartTranslation = async (slug, contentType, options) => {
+    const { isDryRun, ...runOptions } = options;
+    const result = await startContentTranslation(slug, contentType, isDryRun, runOptions);
+
+    // A full run makes the dry run results obsolete
+    if (result.success) {
+      setDryRuns((previous) => ({ ...previous, [slug]: isDryRun ? result.runId : null }));
+    }
+
+    return result;
   };
 
   return (
@@ -26,36 +55,116 @@ const TranslationDashboard = () => {
       <div className={`translation-dashboard ${data?.discovery?.needed ? 'blur-sm pointer-events-none' : ''}`}>
         <DashboardHeader
           data={data}
-          autoTranslate={autoTranslate}
-          autoTranslateToggleHandler={handleAutoTranslateToggle}
+          autoTranslate={autoTranslate.enabled}
+          autoTranslateToggleHandler={autoTranslate.setEnabled}
         />
 
+        {retryIn !== null && (
+          <div className="mb-6 bg-yellow-50 border border-yellow-200 text-yellow-800 p-4 rounded-lg">
+            <div className="flex items-center">
+              <span className="dashicons dashicons-warning mr-2"></span>
+              <span>
+                {retryIn > 0
+                  ? `Connection lost, retrying in ${retryIn}s...`
+                  : "Connection lost, retrying..."}
+              </span>
+            </div>
+          </div>
+        )}
+
         <TabNavigation activeTab={activeTab} onTabChange={setActiveTab} />
 
+        {activeTab === "overview" && dismissedCount > 0 && (
+          <label className="flex items-center justify-end mb-4 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              className="!mr-2"
+              checked={showDismissed}
+              onChange={(event) => setShowDismissed(event.target.checked)}
+            />
+            Show dismissed notices ({dismissedCount})
+          </label>
+        )}
+
+        {activeTab === "overview" && (
+          <ContentTypeToolbar
+            filters={grid.filters}
+            onFilterChange={grid.setFilter}
+            sort={grid.sort}
+            onSortChange={grid.setSort}
+            hiddenCount={grid.hiddenCount}
+            resultCount={grid.entries.length}
+          />
+        )}
+
         {activeTab === "overview" ? (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 2xl:grid-cols-4 gap-6">
-            {Object.entries(data.contentTypes).map(([key, contentType]) => (
-              <ContentTypeCard
-                key={key}
-                title={contentType.label}
-                icon={contentType.icon}
-                languageStats={contentType.languages}
-                onStartTranslation={({ isDryRun }) =>
-                  startContentTranslation(key, contentType, isDryRun)
-                }
-                onCancelRun={() => cancelRun(contentType.type, key)}
-                currentStatus={contentType.translationState}
-                activeRunId={contentType.runId}
-                runProgress={contentType.runProgress}
-                isAutoTranslateEnabled={autoTranslate}
-              />
-            ))}
-          </div>
+          grid.entries.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center">No content types match the selected filters</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 2xl:grid-cols-4 gap-6">
+              {grid.entries.map(([key, contentType]) => {
+                const autoTranslateScope = autoTranslate.getScope(contentType.type, key);
+
+                return (
+                  <ContentTypeCard
+                    key={key}
+                    title={contentType.label}
+                    icon={contentType.icon}
+                    languageStats={contentType.languages}
+                    type={contentType.type}
+                    entity={key}
+                    onStartTranslation={(options) => handleStartTranslation(key, contentType, options)}
+                    dryRunId={dryRuns[key] ?? null}
+                    onReviewDryRun={() => setReviewSlug(key)}
+                    onOpenLanguage={(language) => setDrillDown({ slug: key, language })}
+                    isHidden={grid.isHidden(key)}
+                    onToggleHidden={() => grid.toggleHidden(key)}
+                    onCancelRun={() => cancelRun(contentType.type, key)}
+                    onPauseRun={() => pauseRun(contentType.runId)}
+                    onResumeRun={() => resumeRun(contentType.runId)}
+                    currentStatus={contentType.translationState}
+                    activeRunId={contentType.runId}
+                    runProgress={contentType.runProgress}
+                    isAutoTranslateEnabled={autoTranslate.enabled && autoTranslateScope.enabled}
+                    autoTranslateScope={autoTranslate.enabled ? autoTranslateScope : null}
+                    onAutoTranslateScopeChange={(scope) =>
+                      autoTranslate.setScope(contentType.type, key, scope)
+                    }
+                    lastAutoTranslated={autoTranslate.getLastItem(contentType.type, key)}
+                    supportsResultStatus={contentType.type === "post"}
+                  />
+                );
+              })}
+            </div>
+          )
+        ) : activeTab === "runs" ? (
+          <RunHistory contentTypes={data.contentTypes} />
         ) : (
           <TranslationLogs />
         )}
 
-        {autoTranslate && (
+        {drillDown && data.contentTypes[drillDown.slug] && (
+          <LanguageItems
+            type={data.contentTypes[drillDown.slug].type}
+            entity={drillDown.slug}
+            title={data.contentTypes[drillDown.slug].label}
+            language={drillDown.language}
+            onClose={() => setDrillDown(null)}
+          />
+        )}
+
+        {reviewSlug && dryRuns[reviewSlug] && (
+          <DryRunReview
+            runId={dryRuns[reviewSlug]}
+            title={data.contentTypes[reviewSlug]?.label}
+            onClose={() => setReviewSlug(null)}
+            onTranslateAll={() =>
+              handleStartTranslation(reviewSlug, data.contentTypes[reviewSlug], { isDryRun: false })
+            }
+          />
+        )}
+
+        {autoTranslate.enabled && (
           <div className="mt-6 bg-blue-50 border border-blue-200 text-blue-800 p-4 rounded-lg">
             <div className="flex items-center">
               <span className="dashicons dashicons-update-alt mr-2 animate-spin"></span>
@@ -1,66 +1,57 @@
-import { useState, useEffect } from "@wordpress/element";
+import { useState, useEffect, useCallback } from "@wordpress/element";
 import apiFetch from "@wordpress/api-fetch";
+import { useTranslationStore, getLogsKey } from "../../shared/store";
+import { usePolling } from "../../shared/hooks/usePolling";
 
 const TranslationLogs = () => {
-  const [logs, setLogs] = useState([]);
   const [filter, setFilter] = useState("all");
-  const [isLoading, setIsLoading] = useState(true);
   const [selectedDate, setSelectedDate] = useState(() => {
     const now = new Date();
     return now.toISOString().split('T')[0]; // YYYY-MM-DD format
   });
-  const [availableDates, setAvailableDates] = useState([]);
   const [isPolling, setIsPolling] = useState(true);
 
+  const logs = useTranslationStore((state) => state.logs.entries);
+  const availableDates = useTranslationStore((state) => state.logs.dates);
+  const fetchLogEntries = useTranslationStore((state) => state.fetchLogs);
+  const fetchLogDates = useTranslationStore((state) => state.fetchLogDates);
+
+  // Loading until the selected date and filter have been fetched once
+  const isLoading = useTranslationStore(
+    (state) => !state.requests[getLogsKey(selectedDate, filter)]?.fetchedAt
+  );
+
   // Fetch available log dates
-  const fetchAvailableDates = async () => {
-    try {
-      const response = await apiFetch({
-        path: '/pllat/v1/logs/dates',
-      });
-      setAvailableDates(response.dates || []);
-    } catch (error) {
+  const fetchAvailableDates = useCallback(() => {
+    fetchLogDates().catch((error) => {
       console.error("Error fetching available dates:", error);
-    }
-  };
+    });
+  }, [fetchLogDates]);
 
   // Fetch logs from API for selected date
-  const fetchLogs = async (date = selectedDate, currentFilter = filter) => {
-    try {
-      const response = await apiFetch({
-        path: `/pllat/v1/logs?date=${date}&type=${currentFilter}`,
-      });
-
-      setLogs(response.logs || []);
-      setIsLoading(false);
-    } catch (error) {
+  const fetchLogs = useCallback(() => {
+    fetchLogEntries(selectedDate, filter).catch((error) => {
       console.error("Error fetching logs:", error);
-      setIsLoading(false);
-    }
-  };
+    });
+  }, [fetchLogEntries, selectedDate, filter]);
 
-  // Initial load - fetch available dates and logs
+  // Initial load - fetch available dates
   useEffect(() => {
     fetchAvailableDates();
-    fetchLogs(selectedDate, filter);
-  }, []);
+  }, [fetchAvailableDates]);
 
-  // Refetch logs when date or filter changes
+  // Fetch logs on load and when date or filter changes
   useEffect(() => {
-    fetchLogs(selectedDate, filter);
-  }, [selectedDate, filter]);
+    fetchLogs();
+  }, [fetchLogs]);
 
   // Polling: Refresh logs every 5 seconds
-  useEffect(() => {
-    if (!isPolling) return;
-
-    const interval = setInterval(() => {
-      fetchLogs(selectedDate, filter);
-      fetchAvailableDates(); // Refresh available dates (new day might have appeared)
-    }, 5000);
+  const pollLogs = useCallback(() => {
+    fetchLogs();
+    fetchAvailableDates(); // Refresh available dates (new day might have appeared)
+  }, [fetchLogs, fetchAvailableDates]);
 
-    return () => clearInterval(interval);
-  }, [isPolling, selectedDate, filter]);
+  usePolling(isPolling, pollLogs, 5000);
 
   // Handle filter change
   const handleFilterChange = (newFilter) => {
@@ -70,7 +61,6 @@ const TranslationLogs = () => {
   // Handle date change
   const handleDateChange = (newDate) => {
     setSelectedDate(newDate);
-    setIsLoading(true);
   };
 
   // Quick date shortcuts
@@ -121,7 +111,7 @@ const TranslationLogs = () => {
       if (response.success) {
         alert(response.message);
         fetchAvailableDates(); // Refresh available dates
-        fetchLogs(selectedDate, filter); // Refresh current view
+        fetchLogs(); // Refresh current view
       }
     } catch (error) {
       alert("Error clearing logs: " + error.message);
@@ -0,0 +1,85 @@
+import { useCallback, useEffect } from "@wordpress/element";
+import { useTranslationStore, translationStore } from "../../shared/store";
+
+// Content types without a saved scope are translated into all languages
+const DEFAULT_SCOPE = { enabled: true, languages: null };
+
+/**
+ * Auto-translate hook
+ *
+ * Loads the auto-translate settings once per page.
+ *
+ * @returns {Object} - { enabled, setEnabled, getScope, setScope, getLastItem }
+ */
+export const useAutoTranslate = () => {
+  const autoTranslate = useTranslationStore((state) => state.autoTranslate);
+  const fetchAutoTranslate = useTranslationStore((state) => state.fetchAutoTranslate);
+  const setAutoTranslateEnabled = useTranslationStore((state) => state.setAutoTranslateEnabled);
+  const setAutoTranslateScope = useTranslationStore((state) => state.setAutoTranslateScope);
+
+  useEffect(() => {
+    if (translationStore.getState().requests.autoTranslate) {
+      return;
+    }
+
+    fetchAutoTranslate().catch((error) => {
+      console.error("Failed to fetch auto-translate settings:", error);
+    });
+  }, [fetchAutoTranslate]);
+
+  /**
+   * Enable or disable auto-translate
+   *
+   * @param {boolean} enabled - Whether auto-translate is enabled
+   * @returns {Promise<void>}
+   */
+  const setEnabled = useCallback(
+    (enabled) =>
+      setAutoTranslateEnabled(enabled).catch((error) => {
+        alert(`Failed to save auto-translate: ${error.message || "Unknown error occurred"}`);
+      }),
+    [setAutoTranslateEnabled]
+  );
+
+  /**
+   * Get the auto-translate scope of a content type
+   *
+   * @param {string} type - Content type ('post' or 'term')
+   * @param {string} entity - Post type or taxonomy name
+   * @returns {Object} - { enabled, languages }
+   */
+  const getScope = useCallback(
+    (type, entity) => autoTranslate.scopes[type]?.[entity] ?? DEFAULT_SCOPE,
+    [autoTranslate.scopes]
+  );
+
+  /**
+   * Set the auto-translate scope of a content type
+   *
+   * @param {string} type - Content type ('post' or 'term')
+   * @param {string} entity - Post type or taxonomy name
+   * @param {Object} scope - { enabled, languages }
+   * @returns {Promise<void>}
+   */
+  const setScope = useCallback(
+    (type, entity, scope) =>
+      setAutoTranslateScope(type, entity, scope).catch((error) => {
+        alert(`Failed to save auto-translate scope: ${error.message || "Unknown error occurred"}`);
+      }),
+    [setAutoTranslateScope]
+  );
+
+  /**
+   * Get the item a content type auto-translated last
+   *
+   * @param {string} type - Content type ('post' or 'term')
+   * @param {string} entity - Post type or taxonomy name
+   * @returns {Object|null} - { id, title, edit_link, run_id, translated_at }
+   */
+  const getLastItem = useCallback(
+    (type, entity) => autoTranslate.lastItems[type]?.[entity] ?? null,
+    [autoTranslate.lastItems]
+  );
+
+  return { enabled: autoTranslate.enabled, setEnabled, getScope, setScope, getLastItem };
+};
@@ -0,0 +1,152 @@
+import { useCallback, useEffect, useMemo, useState } from "@wordpress/element";
+import { useTranslationStore, translationStore } from "../../shared/store";
+
+// Translation states of a content type with an unfinished run
+const RUNNING_STATES = ["pending", "translating", "paused"];
+
+/**
+ * Get the completion of a content type over all languages
+ *
+ * @param {Object} contentType - Dashboard content type
+ * @returns {number} - Completion between 0 and 1
+ */
+const getCompletion = (contentType) => {
+  const stats = Object.values(contentType.languages || {});
+  const translated = stats.reduce((sum, lang) => sum + lang.translated, 0);
+  const total = stats.reduce((sum, lang) => sum + lang.total, 0);
+
+  return total > 0 ? translated / total : 1;
+};
+
+const SORTERS = {
+  name: ([, a], [, b]) => a.label.localeCompare(b.label),
+  completion_asc: ([, a], [, b]) => getCompletion(a) - getCompletion(b),
+  completion_desc: ([, a], [, b]) => getCompletion(b) - getCompletion(a),
+};
+
+/**
+ * Content type grid hook
+ *
+ * Searches, filters and sorts the dashboard content types. The hidden
+ * content types and the sort order are saved for the current user and
+ * loaded once per page, the other filters only last for the page view.
+ *
+ * @param {Object} contentTypes - Dashboard content types by slug
+ * @returns {Object} - { entries, filters, setFilter, sort, setSort, isHidden, toggleHidden, hiddenCount }
+ */
+export const useContentTypeGrid = (contentTypes) => {
+  const preferences = useTranslationStore((state) => state.dashboardPreferences);
+  const fetchDashboardPreferences = useTranslationStore((state) => state.fetchDashboardPreferences);
+  const updateDashboardPreferences = useTranslationStore((state) => state.updateDashboardPreferences);
+
+  const [filters, setFilters] = useState({
+    search: "",
+    kind: "all",
+    untranslated: false,
+    running: false,
+    showHidden: false,
+  });
+
+  useEffect(() => {
+    if (translationStore.getState().requests.dashboardPreferences) {
+      return;
+    }
+
+    fetchDashboardPreferences().catch((error) => {
+      console.error("Failed to fetch dashboard preferences:", error);
+    });
+  }, [fetchDashboardPreferences]);
+
+  /**
+   * Change a filter
+   *
+   * @param {string} name - Filter name (search, kind, untranslated, running or showHidden)
+   * @param {*} value - Filter value
+   */
+  const setFilter = useCallback(
+    (name, value) => setFilters((current) => ({ ...current, [name]: value })),
+    []
+  );
+
+  /**
+   * Save a changed preference
+   *
+   * @param {Object} changes - { hidden, sort }
+   * @returns {Promise<void>}
+   */
+  const savePreferences = useCallback(
+    (changes) =>
+      updateDashboardPreferences(changes).catch((error) => {
+        alert(`Failed to save dashboard preferences: ${error.message || "Unknown error occurred"}`);
+      }),
+    [updateDashboardPreferences]
+  );
+
+  const setSort = useCallback((sort) => savePreferences({ sort }), [savePreferences]);
+
+  /**
+   * Check if a content type is hidden
+   *
+   * @param {string} slug - Content type slug
+   * @returns {boolean} - Whether the content type is hidden
+   */
+  const isHidden = useCallback((slug) => preferences.hidden.includes(slug), [preferences.hidden]);
+
+  /**
+   * Hide a content type, or show it again
+   *
+   * @param {string} slug - Content type slug
+   * @returns {Promise<void>}
+   */
+  const toggleHidden = useCallback(
+    (slug) =>
+      savePreferences({
+        hidden: preferences.hidden.includes(slug)
+          ? preferences.hidden.filter((hiddenSlug) => hiddenSlug !== slug)
+          : [...preferences.hidden, slug],
+      }),
+    [preferences.hidden, savePreferences]
+  );
+
+  const entries = useMemo(() => {
+    const search = filters.search.trim().toLowerCase();
+
+    const filtered = Object.entries(contentTypes).filter(([slug, contentType]) => {
+      if (!filters.showHidden && preferences.hidden.includes(slug)) {
+        return false;
+      }
+
+      if (search && !contentType.label.toLowerCase().includes(search) && !slug.includes(search)) {
+        return false;
+      }
+
+      if (filters.kind !== "all" && contentType.type !== filters.kind) {
+        return false;
+      }
+
+      if (
+        filters.untranslated &&
+        !Object.values(contentType.languages || {}).some((lang) => lang.translated < lang.total)
+      ) {
+        return false;
+      }
+
+      return !filters.running || RUNNING_STATES.includes(contentType.translationState);
+    });
+
+    return SORTERS[preferences.sort] ? [...filtered].sort(SORTERS[preferences.sort]) : filtered;
+  }, [contentTypes, filters, preferences]);
+
+  const hiddenCount = Object.keys(contentTypes).filter((slug) => preferences.hidden.includes(slug)).length;
+
+  return {
+    entries,
+    filters,
+    setFilter,
+    sort: preferences.sort,
+    setSort,
+    isHidden,
+    toggleHidden,
+    hiddenCount,
+  };
+};
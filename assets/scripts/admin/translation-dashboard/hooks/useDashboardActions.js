@@ -17,11 +17,11 @@ const extractErrorMessage = (error) => {
 /**
  * Dashboard actions hook
  *
- * Handles user actions like starting and canceling translations.
+ * Handles user actions like starting, pausing and canceling translations.
  * Simplified to use refetch pattern instead of optimistic updates.
  *
  * @param {Function} refetch - Function to refetch dashboard data
- * @returns {Object} - { startContentTranslation, cancelRun, isProcessing }
+ * @returns {Object} - { startContentTranslation, cancelRun, pauseRun, resumeRun, isProcessing }
  */
 export const useDashboardActions = (refetch) => {
   const [isProcessing, setIsProcessing] = useState(false);
@@ -32,12 +32,15 @@ export const useDashboardActions = (refetch) => {
    * @param {string} contentTypeSlug - The content type slug
    * @param {Object} contentTypeData - Content type metadata
    * @param {boolean} isDryRun - Whether this is a dry run
+   * @param {Object} runOptions - { languages, dryRun, resultStatus, matchSourceDate }, languages null targets every language
+   *                              and dryRun is { limit, items } with the sample size and picked item IDs
    * @returns {Promise<Object>} - { success, runId?, error? }
    */
   const startContentTranslation = async (
     contentTypeSlug,
     contentTypeData,
-    isDryRun = false
+    isDryRun = false,
+    runOptions = {}
   ) => {
     if (isProcessing) {
       return { success: false, error: "Another action is in progress" };
@@ -48,21 +51,30 @@ export const useDashboardActions = (refetch) => {
     try {
       // Determine type: 'post' for post types, 'term' for taxonomies
       const type = contentTypeData.type === "post" ? "post" : "term";
-      const dryRunParam = isDryRun ? "1" : "0";
 
       const response = await apiFetch({
-        path: `/pllat/v1/dashboard/content/${type}/${contentTypeSlug}?dry_run=${dryRunParam}`,
+        path: "/pllat/v1/runs",
         method: "POST",
+        data: {
+          type,
+          content_type: contentTypeSlug,
+          languages: runOptions.languages ?? null,
+          dry_run: isDryRun,
+          dry_run_limit: isDryRun ? runOptions.dryRun?.limit ?? null : null,
+          dry_run_items: isDryRun ? runOptions.dryRun?.items ?? [] : [],
+          result_status: runOptions.resultStatus ?? null,
+          match_source_date: Boolean(runOptions.matchSourceDate),
+        },
       });
 
       if (response.success === false) {
-        throw new Error(response.error || "Failed to start translation");
+        throw new Error(response.message || "Failed to start translation");
       }
 
       // Immediate refetch for faster UI feedback (don't wait for next poll)
       refetch();
 
-      return { success: true, runId: response.data.runId };
+      return { success: true, runId: response.run_id };
     } catch (error) {
       const errorMessage = extractErrorMessage(error);
       alert(`Failed to start translation: ${errorMessage}`);
@@ -113,9 +125,63 @@ export const useDashboardActions = (refetch) => {
     }
   };
 
+  /**
+   * Send a pause or resume request for a translation run
+   *
+   * @param {number} runId - Run ID
+   * @param {string} action - 'pause' or 'resume'
+   * @returns {Promise<Object>} - { success, error? }
+   */
+  const toggleRun = async (runId, action) => {
+    if (!runId || isProcessing) {
+      return { success: false, error: "Invalid parameters or action in progress" };
+    }
+
+    setIsProcessing(true);
+
+    try {
+      const response = await apiFetch({
+        path: `/pllat/v1/runs/${runId}/${action}`,
+        method: "POST",
+      });
+
+      if (!response.success) {
+        throw new Error(response.message || `Failed to ${action} run`);
+      }
+
+      refetch();
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = extractErrorMessage(error);
+      alert(`Failed to ${action} translation: ${errorMessage}`);
+      return { success: false, error: errorMessage };
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  /**
+   * Pause an active translation run, queued items wait until it is resumed
+   *
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object>} - { success, error? }
+   */
+  const pauseRun = (runId) => toggleRun(runId, "pause");
+
+  /**
+   * Resume a paused translation run
+   *
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object>} - { success, error? }
+   */
+  const resumeRun = (runId) => toggleRun(runId, "resume");
+
   return {
     startContentTranslation,
     cancelRun,
+    pauseRun,
+    resumeRun,
     isProcessing,
   };
 };
@@ -1,76 +1,54 @@
-import { useState, useEffect, useRef, useCallback } from "@wordpress/element";
-import apiFetch from "@wordpress/api-fetch";
+import { useEffect, useMemo, useCallback } from "@wordpress/element";
+import { useTranslationStore } from "../../shared/store";
 
 /**
- * Pure dashboard data fetching hook
+ * Pure dashboard data hook
  *
- * Handles fetching dashboard data from the REST API with proper cleanup.
+ * Subscribes to the dashboard slices of the shared translation store and
+ * composes them into the shape the dashboard components expect.
  * Does NOT contain polling logic - that's handled by useDashboardPolling.
  *
  * @returns {Object} - { data, isFetching, refetch }
  */
 export const useDashboardData = () => {
-  const [data, setData] = useState({
-    overall: { translated: 0, total: 0 },
-    contentTypes: {},
-    targetLanguages: [],
-    discovery: null,
-  });
-  const [isFetching, setIsFetching] = useState(false);
-  const abortControllerRef = useRef(null);
+  const overview = useTranslationStore((state) => state.overview);
+  const contentTypes = useTranslationStore((state) => state.contentTypes);
+  const runs = useTranslationStore((state) => state.runs);
+  const isFetching = useTranslationStore((state) => Boolean(state.requests.dashboard?.loading));
+  const fetchDashboard = useTranslationStore((state) => state.fetchDashboard);
+
+  const data = useMemo(
+    () => ({
+      overall: overview.overall,
+      contentTypes: Object.fromEntries(
+        Object.entries(contentTypes).map(([slug, contentType]) => [
+          slug,
+          contentType.runId
+            ? { ...contentType, runProgress: runs[contentType.runId]?.progress ?? null }
+            : contentType,
+        ])
+      ),
+      targetLanguages: overview.targetLanguages,
+      discovery: overview.discovery,
+    }),
+    [overview, contentTypes, runs]
+  );
 
   /**
-   * Fetch dashboard data from API
-   * Includes abort controller to prevent memory leaks and race conditions
+   * Fetch dashboard data (joins a fetch that is already running)
    */
-  const fetchData = useCallback(async () => {
-    // Abort previous fetch if still running
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort();
-    }
-
-    setIsFetching(true);
-    const controller = new AbortController();
-    abortControllerRef.current = controller;
-
-    try {
-      const response = await apiFetch({
-        path: "/pllat/v1/dashboard",
-        signal: controller.signal,
-      });
-
-      const newData = {
-        overall: {
-          translated: response.overallProgress?.total_translated || 0,
-          total: response.overallProgress?.total_possible_translations || 0,
-        },
-        contentTypes: response.contentTypes || {},
-        targetLanguages: response.targetLanguages || [],
-        discovery: response.discovery || null,
-      };
-
-      setData(newData);
-    } catch (error) {
-      if (error.name !== "AbortError") {
+  const fetchData = useCallback(
+    () =>
+      fetchDashboard().catch((error) => {
         // Silent fail - polling will retry automatically
         console.error("Dashboard fetch error:", error);
-      }
-    } finally {
-      setIsFetching(false);
-      abortControllerRef.current = null;
-    }
-  }, []);
+      }),
+    [fetchDashboard]
+  );
 
   // Initial fetch on mount
   useEffect(() => {
     fetchData();
-
-    // Cleanup: abort any pending fetch on unmount
-    return () => {
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort();
-      }
-    };
   }, [fetchData]);
 
   return { data, isFetching, refetch: fetchData };
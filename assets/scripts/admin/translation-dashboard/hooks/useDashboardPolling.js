@@ -1,6 +1,7 @@
 import { useMemo } from "@wordpress/element";
 import { useDashboardData } from "./useDashboardData";
-import { usePollingManager } from "./usePollingManager";
+import { usePolling } from "../../shared/hooks/usePolling";
+import { useTranslationStore } from "../../shared/store";
 
 /**
  * Dashboard data with smart polling
@@ -11,12 +12,13 @@ import { usePollingManager } from "./usePollingManager";
  * Polling logic:
  * - Starts when any content type has translationState === 'pending' or 'translating'
  * - Stops when no active translations are detected
- * - Polls every 3 seconds when active
+ * - Polls every 1.5 seconds when active, backing off while requests fail
  *
- * @returns {Object} - { data, isFetching, isPolling, refetch }
+ * @returns {Object} - { data, isFetching, isPolling, retryAt, refetch }
  */
 export const useDashboardPolling = () => {
   const { data, isFetching, refetch } = useDashboardData();
+  const fetchDashboard = useTranslationStore((state) => state.fetchDashboard);
 
   /**
    * Determine if we should poll based on content types state
@@ -29,10 +31,10 @@ export const useDashboardPolling = () => {
     });
   }, [data.contentTypes]);
 
-  // Use polling manager to handle polling lifecycle
-  const { isPolling, forceRefresh } = usePollingManager(
+  // The store action rejects on errors (unlike refetch), so failed polls back off
+  const { isPolling, retryAt } = usePolling(
     shouldPoll,
-    refetch,
+    fetchDashboard,
     1500 // Poll every 1.5 seconds when active (faster feedback)
   );
 
@@ -40,6 +42,7 @@ export const useDashboardPolling = () => {
     data,
     isFetching,
     isPolling,
-    refetch: forceRefresh, // Use forceRefresh for manual triggers
+    retryAt,
+    refetch,
   };
 };
@@ -0,0 +1,51 @@
+/**
+ * Badge classes per run status
+ */
+export const RUN_STATUS_STYLES = {
+  pending: "bg-gray-100 text-gray-700",
+  running: "bg-blue-100 text-blue-700",
+  paused: "bg-amber-100 text-amber-700",
+  completed: "bg-green-100 text-green-700",
+  failed: "bg-red-100 text-red-700",
+  cancelled: "bg-gray-100 text-gray-500",
+};
+
+/**
+ * Format a duration in seconds, e.g. "1h 5m" or "42s"
+ *
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string} - Formatted duration
+ */
+export const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) {
+    return "—";
+  }
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+/**
+ * Get the labels of the content types a run translated
+ *
+ * @param {Object} run - Run summary
+ * @param {Object} contentTypes - Dashboard content types by slug
+ * @returns {string} - Comma separated labels
+ */
+export const getRunContentTypes = (run, contentTypes) => {
+  const { post_types, taxonomies, specific_posts, specific_terms } = run.content_types;
+  const labels = [...post_types, ...taxonomies].map((slug) => contentTypes[slug]?.label || slug);
+
+  if (specific_posts.length + specific_terms.length > 0) {
+    const count = specific_posts.length + specific_terms.length;
+    labels.push(`${count} selected ${count === 1 ? "item" : "items"}`);
+  }
+
+  return labels.join(", ") || "—";
+};
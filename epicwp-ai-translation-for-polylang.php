@@ -23,7 +23,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 define( 'PLLAT_PLUGIN_VERSION', '0.0.0' );
-define( 'PLLAT_DB_VERSION', '2.3.0' );
+define( 'PLLAT_DB_VERSION', '2.7.0' );
 define( 'PLLAT_PLUGIN_FILE', __FILE__ );
 define( 'PLLAT_PLUGIN_BASE', plugin_basename( PLLAT_PLUGIN_FILE ) );
 define( 'PLLAT_PLUGIN_DIR', plugin_dir_path( __FILE__ ) );
@@ -23,9 +23,10 @@ class Installer {
 
         $charset_collate = $wpdb->get_charset_collate();
 
-        $runs_table  = $wpdb->prefix . 'pllat_bulk_runs';
-        $jobs_table  = $wpdb->prefix . 'pllat_jobs';
-        $tasks_table = $wpdb->prefix . 'pllat_tasks';
+        $runs_table     = $wpdb->prefix . 'pllat_bulk_runs';
+        $jobs_table     = $wpdb->prefix . 'pllat_jobs';
+        $tasks_table    = $wpdb->prefix . 'pllat_tasks';
+        $versions_table = $wpdb->prefix . 'pllat_translation_versions';
 
         // Runs.
         $sql_runs = "CREATE TABLE {$runs_table} (
@@ -35,6 +36,7 @@ class Installer {
             created_at BIGINT UNSIGNED NOT NULL DEFAULT 0,
             started_at BIGINT UNSIGNED NOT NULL DEFAULT 0,
             last_heartbeat BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            completed_at BIGINT UNSIGNED NOT NULL DEFAULT 0,
             PRIMARY KEY  (id),
             KEY status (status)
         ) {$charset_collate};";
@@ -73,14 +75,36 @@ class Installer {
             status VARCHAR(20) NOT NULL DEFAULT 'pending',
             attempts INT UNSIGNED NOT NULL DEFAULT 0,
             issue TEXT NULL,
+            back_translation LONGTEXT NULL,
+            quality_score TINYINT UNSIGNED NULL,
+            tokens INT UNSIGNED NOT NULL DEFAULT 0,
             PRIMARY KEY  (id),
             KEY job_id (job_id),
             KEY status (status)
         ) {$charset_collate};";
 
+        // Translation versions (history of applied translations).
+        $sql_versions = "CREATE TABLE {$versions_table} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            type VARCHAR(20) NOT NULL,
+            content_id BIGINT UNSIGNED NOT NULL,
+            source_id BIGINT UNSIGNED NOT NULL,
+            lang_to VARCHAR(10) NOT NULL,
+            job_id BIGINT UNSIGNED NULL,
+            source VARCHAR(20) NOT NULL DEFAULT 'ai',
+            model VARCHAR(100) NOT NULL DEFAULT '',
+            instructions TEXT NULL,
+            fields LONGTEXT NOT NULL,
+            created_by BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            created_at BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            PRIMARY KEY  (id),
+            KEY idx_content (type, content_id)
+        ) {$charset_collate};";
+
         \dbDelta( $sql_runs );
         \dbDelta( $sql_jobs );
         \dbDelta( $sql_tasks );
+        \dbDelta( $sql_versions );
 
         // Record DB version and timestamp.
         \update_option( 'pllat_db_version', \defined( 'PLLAT_DB_VERSION' ) ? PLLAT_DB_VERSION : '1.0.0' );
@@ -7,6 +7,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 use PLLAT\Common\Helpers;
 use PLLAT\Common\Interfaces\Language_Manager;
+use PLLAT\Settings\Services\Settings_Service;
 use PLLAT\Translator\Models\Translatables\Translatable_Post;
 use PLLAT\Translator\Models\Translatables\Translatable_Term;
 use XWP\DI\Decorators\Action;
@@ -19,14 +20,23 @@ use XWP\DI\Decorators\Handler;
  */
 #[Handler( tag: 'init', priority: 11 )]
 class Content_Change_Handler {
+    /**
+     * Hook name for the async auto-translation of changed content.
+     *
+     * @var string
+     */
+    public const HOOK_AUTO_TRANSLATE = 'pllat_auto_translate';
+
     /**
      * Constructor.
      *
      * @param Language_Manager $language_manager The language manager.
+     * @param Settings_Service $settings_service The settings service.
      * @return void
      */
     public function __construct(
         protected Language_Manager $language_manager,
+        protected Settings_Service $settings_service,
     ) {
     }
 
@@ -100,6 +110,8 @@ class Content_Change_Handler {
 
         // Create translation tasks for the changes.
         $translatable_post->collect_translation_tasks_for( fields: $changes );
+
+        $this->schedule_auto_translate( 'post', $post_id, $post_after->post_type );
     }
 
     /**
@@ -127,6 +139,12 @@ class Content_Change_Handler {
             return;
         }
 
+        // New content has nothing to compare with, it is translated as a whole.
+        if ( ! $update ) {
+            $this->schedule_auto_translate( 'post', $post_id, $post->post_type );
+            return;
+        }
+
         // Get the translatable post instance.
         $translatable_post = Translatable_Post::get_instance( $post_id );
 
@@ -155,6 +173,8 @@ class Content_Change_Handler {
 
         // Delete the transient post meta data.
         $this->delete_transient_post_meta( $post_id );
+
+        $this->schedule_auto_translate( 'post', $post_id, $post->post_type );
     }
 
     /**
@@ -228,12 +248,35 @@ class Content_Change_Handler {
         // If there are changes, store the translation tasks for each change.
         if ( \count( $changes ) > 0 ) {
             $translatable_term->collect_translation_tasks_for( fields: $changes );
+            $this->schedule_auto_translate( 'term', $term_id, $taxonomy );
         }
 
         // Process meta changes.
         $this->create_tasks_for_term_meta_changes( $term_id, $taxonomy );
     }
 
+    /**
+     * Schedules the auto-translation of a new term.
+     *
+     * @param int    $term_id  Term ID.
+     * @param int    $tt_id    Term taxonomy ID.
+     * @param string $taxonomy Taxonomy slug.
+     */
+    #[Action( tag: 'created_term', priority: 99 )]
+    public function after_term_create( int $term_id, int $tt_id, string $taxonomy ) {
+        // Check if we should skip this term.
+        if ( $this->should_skip_term_translation( $term_id ) ) {
+            return;
+        }
+
+        // Only create automatic jobs for default language terms.
+        if ( ! $this->is_default_language_term( $term_id ) ) {
+            return;
+        }
+
+        $this->schedule_auto_translate( 'term', $term_id, $taxonomy );
+    }
+
     /**
      * Ensures a valid post object is returned.
      *
@@ -283,6 +326,34 @@ class Content_Change_Handler {
 
         // Delete the transient term meta data.
         $this->delete_transient_term_meta( $term_id );
+
+        $this->schedule_auto_translate( 'term', $term_id, $taxonomy );
+    }
+
+    /**
+     * Schedules the translation of changed content if auto-translate is enabled for its content type.
+     * A single save fires several hooks, the content is only scheduled once.
+     *
+     * @param string $type   Content type (post or term).
+     * @param int    $id     Content ID.
+     * @param string $entity Post type or taxonomy.
+     * @return void
+     */
+    private function schedule_auto_translate( string $type, int $id, string $entity ): void {
+        if ( ! $this->settings_service->is_auto_translate_enabled_for( $type, $entity ) ) {
+            return;
+        }
+
+        $args = array(
+            'type' => $type,
+            'id'   => $id,
+        );
+
+        if ( \as_has_scheduled_action( self::HOOK_AUTO_TRANSLATE, $args, 'pllat-auto-translate' ) ) {
+            return;
+        }
+
+        \as_enqueue_async_action( self::HOOK_AUTO_TRANSLATE, $args, 'pllat-auto-translate' );
     }
 
     /**
@@ -9,7 +9,17 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 use PLLAT\Content\Handlers\Content_Change_Handler;
 use PLLAT\Content\Services\Interfaces\Content_Service as Content_Service_Interface;
+use PLLAT\Settings\Services\Settings_Service;
+use PLLAT\Translator\Enums\TranslatableMetaKey;
+use PLLAT\Translator\Enums\VersionSource;
 use PLLAT\Translator\Models\Job;
+use PLLAT\Translator\Models\Task;
+use PLLAT\Translator\Models\Translation_Config;
+use PLLAT\Translator\Models\Translation_Version;
+use PLLAT\Translator\Models\Translatables\Translatable_Post;
+use PLLAT\Translator\Models\Translatables\Translatable_Term;
+use PLLAT\Translator\Repositories\Run_Repository;
+use PLLAT\Translator\Repositories\Translation_Version_Repository;
 
 use function apply_filters;
 use function do_action;
@@ -59,13 +69,20 @@ class Content_Service implements Content_Service_Interface {
     /**
      * Constructor.
      *
-     * @param Post_Content_Service $post_content_service Post service.
-     * @param Term_Content_Service $term_content_service Term service.
+     * @param Post_Content_Service           $post_content_service   Post service.
+     * @param Term_Content_Service           $term_content_service   Term service.
+     * @param Content_Change_Handler         $content_change_handler Content change handler.
+     * @param Translation_Version_Repository $version_repository     Translation version repository.
+     * @param Run_Repository                 $run_repository         Run repository.
+     * @param Settings_Service               $settings_service       Settings service.
      */
     public function __construct(
         private Post_Content_Service $post_content_service,
         private Term_Content_Service $term_content_service,
         private Content_Change_Handler $content_change_handler,
+        private Translation_Version_Repository $version_repository,
+        private Run_Repository $run_repository,
+        private Settings_Service $settings_service,
     ) {
     }
 
@@ -92,7 +109,9 @@ class Content_Service implements Content_Service_Interface {
         $this->suspend_hooks();
 
         try {
-            $this->process_job_tasks( $job, $content_id, $content_type );
+            $this->process_job_tasks( $job, $content_id, $content_type, null, VersionSource::Ai );
+            $this->apply_result_status( $job, $content_id );
+            $this->update_source_hash( $content_id, $content_type, $this->get_source_hash( $job->get_id_from(), $content_type ) );
         } finally {
             $this->resume_hooks(); // Always restored, even on exception.
         }
@@ -107,6 +126,217 @@ class Content_Service implements Content_Service_Interface {
         \do_action( 'pllat_after_process_job', $job, $content_id, $content_type );
     }
 
+    /**
+     * Apply selected translated fields of a job to the target content.
+     * Used by preview runs, where the editor accepts fields individually.
+     *
+     * @param Job           $job      The completed job.
+     * @param array<int>    $task_ids IDs of the accepted tasks.
+     * @param VersionSource $source   Origin of the applied translations, stored on the version.
+     * @return int Target content ID.
+     */
+    public function apply_job_tasks( Job $job, array $task_ids, VersionSource $source = VersionSource::Ai ): int {
+        $content_id   = $this->get_target_content_id( $job );
+        $content_type = $job->get_type();
+
+        /** This action is documented in src/Modules/Content/Services/Content_Service.php */
+        \do_action( 'pllat_before_process_job', $job, $content_id, $content_type );
+
+        $this->suspend_hooks();
+
+        try {
+            $this->process_job_tasks( $job, $content_id, $content_type, $task_ids, $source );
+            $this->apply_result_status( $job, $content_id );
+
+            // A partial selection leaves fields of the old source on the translation, so it stays outdated.
+            if ( $this->applies_all_tasks( $job, $task_ids ) ) {
+                $this->update_source_hash( $content_id, $content_type, $this->get_source_hash( $job->get_id_from(), $content_type ) );
+            }
+        } finally {
+            $this->resume_hooks();
+        }
+
+        /** This action is documented in src/Modules/Content/Services/Content_Service.php */
+        \do_action( 'pllat_after_process_job', $job, $content_id, $content_type );
+
+        return $content_id;
+    }
+
+    /**
+     * Write a manually edited translation of a single task to the target content.
+     * Only the field is written: the post status, date and job hooks are left alone.
+     *
+     * @param Job  $job  The job the task belongs to.
+     * @param Task $task The task with the edited translation.
+     * @return int Target content ID.
+     */
+    public function write_manual_translation( Job $job, Task $task ): int {
+        $content_id   = $this->get_target_content_id( $job );
+        $content_type = $job->get_type();
+        $reference    = $task->get_reference();
+        $previous     = array();
+
+        $this->suspend_hooks();
+
+        try {
+            $current = $this->get_field_value( $content_id, $content_type, $reference );
+            if ( null !== $current && $current !== (string) $task->get_value() && $current !== $task->get_translation() ) {
+                $previous[ $reference ] = $current;
+            }
+
+            $this->update_content_field( $content_id, $content_type, $reference, (string) $task->get_translation() );
+            $this->mark_manual_edit( $content_id, $content_type, $reference );
+        } finally {
+            $this->resume_hooks();
+        }
+
+        $this->record_versions(
+            $job,
+            $content_id,
+            array( $reference => (string) $task->get_translation() ),
+            $previous,
+            VersionSource::Manual,
+        );
+
+        return $content_id;
+    }
+
+    /**
+     * Get the references of fields that were edited manually on a translation.
+     *
+     * @param int    $content_id   Translated content ID.
+     * @param string $content_type Content type (post|term).
+     * @return array<string> Manually edited field references.
+     */
+    public function get_manual_edits( int $content_id, string $content_type ): array {
+        $edits = 'post' === $content_type
+            ? \get_post_meta( $content_id, TranslatableMetaKey::ManualEdits->value, true )
+            : \get_term_meta( $content_id, TranslatableMetaKey::ManualEdits->value, true );
+
+        return \is_array( $edits ) ? \array_values( $edits ) : array();
+    }
+
+    /**
+     * Flag a translated field as manually edited.
+     *
+     * @param int    $content_id   Translated content ID.
+     * @param string $content_type Content type (post|term).
+     * @param string $reference    Field reference key.
+     * @return void
+     */
+    public function mark_manual_edit( int $content_id, string $content_type, string $reference ): void {
+        $edits = $this->get_manual_edits( $content_id, $content_type );
+
+        if ( \in_array( $reference, $edits, true ) ) {
+            return;
+        }
+
+        $edits[] = $reference;
+        $this->update_manual_edits( $content_id, $content_type, $edits );
+    }
+
+    /**
+     * Restore a stored version onto its translated content.
+     * The restore itself is recorded as a new version.
+     *
+     * @param Translation_Version $version The version to restore.
+     * @return void
+     */
+    public function restore_version( Translation_Version $version ): void {
+        $content_id   = $version->get_content_id();
+        $content_type = $version->get_type();
+
+        $this->suspend_hooks();
+
+        try {
+            foreach ( $version->get_fields() as $reference => $value ) {
+                $this->update_content_field( $content_id, $content_type, (string) $reference, (string) $value );
+
+                if ( VersionSource::Manual === $version->get_source() ) {
+                    $this->mark_manual_edit( $content_id, $content_type, (string) $reference );
+                } else {
+                    $this->clear_manual_edit( $content_id, $content_type, (string) $reference );
+                }
+            }
+        } finally {
+            $this->resume_hooks();
+        }
+
+        $this->version_repository->create(
+            type: $content_type,
+            content_id: $content_id,
+            source_id: $version->get_source_id(),
+            lang_to: $version->get_lang_to(),
+            fields: $version->get_fields(),
+            source: VersionSource::Restore,
+            job_id: $version->get_job_id(),
+            model: $version->get_model(),
+            instructions: $version->get_instructions(),
+        );
+    }
+
+    /**
+     * Get a hash of the translatable content of a source item.
+     *
+     * @param int    $content_id   Source content ID.
+     * @param string $content_type Content type (post|term).
+     * @return string Content hash.
+     */
+    public function get_source_hash( int $content_id, string $content_type ): string {
+        $translatable = 'post' === $content_type
+            ? Translatable_Post::get_instance( $content_id )
+            : Translatable_Term::get_instance( $content_id );
+
+        $values = array();
+
+        foreach ( $translatable->get_available_fields() as $field ) {
+            $values[ $field ] = (string) $translatable->get_data( $field );
+        }
+
+        foreach ( $translatable->get_available_meta_fields() as $meta_field ) {
+            $values[ self::create_reference_key( $meta_field, 'meta' ) ] = $translatable->get_meta( $meta_field, true );
+        }
+
+        \ksort( $values );
+
+        return \md5( (string) \wp_json_encode( $values ) );
+    }
+
+    /**
+     * Check if the source changed after a translation was made.
+     * Compares the source hash stored on the translation, falls back to the
+     * source modification time for posts translated before hashes were stored.
+     *
+     * @param int         $source_id      Source content ID.
+     * @param int         $translation_id Translated content ID.
+     * @param string      $content_type   Content type (post|term).
+     * @param int         $translated_at  Translation timestamp.
+     * @param string|null $source_hash    Hash of the source content, if the caller already has it.
+     * @return bool True if the translation is outdated.
+     */
+    public function is_translation_outdated(
+        int $source_id,
+        int $translation_id,
+        string $content_type,
+        int $translated_at,
+        ?string $source_hash = null,
+    ): bool {
+        $stored_hash = 'post' === $content_type
+            ? \get_post_meta( $translation_id, TranslatableMetaKey::SourceHash->value, true )
+            : \get_term_meta( $translation_id, TranslatableMetaKey::SourceHash->value, true );
+
+        if ( \is_string( $stored_hash ) && '' !== $stored_hash ) {
+            return $stored_hash !== ( $source_hash ?? $this->get_source_hash( $source_id, $content_type ) );
+        }
+
+        // Terms have no modification time in WP core.
+        if ( 'post' !== $content_type || 0 === $translated_at ) {
+            return false;
+        }
+
+        return (int) \get_post_modified_time( 'U', true, $source_id ) > $translated_at;
+    }
+
     /**
      * Get target content ID for a job (public wrapper for Job_Processor).
      *
@@ -148,23 +378,243 @@ class Content_Service implements Content_Service_Interface {
     /**
      * Process all completed tasks for a job.
      *
-     * @param Job    $job          The job being processed.
-     * @param int    $content_id   Target content ID.
-     * @param string $content_type Content type (post|term).
+     * @param Job             $job          The job being processed.
+     * @param int             $content_id   Target content ID.
+     * @param string          $content_type Content type (post|term).
+     * @param array<int>|null $task_ids     Limit processing to these task IDs (null = all tasks).
+     * @param VersionSource   $source       Origin of the translations, stored on the version.
      * @return void
      */
-    private function process_job_tasks( Job $job, int $content_id, string $content_type ): void {
+    private function process_job_tasks(
+        Job $job,
+        int $content_id,
+        string $content_type,
+        ?array $task_ids = null,
+        VersionSource $source = VersionSource::Ai,
+    ): void {
+        $written  = array();
+        $previous = array();
+
         foreach ( $job->get_tasks() as $task ) {
             if ( ! $task->is_completed() || ! $task->has_translation() ) {
                 continue;
             }
 
+            if ( null !== $task_ids && ! \in_array( $task->get_id(), $task_ids, true ) ) {
+                continue;
+            }
+
+            // Keep existing translated values (not a fresh copy of the source) before overwriting them.
+            $current = $this->get_field_value( $content_id, $content_type, $task->get_reference() );
+            if ( null !== $current && $current !== (string) $task->get_value() && $current !== $task->get_translation() ) {
+                $previous[ $task->get_reference() ] = $current;
+            }
+
             $this->update_content_field(
                 $content_id,
                 $content_type,
                 $task->get_reference(),
                 $task->get_translation(),
             );
+
+            $this->clear_manual_edit( $content_id, $content_type, $task->get_reference() );
+
+            $written[ $task->get_reference() ] = $task->get_translation();
+        }
+
+        $this->record_versions( $job, $content_id, $written, $previous, $source );
+    }
+
+    /**
+     * Store the applied translations as a version.
+     * The first time a translation is overwritten, its previous values are stored as the original version.
+     *
+     * @param Job                   $job        The processed job.
+     * @param int                   $content_id Target content ID.
+     * @param array<string, string> $written    Map of written field reference => value.
+     * @param array<string, string> $previous   Map of overwritten field reference => previous value.
+     * @param VersionSource         $source     Origin of the written translations.
+     * @return void
+     */
+    private function record_versions( Job $job, int $content_id, array $written, array $previous, VersionSource $source ): void {
+        if ( 0 === \count( $written ) ) {
+            return;
+        }
+
+        if ( 0 !== \count( $previous ) && ! $this->version_repository->has_versions( $job->get_type(), $content_id ) ) {
+            $this->version_repository->create(
+                type: $job->get_type(),
+                content_id: $content_id,
+                source_id: $job->get_id_from(),
+                lang_to: $job->get_lang_to(),
+                fields: $previous,
+                source: VersionSource::Original,
+            );
+        }
+
+        $is_ai = VersionSource::Ai === $source;
+
+        $this->version_repository->create(
+            type: $job->get_type(),
+            content_id: $content_id,
+            source_id: $job->get_id_from(),
+            lang_to: $job->get_lang_to(),
+            fields: $written,
+            source: $source,
+            job_id: $job->get_id(),
+            model: $is_ai ? $this->settings_service->get_translation_model() : '',
+            instructions: $is_ai ? $this->get_job_instructions( $job ) : '',
+        );
+    }
+
+    /**
+     * Get the instructions a job was translated with (shared and language-specific).
+     *
+     * @param Job $job The job.
+     * @return string The instructions.
+     */
+    private function get_job_instructions( Job $job ): string {
+        $config = $this->get_job_config( $job );
+
+        if ( null === $config ) {
+            return '';
+        }
+
+        $language_instructions = $config->get_language_instructions();
+
+        return \trim( $config->get_instructions() . "\n" . ( $language_instructions[ $job->get_lang_to() ] ?? '' ) );
+    }
+
+    /**
+     * Apply the post status and publish date requested for the run of a job.
+     *
+     * @param Job $job        The processed job.
+     * @param int $content_id Target content ID.
+     * @return void
+     */
+    private function apply_result_status( Job $job, int $content_id ): void {
+        $config = 'post' === $job->get_type() ? $this->get_job_config( $job ) : null;
+
+        if ( null === $config ) {
+            return;
+        }
+
+        $this->post_content_service->update_post_status(
+            $content_id,
+            $job->get_id_from(),
+            $config->get_result_status(),
+            $config->is_matching_source_date(),
+        );
+    }
+
+    /**
+     * Get the config of the run a job belongs to.
+     *
+     * @param Job $job The job.
+     * @return Translation_Config|null The run config, null if the job has no (existing) run.
+     */
+    private function get_job_config( Job $job ): ?Translation_Config {
+        if ( ! $job->get_run_id() ) {
+            return null;
+        }
+
+        try {
+            return $this->run_repository->find( $job->get_run_id() )->get_config();
+        } catch ( \Exception $e ) {
+            return null;
+        }
+    }
+
+    /**
+     * Read the current value of a content field based on reference key.
+     *
+     * @param int    $content_id   Content ID.
+     * @param string $content_type Content type (post|term).
+     * @param string $reference    Field reference key.
+     * @return string|null Field value, null if it can't be read.
+     */
+    private function get_field_value( int $content_id, string $content_type, string $reference ): ?string {
+        $reference_info = $this->parse_reference( $reference );
+
+        if ( 'core' === $reference_info['type'] ) {
+            $value = 'post' === $content_type
+                ? \get_post_field( $reference_info['field'], $content_id, 'raw' )
+                : \get_term_field( $reference_info['field'], $content_id, '', 'raw' );
+        } elseif ( 'meta' === $reference_info['type'] ) {
+            $value = 'post' === $content_type
+                ? \get_post_meta( $content_id, $reference_info['field'], true )
+                : \get_term_meta( $content_id, $reference_info['field'], true );
+        } else {
+            return null;
+        }
+
+        return \is_string( $value ) ? $value : null;
+    }
+
+    /**
+     * Remove the manual edit flag of a field after it was overwritten.
+     *
+     * @param int    $content_id   Translated content ID.
+     * @param string $content_type Content type (post|term).
+     * @param string $reference    Field reference key.
+     * @return void
+     */
+    private function clear_manual_edit( int $content_id, string $content_type, string $reference ): void {
+        $edits = $this->get_manual_edits( $content_id, $content_type );
+
+        if ( ! \in_array( $reference, $edits, true ) ) {
+            return;
+        }
+
+        $this->update_manual_edits(
+            $content_id,
+            $content_type,
+            \array_values( \array_diff( $edits, array( $reference ) ) ),
+        );
+    }
+
+    /**
+     * Check whether the selected tasks cover every task of a job.
+     *
+     * @param Job        $job      The job.
+     * @param array<int> $task_ids IDs of the applied tasks.
+     * @return bool True if no task of the job is left out.
+     */
+    private function applies_all_tasks( Job $job, array $task_ids ): bool {
+        $job_task_ids = \array_map( static fn( $task ) => $task->get_id(), $job->get_tasks() );
+
+        return 0 === \count( \array_diff( $job_task_ids, $task_ids ) );
+    }
+
+    /**
+     * Store the hash of the source content a translation was made from.
+     *
+     * @param int    $content_id   Translated content ID.
+     * @param string $content_type Content type (post|term).
+     * @param string $hash         Source content hash.
+     * @return void
+     */
+    private function update_source_hash( int $content_id, string $content_type, string $hash ): void {
+        if ( 'post' === $content_type ) {
+            \update_post_meta( $content_id, TranslatableMetaKey::SourceHash->value, $hash );
+        } else {
+            \update_term_meta( $content_id, TranslatableMetaKey::SourceHash->value, $hash );
+        }
+    }
+
+    /**
+     * Persist the manually edited field references of a translation.
+     *
+     * @param int           $content_id   Translated content ID.
+     * @param string        $content_type Content type (post|term).
+     * @param array<string> $edits        Manually edited field references.
+     * @return void
+     */
+    private function update_manual_edits( int $content_id, string $content_type, array $edits ): void {
+        if ( 'post' === $content_type ) {
+            \update_post_meta( $content_id, TranslatableMetaKey::ManualEdits->value, $edits );
+        } else {
+            \update_term_meta( $content_id, TranslatableMetaKey::ManualEdits->value, $edits );
         }
     }
 
@@ -7,6 +7,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit; // Exit if accessed directly
 }
 
+use PLLAT\Translator\Enums\VersionSource;
 use PLLAT\Translator\Models\Job;
 
 /**
@@ -21,6 +22,16 @@ interface Content_Service {
      */
     public function process_job( Job $job ): void;
 
+    /**
+     * Apply selected translated fields of a job to the target content.
+     *
+     * @param Job           $job      The completed job.
+     * @param array<int>    $task_ids IDs of the accepted tasks.
+     * @param VersionSource $source   Origin of the applied translations, stored on the version.
+     * @return int Target content ID.
+     */
+    public function apply_job_tasks( Job $job, array $task_ids, VersionSource $source = VersionSource::Ai ): int;
+
     /**
      * Get target content ID for a job (required for Job_Processor).
      *
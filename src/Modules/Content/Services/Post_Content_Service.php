@@ -9,6 +9,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 use PLLAT\Common\Interfaces\Language_Manager;
 use PLLAT\Content\Services\Traits\Reference_Parsing_Trait;
+use PLLAT\Translator\Enums\ResultStatus;
 
 /**
  * Handles updates for post content.
@@ -121,6 +122,38 @@ class Post_Content_Service {
         \wp_update_post( $update_data );
     }
 
+    /**
+     * Update the post status and publish date of a translated post.
+     * A published status with a future date schedules the post.
+     *
+     * @param int               $post_id    Translated post ID.
+     * @param int               $source_id  Source post ID.
+     * @param ResultStatus|null $status     Post status to set (null = leave unchanged).
+     * @param bool              $match_date Whether to copy the publish date of the source.
+     * @return void
+     */
+    public function update_post_status( int $post_id, int $source_id, ?ResultStatus $status, bool $match_date ): void {
+        $source = \get_post( $source_id );
+
+        if ( ! $source instanceof \WP_Post || ( null === $status && ! $match_date ) ) {
+            return;
+        }
+
+        $update_data = array( 'ID' => $post_id );
+
+        if ( null !== $status ) {
+            $update_data['post_status'] = ResultStatus::Source === $status ? $source->post_status : $status->value;
+        }
+
+        if ( $match_date ) {
+            $update_data['edit_date']     = true; // Keep the date on drafts and pending posts.
+            $update_data['post_date']     = $source->post_date;
+            $update_data['post_date_gmt'] = $source->post_date_gmt;
+        }
+
+        \wp_update_post( $update_data );
+    }
+
     /**
      * Resolve or infer a target post ID for the given language.
      * Falls back to source when a translation does not exist yet.
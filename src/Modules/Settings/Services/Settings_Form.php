@@ -76,6 +76,22 @@ class Settings_Form {
                 'sanitize_callback' => 'sanitize_textarea_field',
             ),
         );
+        \register_setting(
+            'pllat_settings_group',
+            'pllat_quality_check',
+            array(
+                'default'           => false,
+                'sanitize_callback' => array( $this, 'sanitize_checkbox' ),
+            ),
+        );
+        \register_setting(
+            'pllat_settings_group',
+            'pllat_quality_threshold',
+            array(
+                'default'           => 60,
+                'sanitize_callback' => array( $this, 'sanitize_quality_threshold' ),
+            ),
+        );
         \register_setting(
             'pllat_settings_group',
             'pllat_debug_mode',
@@ -182,6 +198,15 @@ class Settings_Form {
             'pllat_main_section',
         );
 
+        // Quality check field
+        \add_settings_field(
+            'pllat_quality_check',
+            \__( 'Quality Check', 'epicwp-ai-translation-for-polylang' ),
+            array( $this, 'render_quality_check_field' ),
+            'pllat_settings',
+            'pllat_main_section',
+        );
+
         // Debug mode field
         \add_settings_field(
             'pllat_debug_mode',
@@ -430,6 +455,50 @@ class Settings_Form {
         <?php
     }
 
+    /**
+     * Render quality check field
+     *
+     * @return void
+     */
+    public function render_quality_check_field(): void {
+        $quality_check = $this->settings_service->is_quality_check_enabled();
+        $threshold     = $this->settings_service->get_quality_threshold();
+        ?>
+        <fieldset>
+            <label>
+                <input type="checkbox"
+                    name="pllat_quality_check"
+                    id="pllat_quality_check"
+                    value="1"
+                    <?php \checked( $quality_check ); ?> />
+                <?php \esc_html_e( 'Verify completed translations with a back-translation', 'epicwp-ai-translation-for-polylang' ); ?>
+            </label>
+            <p>
+                <label for="pllat_quality_threshold">
+                    <?php \esc_html_e( 'Flag fields scoring below', 'epicwp-ai-translation-for-polylang' ); ?>
+                </label>
+                <input type="number"
+                    name="pllat_quality_threshold"
+                    id="pllat_quality_threshold"
+                    value="<?php echo \esc_attr( $threshold ); ?>"
+                    class="small-text"
+                    min="0"
+                    max="100"
+                    step="1" />
+                %
+            </p>
+            <p class="description">
+                <?php
+                \esc_html_e(
+                    'Translates each field back into the source language and scores how close it is to the original. Doubles the AI usage of every translation.',
+                    'epicwp-ai-translation-for-polylang',
+                );
+                ?>
+            </p>
+        </fieldset>
+        <?php
+    }
+
     /**
      * Render debug mode field
      *
@@ -524,6 +593,16 @@ class Settings_Form {
         return \max( 100, \min( 32000, $tokens ) );
     }
 
+    /**
+     * Sanitize quality threshold input.
+     *
+     * @param mixed $value The input value.
+     * @return int The sanitized value.
+     */
+    public function sanitize_quality_threshold( $value ): int {
+        return \max( 0, \min( 100, \intval( $value ) ) );
+    }
+
     /**
      * Sanitize checkbox input.
      *
@@ -135,6 +135,158 @@ class Settings_Service {
         return $this->update_option( 'pllat_website_ai_context', $context );
     }
 
+    /**
+     * Check whether completed translations are verified with a back-translation
+     *
+     * @return bool
+     */
+    public function is_quality_check_enabled(): bool {
+        return (bool) $this->get_option( 'pllat_quality_check', false );
+    }
+
+    /**
+     * Set whether completed translations are verified with a back-translation
+     *
+     * @param bool $enabled Whether the quality check should be enabled.
+     * @return bool True on success, false on failure.
+     */
+    public function set_quality_check_enabled( bool $enabled ): bool {
+        return $this->update_option( 'pllat_quality_check', $enabled );
+    }
+
+    /**
+     * Get the quality score below which a translated field is flagged
+     *
+     * @return int The threshold (0-100)
+     */
+    public function get_quality_threshold(): int {
+        return (int) $this->get_option( 'pllat_quality_threshold', 60 );
+    }
+
+    /**
+     * Set the quality threshold
+     *
+     * @param int $threshold The threshold (0-100).
+     * @return bool True on success, false on failure.
+     */
+    public function set_quality_threshold( int $threshold ): bool {
+        return $this->update_option( 'pllat_quality_threshold', $threshold );
+    }
+
+    /**
+     * Check whether new and updated content is translated automatically
+     *
+     * @return bool
+     */
+    public function is_auto_translate_enabled(): bool {
+        return (bool) $this->get_option( 'pllat_auto_translate', false );
+    }
+
+    /**
+     * Set whether new and updated content is translated automatically
+     *
+     * @param bool $enabled Whether auto-translate should be enabled.
+     * @return bool True on success, false on failure.
+     */
+    public function set_auto_translate_enabled( bool $enabled ): bool {
+        return $this->update_option( 'pllat_auto_translate', $enabled );
+    }
+
+    /**
+     * Get the auto-translate scopes of all content types
+     *
+     * @return array<string, array<string, array{enabled: bool, languages: array<string>|null}>> Scopes by type (post or term) and post type or taxonomy.
+     */
+    public function get_auto_translate_scopes(): array {
+        $scopes = $this->get_option( 'pllat_auto_translate_scopes', array() );
+        return \is_array( $scopes ) ? $scopes : array();
+    }
+
+    /**
+     * Get the auto-translate scope of a content type.
+     * Content types without a saved scope are translated into all languages.
+     *
+     * @param string $type   Content type (post or term).
+     * @param string $entity Post type or taxonomy.
+     * @return array{enabled: bool, languages: array<string>|null} The scope, null languages means all languages.
+     */
+    public function get_auto_translate_scope( string $type, string $entity ): array {
+        $scopes = $this->get_auto_translate_scopes();
+
+        return $scopes[ $type ][ $entity ] ?? array(
+            'enabled'   => true,
+            'languages' => null,
+        );
+    }
+
+    /**
+     * Set the auto-translate scope of a content type
+     *
+     * @param string             $type      Content type (post or term).
+     * @param string             $entity    Post type or taxonomy.
+     * @param bool               $enabled   Whether the content type is translated automatically.
+     * @param array<string>|null $languages Target languages, null for all languages.
+     * @return bool True on success, false on failure.
+     */
+    public function set_auto_translate_scope( string $type, string $entity, bool $enabled, ?array $languages ): bool {
+        $scopes = $this->get_auto_translate_scopes();
+
+        $scopes[ $type ][ $entity ] = array(
+            'enabled'   => $enabled,
+            'languages' => null !== $languages ? \array_values( \array_unique( $languages ) ) : null,
+        );
+
+        return $this->update_option( 'pllat_auto_translate_scopes', $scopes );
+    }
+
+    /**
+     * Check whether changes of a content type are translated automatically
+     *
+     * @param string $type   Content type (post or term).
+     * @param string $entity Post type or taxonomy.
+     * @return bool
+     */
+    public function is_auto_translate_enabled_for( string $type, string $entity ): bool {
+        if ( ! $this->is_auto_translate_enabled() ) {
+            return false;
+        }
+
+        $scope = $this->get_auto_translate_scope( $type, $entity );
+
+        return $scope['enabled'] && ( null === $scope['languages'] || \count( $scope['languages'] ) > 0 );
+    }
+
+    /**
+     * Get the last auto-translated item of all content types
+     *
+     * @return array<string, array<string, array{id: int, run_id: int, translated_at: int}>> Items by type and post type or taxonomy.
+     */
+    public function get_auto_translate_last_items(): array {
+        $items = $this->get_option( 'pllat_auto_translate_last_items', array() );
+        return \is_array( $items ) ? $items : array();
+    }
+
+    /**
+     * Remember the last auto-translated item of a content type
+     *
+     * @param string $type   Content type (post or term).
+     * @param string $entity Post type or taxonomy.
+     * @param int    $id     Content ID.
+     * @param int    $run_id The run translating the item.
+     * @return bool True on success, false on failure.
+     */
+    public function set_auto_translate_last_item( string $type, string $entity, int $id, int $run_id ): bool {
+        $items = $this->get_auto_translate_last_items();
+
+        $items[ $type ][ $entity ] = array(
+            'id'            => $id,
+            'run_id'        => $run_id,
+            'translated_at' => \time(),
+        );
+
+        return $this->update_option( 'pllat_auto_translate_last_items', $items );
+    }
+
     /**
      * Check whether debug mode is enabled
      *
@@ -0,0 +1,187 @@
+<?php
+/**
+ * Auto_Translate_REST_Controller class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Single_Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Single_Translator\Controllers;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Common\Interfaces\Language_Manager;
+use PLLAT\Settings\Services\Settings_Service;
+use XWP\DI\Decorators\REST_Handler;
+use XWP\DI\Decorators\REST_Route;
+
+/**
+ * REST controller for the auto-translate setting and its per content type scopes.
+ */
+#[REST_Handler( namespace: 'pllat/v1', basename: 'auto-translate' )]
+class Auto_Translate_REST_Controller extends \XWP_REST_Controller {
+    /**
+     * Constructor.
+     *
+     * @param Settings_Service $settings_service The settings service.
+     * @param Language_Manager $language_manager The language manager.
+     */
+    public function __construct(
+        protected Settings_Service $settings_service,
+        protected Language_Manager $language_manager,
+    ) {
+    }
+
+    /**
+     * Get the auto-translate setting, the scopes and the last auto-translated items.
+     *
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '', methods: 'GET', guard: 'can_manage_auto_translate' )]
+    public function get_settings(): \WP_REST_Response {
+        return $this->success_response( $this->get_settings_data() );
+    }
+
+    /**
+     * Enable or disable auto-translate.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '', methods: 'POST', guard: 'can_manage_auto_translate' )]
+    public function update_settings( \WP_REST_Request $request ): \WP_REST_Response {
+        $this->settings_service->set_auto_translate_enabled( (bool) $request->get_param( 'enabled' ) );
+
+        return $this->success_response( $this->get_settings_data() );
+    }
+
+    /**
+     * Set the auto-translate scope of a content type.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route(
+        route: '(?P<type>post|term)/(?P<entity>[a-z0-9_-]+)',
+        methods: 'POST',
+        guard: 'can_manage_auto_translate',
+    )]
+    public function update_scope( \WP_REST_Request $request ): \WP_REST_Response {
+        $type   = (string) $request->get_param( 'type' );
+        $entity = (string) $request->get_param( 'entity' );
+
+        if ( ! ( 'post' === $type ? \post_type_exists( $entity ) : \taxonomy_exists( $entity ) ) ) {
+            return $this->error_response(
+                \__( 'Unknown content type.', 'epicwp-ai-translation-for-polylang' ),
+                404,
+            );
+        }
+
+        // Null keeps every language, including ones added later.
+        $languages = $request->get_param( 'languages' );
+        if ( null !== $languages ) {
+            $languages = \array_values(
+                \array_intersect(
+                    \array_map( 'strval', (array) $languages ),
+                    $this->language_manager->get_available_languages( false ),
+                ),
+            );
+        }
+
+        $this->settings_service->set_auto_translate_scope(
+            $type,
+            $entity,
+            (bool) $request->get_param( 'enabled' ),
+            $languages,
+        );
+
+        return $this->success_response( $this->get_settings_data() );
+    }
+
+    /**
+     * Check if the user can manage auto-translate.
+     *
+     * @return bool Whether the user has permission.
+     */
+    public function can_manage_auto_translate(): bool {
+        return \current_user_can( 'manage_options' );
+    }
+
+    /**
+     * Build the auto-translate settings data.
+     *
+     * @return array{enabled: bool, scopes: object, last_items: object} The settings data.
+     */
+    private function get_settings_data(): array {
+        $last_items = array();
+
+        foreach ( $this->settings_service->get_auto_translate_last_items() as $type => $items ) {
+            foreach ( $items as $entity => $item ) {
+                $last_items[ $type ][ $entity ] = $this->format_last_item( $type, $item );
+            }
+        }
+
+        return array(
+            'enabled'    => $this->settings_service->is_auto_translate_enabled(),
+            'last_items' => (object) $last_items,
+            'scopes'     => (object) $this->settings_service->get_auto_translate_scopes(),
+        );
+    }
+
+    /**
+     * Add the title and edit link to a last auto-translated item.
+     *
+     * @param string $type Content type (post or term).
+     * @param array  $item The stored item.
+     * @return array The item with title and edit link.
+     */
+    private function format_last_item( string $type, array $item ): array {
+        if ( 'post' === $type ) {
+            $title = \get_the_title( $item['id'] );
+            $link  = \get_edit_post_link( $item['id'], 'raw' );
+        } else {
+            $term  = \get_term( $item['id'] );
+            $title = $term instanceof \WP_Term ? $term->name : '';
+            $link  = $term instanceof \WP_Term ? \get_edit_term_link( $term ) : null;
+        }
+
+        return \array_merge(
+            $item,
+            array(
+                'edit_link' => $link ? $link : null,
+                'title'     => '' !== $title ? $title : \sprintf( '#%d', $item['id'] ),
+            ),
+        );
+    }
+
+    /**
+     * Return an error response.
+     *
+     * @param string $message The error message.
+     * @param int    $code    The HTTP status code.
+     * @return \WP_REST_Response The error response.
+     */
+    private function error_response( string $message, int $code ): \WP_REST_Response {
+        return new \WP_REST_Response(
+            array(
+                'message' => $message,
+                'success' => false,
+            ),
+            $code,
+        );
+    }
+
+    /**
+     * Return a success response.
+     *
+     * @param array $data The response data.
+     * @return \WP_REST_Response The success response.
+     */
+    private function success_response( array $data ): \WP_REST_Response {
+        return new \WP_REST_Response( \array_merge( array( 'success' => true ), $data ), 200 );
+    }
+}
@@ -0,0 +1,107 @@
+<?php
+/**
+ * Dashboard_Preferences_REST_Controller class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Single_Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Single_Translator\Controllers;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Single_Translator\Services\Dashboard_Preferences_Service;
+use XWP\DI\Decorators\REST_Handler;
+use XWP\DI\Decorators\REST_Route;
+
+/**
+ * REST controller for the translation dashboard preferences of the current user.
+ */
+#[REST_Handler( namespace: 'pllat/v1', basename: 'dashboard-preferences' )]
+class Dashboard_Preferences_REST_Controller extends \XWP_REST_Controller {
+    /**
+     * Constructor.
+     *
+     * @param Dashboard_Preferences_Service $preferences_service The dashboard preferences service.
+     */
+    public function __construct(
+        protected Dashboard_Preferences_Service $preferences_service,
+    ) {
+    }
+
+    /**
+     * Get the dashboard preferences of the current user.
+     *
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '', methods: 'GET', guard: 'can_use_dashboard' )]
+    public function get_preferences(): \WP_REST_Response {
+        return $this->success_response( $this->preferences_service->get( \get_current_user_id() ) );
+    }
+
+    /**
+     * Update the dashboard preferences of the current user.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '', methods: 'POST', guard: 'can_use_dashboard' )]
+    public function update_preferences( \WP_REST_Request $request ): \WP_REST_Response {
+        try {
+            $preferences = $this->preferences_service->update(
+                \get_current_user_id(),
+                \array_filter(
+                    array(
+                        'hidden' => $request->get_param( 'hidden' ),
+                        'sort'   => $request->get_param( 'sort' ),
+                    ),
+                    static fn( $value ) => null !== $value,
+                ),
+            );
+
+            return $this->success_response( $preferences );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
+    /**
+     * Check if the user can use the translation dashboard.
+     *
+     * @return bool Whether the user has permission.
+     */
+    public function can_use_dashboard(): bool {
+        return \current_user_can( 'manage_options' );
+    }
+
+    /**
+     * Return an error response.
+     *
+     * @param string $message The error message.
+     * @param int    $code    The HTTP status code.
+     * @return \WP_REST_Response The error response.
+     */
+    private function error_response( string $message, int $code ): \WP_REST_Response {
+        return new \WP_REST_Response(
+            array(
+                'message' => $message,
+                'success' => false,
+            ),
+            $code,
+        );
+    }
+
+    /**
+     * Return a success response.
+     *
+     * @param array $data The response data.
+     * @return \WP_REST_Response The success response.
+     */
+    private function success_response( array $data ): \WP_REST_Response {
+        return new \WP_REST_Response( \array_merge( array( 'success' => true ), $data ), 200 );
+    }
+}
@@ -0,0 +1,151 @@
+<?php
+/**
+ * Instruction_Preset_REST_Controller class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Single_Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Single_Translator\Controllers;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Single_Translator\Services\Instruction_Preset_Service;
+use XWP\DI\Decorators\REST_Handler;
+use XWP\DI\Decorators\REST_Route;
+
+/**
+ * REST controller for the site-wide AI instruction preset library.
+ *
+ * Any user who can edit content may use and add presets,
+ * changing or removing them requires editor capabilities.
+ */
+#[REST_Handler( namespace: 'pllat/v1', basename: 'instruction-presets' )]
+class Instruction_Preset_REST_Controller extends \XWP_REST_Controller {
+    /**
+     * Constructor.
+     *
+     * @param Instruction_Preset_Service $preset_service The instruction preset service.
+     */
+    public function __construct(
+        protected Instruction_Preset_Service $preset_service,
+    ) {
+    }
+
+    /**
+     * Get all presets.
+     *
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '', methods: 'GET', guard: 'can_use_presets' )]
+    public function get_presets(): \WP_REST_Response {
+        return $this->success_response( array( 'presets' => $this->preset_service->get_presets() ) );
+    }
+
+    /**
+     * Create a preset.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '', methods: 'POST', guard: 'can_use_presets' )]
+    public function create_preset( \WP_REST_Request $request ): \WP_REST_Response {
+        try {
+            $preset = $this->preset_service->create_preset(
+                (string) $request->get_param( 'name' ),
+                (string) $request->get_param( 'instructions' ),
+            );
+
+            return $this->success_response( array( 'preset' => $preset ) );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
+    /**
+     * Update a preset.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '(?P<preset_id>[a-f0-9-]+)', methods: 'POST', guard: 'can_manage_presets' )]
+    public function update_preset( \WP_REST_Request $request ): \WP_REST_Response {
+        try {
+            $preset = $this->preset_service->update_preset(
+                (string) $request->get_param( 'preset_id' ),
+                (string) $request->get_param( 'name' ),
+                (string) $request->get_param( 'instructions' ),
+            );
+
+            return $this->success_response( array( 'preset' => $preset ) );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
+    /**
+     * Delete a preset.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '(?P<preset_id>[a-f0-9-]+)', methods: 'DELETE', guard: 'can_manage_presets' )]
+    public function delete_preset( \WP_REST_Request $request ): \WP_REST_Response {
+        $this->preset_service->delete_preset( (string) $request->get_param( 'preset_id' ) );
+
+        return $this->success_response(
+            array(
+                'message' => \__( 'Preset deleted successfully.', 'epicwp-ai-translation-for-polylang' ),
+            ),
+        );
+    }
+
+    /**
+     * Check if the user can use and add presets.
+     *
+     * @return bool Whether the user has permission.
+     */
+    public function can_use_presets(): bool {
+        return \current_user_can( 'edit_posts' ) || \current_user_can( 'edit_pages' );
+    }
+
+    /**
+     * Check if the user can change or remove presets.
+     *
+     * @return bool Whether the user has permission.
+     */
+    public function can_manage_presets(): bool {
+        return \current_user_can( 'edit_others_posts' );
+    }
+
+    /**
+     * Return an error response.
+     *
+     * @param string $message The error message.
+     * @param int    $code    The HTTP status code.
+     * @return \WP_REST_Response The error response.
+     */
+    private function error_response( string $message, int $code ): \WP_REST_Response {
+        return new \WP_REST_Response(
+            array(
+                'message' => $message,
+                'success' => false,
+            ),
+            $code,
+        );
+    }
+
+    /**
+     * Return a success response.
+     *
+     * @param array $data The response data.
+     * @return \WP_REST_Response The success response.
+     */
+    private function success_response( array $data ): \WP_REST_Response {
+        return new \WP_REST_Response( \array_merge( array( 'success' => true ), $data ), 200 );
+    }
+}
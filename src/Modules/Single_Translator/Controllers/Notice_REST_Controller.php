@@ -0,0 +1,105 @@
+<?php
+/**
+ * Notice_REST_Controller class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Single_Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Single_Translator\Controllers;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Single_Translator\Services\Notice_Service;
+use XWP\DI\Decorators\REST_Handler;
+use XWP\DI\Decorators\REST_Route;
+
+/**
+ * REST controller for the notices the current user dismissed.
+ */
+#[REST_Handler( namespace: 'pllat/v1', basename: 'notices' )]
+class Notice_REST_Controller extends \XWP_REST_Controller {
+    /**
+     * Constructor.
+     *
+     * @param Notice_Service $notice_service The notice service.
+     */
+    public function __construct(
+        protected Notice_Service $notice_service,
+    ) {
+    }
+
+    /**
+     * Get the notices dismissed by the current user.
+     *
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '', methods: 'GET', guard: 'can_dismiss_notices' )]
+    public function get_dismissed(): \WP_REST_Response {
+        return $this->success_response(
+            array( 'dismissed' => (object) $this->notice_service->get_dismissed( \get_current_user_id() ) ),
+        );
+    }
+
+    /**
+     * Dismiss a notice for the current user.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'dismiss', methods: 'POST', guard: 'can_dismiss_notices' )]
+    public function dismiss( \WP_REST_Request $request ): \WP_REST_Response {
+        try {
+            $dismissed = $this->notice_service->dismiss(
+                \get_current_user_id(),
+                (string) $request->get_param( 'scope' ),
+                (int) $request->get_param( 'id' ),
+                (string) $request->get_param( 'language' ),
+            );
+
+            return $this->success_response( array( 'dismissed' => (object) $dismissed ) );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
+    /**
+     * Check if the user can dismiss notices.
+     *
+     * @return bool Whether the user has permission.
+     */
+    public function can_dismiss_notices(): bool {
+        return \current_user_can( 'edit_posts' ) || \current_user_can( 'edit_pages' );
+    }
+
+    /**
+     * Return an error response.
+     *
+     * @param string $message The error message.
+     * @param int    $code    The HTTP status code.
+     * @return \WP_REST_Response The error response.
+     */
+    private function error_response( string $message, int $code ): \WP_REST_Response {
+        return new \WP_REST_Response(
+            array(
+                'message' => $message,
+                'success' => false,
+            ),
+            $code,
+        );
+    }
+
+    /**
+     * Return a success response.
+     *
+     * @param array $data The response data.
+     * @return \WP_REST_Response The success response.
+     */
+    private function success_response( array $data ): \WP_REST_Response {
+        return new \WP_REST_Response( \array_merge( array( 'success' => true ), $data ), 200 );
+    }
+}
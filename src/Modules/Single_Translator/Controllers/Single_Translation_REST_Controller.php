@@ -15,6 +15,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use PLLAT\Single_Translator\Services\Single_Translation_Service;
+use PLLAT\Translator\Repositories\Job_Repository;
 use PLLAT\Translator\Repositories\Task_Repository;
 use XWP\DI\Decorators\REST_Handler;
 use XWP\DI\Decorators\REST_Route;
@@ -32,10 +33,12 @@ class Single_Translation_REST_Controller extends \XWP_REST_Controller {
      *
      * @param Single_Translation_Service $translation_service The single translation service.
      * @param Task_Repository            $task_repository     The task repository.
+     * @param Job_Repository             $job_repository      The job repository.
      */
     public function __construct(
         protected Single_Translation_Service $translation_service,
         protected Task_Repository $task_repository,
+        protected Job_Repository $job_repository,
     ) {
     }
 
@@ -65,6 +68,39 @@ class Single_Translation_REST_Controller extends \XWP_REST_Controller {
         return $this->can_edit_content( $type, $id );
     }
 
+    /**
+     * Permission check for preview endpoints.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return bool Whether the user has permission.
+     */
+    public function preview_permissions_check( \WP_REST_Request $request ): bool {
+        $type = $request->get_param( 'type' );
+        $id   = (int) $request->get_param( 'id' );
+
+        return $this->can_edit_content( $type, $id );
+    }
+
+    /**
+     * Permission check for preview retrieval endpoint.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return bool Whether the user has permission.
+     */
+    public function get_preview_permissions_check( \WP_REST_Request $request ): bool {
+        return $this->preview_permissions_check( $request );
+    }
+
+    /**
+     * Permission check for apply endpoint.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return bool Whether the user has permission.
+     */
+    public function apply_preview_permissions_check( \WP_REST_Request $request ): bool {
+        return $this->preview_permissions_check( $request );
+    }
+
     /**
      * Permission check for exclusion endpoint.
      *
@@ -87,6 +123,79 @@ class Single_Translation_REST_Controller extends \XWP_REST_Controller {
         return \current_user_can( 'edit_posts' ) || \current_user_can( 'edit_pages' );
     }
 
+    /**
+     * Permission check for retry endpoint (must be able to edit the job's content).
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return bool Whether the user has permission.
+     */
+    public function retry_job_tasks_permissions_check( \WP_REST_Request $request ): bool {
+        try {
+            $job = $this->job_repository->find( (int) $request->get_param( 'job_id' ) );
+        } catch ( \Exception $e ) {
+            return false;
+        }
+
+        return $this->can_edit_content( $job->get_type(), $job->get_id_from() );
+    }
+
+    /**
+     * Permission check for task update endpoint (must be able to edit the task's content).
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return bool Whether the user has permission.
+     */
+    public function update_task_permissions_check( \WP_REST_Request $request ): bool {
+        try {
+            $task = $this->task_repository->find( (int) $request->get_param( 'task_id' ) );
+            $job  = $this->job_repository->find( (int) $task->get_job_id() );
+        } catch ( \Exception $e ) {
+            return false;
+        }
+
+        return $this->can_edit_content( $job->get_type(), $job->get_id_from() );
+    }
+
+    /**
+     * Permission check for version history endpoint.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return bool Whether the user has permission.
+     */
+    public function get_versions_permissions_check( \WP_REST_Request $request ): bool {
+        return $this->can_edit_content( $request->get_param( 'type' ), (int) $request->get_param( 'id' ) );
+    }
+
+    /**
+     * Permission check for version restore endpoint.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return bool Whether the user has permission.
+     */
+    public function restore_version_permissions_check( \WP_REST_Request $request ): bool {
+        return $this->can_edit_content( $request->get_param( 'type' ), (int) $request->get_param( 'id' ) );
+    }
+
+    /**
+     * Permission check for bulk translate endpoint (must be able to edit every item).
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return bool Whether the user has permission.
+     */
+    public function bulk_translate_permissions_check( \WP_REST_Request $request ): bool {
+        return $this->can_edit_all_content( $request->get_param( 'type' ), $this->get_request_ids( $request ) );
+    }
+
+    /**
+     * Permission check for bulk status endpoint (must be able to edit every item).
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return bool Whether the user has permission.
+     */
+    public function get_bulk_status_permissions_check( \WP_REST_Request $request ): bool {
+        return $this->can_edit_all_content( $request->get_param( 'type' ), $this->get_request_ids( $request ) );
+    }
+
     /**
      * Permission check for cancel endpoint.
      *
@@ -100,6 +209,26 @@ class Single_Translation_REST_Controller extends \XWP_REST_Controller {
         return $this->can_edit_content( $type, $id );
     }
 
+    /**
+     * Permission check for pause endpoint.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return bool Whether the user has permission.
+     */
+    public function pause_translation_permissions_check( \WP_REST_Request $request ): bool {
+        return $this->can_edit_content( $request->get_param( 'type' ), (int) $request->get_param( 'id' ) );
+    }
+
+    /**
+     * Permission check for resume endpoint.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return bool Whether the user has permission.
+     */
+    public function resume_translation_permissions_check( \WP_REST_Request $request ): bool {
+        return $this->can_edit_content( $request->get_param( 'type' ), (int) $request->get_param( 'id' ) );
+    }
+
     /**
      * Get translation status for a content item.
      *
@@ -112,7 +241,11 @@ class Single_Translation_REST_Controller extends \XWP_REST_Controller {
         $id   = (int) $request->get_param( 'id' );
 
         try {
-            $status = $this->translation_service->get_translation_status( $type, $id );
+            $status = $this->translation_service->get_translation_status(
+                $type,
+                $id,
+                (bool) $request->get_param( 'fields' ),
+            );
 
             // Add failed task details to help users understand what went wrong.
             if ( isset( $status['languages'] ) && \is_array( $status['languages'] ) ) {
@@ -137,11 +270,16 @@ class Single_Translation_REST_Controller extends \XWP_REST_Controller {
      */
     #[REST_Route( route: 'translate/(?P<type>post|term)/(?P<id>\d+)', methods: 'POST' )]
     public function translate( \WP_REST_Request $request ): \WP_REST_Response {
-        $type             = $request->get_param( 'type' );
-        $id               = (int) $request->get_param( 'id' );
-        $target_languages = $request->get_param( 'target_languages' );
-        $force            = (bool) $request->get_param( 'force' );
-        $instructions     = $request->get_param( 'instructions' );
+        $type                  = $request->get_param( 'type' );
+        $id                    = (int) $request->get_param( 'id' );
+        $target_languages      = $request->get_param( 'target_languages' );
+        $force                 = (bool) $request->get_param( 'force' );
+        $instructions          = $request->get_param( 'instructions' );
+        $fields                = $request->get_param( 'fields' );
+        $language_instructions = $request->get_param( 'language_instructions' );
+        $source_language       = $request->get_param( 'source_language' );
+        $result_status         = $request->get_param( 'result_status' );
+        $match_source_date     = (bool) $request->get_param( 'match_source_date' );
 
         // Validate target languages.
         if ( ! \is_array( $target_languages ) || 0 === \count( $target_languages ) ) {
@@ -155,6 +293,12 @@ class Single_Translation_REST_Controller extends \XWP_REST_Controller {
                 $target_languages,
                 $force,
                 $instructions,
+                false,
+                \is_array( $fields ) ? $fields : null,
+                \is_array( $language_instructions ) ? $language_instructions : array(),
+                \is_string( $source_language ) ? $source_language : null,
+                \is_string( $result_status ) ? $result_status : null,
+                $match_source_date,
             );
 
             return $this->success_response(
@@ -168,6 +312,107 @@ class Single_Translation_REST_Controller extends \XWP_REST_Controller {
         }
     }
 
+    /**
+     * Start a preview translation for a content item.
+     * Translations are kept on the tasks until they are applied.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'preview/(?P<type>post|term)/(?P<id>\d+)', methods: 'POST' )]
+    public function preview( \WP_REST_Request $request ): \WP_REST_Response {
+        $type                  = $request->get_param( 'type' );
+        $id                    = (int) $request->get_param( 'id' );
+        $target_languages      = $request->get_param( 'target_languages' );
+        $force                 = (bool) $request->get_param( 'force' );
+        $instructions          = $request->get_param( 'instructions' );
+        $fields                = $request->get_param( 'fields' );
+        $language_instructions = $request->get_param( 'language_instructions' );
+        $source_language       = $request->get_param( 'source_language' );
+        $result_status         = $request->get_param( 'result_status' );
+        $match_source_date     = (bool) $request->get_param( 'match_source_date' );
+
+        // Validate target languages.
+        if ( ! \is_array( $target_languages ) || 0 === \count( $target_languages ) ) {
+            return $this->error_response( 'Target languages are required.', 400 );
+        }
+
+        try {
+            $run_id = $this->translation_service->create_translation_run(
+                $type,
+                $id,
+                $target_languages,
+                $force,
+                $instructions,
+                true,
+                \is_array( $fields ) ? $fields : null,
+                \is_array( $language_instructions ) ? $language_instructions : array(),
+                \is_string( $source_language ) ? $source_language : null,
+                \is_string( $result_status ) ? $result_status : null,
+                $match_source_date,
+            );
+
+            return $this->success_response(
+                array(
+                    'message' => \__( 'Preview started successfully.', 'epicwp-ai-translation-for-polylang' ),
+                    'run_id'  => $run_id,
+                ),
+            );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
+    /**
+     * Get the proposed translations of a preview run.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'preview/(?P<type>post|term)/(?P<id>\d+)/(?P<run_id>\d+)', methods: 'GET' )]
+    public function get_preview( \WP_REST_Request $request ): \WP_REST_Response {
+        $type   = $request->get_param( 'type' );
+        $id     = (int) $request->get_param( 'id' );
+        $run_id = (int) $request->get_param( 'run_id' );
+
+        try {
+            return $this->success_response( $this->translation_service->get_preview( $type, $id, $run_id ) );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 404 );
+        }
+    }
+
+    /**
+     * Apply the accepted fields of a preview run.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'apply/(?P<type>post|term)/(?P<id>\d+)', methods: 'POST' )]
+    public function apply_preview( \WP_REST_Request $request ): \WP_REST_Response {
+        $type     = $request->get_param( 'type' );
+        $id       = (int) $request->get_param( 'id' );
+        $run_id   = (int) $request->get_param( 'run_id' );
+        $task_ids = $request->get_param( 'accepted' );
+
+        if ( ! \is_array( $task_ids ) ) {
+            return $this->error_response( 'Accepted fields are required.', 400 );
+        }
+
+        try {
+            $applied = $this->translation_service->apply_preview( $type, $id, $run_id, $task_ids );
+
+            return $this->success_response(
+                array(
+                    'applied' => $applied,
+                    'message' => \__( 'Accepted translations applied successfully.', 'epicwp-ai-translation-for-polylang' ),
+                ),
+            );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
     /**
      * Set exclusion status for a content item.
      *
@@ -210,13 +455,15 @@ class Single_Translation_REST_Controller extends \XWP_REST_Controller {
 
             $task_data = \array_map(
                 static fn( $task ) => array(
-                    'attempts'    => $task->get_attempts(),
-                    'id'          => $task->get_id(),
-                    'issue'       => $task->get_issue(),
-                    'reference'   => $task->get_reference(),
-                    'status'      => $task->get_status()->value,
-                    'translation' => $task->get_translation(),
-                    'value'       => $task->get_value(),
+                    'attempts'         => $task->get_attempts(),
+                    'back_translation' => $task->get_back_translation(),
+                    'id'               => $task->get_id(),
+                    'issue'            => $task->get_issue(),
+                    'quality_score'    => $task->get_quality_score(),
+                    'reference'        => $task->get_reference(),
+                    'status'           => $task->get_status()->value,
+                    'translation'      => $task->get_translation(),
+                    'value'            => $task->get_value(),
                 ),
                 $tasks,
             );
@@ -227,6 +474,180 @@ class Single_Translation_REST_Controller extends \XWP_REST_Controller {
         }
     }
 
+    /**
+     * Retry failed tasks of a job.
+     * Retries a single task when task_id is given, otherwise all failed tasks.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'job/(?P<job_id>\d+)/retry', methods: 'POST' )]
+    public function retry_job_tasks( \WP_REST_Request $request ): \WP_REST_Response {
+        $job_id  = (int) $request->get_param( 'job_id' );
+        $task_id = $request->get_param( 'task_id' );
+
+        try {
+            $reset = $this->translation_service->retry_failed_tasks(
+                $job_id,
+                null !== $task_id ? (int) $task_id : null,
+            );
+
+            return $this->success_response(
+                array(
+                    'message' => \__( 'Failed tasks queued for retry.', 'epicwp-ai-translation-for-polylang' ),
+                    'reset'   => $reset,
+                ),
+            );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
+    /**
+     * Save a manually edited task translation.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'task/(?P<task_id>\d+)', methods: 'POST' )]
+    public function update_task( \WP_REST_Request $request ): \WP_REST_Response {
+        $task_id     = (int) $request->get_param( 'task_id' );
+        $translation = $request->get_param( 'translation' );
+
+        if ( ! \is_string( $translation ) || '' === \trim( $translation ) ) {
+            return $this->error_response( 'Translation is required.', 400 );
+        }
+
+        try {
+            $this->translation_service->update_task_translation( $task_id, $translation );
+
+            return $this->success_response(
+                array(
+                    'message' => \__( 'Translation saved successfully.', 'epicwp-ai-translation-for-polylang' ),
+                ),
+            );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
+    /**
+     * Get the version history of a translation.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'versions/(?P<type>post|term)/(?P<id>\d+)/(?P<language>[a-zA-Z_-]+)', methods: 'GET' )]
+    public function get_versions( \WP_REST_Request $request ): \WP_REST_Response {
+        $type     = $request->get_param( 'type' );
+        $id       = (int) $request->get_param( 'id' );
+        $language = $request->get_param( 'language' );
+
+        try {
+            return $this->success_response(
+                array( 'versions' => $this->translation_service->get_versions( $type, $id, $language ) ),
+            );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 500 );
+        }
+    }
+
+    /**
+     * Restore a version onto the translation of a content item.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'versions/(?P<type>post|term)/(?P<id>\d+)/restore', methods: 'POST' )]
+    public function restore_version( \WP_REST_Request $request ): \WP_REST_Response {
+        $type       = $request->get_param( 'type' );
+        $id         = (int) $request->get_param( 'id' );
+        $version_id = (int) $request->get_param( 'version_id' );
+
+        if ( ! $version_id ) {
+            return $this->error_response( 'Version ID is required.', 400 );
+        }
+
+        try {
+            $this->translation_service->restore_version( $type, $id, $version_id );
+
+            return $this->success_response(
+                array(
+                    'message' => \__( 'Version restored successfully.', 'epicwp-ai-translation-for-polylang' ),
+                ),
+            );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
+    /**
+     * Start translations for several content items (list table bulk action).
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'bulk/translate/(?P<type>post|term)', methods: 'POST' )]
+    public function bulk_translate( \WP_REST_Request $request ): \WP_REST_Response {
+        $type             = $request->get_param( 'type' );
+        $ids              = $this->get_request_ids( $request );
+        $target_languages = $request->get_param( 'target_languages' );
+        $force            = (bool) $request->get_param( 'force' );
+        $instructions     = $request->get_param( 'instructions' );
+
+        if ( 0 === \count( $ids ) ) {
+            return $this->error_response( 'Content IDs are required.', 400 );
+        }
+
+        if ( ! \is_array( $target_languages ) || 0 === \count( $target_languages ) ) {
+            return $this->error_response( 'Target languages are required.', 400 );
+        }
+
+        try {
+            $result = $this->translation_service->create_bulk_translation_runs(
+                $type,
+                $ids,
+                $target_languages,
+                $force,
+                $instructions,
+            );
+
+            return $this->success_response(
+                array(
+                    'errors' => (object) $result['errors'],
+                    'runs'   => (object) $result['runs'],
+                ),
+            );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
+    /**
+     * Get the translation status of several content items.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'bulk/status/(?P<type>post|term)', methods: 'GET' )]
+    public function get_bulk_status( \WP_REST_Request $request ): \WP_REST_Response {
+        $type      = $request->get_param( 'type' );
+        $ids       = $this->get_request_ids( $request );
+        $languages = $request->get_param( 'languages' );
+
+        if ( ! \is_array( $languages ) || 0 === \count( $languages ) ) {
+            return $this->error_response( 'Target languages are required.', 400 );
+        }
+
+        try {
+            return $this->success_response(
+                array( 'items' => $this->translation_service->get_bulk_status( $type, $ids, $languages ) ),
+            );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 500 );
+        }
+    }
+
     /**
      * Cancel active translation for a content item.
      *
@@ -252,6 +673,85 @@ class Single_Translation_REST_Controller extends \XWP_REST_Controller {
         }
     }
 
+    /**
+     * Pause active translation for a content item.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'pause/(?P<type>post|term)/(?P<id>\d+)', methods: 'POST' )]
+    public function pause_translation( \WP_REST_Request $request ): \WP_REST_Response {
+        $type = $request->get_param( 'type' );
+        $id   = (int) $request->get_param( 'id' );
+
+        try {
+            $run_id = $this->translation_service->pause_active_translation( $type, $id );
+
+            return $this->success_response(
+                array(
+                    'message' => \__( 'Translation paused.', 'epicwp-ai-translation-for-polylang' ),
+                    'run_id'  => $run_id,
+                ),
+            );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
+    /**
+     * Resume paused translation for a content item.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: 'resume/(?P<type>post|term)/(?P<id>\d+)', methods: 'POST' )]
+    public function resume_translation( \WP_REST_Request $request ): \WP_REST_Response {
+        $type = $request->get_param( 'type' );
+        $id   = (int) $request->get_param( 'id' );
+
+        try {
+            $run_id = $this->translation_service->resume_translation( $type, $id );
+
+            return $this->success_response(
+                array(
+                    'message' => \__( 'Translation resumed.', 'epicwp-ai-translation-for-polylang' ),
+                    'run_id'  => $run_id,
+                ),
+            );
+        } catch ( \Exception $e ) {
+            return $this->error_response( $e->getMessage(), 400 );
+        }
+    }
+
+    /**
+     * Get the content IDs of a bulk request.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return array<int> Unique content IDs.
+     */
+    private function get_request_ids( \WP_REST_Request $request ): array {
+        $ids = \array_filter( \array_map( 'absint', (array) $request->get_param( 'ids' ) ) );
+
+        return \array_values( \array_unique( $ids ) );
+    }
+
+    /**
+     * Check if the current user can edit all of the given content items.
+     *
+     * @param string     $type Content type (post or term).
+     * @param array<int> $ids  Content IDs.
+     * @return bool Whether the user can edit every item.
+     */
+    private function can_edit_all_content( string $type, array $ids ): bool {
+        foreach ( $ids as $id ) {
+            if ( ! $this->can_edit_content( $type, $id ) ) {
+                return false;
+            }
+        }
+
+        return 0 !== \count( $ids );
+    }
+
     /**
      * Get failed task details for a job.
      *
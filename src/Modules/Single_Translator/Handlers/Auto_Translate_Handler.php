@@ -0,0 +1,104 @@
+<?php
+/**
+ * Auto_Translate_Handler class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Single_Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Single_Translator\Handlers;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Common\Interfaces\Language_Manager;
+use PLLAT\Settings\Services\Settings_Service;
+use PLLAT\Single_Translator\Services\Single_Translation_Service;
+use XWP\DI\Decorators\Action;
+use XWP\DI\Decorators\Handler;
+
+/**
+ * Translates new and updated content automatically.
+ *
+ * Content_Change_Handler schedules the 'pllat_auto_translate' action for content types
+ * that have auto-translate enabled. Each item gets its own run, limited to the
+ * languages of its content type scope.
+ */
+#[Handler( tag: 'init', priority: 18 )]
+class Auto_Translate_Handler {
+    /**
+     * Constructor.
+     *
+     * @param Settings_Service           $settings_service           The settings service.
+     * @param Language_Manager           $language_manager           The language manager.
+     * @param Single_Translation_Service $single_translation_service The single translation service.
+     */
+    public function __construct(
+        private Settings_Service $settings_service,
+        private Language_Manager $language_manager,
+        private Single_Translation_Service $single_translation_service,
+    ) {
+    }
+
+    /**
+     * Translate a changed content item via async action.
+     *
+     * The scope is checked again, auto-translate may have been disabled since the action was scheduled.
+     *
+     * @param string $type Content type (post or term).
+     * @param int    $id   Content ID.
+     * @return void
+     */
+    #[Action( tag: 'pllat_auto_translate' )]
+    public function translate( string $type, int $id ): void {
+        $entity = $this->get_entity( $type, $id );
+
+        if ( null === $entity || ! $this->settings_service->is_auto_translate_enabled_for( $type, $entity ) ) {
+            return;
+        }
+
+        $scope = $this->settings_service->get_auto_translate_scope( $type, $entity );
+
+        try {
+            $run_id = $this->single_translation_service->create_translation_run(
+                $type,
+                $id,
+                $scope['languages'] ?? $this->language_manager->get_available_languages( false ),
+            );
+        } catch ( \Exception $e ) {
+            // The item is excluded, already being translated or up to date.
+			// phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
+            \error_log(
+                \sprintf(
+                    '[PLLAT] Auto-translation of %s %d skipped: %s',
+                    $type,
+                    $id,
+                    $e->getMessage(),
+                ),
+            );
+            return;
+        }
+
+        $this->settings_service->set_auto_translate_last_item( $type, $entity, $id, $run_id );
+    }
+
+    /**
+     * Get the post type or taxonomy of a content item.
+     *
+     * @param string $type Content type (post or term).
+     * @param int    $id   Content ID.
+     * @return string|null The post type or taxonomy, null if the item no longer exists.
+     */
+    private function get_entity( string $type, int $id ): ?string {
+        if ( 'post' === $type ) {
+            $post_type = \get_post_type( $id );
+            return false !== $post_type ? $post_type : null;
+        }
+
+        $term = \get_term( $id );
+        return $term instanceof \WP_Term ? $term->taxonomy : null;
+    }
+}
@@ -0,0 +1,155 @@
+<?php
+/**
+ * Bulk_Action_Handler class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Single_Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Single_Translator\Handlers;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Common\Helpers;
+use PLLAT\Common\Interfaces\Language_Manager;
+use PLLAT\Common\Services\Asset_Service;
+use XWP\DI\Decorators\Action;
+use XWP\DI\Decorators\Handler;
+
+/**
+ * Handler for the "Translate with AI" bulk action on post and term list tables.
+ * The action is intercepted in the browser, which opens the bulk translator modal.
+ * The same script renders the cells of the status column (see Status_Column_Handler).
+ */
+#[Handler( tag: 'init', priority: 11, context: Handler::CTX_ADMIN )]
+class Bulk_Action_Handler {
+    /**
+     * Bulk action name.
+     *
+     * @var string
+     */
+    public const ACTION = 'pllat_translate';
+
+    /**
+     * Constructor.
+     *
+     * @param Language_Manager $language_manager The language manager.
+     * @param Asset_Service    $asset_service    The asset service.
+     */
+    public function __construct(
+        private Language_Manager $language_manager,
+        private Asset_Service $asset_service,
+    ) {
+    }
+
+    /**
+     * Register the bulk action on list tables of active post types and taxonomies.
+     *
+     * @param \WP_Screen $screen The current screen.
+     * @return void
+     */
+    #[Action( tag: 'current_screen' )]
+    public function register_bulk_action( \WP_Screen $screen ): void {
+        if ( ! $this->get_screen_type( $screen ) || ! $this->is_ai_configured() ) {
+            return;
+        }
+
+        \add_filter( "bulk_actions-{$screen->id}", array( $this, 'add_bulk_action' ) );
+    }
+
+    /**
+     * Add the bulk action to the list table dropdown.
+     *
+     * @param array<string, string> $actions Bulk actions.
+     * @return array<string, string> Bulk actions.
+     */
+    public function add_bulk_action( array $actions ): array {
+        $actions[ self::ACTION ] = \__( 'Translate with AI', 'epicwp-ai-translation-for-polylang' );
+
+        return $actions;
+    }
+
+    /**
+     * Enqueue the bulk translator on list tables.
+     *
+     * @return void
+     */
+    #[Action( tag: 'admin_enqueue_scripts' )]
+    public function enqueue_assets(): void {
+        $screen = \get_current_screen();
+        $type   = $screen ? $this->get_screen_type( $screen ) : null;
+
+        if ( ! $type || ! $this->is_ai_configured() ) {
+            return;
+        }
+
+        $asset_file = PLLAT_PLUGIN_DIR . 'build/admin/bulk-translator.asset.php';
+
+        if ( ! \file_exists( $asset_file ) ) {
+            return;
+        }
+
+        $asset = require $asset_file;
+
+        \wp_enqueue_script(
+            'pllat-bulk-translator',
+            PLLAT_PLUGIN_URL . 'build/admin/bulk-translator.js',
+            $asset['dependencies'],
+            $asset['version'],
+            true,
+        );
+
+        \wp_enqueue_style( 'wp-components' );
+
+        \wp_localize_script(
+            'pllat-bulk-translator',
+            'pllatBulkTranslator',
+            array(
+                'action' => self::ACTION,
+                'type'   => $type,
+            ),
+        );
+
+        // Global pllat object for shared utilities (flag display, icons, etc).
+        \wp_localize_script(
+            'pllat-bulk-translator',
+            'pllat',
+            array(
+                'assets'    => $this->asset_service->get_shared_assets(),
+                'languages' => $this->language_manager->get_languages_data(),
+            ),
+        );
+    }
+
+    /**
+     * Get the content type of a list table screen.
+     *
+     * @param \WP_Screen $screen The screen.
+     * @return string|null Content type (post or term), null if the screen is not a translatable list table.
+     */
+    private function get_screen_type( \WP_Screen $screen ): ?string {
+        if ( 'edit' === $screen->base && \in_array( $screen->post_type, Helpers::get_active_post_types(), true ) ) {
+            return 'post';
+        }
+
+        if ( 'edit-tags' === $screen->base && \in_array( $screen->taxonomy, Helpers::get_available_taxonomies(), true ) ) {
+            return 'term';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if AI is configured.
+     *
+     * @return bool True if AI provider is configured.
+     */
+    private function is_ai_configured(): bool {
+        $provider = \get_option( 'pllat_provider' );
+        return null !== $provider && '' !== $provider;
+    }
+}
@@ -15,6 +15,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use PLLAT\Single_Translator\Services\Job_Processor_Service;
+use PLLAT\Single_Translator\Services\Run_Control_Service;
 use Psr\Container\ContainerInterface;
 use XWP\DI\Decorators\Action;
 use XWP\DI\Decorators\Handler;
@@ -23,7 +24,8 @@ use XWP\DI\Decorators\Handler;
  * Handles async job processing actions.
  *
  * Listens to 'pllat_process_single_job' actions triggered by Action Scheduler
- * and delegates processing to Job_Processor_Service.
+ * and delegates processing to Job_Processor_Service. Runs started from the translation
+ * dashboard are dispatched by 'pllat_dispatch_single_run' actions.
  *
  * This handler is used for free users who process jobs via async actions
  * instead of the external processor service.
@@ -71,4 +73,28 @@ class Job_Processor_Handler {
             );
         }
     }
+
+    /**
+     * Connect the jobs of a run and enqueue them via async action.
+     *
+     * Triggered by Action Scheduler when 'pllat_dispatch_single_run' action fires.
+     *
+     * @param int $run_id The run ID to dispatch.
+     * @return void
+     */
+    #[Action( tag: 'pllat_dispatch_single_run' )]
+    public function dispatch_run( int $run_id ): void {
+        try {
+            $this->container->get( Run_Control_Service::class )->dispatch_run( $run_id );
+        } catch ( \Exception $e ) {
+			// phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
+            \error_log(
+                \sprintf(
+                    '[PLLAT] Run %d dispatching failed: %s',
+                    $run_id,
+                    $e->getMessage(),
+                ),
+            );
+        }
+    }
 }
@@ -62,6 +62,15 @@ class Meta_Box_Handler {
             return;
         }
 
+        // Block editor: the translator is rendered in a document sidebar panel instead of the meta box.
+        if ( $screen->is_block_editor() ) {
+            if ( $this->is_ai_configured() ) {
+                $this->enqueue_assets( 'post', $post_id, 'single-translator-sidebar' );
+            }
+
+            return;
+        }
+
         // Enqueue assets.
         $this->enqueue_assets( 'post', $post_id );
     }
@@ -88,6 +97,7 @@ class Meta_Box_Handler {
                 $post_type,
                 'normal',
                 'high',
+                array( '__back_compat_meta_box' => true ),
             );
         }
     }
@@ -164,14 +174,16 @@ class Meta_Box_Handler {
     }
 
     /**
-     * Enqueue assets for the meta box.
+     * Enqueue assets for the meta box or the block editor sidebar.
      *
-     * @param string $type Content type (post or term).
-     * @param int    $id   Content ID.
+     * @param string $type   Content type (post or term).
+     * @param int    $id     Content ID.
+     * @param string $bundle Script bundle name.
      * @return void
      */
-    private function enqueue_assets( string $type, int $id ): void {
-        $asset_file = PLLAT_PLUGIN_DIR . 'build/admin/single-translator.asset.php';
+    private function enqueue_assets( string $type, int $id, string $bundle = 'single-translator' ): void {
+        $handle     = 'pllat-' . $bundle;
+        $asset_file = PLLAT_PLUGIN_DIR . 'build/admin/' . $bundle . '.asset.php';
 
         if ( ! \file_exists( $asset_file ) ) {
             return;
@@ -181,8 +193,8 @@ class Meta_Box_Handler {
 
         // Enqueue script.
         \wp_enqueue_script(
-            'pllat-single-translator',
-            PLLAT_PLUGIN_URL . 'build/admin/single-translator.js',
+            $handle,
+            PLLAT_PLUGIN_URL . 'build/admin/' . $bundle . '.js',
             $asset['dependencies'],
             $asset['version'],
             true,
@@ -219,7 +231,7 @@ class Meta_Box_Handler {
             })(window.jQuery);
             ";
 
-            \wp_add_inline_script( 'pllat-single-translator', $term_meta_box_script );
+            \wp_add_inline_script( $handle, $term_meta_box_script );
         }
 
         // Enqueue WordPress component styles (no custom CSS needed).
@@ -232,7 +244,7 @@ class Meta_Box_Handler {
 
         // Localize script with initial data.
         \wp_localize_script(
-            'pllat-single-translator',
+            $handle,
             'pllatSingleTranslator',
             array(
                 'apiUrl'   => \rest_url( 'pllat/v1/single-translator' ),
@@ -249,7 +261,7 @@ class Meta_Box_Handler {
 
         // Also add global pllat object for shared utilities (flag display, icons, etc).
         \wp_localize_script(
-            'pllat-single-translator',
+            $handle,
             'pllat',
             array(
                 'assets'    => $this->asset_service->get_shared_assets(),
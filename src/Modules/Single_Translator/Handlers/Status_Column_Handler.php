@@ -0,0 +1,119 @@
+<?php
+/**
+ * Status_Column_Handler class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Single_Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Single_Translator\Handlers;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Common\Helpers;
+use XWP\DI\Decorators\Action;
+use XWP\DI\Decorators\Handler;
+
+/**
+ * Handler for the per-language translation status column on post and term list tables.
+ * Cells are placeholders, the statuses are rendered by the bulk translator script.
+ */
+#[Handler( tag: 'init', priority: 11, context: Handler::CTX_ADMIN )]
+class Status_Column_Handler {
+    /**
+     * Column name.
+     *
+     * @var string
+     */
+    public const COLUMN = 'pllat_translation';
+
+    /**
+     * Register the column on list tables of active post types and taxonomies.
+     *
+     * @param \WP_Screen $screen The current screen.
+     * @return void
+     */
+    #[Action( tag: 'current_screen' )]
+    public function register_column( \WP_Screen $screen ): void {
+        if ( ! $this->is_ai_configured() ) {
+            return;
+        }
+
+        if ( 'edit' === $screen->base && \in_array( $screen->post_type, Helpers::get_active_post_types(), true ) ) {
+            \add_filter( "manage_{$screen->post_type}_posts_columns", array( $this, 'add_column' ) );
+            \add_action( "manage_{$screen->post_type}_posts_custom_column", array( $this, 'render_post_column' ), 10, 2 );
+        }
+
+        if ( 'edit-tags' === $screen->base && \in_array( $screen->taxonomy, Helpers::get_available_taxonomies(), true ) ) {
+            \add_filter( "manage_edit-{$screen->taxonomy}_columns", array( $this, 'add_column' ) );
+            \add_filter( "manage_{$screen->taxonomy}_custom_column", array( $this, 'render_term_column' ), 10, 3 );
+        }
+    }
+
+    /**
+     * Add the column to the list table.
+     *
+     * @param array<string, string> $columns List table columns.
+     * @return array<string, string> List table columns.
+     */
+    public function add_column( array $columns ): array {
+        $columns[ self::COLUMN ] = \__( 'AI Translation', 'epicwp-ai-translation-for-polylang' );
+
+        return $columns;
+    }
+
+    /**
+     * Render the column of a post row.
+     *
+     * @param string $column  Column name.
+     * @param int    $post_id Post ID.
+     * @return void
+     */
+    public function render_post_column( string $column, int $post_id ): void {
+        if ( self::COLUMN !== $column || ! \current_user_can( 'edit_post', $post_id ) ) {
+            return;
+        }
+
+        echo $this->get_cell( $post_id ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+    }
+
+    /**
+     * Render the column of a term row.
+     *
+     * @param string $content Column content.
+     * @param string $column  Column name.
+     * @param int    $term_id Term ID.
+     * @return string Column content.
+     */
+    public function render_term_column( string $content, string $column, int $term_id ): string {
+        if ( self::COLUMN !== $column || ! \current_user_can( 'edit_term', $term_id ) ) {
+            return $content;
+        }
+
+        return $content . $this->get_cell( $term_id );
+    }
+
+    /**
+     * Get the placeholder of a status cell.
+     *
+     * @param int $id Content ID.
+     * @return string Cell HTML.
+     */
+    private function get_cell( int $id ): string {
+        return '<div class="pllat-status-column" data-id="' . \esc_attr( (string) $id ) . '"></div>';
+    }
+
+    /**
+     * Check if AI is configured.
+     *
+     * @return bool True if AI provider is configured.
+     */
+    private function is_ai_configured(): bool {
+        $provider = \get_option( 'pllat_provider' );
+        return null !== $provider && '' !== $provider;
+    }
+}
@@ -14,6 +14,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit; // Exit if accessed directly
 }
 
+use PLLAT\Translator\Models\Job;
 use PLLAT\Translator\Models\Run;
 use PLLAT\Translator\Repositories\Job_Repository;
 
@@ -36,6 +37,13 @@ class Async_Job_Dispatcher_Service {
      */
     private const HOOK_PROCESS_JOB = 'pllat_process_single_job';
 
+    /**
+     * Hook name for async run dispatching.
+     *
+     * @var string
+     */
+    private const HOOK_DISPATCH_RUN = 'pllat_dispatch_single_run';
+
     /**
      * Group prefix for run-specific action grouping.
      *
@@ -77,6 +85,39 @@ class Async_Job_Dispatcher_Service {
         }
     }
 
+    /**
+     * Enqueue the dispatching of a run for async processing.
+     *
+     * Connecting the jobs of a whole post type or taxonomy takes too long for a request,
+     * so it is done by the Job_Processor_Handler, which then enqueues the jobs.
+     *
+     * @param Run $run The run to dispatch.
+     * @return void
+     */
+    public function enqueue_run_dispatch( Run $run ): void {
+        \as_enqueue_async_action(
+            self::HOOK_DISPATCH_RUN,
+            array( 'run_id' => $run->get_id() ),
+            $this->get_group_for_run( $run->get_id() ),
+        );
+    }
+
+    /**
+     * Enqueue a single job of a run for async processing.
+     *
+     * Used to re-dispatch a job after its failed tasks have been reset.
+     *
+     * @param Job $job The job to enqueue.
+     * @return void
+     */
+    public function enqueue_job( Job $job ): void {
+        \as_enqueue_async_action(
+            self::HOOK_PROCESS_JOB,
+            array( 'job_id' => $job->get_id() ),
+            $this->get_group_for_run( (int) $job->get_run_id() ),
+        );
+    }
+
     /**
      * Cancel all pending async actions for a run.
      *
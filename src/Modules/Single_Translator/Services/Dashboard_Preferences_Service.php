@@ -0,0 +1,97 @@
+<?php
+/**
+ * Dashboard_Preferences_Service class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Single_Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Single_Translator\Services;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+/**
+ * Service for the translation dashboard preferences of a user.
+ *
+ * Stores per user and site which content type cards are hidden and how the cards are sorted.
+ */
+class Dashboard_Preferences_Service {
+    /**
+     * User option name for the dashboard preferences.
+     *
+     * @var string
+     */
+    private const OPTION_NAME = 'pllat_dashboard_preferences';
+
+    /**
+     * Available sort orders of the content type cards.
+     *
+     * @var array<int, string>
+     */
+    private const SORT_ORDERS = array( 'default', 'name', 'completion_asc', 'completion_desc' );
+
+    /**
+     * Get the dashboard preferences of a user.
+     *
+     * @param int $user_id User ID.
+     * @return array{hidden: array<int, string>, sort: string} The preferences.
+     */
+    public function get( int $user_id ): array {
+        $preferences = \get_user_option( self::OPTION_NAME, $user_id );
+        $preferences = \is_array( $preferences ) ? $preferences : array();
+
+        return array(
+            'hidden' => \array_values( (array) ( $preferences['hidden'] ?? array() ) ),
+            'sort'   => \in_array( $preferences['sort'] ?? '', self::SORT_ORDERS, true ) ? $preferences['sort'] : 'default',
+        );
+    }
+
+    /**
+     * Update the dashboard preferences of a user.
+     * Preferences missing from the changes are kept.
+     *
+     * @param int   $user_id User ID.
+     * @param array $changes The changed preferences (hidden and/or sort).
+     * @return array{hidden: array<int, string>, sort: string} The saved preferences.
+     * @throws \Exception If a preference is invalid.
+     */
+    public function update( int $user_id, array $changes ): array {
+        $preferences = $this->get( $user_id );
+
+        if ( isset( $changes['hidden'] ) ) {
+            if ( ! \is_array( $changes['hidden'] ) ) {
+                throw new \Exception(
+                    \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                        'Hidden content types must be a list.',
+                        'epicwp-ai-translation-for-polylang',
+                    ),
+                );
+            }
+
+            $preferences['hidden'] = \array_values(
+                \array_unique( \array_filter( \array_map( 'sanitize_key', $changes['hidden'] ) ) ),
+            );
+        }
+
+        if ( isset( $changes['sort'] ) ) {
+            if ( ! \in_array( $changes['sort'], self::SORT_ORDERS, true ) ) {
+                throw new \Exception(
+                    \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                        'Invalid sort order.',
+                        'epicwp-ai-translation-for-polylang',
+                    ),
+                );
+            }
+
+            $preferences['sort'] = $changes['sort'];
+        }
+
+        \update_user_option( $user_id, self::OPTION_NAME, $preferences );
+
+        return $preferences;
+    }
+}
@@ -0,0 +1,150 @@
+<?php
+/**
+ * Instruction_Preset_Service class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Single_Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Single_Translator\Services;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+/**
+ * Service for the site-wide library of named AI instruction presets.
+ *
+ * Presets are stored in a single option as a map of preset ID => preset.
+ */
+class Instruction_Preset_Service {
+    /**
+     * Option name for the preset library.
+     *
+     * @var string
+     */
+    private const OPTION_NAME = 'pllat_instruction_presets';
+
+    /**
+     * Get all presets, sorted by name.
+     *
+     * @return array<int, array{id:string,instructions:string,name:string}> The presets.
+     */
+    public function get_presets(): array {
+        $presets = \array_values( $this->load() );
+
+        \usort( $presets, static fn( $a, $b ) => \strcasecmp( $a['name'], $b['name'] ) );
+
+        return $presets;
+    }
+
+    /**
+     * Create a new preset.
+     *
+     * @param string $name         Preset name.
+     * @param string $instructions Preset instructions.
+     * @return array{id:string,instructions:string,name:string} The created preset.
+     * @throws \Exception If the preset is invalid.
+     */
+    public function create_preset( string $name, string $instructions ): array {
+        $presets = $this->load();
+        $preset  = $this->build_preset( \wp_generate_uuid4(), $name, $instructions );
+
+        $presets[ $preset['id'] ] = $preset;
+        $this->save( $presets );
+
+        return $preset;
+    }
+
+    /**
+     * Update an existing preset.
+     *
+     * @param string $id           Preset ID.
+     * @param string $name         Preset name.
+     * @param string $instructions Preset instructions.
+     * @return array{id:string,instructions:string,name:string} The updated preset.
+     * @throws \Exception If the preset does not exist or is invalid.
+     */
+    public function update_preset( string $id, string $name, string $instructions ): array {
+        $presets = $this->load();
+
+        if ( ! isset( $presets[ $id ] ) ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'Preset not found.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        $presets[ $id ] = $this->build_preset( $id, $name, $instructions );
+        $this->save( $presets );
+
+        return $presets[ $id ];
+    }
+
+    /**
+     * Delete a preset.
+     *
+     * @param string $id Preset ID.
+     * @return void
+     */
+    public function delete_preset( string $id ): void {
+        $presets = $this->load();
+
+        unset( $presets[ $id ] );
+        $this->save( $presets );
+    }
+
+    /**
+     * Build a sanitized preset.
+     *
+     * @param string $id           Preset ID.
+     * @param string $name         Preset name.
+     * @param string $instructions Preset instructions.
+     * @return array{id:string,instructions:string,name:string} The preset.
+     * @throws \Exception If the name or instructions are empty.
+     */
+    private function build_preset( string $id, string $name, string $instructions ): array {
+        $name         = \sanitize_text_field( $name );
+        $instructions = \sanitize_textarea_field( $instructions );
+
+        if ( '' === $name || '' === $instructions ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'A preset needs a name and instructions.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        return array(
+            'id'           => $id,
+            'instructions' => $instructions,
+            'name'         => $name,
+        );
+    }
+
+    /**
+     * Load the preset library.
+     *
+     * @return array<string, array{id:string,instructions:string,name:string}> Map of preset ID => preset.
+     */
+    private function load(): array {
+        $presets = \get_option( self::OPTION_NAME, array() );
+
+        return \is_array( $presets ) ? $presets : array();
+    }
+
+    /**
+     * Persist the preset library.
+     *
+     * @param array<string, array{id:string,instructions:string,name:string}> $presets Map of preset ID => preset.
+     * @return void
+     */
+    private function save( array $presets ): void {
+        \update_option( self::OPTION_NAME, $presets, false );
+    }
+}
@@ -17,6 +17,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 use PLLAT\Translator\Enums\JobStatus;
 use PLLAT\Translator\Enums\TaskStatus;
 use PLLAT\Translator\Repositories\Job_Repository;
+use PLLAT\Translator\Repositories\Run_Repository;
 use PLLAT\Translator\Repositories\Task_Repository;
 use PLLAT\Translator\Services\Task_Processor;
 
@@ -38,11 +39,13 @@ class Job_Processor_Service {
      * @param Job_Repository  $job_repository  Job repository.
      * @param Task_Repository $task_repository Task repository.
      * @param Task_Processor  $task_processor  Task processor (handles actual translation).
+     * @param Run_Repository  $run_repository  Run repository.
      */
     public function __construct(
         private Job_Repository $job_repository,
         private Task_Repository $task_repository,
         private Task_Processor $task_processor,
+        private Run_Repository $run_repository,
     ) {
     }
 
@@ -68,11 +71,17 @@ class Job_Processor_Service {
             throw new \Exception( "Job {$job_id} not found" );
         }
 
+        // The run was paused after this action was queued, the job is dispatched again on resume.
+        if ( JobStatus::Paused === $job->get_status() ) {
+            return;
+        }
+
         // Mark job as in_progress.
         $job->set_status( JobStatus::InProgress );
         $this->job_repository->save( $job ); // Triggers cascade.
 
-        $tasks = $this->task_repository->find_by_job_id( $job_id );
+        $tasks   = $this->task_repository->find_by_job_id( $job_id );
+        $context = $this->get_job_context( $job );
 
         foreach ( $tasks as $task ) {
             // Skip already completed or exhausted tasks.
@@ -81,7 +90,7 @@ class Job_Processor_Service {
             }
 
             try {
-                $this->process_task( $task, $job );
+                $this->process_task( $task, $job, $context );
             } catch ( \Exception $e ) {
                 $this->handle_task_failure( $task, $e );
 
@@ -100,29 +109,58 @@ class Job_Processor_Service {
     /**
      * Process a single task.
      *
-     * @param \PLLAT\Translator\Models\Task $task The task to process.
-     * @param \PLLAT\Translator\Models\Job  $job  The parent job.
+     * @param \PLLAT\Translator\Models\Task $task    The task to process.
+     * @param \PLLAT\Translator\Models\Job  $job     The parent job.
+     * @param array                         $context Translation context for the job.
      * @return void
      * @throws \Exception If translation fails.
      */
-    private function process_task( $task, $job ): void {
+    private function process_task( $task, $job, array $context ): void {
         // Translate via Task_Processor (handles translator selection).
         $translation = $this->task_processor->process_task(
             $task,
             $job->get_lang_from(),
             $job->get_lang_to(),
-            array(
-                'content_id'   => $job->get_id_from(),
-                'content_type' => $job->get_content_type(),
-            ),
+            $context,
         );
 
-        // Update task with translation.
+        // Update task with translation, an earlier quality check no longer applies.
         $task->set_translation( $translation );
+        $task->add_tokens( $this->task_processor->get_last_token_usage() );
+        $task->set_quality( null, null );
         $task->set_status( TaskStatus::Completed );
         $this->task_repository->save( $task ); // Triggers cascade.
     }
 
+    /**
+     * Build the translation context for a job.
+     * Includes the shared and per-language instructions of the parent run.
+     *
+     * @param \PLLAT\Translator\Models\Job $job The job.
+     * @return array The translation context.
+     */
+    private function get_job_context( $job ): array {
+        $context = array(
+            'content_id'   => $job->get_id_from(),
+            'content_type' => $job->get_content_type(),
+        );
+
+        if ( ! $job->get_run_id() ) {
+            return $context;
+        }
+
+        try {
+            $config = $this->run_repository->find( $job->get_run_id() )->get_config();
+        } catch ( \Exception $e ) {
+            return $context;
+        }
+
+        $context['instructions']          = $config->get_instructions();
+        $context['language_instructions'] = $config->get_language_instructions();
+
+        return $context;
+    }
+
     /**
      * Handle task processing failure.
      *
@@ -0,0 +1,96 @@
+<?php
+/**
+ * Notice_Service class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Single_Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Single_Translator\Services;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+/**
+ * Service for the notices a user dismissed in the single translator and the dashboard.
+ *
+ * Dismissals are stored per user and site as a map of notice key => dismissal time.
+ * Job notices are keyed by job ID and language (job:12:de), run notices by run ID (run:3).
+ */
+class Notice_Service {
+    /**
+     * User option name for dismissed notices.
+     *
+     * @var string
+     */
+    private const OPTION_NAME = 'pllat_dismissed_notices';
+
+    /**
+     * Maximum number of dismissals kept per user, the oldest are dropped first.
+     *
+     * @var int
+     */
+    private const MAX_NOTICES = 200;
+
+    /**
+     * Get the notices dismissed by a user.
+     *
+     * @param int $user_id User ID.
+     * @return array<string, int> Map of notice key => dismissal time.
+     */
+    public function get_dismissed( int $user_id ): array {
+        $dismissed = \get_user_option( self::OPTION_NAME, $user_id );
+
+        return \is_array( $dismissed ) ? $dismissed : array();
+    }
+
+    /**
+     * Dismiss a notice for a user.
+     *
+     * @param int    $user_id  User ID.
+     * @param string $scope    Notice scope (job or run).
+     * @param int    $id       Job or run ID.
+     * @param string $language Language code, required for job notices.
+     * @return array<string, int> Map of notice key => dismissal time.
+     * @throws \Exception If the notice is invalid.
+     */
+    public function dismiss( int $user_id, string $scope, int $id, string $language = '' ): array {
+        $dismissed = $this->get_dismissed( $user_id );
+
+        $dismissed[ $this->get_key( $scope, $id, $language ) ] = \time();
+
+        \arsort( $dismissed );
+        $dismissed = \array_slice( $dismissed, 0, self::MAX_NOTICES, true );
+
+        \update_user_option( $user_id, self::OPTION_NAME, $dismissed );
+
+        return $dismissed;
+    }
+
+    /**
+     * Build the key of a notice.
+     *
+     * @param string $scope    Notice scope (job or run).
+     * @param int    $id       Job or run ID.
+     * @param string $language Language code, required for job notices.
+     * @return string The notice key.
+     * @throws \Exception If the notice is invalid.
+     */
+    private function get_key( string $scope, int $id, string $language ): string {
+        $language = \sanitize_key( $language );
+
+        if ( $id <= 0 || ! \in_array( $scope, array( 'job', 'run' ), true ) || ( 'job' === $scope && '' === $language ) ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'Invalid notice.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        return 'job' === $scope ? "job:{$id}:{$language}" : "run:{$id}";
+    }
+}
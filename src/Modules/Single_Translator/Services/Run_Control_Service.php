@@ -0,0 +1,373 @@
+<?php
+/**
+ * Run_Control_Service class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Single_Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Single_Translator\Services;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Common\Interfaces\Language_Manager;
+use PLLAT\Translator\Enums\JobStatus;
+use PLLAT\Translator\Enums\ResultStatus;
+use PLLAT\Translator\Models\Run;
+use PLLAT\Translator\Models\Translation_Config;
+use PLLAT\Translator\Repositories\Job_Repository;
+use PLLAT\Translator\Repositories\Run_Repository;
+use PLLAT\Translator\Services\Translation_Run_Service;
+
+/**
+ * Service for starting, pausing and resuming translation runs.
+ *
+ * Starts the content type runs of the translation dashboard. Pausing and resuming works on
+ * whole runs, for runs started from the translation dashboard as well as from the edit pages.
+ */
+class Run_Control_Service {
+    /**
+     * Largest number of items a dry run translates.
+     *
+     * @var int
+     */
+    private const MAX_DRY_RUN_ITEMS = 20;
+
+    /**
+     * Constructor.
+     *
+     * @param Job_Repository               $job_repository          The job repository.
+     * @param Run_Repository               $run_repository          The run repository.
+     * @param Translation_Run_Service      $translation_run_service The translation run service.
+     * @param Async_Job_Dispatcher_Service $async_job_dispatcher    The async job dispatcher service.
+     * @param Language_Manager             $language_manager        The language manager.
+     */
+    public function __construct(
+        private Job_Repository $job_repository,
+        private Run_Repository $run_repository,
+        private Translation_Run_Service $translation_run_service,
+        private Async_Job_Dispatcher_Service $async_job_dispatcher,
+        private Language_Manager $language_manager,
+    ) {
+    }
+
+    /**
+     * Start a translation run for all items of a post type or taxonomy.
+     * A dry run only translates a sample, or the picked items, to review before translating everything.
+     *
+     * @param string             $type              Content type (post or term).
+     * @param string             $content_type      Post type or taxonomy name.
+     * @param array<string>|null $languages         Target language codes, null for all languages.
+     * @param bool               $dry_run           Whether to only translate a sample.
+     * @param int|null           $dry_run_limit     Number of items in the sample of a dry run.
+     * @param array<int>         $dry_run_items     Picked items of a dry run, these replace the sample.
+     * @param string|null        $result_status     Post status of the translated posts (draft, pending, publish or source).
+     * @param bool               $match_source_date Whether the translated posts get the publish date of the source.
+     * @return int The run ID.
+     * @throws \Exception If the content type or a language is invalid.
+     */
+    public function start_content_type_run(
+        string $type,
+        string $content_type,
+        ?array $languages = null,
+        bool $dry_run = false,
+        ?int $dry_run_limit = null,
+        array $dry_run_items = array(),
+        ?string $result_status = null,
+        bool $match_source_date = false,
+    ): int {
+        $this->validate_content_type( $type, $content_type );
+
+        // Post status and date only apply to posts.
+        $result_status = 'post' === $type ? ResultStatus::tryFrom( (string) $result_status ) : null;
+        $this->validate_result_status( $content_type, $result_status );
+
+        $langs_to = $this->get_target_languages( $languages );
+        $items    = $dry_run ? $this->get_dry_run_items( $type, $content_type, $dry_run_items ) : array();
+
+        if ( $dry_run && 0 !== \count( $dry_run_items ) && 0 === \count( $items ) ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'None of the picked items belong to this content type.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        $config = new Translation_Config(
+            lang_from: $this->language_manager->get_default_language(),
+            langs_to: $langs_to,
+            post_types: 'post' === $type ? array( $content_type ) : array(),
+            taxonomies: 'term' === $type ? array( $content_type ) : array(),
+            string_groups: array(),
+            terms: array(),
+            specific_posts: 'post' === $type ? $items : array(),
+            specific_terms: 'term' === $type ? $items : array(),
+            limit: $dry_run && 0 === \count( $items ) ? $this->get_dry_run_limit( $dry_run_limit, \count( $langs_to ) ) : null,
+            requested_by: \get_current_user_id(),
+            requested_at: \time(),
+            result_status: $result_status,
+            match_source_date: 'post' === $type && $match_source_date,
+            dry_run: $dry_run,
+        );
+
+        $run = $this->run_repository->create( $config );
+
+        // The jobs are connected in the background, a whole content type takes too long for a request.
+        $this->async_job_dispatcher->enqueue_run_dispatch( $run );
+
+        return $run->get_id();
+    }
+
+    /**
+     * Connect the jobs of a run and enqueue them for processing.
+     * A run without anything to translate is completed right away.
+     *
+     * @param int $run_id Run ID.
+     * @return void
+     * @throws \Exception If the run is not found.
+     */
+    public function dispatch_run( int $run_id ): void {
+        $run = $this->find_run( $run_id );
+
+        // Cancelled or paused before it was dispatched, a resume dispatches it again.
+        if ( ! $run->get_status()->isPending() ) {
+            return;
+        }
+
+        $this->translation_run_service->create_translation_run( $run );
+
+        if ( 0 === \count( $run->get_job_ids() ) ) {
+            $this->translation_run_service->complete_run( $run );
+            return;
+        }
+
+        // Free version: Always enqueue async actions for immediate processing.
+        $this->async_job_dispatcher->enqueue_jobs_for_run( $run );
+    }
+
+    /**
+     * Pause a run.
+     * Queued jobs wait for a resume, jobs that are being translated finish first.
+     *
+     * @param int $run_id Run ID.
+     * @return void
+     * @throws \Exception If the run is not found or not active.
+     */
+    public function pause_run( int $run_id ): void {
+        $run = $this->find_run( $run_id );
+
+        if ( ! $run->get_status()->isRunning() && ! $run->get_status()->isPending() ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'Only active translation runs can be paused.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        // Stop dispatching first, so no queued job starts while the jobs are paused.
+        $this->async_job_dispatcher->cancel_actions_for_run( $run_id );
+
+        $pending_jobs = $this->job_repository->find_by_run_and_statuses( $run_id, array( JobStatus::Pending ) );
+        $this->job_repository->bulk_update_status(
+            \array_map( static fn( $job ) => $job->get_id(), $pending_jobs ),
+            JobStatus::Paused,
+        );
+
+        $this->translation_run_service->pause_run( $run );
+    }
+
+    /**
+     * Resume a paused run.
+     * Completed fields are kept, the paused jobs continue with their remaining fields.
+     *
+     * @param int $run_id Run ID.
+     * @return void
+     * @throws \Exception If the run is not found or not paused.
+     */
+    public function resume_run( int $run_id ): void {
+        $run = $this->find_run( $run_id );
+
+        if ( ! $run->get_status()->isPaused() ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'This translation run is not paused.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        $paused_jobs = $this->job_repository->find_by_run_and_statuses( $run_id, array( JobStatus::Paused ) );
+        $this->job_repository->bulk_update_status(
+            \array_map( static fn( $job ) => $job->get_id(), $paused_jobs ),
+            JobStatus::Pending,
+        );
+
+        $this->translation_run_service->resume_run( $run );
+
+        // Paused before its jobs were connected.
+        if ( 0 === \count( $run->get_job_ids() ) ) {
+            $this->async_job_dispatcher->enqueue_run_dispatch( $run );
+            return;
+        }
+
+        foreach ( $paused_jobs as $job ) {
+            $this->async_job_dispatcher->enqueue_job( $job );
+        }
+    }
+
+    /**
+     * Make sure a post type or taxonomy is translated with Polylang.
+     *
+     * @param string $type         Content type (post or term).
+     * @param string $content_type Post type or taxonomy name.
+     * @return void
+     * @throws \Exception If the content type is not available for translation.
+     */
+    private function validate_content_type( string $type, string $content_type ): void {
+        $available = 'post' === $type
+            ? $this->language_manager->get_available_post_types()
+            : $this->language_manager->get_available_taxonomies();
+
+        if ( \in_array( $content_type, $available, true ) ) {
+            return;
+        }
+
+        throw new \Exception(
+            \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                'This content type is not available for translation.',
+                'epicwp-ai-translation-for-polylang',
+            ),
+        );
+    }
+
+    /**
+     * Make sure the user may publish the translations of a post type.
+     * Keeping the source status publishes the translations of published posts.
+     *
+     * @param string            $content_type  Post type name.
+     * @param ResultStatus|null $result_status The requested result status.
+     * @return void
+     * @throws \Exception If the user may not publish posts of the post type.
+     */
+    private function validate_result_status( string $content_type, ?ResultStatus $result_status ): void {
+        if ( ResultStatus::Publish !== $result_status && ResultStatus::Source !== $result_status ) {
+            return;
+        }
+
+        $post_type = \get_post_type_object( $content_type );
+
+        if ( $post_type && \current_user_can( $post_type->cap->publish_posts ) ) {
+            return;
+        }
+
+        throw new \Exception(
+            \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                'You are not allowed to publish translations of this content.',
+                'epicwp-ai-translation-for-polylang',
+            ),
+        );
+    }
+
+    /**
+     * Get the picked items of a dry run that belong to the content type.
+     *
+     * @param string     $type          Content type (post or term).
+     * @param string     $content_type  Post type or taxonomy name.
+     * @param array<int> $dry_run_items Picked item IDs.
+     * @return array<int, int> Item IDs.
+     */
+    private function get_dry_run_items( string $type, string $content_type, array $dry_run_items ): array {
+        $items = \array_filter(
+            \array_unique( \array_map( 'intval', $dry_run_items ) ),
+            static function ( int $id ) use ( $type, $content_type ): bool {
+                if ( 'post' === $type ) {
+                    return \get_post_type( $id ) === $content_type;
+                }
+
+                $term = \get_term( $id );
+
+                return $term instanceof \WP_Term && $term->taxonomy === $content_type;
+            },
+        );
+
+        return \array_slice( \array_values( $items ), 0, self::MAX_DRY_RUN_ITEMS );
+    }
+
+    /**
+     * Get the job limit of a dry run sample.
+     * The config limit counts jobs, one per item and target language.
+     *
+     * @param int|null $dry_run_limit  Number of items in the sample.
+     * @param int      $language_count Number of target languages.
+     * @return int The job limit.
+     */
+    private function get_dry_run_limit( ?int $dry_run_limit, int $language_count ): int {
+        $items = \min( self::MAX_DRY_RUN_ITEMS, \max( 1, $dry_run_limit ?? 3 ) );
+
+        return $items * \max( 1, $language_count );
+    }
+
+    /**
+     * Get the target languages of a run, checked against the Polylang languages.
+     *
+     * @param array<string>|null $languages Requested language codes, null for all languages.
+     * @return array<int, string> Target language codes.
+     * @throws \Exception If a language is invalid or none is selected.
+     */
+    private function get_target_languages( ?array $languages ): array {
+        $available = \array_values( $this->language_manager->get_available_languages( true ) );
+
+        if ( null === $languages ) {
+            return $available;
+        }
+
+        $invalid = \array_diff( $languages, $available );
+
+        if ( 0 !== \count( $invalid ) ) {
+            throw new \Exception(
+                \sprintf(
+                    /* translators: %s: Comma separated language codes. */
+                    \esc_html__( 'Invalid target languages: %s', 'epicwp-ai-translation-for-polylang' ),
+                    \esc_html( \implode( ', ', $invalid ) ),
+                ),
+            );
+        }
+
+        if ( 0 === \count( $languages ) ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'Select at least one target language.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        return \array_values( \array_unique( $languages ) );
+    }
+
+    /**
+     * Find a run by ID.
+     *
+     * @param int $run_id Run ID.
+     * @return Run The run.
+     * @throws \Exception If the run is not found.
+     */
+    private function find_run( int $run_id ): Run {
+        try {
+            return $this->run_repository->find( $run_id );
+        } catch ( \Exception $e ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'Translation run not found.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+    }
+}
@@ -15,15 +15,21 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use PLLAT\Common\Interfaces\Language_Manager;
+use PLLAT\Content\Services\Content_Service;
+use PLLAT\Settings\Services\Settings_Service;
 use PLLAT\Sync\Services\Sync_Service;
 use PLLAT\Translator\Enums\JobStatus;
+use PLLAT\Translator\Enums\ResultStatus;
 use PLLAT\Translator\Enums\TranslatableMetaKey;
 use PLLAT\Translator\Models\Job;
+use PLLAT\Translator\Models\Run;
 use PLLAT\Translator\Models\Translatables\Translatable_Post;
 use PLLAT\Translator\Models\Translatables\Translatable_Term;
 use PLLAT\Translator\Models\Translation_Config;
 use PLLAT\Translator\Repositories\Job_Repository;
 use PLLAT\Translator\Repositories\Run_Repository;
+use PLLAT\Translator\Repositories\Task_Repository;
+use PLLAT\Translator\Repositories\Translation_Version_Repository;
 use PLLAT\Translator\Services\Translation_Run_Service;
 
 /**
@@ -39,6 +45,11 @@ class Single_Translation_Service {
      * @param Translation_Run_Service        $translation_run_service   The translation run service.
      * @param Sync_Service                   $sync_service              The sync service.
      * @param Async_Job_Dispatcher_Service   $async_job_dispatcher      The async job dispatcher service.
+     * @param Content_Service                $content_service           The content service.
+     * @param Task_Repository                $task_repository           The task repository.
+     * @param Translation_Version_Repository $version_repository        The translation version repository.
+     * @param Settings_Service               $settings_service          The settings service.
+     * @param Run_Control_Service            $run_control_service       The run control service.
      */
     public function __construct(
         private Language_Manager $language_manager,
@@ -47,50 +58,73 @@ class Single_Translation_Service {
         private Translation_Run_Service $translation_run_service,
         private Sync_Service $sync_service,
         private Async_Job_Dispatcher_Service $async_job_dispatcher,
+        private Content_Service $content_service,
+        private Task_Repository $task_repository,
+        private Translation_Version_Repository $version_repository,
+        private Settings_Service $settings_service,
+        private Run_Control_Service $run_control_service,
     ) {
     }
 
     /**
      * Get translation status for a specific content item.
      *
-     * @param string $type Content type (post or term).
-     * @param int    $id Content ID.
+     * Reading the translatable fields loads the whole item, so status polls leave them out.
+     *
+     * @param string $type        Content type (post or term).
+     * @param int    $id          Content ID.
+     * @param bool   $with_fields Include the translatable fields.
      * @return array Status data including system status and per-language status.
      */
-    public function get_translation_status( string $type, int $id ): array {
+    public function get_translation_status( string $type, int $id, bool $with_fields = false ): array {
         $lang_from           = $this->get_content_language( $type, $id );
         $available_languages = $this->get_target_languages( $lang_from );
-        $all_jobs            = $this->job_repository->find_all_by_content( $type, $id );
+        $group_ids           = $this->get_group_ids( $type, $id );
+        $all_jobs            = $this->job_repository->find_all_by_contents( $type, $group_ids );
         $language_names      = $this->build_language_names_map();
 
         // Build per-language status.
-        $languages = array();
+        $languages     = array();
+        $source_hashes = array();
         foreach ( $available_languages as $lang_to ) {
-            $languages[] = $this->build_language_status( $type, $id, $lang_from, $lang_to, $language_names );
+            $languages[] = $this->build_language_status( $type, $id, $group_ids, $lang_to, $language_names, $source_hashes );
         }
 
         $timing_flags = $this->analyze_job_timing( $all_jobs );
 
-        return array(
+        $status = array(
             'has_active'         => $timing_flags['has_active'],
             'has_recent_error'   => $timing_flags['has_recent_error'],
             'has_recent_success' => $timing_flags['has_recent_success'],
             'is_discovered'      => 0 !== \count( $all_jobs ),
+            'active_run'         => $this->get_active_run( $all_jobs ),
             'is_excluded'        => $this->is_excluded( $type, $id ),
             'languages'          => $languages,
         );
+
+        if ( $with_fields ) {
+            $status['fields'] = $this->get_translatable_fields( $type, $id );
+        }
+
+        return $status;
     }
 
     /**
      * Create a translation run for a specific content item.
      *
-     * @param string      $type             Content type (post or term).
-     * @param int         $id               Content ID.
-     * @param array       $target_languages Target language codes.
-     * @param bool        $force            Force re-translation.
-     * @param string|null $instructions     Custom AI instructions.
+     * @param string      $type                  Content type (post or term).
+     * @param int         $id                    Content ID.
+     * @param array       $target_languages      Target language codes.
+     * @param bool        $force                 Force re-translation.
+     * @param string|null $instructions          Custom AI instructions.
+     * @param bool        $preview               Hold translations for review instead of writing them.
+     * @param array|null  $fields                Field references to translate (null = all fields).
+     * @param array       $language_instructions Additional instructions per target language code.
+     * @param string|null $source_language       Translate from the translation in this language (null = the content itself).
+     * @param string|null $result_status         Post status of the translated posts (null = leave unchanged).
+     * @param bool        $match_source_date     Give the translated posts the publish date of the source.
      * @return int Run ID.
-     * @throws \Exception If validation fails or system not ready.
+     * @throws \Exception If validation fails, a translation is already running or system not ready.
      */
     public function create_translation_run(
         string $type,
@@ -98,6 +132,12 @@ class Single_Translation_Service {
         array $target_languages,
         bool $force = false,
         ?string $instructions = null,
+        bool $preview = false,
+        ?array $fields = null,
+        array $language_instructions = array(),
+        ?string $source_language = null,
+        ?string $result_status = null,
+        bool $match_source_date = false,
     ): int {
         if ( $this->is_excluded( $type, $id ) ) {
             throw new \Exception(
@@ -108,17 +148,53 @@ class Single_Translation_Service {
             );
         }
 
-        // Discovery - force mode creates jobs for ALL languages, normal mode only missing.
-        if ( $force ) {
-            $this->discover_item_for_languages( $type, $id, $target_languages, true );
+        // One run per item at a time, another editor (or browser tab) may have started one already.
+        $active_run = $this->get_active_run(
+            $this->job_repository->find_all_by_contents( $type, $this->get_group_ids( $type, $id ) ),
+        );
+        if ( null !== $active_run ) {
+            throw new \Exception( $this->get_active_run_message( $active_run ) ); // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+        }
+
+        // Translate from a reviewed translation instead of the content itself, if requested.
+        $source_id = $this->get_source_id( $type, $id, $source_language );
+        $lang_from = $this->get_content_language( $type, $source_id );
+
+        // Neither the source nor the content itself is ever overwritten.
+        $target_languages = \array_values(
+            \array_diff( $target_languages, array( $lang_from, $this->get_content_language( $type, $id ) ) ),
+        );
+
+        if ( 0 === \count( $target_languages ) ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'Select at least one target language other than the source language.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        // Discovery - field selection and force mode create jobs for ALL languages, normal mode only missing.
+        if ( null !== $fields ) {
+            $this->discover_item_fields( $type, $source_id, $target_languages, $fields );
+        } elseif ( $force ) {
+            $this->discover_item_for_languages( $type, $source_id, $target_languages, true );
         } else {
-            $this->discover_item( $type, $id );
-            $this->validate_languages_need_translation( $type, $id, $target_languages );
+            // A translation as source only gets jobs for the requested languages.
+            if ( $source_id === $id ) {
+                $this->discover_item( $type, $id );
+            } else {
+                $this->discover_item_for_languages( $type, $source_id, $target_languages, false );
+            }
+            $this->discover_outdated_languages( $type, $source_id, $target_languages );
+            $this->validate_languages_need_translation( $type, $source_id, $target_languages );
         }
 
-        // Create mini-run with specific content.
-        $lang_from = $this->get_content_language( $type, $id );
+        // Post status and date only apply to posts.
+        $result_status = 'post' === $type ? ResultStatus::tryFrom( (string) $result_status ) : null;
+        $this->validate_result_status( $source_id, $result_status );
 
+        // Create mini-run with specific content.
         $config = new Translation_Config(
             lang_from: $lang_from,
             langs_to: $target_languages,
@@ -126,10 +202,16 @@ class Single_Translation_Service {
             taxonomies: array(),
             string_groups: array(),
             terms: array(),
-            specific_posts: 'post' === $type ? array( $id ) : array(),
-            specific_terms: 'term' === $type ? array( $id ) : array(),
+            specific_posts: 'post' === $type ? array( $source_id ) : array(),
+            specific_terms: 'term' === $type ? array( $source_id ) : array(),
             instructions: $instructions ?? '',
             forced: $force,
+            preview: $preview,
+            language_instructions: $this->filter_language_instructions( $language_instructions, $target_languages ),
+            requested_by: \get_current_user_id(),
+            requested_at: \time(),
+            result_status: $result_status,
+            match_source_date: 'post' === $type && $match_source_date,
         );
 
         $run = $this->run_repository->create( $config );
@@ -140,12 +222,313 @@ class Single_Translation_Service {
         // Connect jobs and conditionally trigger external processor.
         $this->translation_run_service->create_translation_run( $run, $should_use_external );
 
+        // Only the selected fields are translated, other pending changes wait for a later run.
+        if ( null !== $fields ) {
+            $this->split_unselected_tasks( $run->get_id(), $fields );
+        }
+
         // Free version: Always enqueue async actions for immediate processing.
         $this->async_job_dispatcher->enqueue_jobs_for_run( $run );
 
         return $run->get_id();
     }
 
+    /**
+     * Create a translation run for each of several content items.
+     * Items are queued independently, a failing item doesn't stop the others.
+     *
+     * @param string      $type             Content type (post or term).
+     * @param array<int>  $ids              Content IDs.
+     * @param array       $target_languages Target language codes.
+     * @param bool        $force            Force re-translation.
+     * @param string|null $instructions     Custom AI instructions.
+     * @return array{runs: array<int, int>, errors: array<int, string>} Run IDs and error messages by content ID.
+     */
+    public function create_bulk_translation_runs(
+        string $type,
+        array $ids,
+        array $target_languages,
+        bool $force = false,
+        ?string $instructions = null,
+    ): array {
+        $runs   = array();
+        $errors = array();
+
+        foreach ( $ids as $id ) {
+            // The source language differs per item, so only keep the languages it can be translated to.
+            $item_languages = \array_values(
+                \array_intersect( $target_languages, $this->get_target_languages( $this->get_content_language( $type, $id ) ) ),
+            );
+
+            if ( 0 === \count( $item_languages ) ) {
+                $errors[ $id ] = \__( 'None of the selected languages apply to this item.', 'epicwp-ai-translation-for-polylang' );
+                continue;
+            }
+
+            try {
+                $runs[ $id ] = $this->create_translation_run( $type, $id, $item_languages, $force, $instructions );
+            } catch ( \Exception $e ) {
+                $errors[ $id ] = $e->getMessage();
+            }
+        }
+
+        return array(
+            'errors' => $errors,
+            'runs'   => $runs,
+        );
+    }
+
+    /**
+     * Get the translation status of several content items, limited to the given languages.
+     *
+     * @param string     $type             Content type (post or term).
+     * @param array<int> $ids              Content IDs.
+     * @param array      $target_languages Target language codes.
+     * @return array<int, array<string, mixed>> Per-item status with title and per-language status.
+     */
+    public function get_bulk_status( string $type, array $ids, array $target_languages ): array {
+        $language_names = $this->build_language_names_map();
+        $items          = array();
+        $source_hashes  = array();
+
+        foreach ( $ids as $id ) {
+            $lang_from = $this->get_content_language( $type, $id );
+            $group_ids = $this->get_group_ids( $type, $id );
+            $languages = array();
+
+            foreach ( \array_intersect( $target_languages, $this->get_target_languages( $lang_from ) ) as $lang_to ) {
+                $languages[] = $this->build_language_status( $type, $id, $group_ids, $lang_to, $language_names, $source_hashes );
+            }
+
+            $items[] = array(
+                'id'        => $id,
+                'languages' => $languages,
+                'title'     => $this->get_content_title( $type, $id ),
+            );
+        }
+
+        return $items;
+    }
+
+    /**
+     * Get the proposed translations of a preview run, grouped by language.
+     *
+     * @param string $type   Content type (post or term).
+     * @param int    $id     Content ID.
+     * @param int    $run_id Preview run ID.
+     * @return array Preview data with run status and per-language fields.
+     * @throws \Exception If the run is not a preview run for this content.
+     */
+    public function get_preview( string $type, int $id, int $run_id ): array {
+        $run            = $this->find_preview_run( $type, $id, $run_id );
+        $language_names = $this->build_language_names_map();
+        $languages      = array();
+
+        foreach ( $this->job_repository->find_all_by_run_id( $run_id ) as $job ) {
+            $fields = array();
+
+            foreach ( $job->get_tasks() as $task ) {
+                $fields[] = array(
+                    'id'          => $task->get_id(),
+                    'issue'       => $task->get_issue(),
+                    'reference'   => $task->get_reference(),
+                    'status'      => $task->get_status()->value,
+                    'translation' => $task->get_translation(),
+                    'value'       => $task->get_value(),
+                );
+            }
+
+            $languages[] = array(
+                'fields'        => $fields,
+                'job_id'        => $job->get_id(),
+                'language'      => $job->get_lang_to(),
+                'language_name' => $language_names[ $job->get_lang_to() ] ?? $job->get_lang_to(),
+                'status'        => $job->get_status()->value,
+            );
+        }
+
+        return array(
+            'languages'  => $languages,
+            'run_id'     => $run->get_id(),
+            'run_status' => $run->get_status()->value,
+        );
+    }
+
+    /**
+     * Apply the accepted fields of a preview run to the translations.
+     * Rejected fields are left untouched on the translated content.
+     *
+     * Jobs stay completed, their rejected fields lose the proposed translation, so the language
+     * is translated again by the next run. Applying an empty selection discards the preview.
+     *
+     * @param string     $type     Content type (post or term).
+     * @param int        $id       Content ID.
+     * @param int        $run_id   Preview run ID.
+     * @param array<int> $task_ids IDs of the accepted tasks.
+     * @return array<string, int> Map of language code => translation ID that was updated.
+     * @throws \Exception If the run is not a preview run for this content.
+     */
+    public function apply_preview( string $type, int $id, int $run_id, array $task_ids ): array {
+        $this->find_preview_run( $type, $id, $run_id );
+
+        $task_ids = \array_map( 'intval', $task_ids );
+        $applied  = array();
+
+        foreach ( $this->job_repository->find_all_by_run_id( $run_id ) as $job ) {
+            if ( JobStatus::Completed !== $job->get_status() ) {
+                continue;
+            }
+
+            $job_task_ids = \array_map( static fn( $task ) => $task->get_id(), $job->get_tasks() );
+            $accepted     = \array_values( \array_intersect( $job_task_ids, $task_ids ) );
+
+            if ( \count( $accepted ) > 0 ) {
+                $applied[ $job->get_lang_to() ] = $this->content_service->apply_job_tasks( $job, $accepted );
+            }
+
+            $this->reject_tasks( $job, $accepted );
+        }
+
+        return $applied;
+    }
+
+    /**
+     * Reset failed tasks of a job and re-dispatch the job.
+     *
+     * @param int      $job_id  Job ID.
+     * @param int|null $task_id Retry only this task (null = all failed tasks).
+     * @return int Number of tasks that were reset.
+     * @throws \Exception If the job has no run or no failed tasks to retry.
+     */
+    public function retry_failed_tasks( int $job_id, ?int $task_id = null ): int {
+        $job = $this->job_repository->find( $job_id );
+
+        if ( null === $job->get_run_id() ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'This job is not part of a translation run.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        $reset = 0;
+
+        foreach ( $job->get_tasks() as $task ) {
+            if ( ! $task->is_failed() || ( null !== $task_id && $task->get_id() !== $task_id ) ) {
+                continue;
+            }
+
+            $task->reset();
+            $this->task_repository->save( $task ); // Triggers cascade.
+            ++$reset;
+        }
+
+        if ( 0 === $reset ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'No failed tasks to retry.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        $this->async_job_dispatcher->enqueue_job( $job );
+
+        return $reset;
+    }
+
+    /**
+     * Save a manually edited translation of a task and write it to the translation.
+     * The field is flagged as manually edited, so force runs can warn before overwriting it.
+     *
+     * @param int    $task_id     Task ID.
+     * @param string $translation The edited translation.
+     * @return void
+     * @throws \Exception If the task has not been translated yet.
+     */
+    public function update_task_translation( int $task_id, string $translation ): void {
+        $task = $this->task_repository->find( $task_id );
+        $job  = $this->job_repository->find( (int) $task->get_job_id() );
+
+        if ( ! $task->is_completed() ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'Only translated fields can be edited.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        $task->set_translation( $translation );
+        $task->set_quality( null, null );
+        $this->task_repository->save( $task );
+
+        $this->content_service->write_manual_translation( $job, $task );
+    }
+
+    /**
+     * Get the version history of a translation, newest first.
+     *
+     * @param string $type     Content type (post or term).
+     * @param int    $id       Source content ID.
+     * @param string $language Target language code.
+     * @return array<int, array<string, mixed>> Serialized versions.
+     */
+    public function get_versions( string $type, int $id, string $language ): array {
+        $translation_id = $this->get_translation_id( $type, $id, $language );
+
+        if ( ! $translation_id ) {
+            return array();
+        }
+
+        $versions = array();
+
+        foreach ( $this->version_repository->find_by_content( $type, $translation_id ) as $version ) {
+            $user = $version->get_created_by() ? \get_userdata( $version->get_created_by() ) : false;
+
+            $versions[] = \array_merge(
+                $version->jsonSerialize(),
+                array( 'created_by_name' => $user ? $user->display_name : '' ),
+            );
+        }
+
+        return $versions;
+    }
+
+    /**
+     * Restore a version onto the translation of a content item.
+     *
+     * The content may be any item of the translation group, the source or a translation.
+     *
+     * @param string $type       Content type (post or term).
+     * @param int    $id         Content ID.
+     * @param int    $version_id Version ID.
+     * @return void
+     * @throws \Exception If the version doesn't belong to the content item.
+     */
+    public function restore_version( string $type, int $id, int $version_id ): void {
+        $version   = $this->version_repository->find( $version_id );
+        $group_ids = $this->get_group_ids( $type, $id );
+
+        if (
+            $version->get_type() !== $type ||
+            (
+                ! \in_array( $version->get_content_id(), $group_ids, true ) &&
+                ! \in_array( $version->get_source_id(), $group_ids, true )
+            )
+        ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'Version does not belong to this content.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        $this->content_service->restore_version( $version );
+    }
+
     /**
      * Set exclusion status for a content item.
      * Cancels pending jobs when excluding, resets cancelled jobs when un-excluding.
@@ -195,13 +578,13 @@ class Single_Translation_Service {
      * @throws \Exception If no active translation found.
      */
     public function cancel_active_translation( string $type, int $id ): int {
-        // Find all jobs for this content item.
-        $all_jobs = $this->job_repository->find_all_by_content( $type, $id );
+        // Find all jobs for this content item, including those translated from one of its translations.
+        $all_jobs = $this->job_repository->find_all_by_contents( $type, $this->get_group_ids( $type, $id ) );
 
-        // Find an active job (in_progress or pending with run_id).
+        // Find an active job (in_progress, paused or pending with run_id).
         $active_job = null;
         foreach ( $all_jobs as $job ) {
-            if ( JobStatus::InProgress === $job->get_status() || ( JobStatus::Pending === $job->get_status() && null !== $job->get_run_id() ) ) {
+            if ( $this->is_active_job( $job ) || JobStatus::Paused === $job->get_status() ) {
                 $active_job = $job;
                 break;
             }
@@ -217,21 +600,12 @@ class Single_Translation_Service {
         }
 
         $run_id = $active_job->get_run_id();
-        $run    = $this->run_repository->find( $run_id );
-
-        if ( ! $run ) {
-            throw new \Exception(
-                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
-                    'Translation run not found.',
-                    'epicwp-ai-translation-for-polylang',
-                ),
-            );
-        }
+        $run    = $this->find_run( $run_id );
 
-        // Cancel all jobs in this run (pending and in_progress).
+        // Cancel all jobs in this run (pending, paused and in_progress).
         $run_jobs = $this->job_repository->find_by_run_and_statuses(
             $run_id,
-            array( JobStatus::Pending, JobStatus::InProgress ),
+            array( JobStatus::Pending, JobStatus::Paused, JobStatus::InProgress ),
         );
 
         foreach ( $run_jobs as $job ) {
@@ -248,6 +622,200 @@ class Single_Translation_Service {
         return $run_id;
     }
 
+    /**
+     * Pause the active translation of a content item.
+     * Queued jobs wait for a resume, jobs that are being translated finish first.
+     *
+     * @param string $type Content type (post or term).
+     * @param int    $id   Content ID.
+     * @return int The run ID that was paused.
+     * @throws \Exception If no active translation found.
+     */
+    public function pause_active_translation( string $type, int $id ): int {
+        $all_jobs   = $this->job_repository->find_all_by_contents( $type, $this->get_group_ids( $type, $id ) );
+        $active_job = null;
+
+        foreach ( $all_jobs as $job ) {
+            if ( $this->is_active_job( $job ) ) {
+                $active_job = $job;
+                break;
+            }
+        }
+
+        if ( ! $active_job ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'No active translation found for this content.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        $run_id = (int) $active_job->get_run_id();
+        $this->run_control_service->pause_run( $run_id );
+
+        return $run_id;
+    }
+
+    /**
+     * Resume the paused translation of a content item.
+     * Completed fields are kept, the paused jobs continue with their remaining fields.
+     *
+     * @param string $type Content type (post or term).
+     * @param int    $id   Content ID.
+     * @return int The run ID that was resumed.
+     * @throws \Exception If no paused translation found.
+     */
+    public function resume_translation( string $type, int $id ): int {
+        $all_jobs   = $this->job_repository->find_all_by_contents( $type, $this->get_group_ids( $type, $id ) );
+        $paused_job = null;
+
+        foreach ( $all_jobs as $job ) {
+            if ( JobStatus::Paused === $job->get_status() && null !== $job->get_run_id() ) {
+                $paused_job = $job;
+                break;
+            }
+        }
+
+        if ( ! $paused_job ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'No paused translation found for this content.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        $run_id = (int) $paused_job->get_run_id();
+        $this->run_control_service->resume_run( $run_id );
+
+        return $run_id;
+    }
+
+    /**
+     * Find a run by ID.
+     *
+     * @param int $run_id Run ID.
+     * @return Run The run.
+     * @throws \Exception If the run is not found.
+     */
+    private function find_run( int $run_id ): Run {
+        $run = $this->run_repository->find( $run_id );
+
+        if ( ! $run ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'Translation run not found.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        return $run;
+    }
+
+    /**
+     * Check if a job is being worked on by a run (in progress, or pending with a run).
+     *
+     * @param Job $job The job.
+     * @return bool True if the job is active.
+     */
+    private function is_active_job( Job $job ): bool {
+        return null !== $job->get_run_id() && (
+            JobStatus::InProgress === $job->get_status() || JobStatus::Pending === $job->get_status()
+        );
+    }
+
+    /**
+     * Find a preview run and make sure it belongs to the content item.
+     *
+     * @param string $type   Content type (post or term).
+     * @param int    $id     Content ID.
+     * @param int    $run_id Run ID.
+     * @return Run The preview run.
+     * @throws \Exception If the run is not a preview run for this content.
+     */
+    private function find_preview_run( string $type, int $id, int $run_id ): Run {
+        $run    = $this->run_repository->find( $run_id );
+        $config = $run->get_config();
+        $ids    = 'post' === $type ? $config->get_specific_posts() : $config->get_specific_terms();
+
+        // The preview may be translated from one of the translations of the content.
+        $in_group = 0 !== \count( \array_intersect( $this->get_group_ids( $type, $id ), \array_map( 'intval', $ids ) ) );
+
+        if ( ! $config->is_preview() || ! $in_group ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'Preview not found for this content.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        return $run;
+    }
+
+    /**
+     * Drop the proposed translations of the fields that were not accepted from a preview job.
+     * The tasks stay completed, so the job and its run stay finished.
+     *
+     * @param Job        $job      The preview job.
+     * @param array<int> $accepted IDs of the accepted tasks.
+     * @return void
+     */
+    private function reject_tasks( Job $job, array $accepted ): void {
+        foreach ( $job->get_tasks() as $task ) {
+            if ( ! $task->is_completed() || \in_array( $task->get_id(), $accepted, true ) ) {
+                continue;
+            }
+
+            $task->set_translation( null );
+            $task->set_quality( null, null );
+            $task->set_issue( \__( 'Rejected in preview.', 'epicwp-ai-translation-for-polylang' ) );
+            $this->task_repository->save( $task );
+        }
+    }
+
+    /**
+     * Check whether a completed job has fields whose translation was rejected in a preview.
+     *
+     * @param Job $job The job.
+     * @return bool True if a completed task has no translation.
+     */
+    private function has_rejected_tasks( Job $job ): bool {
+        foreach ( $job->get_tasks() as $task ) {
+            if ( $task->is_completed() && ! $task->has_translation() ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Make sure the current user may publish the translations with the requested status.
+     * The translations are written in the background, without a user to check.
+     *
+     * @param int               $source_id     Source post ID.
+     * @param ResultStatus|null $result_status Requested post status of the translations.
+     * @return void
+     * @throws \Exception If the status would publish the translations and the user can't publish.
+     */
+    private function validate_result_status( int $source_id, ?ResultStatus $result_status ): void {
+        $status = ResultStatus::Source === $result_status ? \get_post_status( $source_id ) : $result_status?->value;
+
+        if ( ! \in_array( $status, array( 'publish', 'future' ), true ) || \current_user_can( 'publish_post', $source_id ) ) {
+            return;
+        }
+
+        throw new \Exception(
+            \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                'You are not allowed to publish translations of this content.',
+                'epicwp-ai-translation-for-polylang',
+            ),
+        );
+    }
+
     /**
      * Check if content is excluded from translation.
      *
@@ -297,6 +865,174 @@ class Single_Translation_Service {
         $translatable->collect_tasks_for_languages( $target_languages, $force );
     }
 
+    /**
+     * Re-discover the outdated target languages of a content item.
+     * Their jobs are completed, so normal discovery would not translate them again.
+     *
+     * @param string $type             Content type (post or term).
+     * @param int    $id               Content ID.
+     * @param array  $target_languages Target language codes.
+     * @return void
+     */
+    private function discover_outdated_languages( string $type, int $id, array $target_languages ): void {
+        $group_ids     = $this->get_group_ids( $type, $id );
+        $outdated      = array();
+        $source_hashes = array();
+
+        foreach ( $target_languages as $lang_to ) {
+            $translation_id = $this->get_translation_id( $type, $id, $lang_to );
+
+            if ( 0 === $translation_id ) {
+                continue;
+            }
+
+            $latest_job = $this->job_repository->find_latest_by_contents_and_language( $type, $group_ids, $lang_to );
+
+            if ( $latest_job && JobStatus::Completed !== $latest_job->get_status() ) {
+                continue;
+            }
+
+            $translated_at = $this->get_translation_timestamp( $type, $translation_id, $latest_job );
+            $source_id     = $latest_job ? $latest_job->get_id_from() : $id;
+
+            // Fields rejected in a preview still have to be translated.
+            if (
+                ( $latest_job && $this->has_rejected_tasks( $latest_job ) ) ||
+                $this->content_service->is_translation_outdated(
+                    $source_id,
+                    $translation_id,
+                    $type,
+                    $translated_at,
+                    $this->get_source_hash( $type, $source_id, $source_hashes ),
+                )
+            ) {
+                $outdated[] = $lang_to;
+            }
+        }
+
+        if ( 0 === \count( $outdated ) ) {
+            return;
+        }
+
+        $this->discover_item_for_languages( $type, $id, $outdated, true );
+    }
+
+    /**
+     * Discover a content item for a selection of fields only.
+     * Selected fields are always re-translated, other pending tasks are split off once the run has its jobs.
+     *
+     * @param string $type             Content type (post or term).
+     * @param int    $id               Content ID.
+     * @param array  $target_languages Target language codes.
+     * @param array  $references       Selected field references.
+     * @return void
+     * @throws \Exception If none of the selected fields can be translated.
+     */
+    private function discover_item_fields( string $type, int $id, array $target_languages, array $references ): void {
+        $translatable = 'post' === $type
+            ? Translatable_Post::get_instance( $id )
+            : Translatable_Term::get_instance( $id );
+
+        $fields = \array_values(
+            \array_filter(
+                $translatable->get_available_fields(),
+                static fn( $field ) => \in_array( Content_Service::create_reference_key( $field ), $references, true ),
+            ),
+        );
+
+        $meta_fields = \array_values(
+            \array_filter(
+                $translatable->get_available_meta_fields(),
+                static fn( $field ) => \in_array( Content_Service::create_reference_key( $field, 'meta' ), $references, true ),
+            ),
+        );
+
+        if ( 0 === \count( $fields ) + \count( $meta_fields ) ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'Select at least one field to translate.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        $translatable->collect_tasks_for_languages( $target_languages, true, $fields, $meta_fields );
+    }
+
+    /**
+     * Move the pending tasks of unselected fields out of the jobs of a run.
+     * They go to a new job without a run, so earlier content changes are still translated later.
+     *
+     * @param int   $run_id     Run ID.
+     * @param array $references Selected field references.
+     * @return void
+     */
+    private function split_unselected_tasks( int $run_id, array $references ): void {
+        foreach ( $this->job_repository->find_all_by_run_id( $run_id ) as $job ) {
+            $task_ids = array();
+
+            foreach ( $job->get_tasks() as $task ) {
+                if ( $task->is_pending() && ! \in_array( $task->get_reference(), $references, true ) ) {
+                    $task_ids[] = $task->get_id();
+                }
+            }
+
+            $this->job_repository->split_off_tasks( $job, $task_ids );
+        }
+    }
+
+    /**
+     * Get the fields of a content item that hold a translatable value.
+     *
+     * @param string $type Content type (post or term).
+     * @param int    $id   Content ID.
+     * @return array List of fields with key (reference), label and type.
+     */
+    private function get_translatable_fields( string $type, int $id ): array {
+        $translatable = 'post' === $type
+            ? Translatable_Post::get_instance( $id )
+            : Translatable_Term::get_instance( $id );
+
+        $labels = array(
+            'description'  => \__( 'Description', 'epicwp-ai-translation-for-polylang' ),
+            'name'         => \__( 'Name', 'epicwp-ai-translation-for-polylang' ),
+            'post_content' => \__( 'Content', 'epicwp-ai-translation-for-polylang' ),
+            'post_excerpt' => \__( 'Excerpt', 'epicwp-ai-translation-for-polylang' ),
+            'post_name'    => \__( 'Slug', 'epicwp-ai-translation-for-polylang' ),
+            'post_title'   => \__( 'Title', 'epicwp-ai-translation-for-polylang' ),
+            'slug'         => \__( 'Slug', 'epicwp-ai-translation-for-polylang' ),
+        );
+
+        $fields = array();
+
+        foreach ( $translatable->get_available_fields() as $field ) {
+            if ( ! $translatable->get_data( $field ) ) {
+                continue;
+            }
+
+            $fields[] = array(
+                'key'   => Content_Service::create_reference_key( $field ),
+                'label' => $labels[ $field ] ?? $field,
+                'type'  => 'field',
+            );
+        }
+
+        foreach ( $translatable->get_available_meta_fields() as $meta_field ) {
+            $value = $translatable->get_meta( $meta_field, true );
+            if ( ! $value || ! \is_string( $value ) ) {
+                continue;
+            }
+
+            $fields[] = array(
+                'key'   => Content_Service::create_reference_key( $meta_field, 'meta' ),
+                'label' => $meta_field,
+                'type'  => 'meta',
+            );
+        }
+
+        return $fields;
+    }
+
     /**
      * Get the timestamp for when a translation was created/modified.
      * Priority: Job completed_at > WordPress modified time > current time.
@@ -358,8 +1094,14 @@ class Single_Translation_Service {
             // Job is processable if:
             // - Doesn't exist (will be discovered on-demand)
             // - Is pending or failed (standard processable states)
-            // - Is cancelled BUT content not excluded (stale state from previous exclusion).
-            if ( null === $latest_job || $latest_job->get_status()->isProcessable() || JobStatus::Cancelled === $latest_job->get_status() ) {
+            // - Is cancelled BUT content not excluded (stale state from previous exclusion)
+            // - Is completed without a translation (preview that was never applied).
+            if (
+                null === $latest_job ||
+                $latest_job->get_status()->isProcessable() ||
+                JobStatus::Cancelled === $latest_job->get_status() ||
+                ( JobStatus::Completed === $latest_job->get_status() && 0 === $this->get_translation_id( $type, $id, $lang_to ) )
+            ) {
                 $needs_translation = true;
                 break;
             }
@@ -375,6 +1117,27 @@ class Single_Translation_Service {
         }
     }
 
+    /**
+     * Keep the non-empty instructions for the selected target languages.
+     *
+     * @param array $language_instructions Map of language code => instructions.
+     * @param array $target_languages      Target language codes.
+     * @return array<string, string> Filtered map of language code => instructions.
+     */
+    private function filter_language_instructions( array $language_instructions, array $target_languages ): array {
+        $filtered = array();
+
+        foreach ( $target_languages as $language ) {
+            $text = \sanitize_textarea_field( (string) ( $language_instructions[ $language ] ?? '' ) );
+
+            if ( '' !== $text ) {
+                $filtered[ $language ] = $text;
+            }
+        }
+
+        return $filtered;
+    }
+
     /**
      * Get the source language for a content item.
      *
@@ -388,6 +1151,82 @@ class Single_Translation_Service {
             : $this->language_manager->get_term_language( $id );
     }
 
+    /**
+     * Get the run that is translating a content item, with who requested it and when.
+     * A paused run still holds the content item, it counts as active.
+     *
+     * @param array<Job> $jobs All jobs for the content item.
+     * @return array{run_id: int, paused: bool, requested_at: int, requested_by: int, requested_by_name: string}|null Active run, null if none.
+     */
+    private function get_active_run( array $jobs ): ?array {
+        foreach ( $jobs as $job ) {
+            $is_paused = JobStatus::Paused === $job->get_status() && null !== $job->get_run_id();
+
+            if ( ! $this->is_active_job( $job ) && ! $is_paused ) {
+                continue;
+            }
+
+            try {
+                $run    = $this->run_repository->find( $job->get_run_id() );
+                $config = $run->get_config();
+            } catch ( \Exception $e ) {
+                continue;
+            }
+
+            $user = $config->get_requested_by() ? \get_userdata( $config->get_requested_by() ) : false;
+
+            return array(
+                'paused'            => $run->get_status()->isPaused(),
+                'requested_at'      => $config->get_requested_at(),
+                'requested_by'      => $config->get_requested_by(),
+                'requested_by_name' => $user ? $user->display_name : '',
+                'run_id'            => $job->get_run_id(),
+            );
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the error message for a start attempt while a translation is running.
+     *
+     * @param array $active_run Active run from get_active_run().
+     * @return string The message.
+     */
+    private function get_active_run_message( array $active_run ): string {
+        if ( $active_run['paused'] ) {
+            return \__( 'A translation of this content is paused. Resume or cancel it first.', 'epicwp-ai-translation-for-polylang' );
+        }
+
+        if ( '' === $active_run['requested_by_name'] || ! $active_run['requested_at'] ) {
+            return \__( 'A translation is already running for this content.', 'epicwp-ai-translation-for-polylang' );
+        }
+
+        return \sprintf(
+            // translators: %1$s is the user name, %2$s a human readable time difference (e.g. "5 mins").
+            \__( 'A translation was started by %1$s %2$s ago and is still running.', 'epicwp-ai-translation-for-polylang' ),
+            $active_run['requested_by_name'],
+            \human_time_diff( $active_run['requested_at'] ),
+        );
+    }
+
+    /**
+     * Get the title of a content item.
+     *
+     * @param string $type Content type (post or term).
+     * @param int    $id   Content ID.
+     * @return string Post title or term name.
+     */
+    private function get_content_title( string $type, int $id ): string {
+        if ( 'post' === $type ) {
+            return \get_the_title( $id );
+        }
+
+        $term = \get_term( $id );
+
+        return $term instanceof \WP_Term ? $term->name : '';
+    }
+
     /**
      * Get available target languages (excludes source language).
      *
@@ -416,6 +1255,49 @@ class Single_Translation_Service {
         return $translations[ $lang_to ] ?? 0;
     }
 
+    /**
+     * Get the IDs of a content item and all of its translations.
+     *
+     * @param string $type Content type (post or term).
+     * @param int    $id   Content ID.
+     * @return array<int> Content IDs of the translation group.
+     */
+    private function get_group_ids( string $type, int $id ): array {
+        $translations = 'post' === $type
+            ? $this->language_manager->get_post_translations( $id )
+            : $this->language_manager->get_term_translations( $id );
+
+        return \array_values( \array_unique( \array_merge( array( $id ), \array_map( 'intval', $translations ) ) ) );
+    }
+
+    /**
+     * Get the content ID to translate from.
+     *
+     * @param string      $type            Content type (post or term).
+     * @param int         $id              Content ID.
+     * @param string|null $source_language Source language code (null = the content itself).
+     * @return int Source content ID.
+     * @throws \Exception If the content has no translation in the source language.
+     */
+    private function get_source_id( string $type, int $id, ?string $source_language ): int {
+        if ( null === $source_language || '' === $source_language || $this->get_content_language( $type, $id ) === $source_language ) {
+            return $id;
+        }
+
+        $source_id = $this->get_translation_id( $type, $id, $source_language );
+
+        if ( 0 === $source_id ) {
+            throw new \Exception(
+                \__( // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+                    'This content has no translation in the selected source language.',
+                    'epicwp-ai-translation-for-polylang',
+                ),
+            );
+        }
+
+        return $source_id;
+    }
+
     /**
      * Update exclusion meta for a content item.
      *
@@ -510,6 +1392,57 @@ class Single_Translation_Service {
 
         $status['error_count'] = $error_count;
         $status['first_error'] = $first_error;
+
+        if ( 0 === $error_count ) {
+            return;
+        }
+
+        $status['error_summary'] = \sprintf(
+            // translators: %d is the number of failed fields.
+            \_n(
+                '%d field failed to translate.',
+                '%d fields failed to translate.',
+                $error_count,
+                'epicwp-ai-translation-for-polylang',
+            ),
+            $error_count,
+        );
+    }
+
+    /**
+     * Add quality check results to a status array for a completed job.
+     * Nothing is added when no field of the job has been checked.
+     *
+     * @param array $status Status array to modify.
+     * @param Job   $job    The job to analyze.
+     * @return void
+     */
+    private function add_job_quality( array &$status, Job $job ): void {
+        $threshold = $this->settings_service->get_quality_threshold();
+        $scores    = array();
+        $flagged   = array();
+
+        foreach ( $job->get_tasks() as $task ) {
+            if ( null === $task->get_quality_score() ) {
+                continue;
+            }
+
+            $scores[] = $task->get_quality_score();
+
+            if ( $task->get_quality_score() < $threshold ) {
+                $flagged[] = $task->get_reference();
+            }
+        }
+
+        if ( 0 === \count( $scores ) ) {
+            return;
+        }
+
+        $status['quality'] = array(
+            'flagged'   => $flagged,
+            'score'     => (int) \round( \array_sum( $scores ) / \count( $scores ) ),
+            'threshold' => $threshold,
+        );
     }
 
     /**
@@ -547,35 +1480,59 @@ class Single_Translation_Service {
         );
     }
 
+    /**
+     * Get the hash of a source item, computed once per request.
+     * Hashing reads every field and meta value of the item.
+     *
+     * @param string $type          Content type (post or term).
+     * @param int    $source_id     Source content ID.
+     * @param array  $source_hashes Source hashes computed in this request, by source ID.
+     * @return string The source hash.
+     */
+    private function get_source_hash( string $type, int $source_id, array &$source_hashes ): string {
+        if ( ! isset( $source_hashes[ $source_id ] ) ) {
+            $source_hashes[ $source_id ] = $this->content_service->get_source_hash( $source_id, $type );
+        }
+
+        return $source_hashes[ $source_id ];
+    }
+
     /**
      * Build status information for a single target language.
      *
-     * @param string $type           Content type (post or term).
-     * @param int    $id             Content ID.
-     * @param string $lang_from      Source language code.
-     * @param string $lang_to        Target language code.
-     * @param array  $language_names Map of language codes to display names.
+     * The latest job may come from any translation of the content that was used as source.
+     *
+     * @param string     $type           Content type (post or term).
+     * @param int        $id             Content ID.
+     * @param array<int> $group_ids      Content IDs of the translation group.
+     * @param string     $lang_to        Target language code.
+     * @param array      $language_names Map of language codes to display names.
+     * @param array      $source_hashes  Source hashes computed in this request, by source ID.
      * @return array Status information for the language.
      */
-    private function build_language_status( string $type, int $id, string $lang_from, string $lang_to, array $language_names ): array {
-        $latest_job = $this->job_repository->find_latest_by_content_and_language(
-            $type,
-            $id,
-            $lang_from,
-            $lang_to,
-        );
+    private function build_language_status(
+        string $type,
+        int $id,
+        array $group_ids,
+        string $lang_to,
+        array $language_names,
+        array &$source_hashes,
+    ): array {
+        $latest_job = $this->job_repository->find_latest_by_contents_and_language( $type, $group_ids, $lang_to );
 
         // Hybrid architecture: Check translation existence via Polylang.
         $translation_id     = $this->get_translation_id( $type, $id, $lang_to );
         $translation_exists = $translation_id > 0;
 
         $status = array(
-            'created_at'     => $latest_job ? $latest_job->get_created_at() : null,
-            'job_id'         => $latest_job ? $latest_job->get_id() : null,
-            'language'       => $lang_to,
-            'language_name'  => $language_names[ $lang_to ] ?? $lang_to,
-            'run_id'         => $latest_job ? $latest_job->get_run_id() : null,
-            'translation_id' => $translation_id,
+            'created_at'      => $latest_job ? $latest_job->get_created_at() : null,
+            'job_id'          => $latest_job ? $latest_job->get_id() : null,
+            'language'        => $lang_to,
+            'language_name'   => $language_names[ $lang_to ] ?? $lang_to,
+            'manual_edits'    => $translation_exists ? $this->content_service->get_manual_edits( $translation_id, $type ) : array(),
+            'run_id'          => $latest_job ? $latest_job->get_run_id() : null,
+            'source_language' => $latest_job ? $latest_job->get_lang_from() : null,
+            'translation_id'  => $translation_id,
         );
 
         if ( $latest_job && JobStatus::InProgress === $latest_job->get_status() ) {
@@ -588,9 +1545,10 @@ class Single_Translation_Service {
             // Priority 3: Completed job with translation - show as translated with timestamp.
             $status['status']        = 'translated';
             $status['translated_at'] = $this->get_translation_timestamp( $type, $translation_id, $latest_job );
-        } elseif ( $latest_job ) {
+        } elseif ( $latest_job && JobStatus::Completed !== $latest_job->get_status() ) {
             // Priority 4: Any other job status (pending without run, failed, cancelled, etc.).
             // This ensures pending jobs (from content changes) show yellow instead of green.
+            // Completed jobs without translation (unapplied previews) fall through to not translated.
             $status['status'] = $latest_job->get_status()->value;
         } elseif ( $translation_exists ) {
             // Priority 5: Translation exists, but no job (manual translation or old data).
@@ -601,6 +1559,25 @@ class Single_Translation_Service {
             $status['status'] = null;
         }
 
+        // Translated, but the source changed since or fields were rejected in a preview.
+        // Compared with the item the translation was made from.
+        $source_id = $latest_job ? $latest_job->get_id_from() : $id;
+        if (
+            'translated' === $status['status'] &&
+            (
+                ( $latest_job && $this->has_rejected_tasks( $latest_job ) ) ||
+                $this->content_service->is_translation_outdated(
+                    $source_id,
+                    $translation_id,
+                    $type,
+                    $status['translated_at'],
+                    $this->get_source_hash( $type, $source_id, $source_hashes ),
+                )
+            )
+        ) {
+            $status['status'] = 'outdated';
+        }
+
         // Add progress data for in-progress jobs.
         if ( $latest_job && JobStatus::InProgress === $latest_job->get_status() ) {
             $this->add_job_progress( $status, $latest_job );
@@ -611,6 +1588,11 @@ class Single_Translation_Service {
             $this->add_job_errors( $status, $latest_job );
         }
 
+        // Add quality check results for completed jobs.
+        if ( $latest_job && JobStatus::Completed === $latest_job->get_status() ) {
+            $this->add_job_quality( $status, $latest_job );
+        }
+
         return $status;
     }
 }
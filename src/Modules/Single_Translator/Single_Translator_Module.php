@@ -14,11 +14,22 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit; // Exit if accessed directly
 }
 
+use PLLAT\Single_Translator\Controllers\Auto_Translate_REST_Controller;
+use PLLAT\Single_Translator\Controllers\Dashboard_Preferences_REST_Controller;
+use PLLAT\Single_Translator\Controllers\Instruction_Preset_REST_Controller;
+use PLLAT\Single_Translator\Controllers\Notice_REST_Controller;
 use PLLAT\Single_Translator\Controllers\Single_Translation_REST_Controller;
+use PLLAT\Single_Translator\Handlers\Auto_Translate_Handler;
+use PLLAT\Single_Translator\Handlers\Bulk_Action_Handler;
 use PLLAT\Single_Translator\Handlers\Job_Processor_Handler;
 use PLLAT\Single_Translator\Handlers\Meta_Box_Handler;
+use PLLAT\Single_Translator\Handlers\Status_Column_Handler;
 use PLLAT\Single_Translator\Services\Async_Job_Dispatcher_Service;
+use PLLAT\Single_Translator\Services\Dashboard_Preferences_Service;
+use PLLAT\Single_Translator\Services\Instruction_Preset_Service;
 use PLLAT\Single_Translator\Services\Job_Processor_Service;
+use PLLAT\Single_Translator\Services\Notice_Service;
+use PLLAT\Single_Translator\Services\Run_Control_Service;
 use PLLAT\Single_Translator\Services\Single_Translation_Service;
 use XWP\DI\Decorators\Module;
 
@@ -33,13 +44,24 @@ use XWP\DI\Decorators\Module;
     priority: 5,
     handlers: array(
         Meta_Box_Handler::class,
+        Bulk_Action_Handler::class,
+        Status_Column_Handler::class,
         Single_Translation_REST_Controller::class,
+        Instruction_Preset_REST_Controller::class,
+        Notice_REST_Controller::class,
+        Auto_Translate_REST_Controller::class,
+        Dashboard_Preferences_REST_Controller::class,
         Job_Processor_Handler::class,
+        Auto_Translate_Handler::class,
     ),
     services: array(
         Single_Translation_Service::class,
         Async_Job_Dispatcher_Service::class,
         Job_Processor_Service::class,
+        Instruction_Preset_Service::class,
+        Notice_Service::class,
+        Dashboard_Preferences_Service::class,
+        Run_Control_Service::class,
     ),
 )]
 class Single_Translator_Module {
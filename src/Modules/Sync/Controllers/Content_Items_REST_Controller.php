@@ -0,0 +1,123 @@
+<?php
+/**
+ * Content_Items_REST_Controller class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Sync
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Sync\Controllers;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Common\Interfaces\Language_Manager;
+use PLLAT\Translator\Services\Bulk\Base_Query_Service;
+use PLLAT\Translator\Services\Bulk\Post_Query_Service;
+use PLLAT\Translator\Services\Bulk\Term_Query_Service;
+use XWP\DI\Decorators\REST_Handler;
+use XWP\DI\Decorators\REST_Route;
+
+/**
+ * REST controller listing the items of a content type with their state for a target language.
+ * Backs the drill-down from the language progress bars of the translation dashboard.
+ */
+#[REST_Handler( namespace: 'pllat/v1', basename: 'content-items' )]
+class Content_Items_REST_Controller extends \XWP_REST_Controller {
+    /**
+     * Constructor.
+     *
+     * @param Post_Query_Service $post_query_service The post query service.
+     * @param Term_Query_Service $term_query_service The term query service.
+     * @param Language_Manager   $language_manager   The language manager.
+     */
+    public function __construct(
+        private Post_Query_Service $post_query_service,
+        private Term_Query_Service $term_query_service,
+        private Language_Manager $language_manager,
+    ) {
+    }
+
+    /**
+     * Get a page of the items of a content type for a target language.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route(
+        route: '(?P<type>post|term)/(?P<content_type>[a-z0-9_-]+)/(?P<lang>[a-zA-Z_-]+)',
+        methods: 'GET',
+        guard: 'check_permission',
+    )]
+    public function get_items( \WP_REST_Request $request ): \WP_REST_Response {
+        $type         = (string) $request->get_param( 'type' );
+        $content_type = (string) $request->get_param( 'content_type' );
+        $lang_to      = (string) $request->get_param( 'lang' );
+        $lang_from    = $this->language_manager->get_default_language();
+        $available    = 'post' === $type
+            ? $this->language_manager->get_available_post_types()
+            : $this->language_manager->get_available_taxonomies();
+
+        if ( ! \in_array( $content_type, $available, true ) ) {
+            return new \WP_REST_Response(
+                array(
+                    'message' => \__( 'This content type is not available for translation.', 'epicwp-ai-translation-for-polylang' ),
+                    'success' => false,
+                ),
+                400,
+            );
+        }
+
+        if ( ! $this->language_manager->is_valid_language( $lang_to ) || $lang_to === $lang_from ) {
+            return new \WP_REST_Response(
+                array(
+                    'message' => \__( 'Invalid target language.', 'epicwp-ai-translation-for-polylang' ),
+                    'success' => false,
+                ),
+                400,
+            );
+        }
+
+        $status = (string) ( $request->get_param( 'status' ) ?? 'untranslated' );
+
+        return new \WP_REST_Response(
+            \array_merge(
+                array( 'success' => true ),
+                $this->get_query_service( $type )->get_items_for_language(
+                    $content_type,
+                    $lang_from,
+                    $lang_to,
+                    array(
+                        'page'     => (int) ( $request->get_param( 'page' ) ?? 1 ),
+                        'per_page' => \min( 100, \max( 1, (int) ( $request->get_param( 'per_page' ) ?? 20 ) ) ),
+                        'search'   => \sanitize_text_field( (string) ( $request->get_param( 'search' ) ?? '' ) ),
+                        'status'   => \in_array( $status, array( 'all', 'translated', 'untranslated' ), true ) ? $status : 'untranslated',
+                    ),
+                ),
+            ),
+            200,
+        );
+    }
+
+    /**
+     * Get the query service of a content type.
+     *
+     * @param string $type Content type (post or term).
+     * @return Base_Query_Service The query service.
+     */
+    private function get_query_service( string $type ): Base_Query_Service {
+        return 'post' === $type ? $this->post_query_service : $this->term_query_service;
+    }
+
+    /**
+     * Check if current user has permission to access content item endpoints.
+     *
+     * @return bool True if user has permission.
+     */
+    public function check_permission(): bool {
+        return \current_user_can( 'manage_options' );
+    }
+}
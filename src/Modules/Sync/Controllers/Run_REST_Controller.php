@@ -0,0 +1,243 @@
+<?php
+/**
+ * Run_REST_Controller class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Sync
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Sync\Controllers;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Single_Translator\Services\Run_Control_Service;
+use PLLAT\Sync\Services\Run_Report_Service;
+use PLLAT\Translator\Enums\RunStatus;
+use XWP\DI\Decorators\REST_Handler;
+use XWP\DI\Decorators\REST_Route;
+
+/**
+ * REST controller for the history and reports of translation runs, and for starting, pausing and resuming them.
+ */
+#[REST_Handler( namespace: 'pllat/v1', basename: 'runs' )]
+class Run_REST_Controller extends \XWP_REST_Controller {
+    /**
+     * Constructor.
+     *
+     * @param Run_Report_Service  $run_report_service  The run report service.
+     * @param Run_Control_Service $run_control_service The run control service.
+     */
+    public function __construct(
+        private Run_Report_Service $run_report_service,
+        private Run_Control_Service $run_control_service,
+    ) {
+    }
+
+    /**
+     * Get a page of the run history.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '', methods: 'GET', guard: 'check_permission' )]
+    public function get_runs( \WP_REST_Request $request ): \WP_REST_Response {
+        $page     = \max( 1, (int) ( $request->get_param( 'page' ) ?? 1 ) );
+        $per_page = \min( 100, \max( 1, (int) ( $request->get_param( 'per_page' ) ?? 20 ) ) );
+        $status   = (string) ( $request->get_param( 'status' ) ?? '' );
+        $statuses = null !== RunStatus::tryFrom( $status ) ? array( $status ) : array();
+
+        return new \WP_REST_Response(
+            \array_merge(
+                array( 'success' => true ),
+                $this->run_report_service->get_history( $page, $per_page, $statuses ),
+            ),
+            200,
+        );
+    }
+
+    /**
+     * Get the details of a run with its jobs and failures.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '(?P<id>\d+)', methods: 'GET', guard: 'check_permission' )]
+    public function get_run( \WP_REST_Request $request ): \WP_REST_Response {
+        try {
+            return new \WP_REST_Response(
+                \array_merge(
+                    array( 'success' => true ),
+                    $this->run_report_service->get_details( (int) $request->get_param( 'id' ) ),
+                ),
+                200,
+            );
+        } catch ( \Exception $e ) {
+            return new \WP_REST_Response(
+                array(
+                    'message' => $e->getMessage(),
+                    'success' => false,
+                ),
+                404,
+            );
+        }
+    }
+
+    /**
+     * Get the review of a run, with the source and translated values of every item.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '(?P<id>\d+)/review', methods: 'GET', guard: 'check_permission' )]
+    public function get_review( \WP_REST_Request $request ): \WP_REST_Response {
+        try {
+            return new \WP_REST_Response(
+                \array_merge(
+                    array( 'success' => true ),
+                    $this->run_report_service->get_review( (int) $request->get_param( 'id' ) ),
+                ),
+                200,
+            );
+        } catch ( \Exception $e ) {
+            return new \WP_REST_Response(
+                array(
+                    'message' => $e->getMessage(),
+                    'success' => false,
+                ),
+                404,
+            );
+        }
+    }
+
+    /**
+     * Start a translation run for a post type or taxonomy.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '', methods: 'POST', guard: 'check_permission' )]
+    public function start_run( \WP_REST_Request $request ): \WP_REST_Response {
+        $type          = (string) $request->get_param( 'type' );
+        $languages     = $request->get_param( 'languages' );
+        $dry_run_limit = $request->get_param( 'dry_run_limit' );
+        $dry_run_items = $request->get_param( 'dry_run_items' );
+        $result_status = $request->get_param( 'result_status' );
+
+        if ( ! \in_array( $type, array( 'post', 'term' ), true ) ) {
+            return new \WP_REST_Response(
+                array(
+                    'message' => \__( 'Invalid content type.', 'epicwp-ai-translation-for-polylang' ),
+                    'success' => false,
+                ),
+                400,
+            );
+        }
+
+        try {
+            $run_id = $this->run_control_service->start_content_type_run(
+                $type,
+                (string) $request->get_param( 'content_type' ),
+                \is_array( $languages ) ? \array_map( 'strval', \array_filter( $languages, 'is_scalar' ) ) : null,
+                (bool) $request->get_param( 'dry_run' ),
+                \is_numeric( $dry_run_limit ) ? (int) $dry_run_limit : null,
+                \is_array( $dry_run_items ) ? \array_filter( $dry_run_items, 'is_numeric' ) : array(),
+                \is_string( $result_status ) ? $result_status : null,
+                (bool) $request->get_param( 'match_source_date' ),
+            );
+
+            return new \WP_REST_Response(
+                array(
+                    'message' => \__( 'Translation started successfully.', 'epicwp-ai-translation-for-polylang' ),
+                    'run_id'  => $run_id,
+                    'success' => true,
+                ),
+                200,
+            );
+        } catch ( \Exception $e ) {
+            return new \WP_REST_Response(
+                array(
+                    'message' => $e->getMessage(),
+                    'success' => false,
+                ),
+                400,
+            );
+        }
+    }
+
+    /**
+     * Pause a run, queued jobs wait until it is resumed.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '(?P<id>\d+)/pause', methods: 'POST', guard: 'check_permission' )]
+    public function pause_run( \WP_REST_Request $request ): \WP_REST_Response {
+        $run_id = (int) $request->get_param( 'id' );
+
+        try {
+            $this->run_control_service->pause_run( $run_id );
+
+            return new \WP_REST_Response(
+                array(
+                    'message' => \__( 'Translation paused.', 'epicwp-ai-translation-for-polylang' ),
+                    'run_id'  => $run_id,
+                    'success' => true,
+                ),
+                200,
+            );
+        } catch ( \Exception $e ) {
+            return new \WP_REST_Response(
+                array(
+                    'message' => $e->getMessage(),
+                    'success' => false,
+                ),
+                400,
+            );
+        }
+    }
+
+    /**
+     * Resume a paused run.
+     *
+     * @param \WP_REST_Request $request The request.
+     * @return \WP_REST_Response The response.
+     */
+    #[REST_Route( route: '(?P<id>\d+)/resume', methods: 'POST', guard: 'check_permission' )]
+    public function resume_run( \WP_REST_Request $request ): \WP_REST_Response {
+        $run_id = (int) $request->get_param( 'id' );
+
+        try {
+            $this->run_control_service->resume_run( $run_id );
+
+            return new \WP_REST_Response(
+                array(
+                    'message' => \__( 'Translation resumed.', 'epicwp-ai-translation-for-polylang' ),
+                    'run_id'  => $run_id,
+                    'success' => true,
+                ),
+                200,
+            );
+        } catch ( \Exception $e ) {
+            return new \WP_REST_Response(
+                array(
+                    'message' => $e->getMessage(),
+                    'success' => false,
+                ),
+                400,
+            );
+        }
+    }
+
+    /**
+     * Check if current user has permission to access run endpoints.
+     *
+     * @return bool True if user has permission.
+     */
+    public function check_permission(): bool {
+        return \current_user_can( 'manage_options' );
+    }
+}
@@ -220,7 +220,8 @@ class Cascade_Handler {
      *
      * Rules:
      * 1. ALL jobs terminal (completed OR failed) → Run COMPLETED
-     * 2. At least one job in_progress → Run RUNNING
+     * 2. At least one job paused → Run PAUSED
+     * 3. At least one job in_progress → Run RUNNING
      *
      * @param Job $job The job that triggered cascade.
      * @return void
@@ -279,6 +280,7 @@ class Cascade_Handler {
                 JobStatus::Completed,
                 JobStatus::Failed,
                 JobStatus::Cancelled,
+                JobStatus::Paused,
             ),
         );
     }
@@ -293,6 +295,7 @@ class Cascade_Handler {
         $total       = \count( $jobs );
         $terminal    = 0;
         $in_progress = 0;
+        $paused      = 0;
 
         foreach ( $jobs as $job ) {
             $status = $job->get_status();
@@ -301,6 +304,8 @@ class Cascade_Handler {
                 ++$terminal;
             } elseif ( JobStatus::InProgress === $status ) {
                 ++$in_progress;
+            } elseif ( JobStatus::Paused === $status ) {
+                ++$paused;
             }
         }
 
@@ -309,7 +314,12 @@ class Cascade_Handler {
             return RunStatus::Completed;
         }
 
-        // Rule 2: Has in_progress → RUNNING.
+        // Rule 2: Paused jobs wait for a resume, in-progress jobs finish while the run stays paused.
+        if ( $paused > 0 ) {
+            return RunStatus::Paused;
+        }
+
+        // Rule 3: Has in_progress → RUNNING.
         if ( $in_progress > 0 ) {
             return RunStatus::Running;
         }
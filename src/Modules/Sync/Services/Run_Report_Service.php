@@ -0,0 +1,269 @@
+<?php
+/**
+ * Run_Report_Service class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Sync
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Sync\Services;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Translator\Enums\JobStatus;
+use PLLAT\Translator\Enums\TaskStatus;
+use PLLAT\Translator\Models\Job;
+use PLLAT\Translator\Models\Run;
+use PLLAT\Translator\Repositories\Job_Repository;
+use PLLAT\Translator\Repositories\Job_Stats_Repository;
+use PLLAT\Translator\Repositories\Run_Repository;
+use PLLAT\Translator\Repositories\Task_Repository;
+
+/**
+ * Builds reports of what a translation run produced.
+ *
+ * Responsibilities:
+ * - List past runs with their outcome (run history)
+ * - List the jobs and failures of a single run
+ * - Group the jobs of a run per source item
+ * - Collect source and translated field values
+ * - Sum the AI tokens spent per language, item and run
+ */
+class Run_Report_Service {
+    /**
+     * Constructor.
+     *
+     * @param Run_Repository       $run_repository       Run repository.
+     * @param Job_Repository       $job_repository       Job repository.
+     * @param Task_Repository      $task_repository      Task repository.
+     * @param Job_Stats_Repository $job_stats_repository Job stats repository.
+     */
+    public function __construct(
+        private Run_Repository $run_repository,
+        private Job_Repository $job_repository,
+        private Task_Repository $task_repository,
+        private Job_Stats_Repository $job_stats_repository,
+    ) {
+    }
+
+    /**
+     * Get a page of the run history, newest first.
+     *
+     * @param int                $page     The page number (1-based).
+     * @param int                $per_page Number of runs per page.
+     * @param array<int, string> $statuses Optional run statuses to filter by.
+     * @return array{runs: array<int, array>, total: int, pages: int, page: int} The history page.
+     */
+    public function get_history( int $page, int $per_page, array $statuses = array() ): array {
+        $runs  = $this->run_repository->find_paginated( $per_page, ( $page - 1 ) * $per_page, $statuses );
+        $total = $this->run_repository->count( $statuses );
+
+        return array(
+            'page'  => $page,
+            'pages' => (int) \ceil( $total / $per_page ),
+            'runs'  => \array_map( fn( Run $run ) => $this->get_run_summary( $run ), $runs ),
+            'total' => $total,
+        );
+    }
+
+    /**
+     * Get the details of a run: its summary, every job and the failures of its failed jobs.
+     *
+     * @param int $run_id The run ID.
+     * @return array The run summary with jobs and failures.
+     * @throws \Exception If the run is not found.
+     */
+    public function get_details( int $run_id ): array {
+        $run      = $this->run_repository->find( $run_id );
+        $jobs     = array();
+        $failures = array();
+        $items    = array();
+
+        foreach ( $this->job_repository->find_all_by_run_id( $run_id ) as $job ) {
+            $key = $job->get_type() . ':' . $job->get_id_from();
+
+            $items[ $key ] ??= $this->get_item_data( $job->get_type(), $job->get_id_from() );
+
+            $jobs[] = array(
+                'completed_at' => $job->get_completed_at(),
+                'content_type' => $job->get_content_type(),
+                'id'           => $job->get_id(),
+                'item'         => $items[ $key ],
+                'language'     => $job->get_lang_to(),
+                'started_at'   => $job->get_started_at(),
+                'status'       => $job->get_status()->value,
+            );
+
+            if ( JobStatus::Failed !== $job->get_status() ) {
+                continue;
+            }
+
+            foreach ( $this->task_repository->find_by_job_id( $job->get_id() ) as $task ) {
+                if ( TaskStatus::Failed !== $task->get_status() ) {
+                    continue;
+                }
+
+                $failures[] = array(
+                    'attempts'  => $task->get_attempts(),
+                    'issue'     => $task->get_issue() ?? '',
+                    'item'      => $items[ $key ],
+                    'job_id'    => $job->get_id(),
+                    'language'  => $job->get_lang_to(),
+                    'reference' => $task->get_reference(),
+                );
+            }
+        }
+
+        return \array_merge(
+            $this->get_run_summary( $run ),
+            array(
+                'failures' => $failures,
+                'jobs'     => $jobs,
+            ),
+        );
+    }
+
+    /**
+     * Get the review of a run, listing every item with its source and translated field values.
+     * Meant for dry runs and other small runs, it loads all tasks of the run.
+     *
+     * @param int $run_id The run ID.
+     * @return array{run_id: int, status: string, dry_run: bool, tokens: int, items: array<int, array>} The review.
+     * @throws \Exception If the run is not found.
+     */
+    public function get_review( int $run_id ): array {
+        $run    = $this->run_repository->find( $run_id );
+        $items  = array();
+        $tokens = 0;
+
+        foreach ( $this->job_repository->find_all_by_run_id( $run_id ) as $job ) {
+            $key = $job->get_type() . ':' . $job->get_id_from();
+
+            $items[ $key ] ??= \array_merge(
+                $this->get_item_data( $job->get_type(), $job->get_id_from() ),
+                array(
+                    'content_type' => $job->get_content_type(),
+                    'languages'    => array(),
+                    'tokens'       => 0,
+                ),
+            );
+
+            $language = $this->get_language_review( $job );
+
+            $items[ $key ]['languages'][] = $language;
+            $items[ $key ]['tokens']     += $language['tokens'];
+            $tokens                      += $language['tokens'];
+        }
+
+        return array(
+            'dry_run' => $run->get_config()->is_dry_run(),
+            'items'   => \array_values( $items ),
+            'run_id'  => $run->get_id(),
+            'status'  => $run->get_status()->value,
+            'tokens'  => $tokens,
+        );
+    }
+
+    /**
+     * Summarize a run for the run history.
+     *
+     * Counts come from the jobs connected to the run, so they keep describing
+     * what the run did after it completed or was cancelled.
+     *
+     * @param Run $run The run.
+     * @return array The run summary.
+     */
+    private function get_run_summary( Run $run ): array {
+        $config     = $run->get_config();
+        $user       = $config->get_requested_by() ? \get_userdata( $config->get_requested_by() ) : false;
+        $started_at = $run->get_started_at() ? $run->get_started_at() : $config->get_requested_at();
+        $ended_at   = $run->get_completed_at();
+
+        return array(
+            'content_types'     => array(
+                'post_types'     => $config->get_post_types(),
+                'specific_posts' => $config->get_specific_posts(),
+                'specific_terms' => $config->get_specific_terms(),
+                'taxonomies'     => $config->get_taxonomies(),
+            ),
+            'dry_run'           => $config->is_dry_run(),
+            'duration'          => $started_at && $ended_at ? \max( 0, $ended_at - $started_at ) : null,
+            'ended_at'          => $ended_at ? $ended_at : null,
+            'id'                => $run->get_id(),
+            'lang_from'         => $config->get_lang_from(),
+            'langs_to'          => $config->get_langs_to(),
+            'requested_by'      => $config->get_requested_by(),
+            'requested_by_name' => $user ? $user->display_name : '',
+            'started_at'        => $started_at ? $started_at : null,
+            'stats'             => $this->job_stats_repository->get_run_progress( $run->get_id() ),
+            'status'            => $run->get_status()->value,
+        );
+    }
+
+    /**
+     * Build the review of a single job.
+     *
+     * @param Job $job The job.
+     * @return array The language review with fields and token count.
+     */
+    private function get_language_review( Job $job ): array {
+        $fields = array();
+        $tokens = 0;
+
+        foreach ( $this->task_repository->find_by_job_id( $job->get_id() ) as $task ) {
+            $fields[] = array(
+                'reference'   => $task->get_reference(),
+                'status'      => $task->get_status()->value,
+                'tokens'      => $task->get_tokens(),
+                'translation' => $task->get_translation(),
+                'value'       => $task->get_value(),
+            );
+            $tokens += $task->get_tokens();
+        }
+
+        $translation = $job->get_id_to()
+            ? $this->get_item_data( $job->get_type(), $job->get_id_to() )
+            : null;
+
+        return array(
+            'fields'      => $fields,
+            'job_id'      => $job->get_id(),
+            'language'    => $job->get_lang_to(),
+            'status'      => $job->get_status()->value,
+            'tokens'      => $tokens,
+            'translation' => $translation,
+        );
+    }
+
+    /**
+     * Get the title and links of a content item.
+     *
+     * @param string $type Content type (post or term).
+     * @param int    $id   Content ID.
+     * @return array{id: int, type: string, title: string, edit_link: string|null, view_link: string|null} The item data.
+     */
+    private function get_item_data( string $type, int $id ): array {
+        if ( 'post' === $type ) {
+            $title     = \get_the_title( $id );
+            $edit_link = \get_edit_post_link( $id, 'raw' );
+            $view_link = \get_permalink( $id );
+        } else {
+            $term      = \get_term( $id );
+            $title     = $term instanceof \WP_Term ? $term->name : '';
+            $edit_link = $term instanceof \WP_Term ? \get_edit_term_link( $term ) : null;
+            $view_link = $term instanceof \WP_Term ? \get_term_link( $term ) : null;
+        }
+
+        return array(
+            'edit_link' => $edit_link ? $edit_link : null,
+            'id'        => $id,
+            'title'     => '' !== $title ? $title : \sprintf( '#%d', $id ),
+            'type'      => $type,
+            'view_link' => \is_string( $view_link ) ? $view_link : null,
+        );
+    }
+}
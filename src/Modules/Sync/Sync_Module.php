@@ -14,7 +14,9 @@ namespace PLLAT\Sync;
 if ( ! defined( 'ABSPATH' ) ) {
 	exit; // Exit if accessed directly
 }
+use PLLAT\Sync\Controllers\Content_Items_REST_Controller;
 use PLLAT\Sync\Controllers\Discovery_REST_Controller;
+use PLLAT\Sync\Controllers\Run_REST_Controller;
 use PLLAT\Sync\Handlers\Cascade_Handler;
 use PLLAT\Sync\Handlers\Cleanup_Handler;
 use PLLAT\Sync\Handlers\Recovery_Handler;
@@ -22,6 +24,7 @@ use PLLAT\Sync\Handlers\Sync_Handler;
 use PLLAT\Sync\Services\Cleanup_Service;
 use PLLAT\Sync\Services\Health_Service;
 use PLLAT\Sync\Services\Recovery_Service;
+use PLLAT\Sync\Services\Run_Report_Service;
 use PLLAT\Sync\Services\Sync_Service;
 use XWP\DI\Decorators\Module;
 use XWP\DI\Interfaces\On_Initialize;
@@ -31,11 +34,13 @@ use XWP\DI\Interfaces\On_Initialize;
  *
  * Responsibilities:
  * - Content discovery (finding missing translations)
+ * - Per language item lists (dashboard drill-down)
  * - Status cascade (tasks → jobs → runs)
  * - Job completion orchestration
  * - Stale job/run recovery (hourly health checks)
  * - Content deletion cleanup
  * - System health monitoring
+ * - Run reports (run history, dry run review)
  *
  * Architecture:
  * - Cascade_Handler is the foundation (priority 5)
@@ -49,6 +54,8 @@ use XWP\DI\Interfaces\On_Initialize;
     handlers: array(
         Sync_Handler::class,
         Discovery_REST_Controller::class,
+        Run_REST_Controller::class,
+        Content_Items_REST_Controller::class,
         Cascade_Handler::class,
         Recovery_Handler::class,
         Cleanup_Handler::class,
@@ -58,6 +65,7 @@ use XWP\DI\Interfaces\On_Initialize;
         Recovery_Service::class,
         Cleanup_Service::class,
         Health_Service::class,
+        Run_Report_Service::class,
     ),
 )]
 class Sync_Module implements On_Initialize {
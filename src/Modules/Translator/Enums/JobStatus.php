@@ -13,6 +13,7 @@ enum JobStatus: string {
     case Completed  = 'completed';
     case Failed     = 'failed';
     case Cancelled  = 'cancelled';
+    case Paused     = 'paused';
 
     /**
      * Get statuses that can be picked up by new runs.
@@ -39,6 +40,7 @@ enum JobStatus: string {
             self::Completed->value,
             self::InProgress->value,
             self::Cancelled->value,
+            self::Paused->value,
         );
     }
 
@@ -53,6 +55,7 @@ enum JobStatus: string {
             self::Pending->value,
             self::InProgress->value,
             self::Failed->value,
+            self::Paused->value,
         );
     }
 
@@ -76,6 +79,7 @@ enum JobStatus: string {
             self::Completed->value,
             self::Failed->value,
             self::Cancelled->value,
+            self::Paused->value,
         );
     }
 
@@ -83,6 +87,7 @@ enum JobStatus: string {
      * Get statuses that count toward translation coverage.
      * Used by discovery to check if content has job coverage.
      * Excludes failed/cancelled jobs as they don't represent valid coverage.
+     * Paused jobs continue when their run is resumed, so they count.
      *
      * @return array<string> Array of status values.
      */
@@ -91,6 +96,7 @@ enum JobStatus: string {
             self::Completed->value,
             self::Pending->value,
             self::InProgress->value,
+            self::Paused->value,
         );
     }
 
@@ -113,7 +119,7 @@ enum JobStatus: string {
      */
     public function isIncomplete(): bool {
         return match ( $this ) {
-            self::Pending, self::InProgress, self::Failed => true,
+            self::Pending, self::InProgress, self::Failed, self::Paused => true,
             default => false,
         };
     }
@@ -136,6 +142,15 @@ enum JobStatus: string {
         return self::Failed === $this;
     }
 
+    /**
+     * Check if this status represents a job waiting for its run to be resumed.
+     *
+     * @return bool True if job is paused.
+     */
+    public function isPaused(): bool {
+        return self::Paused === $this;
+    }
+
     /**
      * Check if this status is a terminal state (no further processing).
      *
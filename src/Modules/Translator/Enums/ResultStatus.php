@@ -0,0 +1,13 @@
+<?php
+namespace PLLAT\Translator\Enums;
+
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+enum ResultStatus: string {
+    case Draft   = 'draft';
+    case Pending = 'pending';
+    case Publish = 'publish';
+    case Source  = 'source';
+}
@@ -13,9 +13,11 @@ enum RunStatus: string {
     case Completed = 'completed';
     case Failed    = 'failed';
     case Cancelled = 'cancelled';
+    case Paused    = 'paused';
 
     /**
      * Get all statuses that are not running.
+     * Paused runs are not included, they keep their jobs until resumed.
      *
      * @return array<string> The inactive statuses.
      */
@@ -88,6 +90,15 @@ enum RunStatus: string {
         return self::Failed === $this;
     }
 
+    /**
+     * Check if the run is paused.
+     *
+     * @return bool True if the run is paused.
+     */
+    public function isPaused(): bool {
+        return self::Paused === $this;
+    }
+
     /**
      * Check if the run is cancelled.
      *
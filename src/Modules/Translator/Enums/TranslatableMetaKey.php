@@ -12,4 +12,6 @@ enum TranslatableMetaKey: string {
     case Processed       = '_pllat_last_processed';
     case Exclude         = '_pllat_exclude_from_translation';
     case Errors          = '_pllat_translation_errors';
+    case ManualEdits     = '_pllat_manual_edits';
+    case SourceHash      = '_pllat_source_hash';
 }
@@ -0,0 +1,13 @@
+<?php
+namespace PLLAT\Translator\Enums;
+
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+enum VersionSource: string {
+    case Ai       = 'ai';
+    case Manual   = 'manual';
+    case Original = 'original';
+    case Restore  = 'restore';
+}
@@ -0,0 +1,93 @@
+<?php
+/**
+ * Quality_Check_Handler class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Translator\Handlers;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Settings\Services\Settings_Service;
+use PLLAT\Translator\Models\Job;
+use PLLAT\Translator\Services\Quality_Check_Service;
+use Psr\Container\ContainerInterface;
+use XWP\DI\Decorators\Action;
+use XWP\DI\Decorators\Handler;
+
+/**
+ * Schedules and runs the back-translation quality check of completed jobs.
+ *
+ * The check runs as a separate async action, so it never delays applying
+ * the translation. It needs the configured AI provider, so it only runs in BYOK mode.
+ *
+ * Note: Uses lazy loading via DI container, the AI services are not registered in credits mode.
+ */
+#[Handler( tag: 'init', priority: 10 )]
+class Quality_Check_Handler {
+    /**
+     * Hook name for the async quality check.
+     *
+     * @var string
+     */
+    public const HOOK_VERIFY_JOB = 'pllat_verify_job';
+
+    /**
+     * Constructor.
+     *
+     * @param Settings_Service   $settings_service The settings service.
+     * @param ContainerInterface $container        DI container for lazy loading services.
+     */
+    public function __construct(
+        private Settings_Service $settings_service,
+        private ContainerInterface $container,
+    ) {
+    }
+
+    /**
+     * Schedule the quality check of a completed job.
+     *
+     * @param Job $job The completed job.
+     * @return void
+     */
+    #[Action( tag: 'pllat_after_job_completion', priority: 20 )]
+    public function schedule_check( Job $job ): void {
+        if ( ! $this->settings_service->is_quality_check_enabled() || ! $this->settings_service->is_byok_mode() ) {
+            return;
+        }
+
+        \as_enqueue_async_action(
+            self::HOOK_VERIFY_JOB,
+            array( 'job_id' => $job->get_id() ),
+            'pllat-quality-check',
+        );
+    }
+
+    /**
+     * Run the quality check of a job via async action.
+     *
+     * @param int $job_id The job ID.
+     * @return void
+     */
+    #[Action( tag: 'pllat_verify_job' )]
+    public function verify_job( int $job_id ): void {
+        try {
+            $this->container->get( Quality_Check_Service::class )->verify_job( $job_id );
+        } catch ( \Exception $e ) {
+			// phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
+            \error_log(
+                \sprintf(
+                    '[PLLAT] Quality check of job %d failed: %s',
+                    $job_id,
+                    $e->getMessage(),
+                ),
+            );
+        }
+    }
+}
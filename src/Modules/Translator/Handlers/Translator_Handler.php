@@ -9,6 +9,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 use PLLAT\Content\Services\Content_Service;
 use PLLAT\Settings\Services\Settings_Service;
 use PLLAT\Translator\Models\Job;
+use PLLAT\Translator\Repositories\Run_Repository;
 use XWP\DI\Decorators\Action;
 use XWP\DI\Decorators\Filter;
 use XWP\DI\Decorators\Handler;
@@ -22,10 +23,13 @@ class Translator_Handler {
      * Constructor.
      *
      * @param Settings_Service $settings_service The settings service.
+     * @param Content_Service  $content_service  The content service.
+     * @param Run_Repository   $run_repository   The run repository.
      */
     public function __construct(
         private Settings_Service $settings_service,
         private Content_Service $content_service,
+        private Run_Repository $run_repository,
     ) {
     }
 
@@ -48,9 +52,34 @@ class Translator_Handler {
      */
     #[Action( tag: 'pllat_before_job_completion', priority: 10 )]
     public function before_job_completion( Job $job ): void {
+        // Preview runs keep translations on the tasks until the editor applies them.
+        if ( $this->is_preview_job( $job ) ) {
+            return;
+        }
+
         $this->content_service->process_job( $job );
     }
 
+    /**
+     * Check if a job belongs to a preview run.
+     *
+     * @param Job $job The job to check.
+     * @return bool True if the job's run is a preview run.
+     */
+    private function is_preview_job( Job $job ): bool {
+        $run_id = $job->get_run_id();
+
+        if ( null === $run_id ) {
+            return false;
+        }
+
+        try {
+            return $this->run_repository->find( $run_id )->get_config()->is_preview();
+        } catch ( \Exception $e ) {
+            return false;
+        }
+    }
+
     /**
      * Add website context to system prompt.
      *
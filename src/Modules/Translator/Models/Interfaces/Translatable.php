@@ -202,9 +202,16 @@ interface Translatable {
     /**
      * Collect translation tasks for specific target languages.
      *
-     * @param array $target_languages The specific languages to create tasks for.
-     * @param bool  $force Whether to create tasks even if translations already exist.
+     * @param array      $target_languages The specific languages to create tasks for.
+     * @param bool       $force Whether to create tasks even if translations already exist.
+     * @param array|null $fields Limit to these fields (null = all available fields).
+     * @param array|null $meta_fields Limit to these meta fields (null = all available meta fields).
      * @return void
      */
-    public function collect_tasks_for_languages( array $target_languages, bool $force = false ): void;
+    public function collect_tasks_for_languages(
+        array $target_languages,
+        bool $force = false,
+        ?array $fields = null,
+        ?array $meta_fields = null,
+    ): void;
 }
@@ -45,6 +45,13 @@ class Run {
      */
     protected int $started_at = 0;
 
+    /**
+     * When the run ended (status changed to completed, failed or cancelled).
+     *
+     * @var int
+     */
+    protected int $completed_at = 0;
+
     /**
      * Last heartbeat timestamp (updated during processing).
      *
@@ -115,6 +122,14 @@ class Run {
      */
     public function set_status( RunStatus $status ): void {
         $this->status = $status;
+
+        if ( $status->isRunning() && 0 === $this->started_at ) {
+            $this->started_at = \time();
+        }
+
+        if ( ( $status->isCompleted() || $status->isFailed() || $status->isCancelled() ) && 0 === $this->completed_at ) {
+            $this->completed_at = \time();
+        }
     }
 
     /**
@@ -203,6 +218,15 @@ class Run {
         $this->started_at = $timestamp;
     }
 
+    /**
+     * Get when the run ended.
+     *
+     * @return int Timestamp when run ended, 0 while it is not finished.
+     */
+    public function get_completed_at(): int {
+        return $this->completed_at;
+    }
+
     /**
      * Get the last heartbeat timestamp.
      *
@@ -75,6 +75,27 @@ class Task {
      */
     protected string|null $issue;
 
+    /**
+     * The translation translated back into the source language by the quality check.
+     *
+     * @var string|null
+     */
+    protected string|null $back_translation = null;
+
+    /**
+     * Similarity between the value and the back-translation (0-100), null if not checked.
+     *
+     * @var int|null
+     */
+    protected int|null $quality_score = null;
+
+    /**
+     * AI tokens spent on translating the Task.
+     *
+     * @var int
+     */
+    protected int $tokens = 0;
+
     /**
      * Constructor.
      *
@@ -176,6 +197,33 @@ class Task {
         return $this->translation;
     }
 
+    /**
+     * Get the back-translation of the Task.
+     *
+     * @return string|null The back-translation.
+     */
+    public function get_back_translation(): string|null {
+        return $this->back_translation;
+    }
+
+    /**
+     * Get the quality score of the Task.
+     *
+     * @return int|null The quality score (0-100), null if not checked.
+     */
+    public function get_quality_score(): int|null {
+        return $this->quality_score;
+    }
+
+    /**
+     * Get the AI tokens spent on translating the Task.
+     *
+     * @return int The token count.
+     */
+    public function get_tokens(): int {
+        return $this->tokens;
+    }
+
 
     /**
      * Check if the Task is pending and can still be processed.
@@ -250,6 +298,17 @@ class Task {
         ++$this->attempts;
     }
 
+    /**
+     * Reset the Task so it can be processed again.
+     *
+     * @return void
+     */
+    public function reset(): void {
+        $this->set_status( TaskStatus::Pending );
+        $this->set_issue( null );
+        $this->attempts = 0;
+    }
+
     /**
      * Complete the Task.
      *
@@ -306,4 +365,28 @@ class Task {
         $this->translation = $translation;
     }
 
+    /**
+     * Set the quality check result of the Task.
+     * Pass null to clear a result that no longer matches the translation.
+     *
+     * @param string|null $back_translation The back-translation.
+     * @param int|null    $quality_score    The quality score (0-100).
+     * @return void
+     */
+    public function set_quality( ?string $back_translation, ?int $quality_score ): void {
+        $this->back_translation = $back_translation;
+        $this->quality_score    = $quality_score;
+    }
+
+    /**
+     * Add AI tokens spent on translating the Task.
+     * Retries add up, so the count is the total spent on the Task.
+     *
+     * @param int $tokens The token count.
+     * @return void
+     */
+    public function add_tokens( int $tokens ): void {
+        $this->tokens += \max( 0, $tokens );
+    }
+
 }
@@ -106,11 +106,18 @@ abstract class Base_Translatable implements Translatable {
      * Collect translation tasks for specific target languages.
      * Used for single translation where we only want specific languages.
      *
-     * @param array $target_languages The specific languages to create tasks for.
-     * @param bool  $force Whether to create tasks even if translations already exist.
+     * @param array      $target_languages The specific languages to create tasks for.
+     * @param bool       $force Whether to create tasks even if translations already exist.
+     * @param array|null $fields Limit to these fields (null = all available fields).
+     * @param array|null $meta_fields Limit to these meta fields (null = all available meta fields).
      * @return void
      */
-    public function collect_tasks_for_languages( array $target_languages, bool $force = false ): void {
+    public function collect_tasks_for_languages(
+        array $target_languages,
+        bool $force = false,
+        ?array $fields = null,
+        ?array $meta_fields = null,
+    ): void {
         // Determine which languages to process.
         if ( $force ) {
             $languages_to_process = $target_languages;
@@ -125,9 +132,9 @@ abstract class Base_Translatable implements Translatable {
             return;
         }
 
-        // Get all available fields and meta fields.
-        $fields      = $this->get_available_fields();
-        $meta_fields = $this->get_available_meta_fields();
+        // Get the requested fields and meta fields, defaulting to all available ones.
+        $fields      ??= $this->get_available_fields();
+        $meta_fields ??= $this->get_available_meta_fields();
 
         // Create tasks for each language.
         foreach ( $languages_to_process as $lang ) {
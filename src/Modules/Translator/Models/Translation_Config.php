@@ -1,6 +1,7 @@
 <?php
 namespace PLLAT\Translator\Models;
 
+use PLLAT\Translator\Enums\ResultStatus;
 
 if ( ! defined( 'ABSPATH' ) ) {
 	exit; // Exit if accessed directly
@@ -12,17 +13,24 @@ class Translation_Config implements \JsonSerializable {
     /**
      * Constructor.
      *
-     * @param string   $lang_from The source language.
-     * @param array    $langs_to The target languages.
-     * @param array    $post_types The post types.
-     * @param array    $taxonomies The taxonomies.
-     * @param array    $string_groups The string groups.
-     * @param array    $terms Specific terms.
-     * @param array    $specific_posts Specific post IDs to translate.
-     * @param array    $specific_terms Specific term IDs to translate.
-     * @param string   $instructions Additional instructions for the AI.
-     * @param bool     $forced Whether to force retranslation of existing content.
-     * @param int|null $limit Maximum number of items to translate (null = no limit).
+     * @param string            $lang_from The source language.
+     * @param array             $langs_to The target languages.
+     * @param array             $post_types The post types.
+     * @param array             $taxonomies The taxonomies.
+     * @param array             $string_groups The string groups.
+     * @param array             $terms Specific terms.
+     * @param array             $specific_posts Specific post IDs to translate.
+     * @param array             $specific_terms Specific term IDs to translate.
+     * @param string            $instructions Additional instructions for the AI.
+     * @param bool              $forced Whether to force retranslation of existing content.
+     * @param int|null          $limit Maximum number of items to translate (null = no limit).
+     * @param bool              $preview Whether translations are held for review instead of being written.
+     * @param array             $language_instructions Additional instructions per target language.
+     * @param int               $requested_by ID of the user who requested the run (0 = system).
+     * @param int               $requested_at Timestamp of the request.
+     * @param ResultStatus|null $result_status Post status of the translated posts (null = leave unchanged).
+     * @param bool              $match_source_date Whether the translated posts get the publish date of the source.
+     * @param bool              $dry_run Whether the run translates a sample to review before translating everything.
      */
     public function __construct(
         protected string $lang_from,
@@ -36,6 +44,13 @@ class Translation_Config implements \JsonSerializable {
         protected string $instructions = '',
         protected bool $forced = false,
         protected ?int $limit = null,
+        protected bool $preview = false,
+        protected array $language_instructions = array(),
+        protected int $requested_by = 0,
+        protected int $requested_at = 0,
+        protected ?ResultStatus $result_status = null,
+        protected bool $match_source_date = false,
+        protected bool $dry_run = false,
     ) {
     }
 
@@ -201,6 +216,24 @@ class Translation_Config implements \JsonSerializable {
         $this->instructions = $instructions;
     }
 
+    /**
+     * Get the per-language instructions.
+     *
+     * @return array<string, string> Map of target language code => additional instructions.
+     */
+    public function get_language_instructions(): array {
+        return $this->language_instructions;
+    }
+
+    /**
+     * Update the per-language instructions.
+     *
+     * @param array<string, string> $language_instructions Map of target language code => additional instructions.
+     */
+    public function set_language_instructions( array $language_instructions ): void {
+        $this->language_instructions = $language_instructions;
+    }
+
     /**
      * Check if forced retranslation is enabled.
      *
@@ -237,6 +270,114 @@ class Translation_Config implements \JsonSerializable {
         $this->limit = $limit;
     }
 
+    /**
+     * Check if the run is a preview run.
+     *
+     * @return bool Whether translations are held for review instead of being written.
+     */
+    public function is_preview(): bool {
+        return $this->preview;
+    }
+
+    /**
+     * Update the preview flag.
+     *
+     * @param bool $preview Whether translations are held for review instead of being written.
+     */
+    public function set_preview( bool $preview ): void {
+        $this->preview = $preview;
+    }
+
+    /**
+     * Get the ID of the user who requested the run.
+     *
+     * @return int The user ID, 0 if the run was not requested by a user.
+     */
+    public function get_requested_by(): int {
+        return $this->requested_by;
+    }
+
+    /**
+     * Update the ID of the user who requested the run.
+     *
+     * @param int $requested_by The user ID.
+     */
+    public function set_requested_by( int $requested_by ): void {
+        $this->requested_by = $requested_by;
+    }
+
+    /**
+     * Get the timestamp of the request.
+     *
+     * @return int The timestamp, 0 if unknown.
+     */
+    public function get_requested_at(): int {
+        return $this->requested_at;
+    }
+
+    /**
+     * Update the timestamp of the request.
+     *
+     * @param int $requested_at The timestamp.
+     */
+    public function set_requested_at( int $requested_at ): void {
+        $this->requested_at = $requested_at;
+    }
+
+    /**
+     * Get the post status of the translated posts.
+     *
+     * @return ResultStatus|null The result status, null to leave the status unchanged.
+     */
+    public function get_result_status(): ?ResultStatus {
+        return $this->result_status;
+    }
+
+    /**
+     * Update the post status of the translated posts.
+     *
+     * @param ResultStatus|null $result_status The result status, null to leave the status unchanged.
+     */
+    public function set_result_status( ?ResultStatus $result_status ): void {
+        $this->result_status = $result_status;
+    }
+
+    /**
+     * Check if the translated posts get the publish date of the source.
+     *
+     * @return bool Whether to match the source publish date.
+     */
+    public function is_matching_source_date(): bool {
+        return $this->match_source_date;
+    }
+
+    /**
+     * Update the match source date flag.
+     *
+     * @param bool $match_source_date Whether to match the source publish date.
+     */
+    public function set_match_source_date( bool $match_source_date ): void {
+        $this->match_source_date = $match_source_date;
+    }
+
+    /**
+     * Check if the run translates a sample to review before translating everything.
+     *
+     * @return bool Whether the run is a dry run.
+     */
+    public function is_dry_run(): bool {
+        return $this->dry_run;
+    }
+
+    /**
+     * Update the dry run flag.
+     *
+     * @param bool $dry_run Whether the run is a dry run.
+     */
+    public function set_dry_run( bool $dry_run ): void {
+        $this->dry_run = $dry_run;
+    }
+
     /**
      * Convert the config to an array for JSON serialization.
      *
@@ -244,17 +385,24 @@ class Translation_Config implements \JsonSerializable {
      */
     public function jsonSerialize(): array {
         return array(
-            'forced'         => $this->is_forced(),
-            'instructions'   => $this->get_instructions(),
-            'langs_to'       => $this->get_langs_to(),
-            'lang_from'      => $this->get_lang_from(),
-            'limit'          => $this->get_limit(),
-            'post_types'     => $this->get_post_types(),
-            'specific_posts' => $this->get_specific_posts(),
-            'specific_terms' => $this->get_specific_terms(),
-            'string_groups'  => $this->get_string_groups(),
-            'taxonomies'     => $this->get_taxonomies(),
-            'terms'          => $this->get_terms(),
+            'dry_run'               => $this->is_dry_run(),
+            'forced'                => $this->is_forced(),
+            'instructions'          => $this->get_instructions(),
+            'language_instructions' => (object) $this->get_language_instructions(),
+            'langs_to'              => $this->get_langs_to(),
+            'lang_from'             => $this->get_lang_from(),
+            'limit'                 => $this->get_limit(),
+            'match_source_date'     => $this->is_matching_source_date(),
+            'post_types'            => $this->get_post_types(),
+            'preview'               => $this->is_preview(),
+            'requested_at'          => $this->get_requested_at(),
+            'requested_by'          => $this->get_requested_by(),
+            'result_status'         => $this->get_result_status()?->value,
+            'specific_posts'        => $this->get_specific_posts(),
+            'specific_terms'        => $this->get_specific_terms(),
+            'string_groups'         => $this->get_string_groups(),
+            'taxonomies'            => $this->get_taxonomies(),
+            'terms'                 => $this->get_terms(),
         );
     }
 }
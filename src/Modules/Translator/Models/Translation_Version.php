@@ -0,0 +1,180 @@
+<?php
+namespace PLLAT\Translator\Models;
+
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+use PLLAT\Translator\Enums\VersionSource;
+
+/**
+ * A stored version of the translated fields of a content item.
+ * Pure entity - no database operations.
+ */
+class Translation_Version implements \JsonSerializable {
+    /**
+     * The table name for the versions.
+     *
+     * @var string
+     */
+    const TABLE_NAME = 'pllat_translation_versions';
+
+    /**
+     * Constructor.
+     *
+     * @param int                   $id           Version ID.
+     * @param string                $type         Content type (post|term).
+     * @param int                   $content_id   Translated content ID.
+     * @param int                   $source_id    Source content ID.
+     * @param string                $lang_to      Language of the translation.
+     * @param array<string, string> $fields       Map of field reference => value.
+     * @param VersionSource         $source       How the version was created.
+     * @param int|null              $job_id       Job that produced the version.
+     * @param string                $model        AI model used for the translation.
+     * @param string                $instructions Instructions used for the translation.
+     * @param int                   $created_by   User who created the version (0 = system).
+     * @param int                   $created_at   Creation timestamp.
+     */
+    public function __construct(
+        protected int $id,
+        protected string $type,
+        protected int $content_id,
+        protected int $source_id,
+        protected string $lang_to,
+        protected array $fields,
+        protected VersionSource $source,
+        protected ?int $job_id = null,
+        protected string $model = '',
+        protected string $instructions = '',
+        protected int $created_by = 0,
+        protected int $created_at = 0,
+    ) {
+    }
+
+    /**
+     * Get the version ID.
+     *
+     * @return int The version ID.
+     */
+    public function get_id(): int {
+        return $this->id;
+    }
+
+    /**
+     * Get the content type.
+     *
+     * @return string The content type (post|term).
+     */
+    public function get_type(): string {
+        return $this->type;
+    }
+
+    /**
+     * Get the translated content ID.
+     *
+     * @return int The translated content ID.
+     */
+    public function get_content_id(): int {
+        return $this->content_id;
+    }
+
+    /**
+     * Get the source content ID.
+     *
+     * @return int The source content ID.
+     */
+    public function get_source_id(): int {
+        return $this->source_id;
+    }
+
+    /**
+     * Get the language of the translation.
+     *
+     * @return string The language code.
+     */
+    public function get_lang_to(): string {
+        return $this->lang_to;
+    }
+
+    /**
+     * Get the stored fields.
+     *
+     * @return array<string, string> Map of field reference => value.
+     */
+    public function get_fields(): array {
+        return $this->fields;
+    }
+
+    /**
+     * Get how the version was created.
+     *
+     * @return VersionSource The version source.
+     */
+    public function get_source(): VersionSource {
+        return $this->source;
+    }
+
+    /**
+     * Get the job that produced the version.
+     *
+     * @return int|null The job ID.
+     */
+    public function get_job_id(): ?int {
+        return $this->job_id;
+    }
+
+    /**
+     * Get the AI model used for the translation.
+     *
+     * @return string The model.
+     */
+    public function get_model(): string {
+        return $this->model;
+    }
+
+    /**
+     * Get the instructions used for the translation.
+     *
+     * @return string The instructions.
+     */
+    public function get_instructions(): string {
+        return $this->instructions;
+    }
+
+    /**
+     * Get the user who created the version.
+     *
+     * @return int The user ID (0 = system).
+     */
+    public function get_created_by(): int {
+        return $this->created_by;
+    }
+
+    /**
+     * Get the creation timestamp.
+     *
+     * @return int The creation timestamp.
+     */
+    public function get_created_at(): int {
+        return $this->created_at;
+    }
+
+    /**
+     * Serialize the version for the REST API.
+     *
+     * @return array The serialized version.
+     */
+    public function jsonSerialize(): array {
+        return array(
+            'created_at'   => $this->get_created_at(),
+            'created_by'   => $this->get_created_by(),
+            'fields'       => (object) $this->get_fields(),
+            'id'           => $this->get_id(),
+            'instructions' => $this->get_instructions(),
+            'job_id'       => $this->get_job_id(),
+            'lang_to'      => $this->get_lang_to(),
+            'model'        => $this->get_model(),
+            'source'       => $this->get_source()->value,
+        );
+    }
+}
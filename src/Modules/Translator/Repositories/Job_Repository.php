@@ -9,6 +9,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 use PLLAT\Translator\Enums\JobStatus;
 use PLLAT\Translator\Models\Job;
+use PLLAT\Translator\Models\Task;
 use PLLAT\Translator\Repositories\Query\Job_Query;
 
 /**
@@ -500,6 +501,46 @@ class Job_Repository {
         return $this->hydrate_job( $row );
     }
 
+    /**
+     * Find the latest job into a target language from any of several source items.
+     * Used when a translation may have been made from another translation instead of the original.
+     *
+     * @param string     $type     Job type (post or term).
+     * @param array<int> $ids_from Source content IDs.
+     * @param string     $lang_to  Target language.
+     * @return Job|null The latest job or null if not found.
+     */
+    public function find_latest_by_contents_and_language( string $type, array $ids_from, string $lang_to ): ?Job {
+        if ( 0 === \count( $ids_from ) ) {
+            return null;
+        }
+
+        global $wpdb;
+        $table = $this->get_table_name();
+
+        $placeholders = \implode( ',', \array_fill( 0, \count( $ids_from ), '%d' ) );
+
+        $row = $wpdb->get_row(
+            $wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+                "SELECT * FROM {$table}
+				WHERE type = %s
+				  AND id_from IN ({$placeholders})
+				  AND lang_to = %s
+				ORDER BY created_at DESC
+				LIMIT 1",
+                \array_merge( array( $type ), $ids_from, array( $lang_to ) ),
+            ),
+            ARRAY_A,
+        );
+
+        if ( null === $row ) {
+            return null;
+        }
+
+        return $this->hydrate_job( $row );
+    }
+
     /**
      * Find the latest COMPLETED job for content and language.
      * Used to show "Last translated" date even when newer pending job exists.
@@ -574,6 +615,44 @@ class Job_Repository {
         return $jobs;
     }
 
+    /**
+     * Find all jobs for several content items (all languages).
+     * Used to check the jobs of a whole translation group, as any translation can be the source.
+     *
+     * @param string     $type     Job type (post or term).
+     * @param array<int> $ids_from Source content IDs.
+     * @return array<int, Job> Array of jobs, newest first.
+     */
+    public function find_all_by_contents( string $type, array $ids_from ): array {
+        if ( 0 === \count( $ids_from ) ) {
+            return array();
+        }
+
+        global $wpdb;
+        $table = $this->get_table_name();
+
+        $placeholders = \implode( ',', \array_fill( 0, \count( $ids_from ), '%d' ) );
+
+        $results = $wpdb->get_results(
+            $wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+                "SELECT * FROM {$table}
+				WHERE type = %s
+				  AND id_from IN ({$placeholders})
+				ORDER BY created_at DESC",
+                \array_merge( array( $type ), $ids_from ),
+            ),
+            ARRAY_A,
+        );
+
+        $jobs = array();
+        foreach ( $results as $row ) {
+            $jobs[] = $this->hydrate_job( $row );
+        }
+
+        return $jobs;
+    }
+
     /**
      * Find all jobs for a run.
      *
@@ -965,6 +1044,51 @@ class Job_Repository {
         );
     }
 
+    /**
+     * Move tasks of a job to a new pending job without a run.
+     * Skips the duplicate prevention of create(), the job keeps its other tasks.
+     *
+     * @param Job        $job      The job the tasks belong to.
+     * @param array<int> $task_ids The IDs of the tasks to move.
+     * @return Job|null The new job, null if there were no tasks to move.
+     */
+    public function split_off_tasks( Job $job, array $task_ids ): ?Job {
+        // Guard: Empty array.
+        if ( empty( $task_ids ) ) {
+            return null;
+        }
+
+        global $wpdb;
+
+        $wpdb->insert(
+            $this->get_table_name(),
+            array(
+                'content_type' => $job->get_content_type(),
+                'created_at'   => \time(),
+                'id_from'      => $job->get_id_from(),
+                'lang_from'    => $job->get_lang_from(),
+                'lang_to'      => $job->get_lang_to(),
+                'run_id'       => null,
+                'started_at'   => 0,
+                'status'       => JobStatus::Pending->value,
+                'type'         => $job->get_type(),
+            ),
+        );
+
+        $new_job_id   = $wpdb->insert_id;
+        $tasks_table  = $wpdb->prefix . Task::TABLE_NAME;
+        $placeholders = \implode( ',', \array_fill( 0, \count( $task_ids ), '%d' ) );
+
+        $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE {$tasks_table} SET job_id = %d WHERE job_id = %d AND id IN ({$placeholders})",
+                \array_merge( array( $new_job_id, $job->get_id() ), $task_ids ),
+            ),
+        );
+
+        return $this->find( $new_job_id );
+    }
+
     /**
      * Hydrate a Job entity from database row.
      *
@@ -184,7 +184,7 @@ class Job_Stats_Repository {
      * Returns job counts broken down by status for jobs in this run only.
      *
      * @param int $run_id The run ID.
-     * @return array{total: int, pending: int, in_progress: int, completed: int, failed: int} Job counts by status.
+     * @return array{total: int, pending: int, in_progress: int, paused: int, completed: int, failed: int} Job counts by status.
      */
     public function get_run_progress( int $run_id ): array {
         global $wpdb;
@@ -208,6 +208,7 @@ class Job_Stats_Repository {
             'completed'   => 0,
             'failed'      => 0,
             'in_progress' => 0,
+            'paused'      => 0,
             'pending'     => 0,
             'total'       => 0,
         );
@@ -7,6 +7,7 @@ namespace PLLAT\Translator\Repositories;
 if ( ! defined( 'ABSPATH' ) ) {
 	exit; // Exit if accessed directly
 }
+use PLLAT\Translator\Enums\ResultStatus;
 use PLLAT\Translator\Enums\RunStatus;
 use PLLAT\Translator\Models\Run;
 use PLLAT\Translator\Models\Translation_Config;
@@ -83,6 +84,59 @@ class Run_Repository {
         return $runs;
     }
 
+    /**
+     * Find a page of runs, newest first.
+     *
+     * @param int                $limit    Maximum number of runs.
+     * @param int                $offset   Number of runs to skip.
+     * @param array<int, string> $statuses Optional statuses to filter by.
+     * @return array<int, Run> Array of runs.
+     */
+    public function find_paginated( int $limit, int $offset = 0, array $statuses = array() ): array {
+        global $wpdb;
+
+        $where = '';
+        $args  = array();
+        if ( \count( $statuses ) > 0 ) {
+            $where = 'WHERE status IN (' . \implode( ',', \array_fill( 0, \count( $statuses ), '%s' ) ) . ')';
+            $args  = $statuses;
+        }
+
+        $query = "SELECT * FROM {$this->get_table_name()} {$where} ORDER BY id DESC LIMIT %d OFFSET %d";
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared -- $query is a prepared statement template.
+        $results = $wpdb->get_results( $wpdb->prepare( $query, ...\array_merge( $args, array( $limit, $offset ) ) ) );
+
+        $runs = array();
+        foreach ( $results as $row ) {
+            $runs[] = $this->hydrate_run( (array) $row );
+        }
+
+        return $runs;
+    }
+
+    /**
+     * Count runs.
+     *
+     * @param array<int, string> $statuses Optional statuses to filter by.
+     * @return int The number of runs.
+     */
+    public function count( array $statuses = array() ): int {
+        global $wpdb;
+
+        if ( 0 === \count( $statuses ) ) {
+            return (int) $wpdb->get_var(
+                $wpdb->prepare( 'SELECT COUNT(*) FROM %i', $this->get_table_name() ),
+            );
+        }
+
+        $placeholders = \implode( ',', \array_fill( 0, \count( $statuses ), '%s' ) );
+        $query        = "SELECT COUNT(*) FROM {$this->get_table_name()} WHERE status IN ({$placeholders})";
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared -- $query is a prepared statement template.
+        return (int) $wpdb->get_var( $wpdb->prepare( $query, ...$statuses ) );
+    }
+
     /**
      * Find runs by status.
      *
@@ -140,6 +194,7 @@ class Run_Repository {
                 'status'         => $run->get_status()->value,
                 'started_at'     => $run->get_started_at(),
                 'last_heartbeat' => $run->get_last_heartbeat(),
+                'completed_at'   => $run->get_completed_at(),
             ),
             array( 'id' => $run->get_id() ),
         );
@@ -186,9 +241,12 @@ class Run_Repository {
             // Atomically update status to completed.
             $wpdb->update(
                 $runs_table,
-                array( 'status' => RunStatus::Completed->value ),
+                array(
+                    'completed_at' => \time(),
+                    'status'       => RunStatus::Completed->value,
+                ),
                 array( 'id' => $run_id ),
-                array( '%s' ),
+                array( '%d', '%s' ),
                 array( '%d' )
             );
 
@@ -252,6 +310,13 @@ class Run_Repository {
             instructions: $config_data->instructions ?? '',
             forced: $config_data->forced ?? false,
             limit: $config_data->limit ?? null,
+            preview: $config_data->preview ?? false,
+            language_instructions: (array) ( $config_data->language_instructions ?? array() ),
+            requested_by: (int) ( $config_data->requested_by ?? 0 ),
+            requested_at: (int) ( $config_data->requested_at ?? 0 ),
+            result_status: ResultStatus::tryFrom( (string) ( $config_data->result_status ?? '' ) ),
+            match_source_date: (bool) ( $config_data->match_source_date ?? false ),
+            dry_run: (bool) ( $config_data->dry_run ?? false ),
         );
 
         // Set properties using reflection
@@ -260,6 +325,7 @@ class Run_Repository {
         $this->set_property( $reflection, $run, 'config', $config );
         $this->set_property( $reflection, $run, 'started_at', (int) ( $row['started_at'] ?? 0 ) );
         $this->set_property( $reflection, $run, 'last_heartbeat', (int) ( $row['last_heartbeat'] ?? 0 ) );
+        $this->set_property( $reflection, $run, 'completed_at', (int) ( $row['completed_at'] ?? 0 ) );
 
         return $run;
     }
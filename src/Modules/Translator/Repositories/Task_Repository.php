@@ -120,12 +120,15 @@ class Task_Repository {
         global $wpdb;
 
         $data = array(
-            'attempts'    => $task->get_attempts(),
-            'issue'       => $task->get_issue(),
-            'reference'   => $task->get_reference(),
-            'status'      => $task->get_status()->value,
-            'translation' => $task->get_translation(),
-            'value'       => $task->get_value(),
+            'attempts'         => $task->get_attempts(),
+            'back_translation' => $task->get_back_translation(),
+            'issue'            => $task->get_issue(),
+            'quality_score'    => $task->get_quality_score(),
+            'reference'        => $task->get_reference(),
+            'status'           => $task->get_status()->value,
+            'tokens'           => $task->get_tokens(),
+            'translation'      => $task->get_translation(),
+            'value'            => $task->get_value(),
         );
 
         $where = array( 'id' => $task->get_id() );
@@ -164,6 +167,26 @@ class Task_Repository {
         );
     }
 
+    /**
+     * Update only the quality check result of a task.
+     * Doesn't trigger the cascade, the task status is unchanged.
+     *
+     * @param Task $task The task to update.
+     * @return void
+     */
+    public function update_quality( Task $task ): void {
+        global $wpdb;
+
+        $wpdb->update(
+            $this->get_table_name(),
+            array(
+                'back_translation' => $task->get_back_translation(),
+                'quality_score'    => $task->get_quality_score(),
+            ),
+            array( 'id' => $task->get_id() ),
+        );
+    }
+
     /**
      * Delete a task from the database.
      *
@@ -207,6 +230,14 @@ class Task_Repository {
         $this->set_property( $reflection, $task, 'attempts', (int) $row['attempts'] );
         $this->set_property( $reflection, $task, 'issue', $row['issue'] );
         $this->set_property( $reflection, $task, 'job_id', (int) $row['job_id'] );
+        $this->set_property( $reflection, $task, 'back_translation', $row['back_translation'] ?? null );
+        $this->set_property(
+            $reflection,
+            $task,
+            'quality_score',
+            isset( $row['quality_score'] ) ? (int) $row['quality_score'] : null,
+        );
+        $this->set_property( $reflection, $task, 'tokens', (int) ( $row['tokens'] ?? 0 ) );
 
         return $task;
     }
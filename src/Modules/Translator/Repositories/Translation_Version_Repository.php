@@ -0,0 +1,165 @@
+<?php
+declare(strict_types=1);
+
+namespace PLLAT\Translator\Repositories;
+
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+use PLLAT\Translator\Enums\VersionSource;
+use PLLAT\Translator\Models\Translation_Version;
+
+/**
+ * Repository for Translation_Version entities.
+ * Handles all database operations for translation versions.
+ */
+class Translation_Version_Repository {
+    /**
+     * Create a new version.
+     *
+     * @param string                $type         Content type (post|term).
+     * @param int                   $content_id   Translated content ID.
+     * @param int                   $source_id    Source content ID.
+     * @param string                $lang_to      Language of the translation.
+     * @param array<string, string> $fields       Map of field reference => value.
+     * @param VersionSource         $source       How the version was created.
+     * @param int|null              $job_id       Job that produced the version.
+     * @param string                $model        AI model used for the translation.
+     * @param string                $instructions Instructions used for the translation.
+     * @return Translation_Version The created version.
+     */
+    public function create(
+        string $type,
+        int $content_id,
+        int $source_id,
+        string $lang_to,
+        array $fields,
+        VersionSource $source,
+        ?int $job_id = null,
+        string $model = '',
+        string $instructions = '',
+    ): Translation_Version {
+        global $wpdb;
+
+        $wpdb->insert(
+            $this->get_table_name(),
+            array(
+                'content_id'   => $content_id,
+                'created_at'   => \time(),
+                'created_by'   => \get_current_user_id(),
+                'fields'       => \wp_json_encode( $fields ),
+                'instructions' => $instructions,
+                'job_id'       => $job_id,
+                'lang_to'      => $lang_to,
+                'model'        => $model,
+                'source'       => $source->value,
+                'source_id'    => $source_id,
+                'type'         => $type,
+            ),
+        );
+
+        return $this->find( $wpdb->insert_id );
+    }
+
+    /**
+     * Find a version by ID.
+     *
+     * @param int $id The version ID.
+     * @return Translation_Version The version.
+     * @throws \Exception If version not found.
+     */
+    public function find( int $id ): Translation_Version {
+        global $wpdb;
+
+        $row = $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM {$this->get_table_name()} WHERE id = %d",
+                $id,
+            ),
+            ARRAY_A,
+        );
+
+        if ( ! $row ) {
+            throw new \Exception( 'Version not found' );
+        }
+
+        return $this->hydrate_version( $row );
+    }
+
+    /**
+     * Find all versions of a translated content item, newest first.
+     *
+     * @param string $type       Content type (post|term).
+     * @param int    $content_id Translated content ID.
+     * @return array<int, Translation_Version> The versions.
+     */
+    public function find_by_content( string $type, int $content_id ): array {
+        global $wpdb;
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM {$this->get_table_name()} WHERE type = %s AND content_id = %d ORDER BY id DESC",
+                $type,
+                $content_id,
+            ),
+            ARRAY_A,
+        );
+
+        return \array_map( array( $this, 'hydrate_version' ), $rows ? $rows : array() );
+    }
+
+    /**
+     * Check if a translated content item has any versions.
+     *
+     * @param string $type       Content type (post|term).
+     * @param int    $content_id Translated content ID.
+     * @return bool True if versions exist.
+     */
+    public function has_versions( string $type, int $content_id ): bool {
+        global $wpdb;
+
+        return (bool) $wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT 1 FROM {$this->get_table_name()} WHERE type = %s AND content_id = %d LIMIT 1",
+                $type,
+                $content_id,
+            ),
+        );
+    }
+
+    /**
+     * Get the table name.
+     *
+     * @return string The table name.
+     */
+    public function get_table_name(): string {
+        global $wpdb;
+        return $wpdb->prefix . Translation_Version::TABLE_NAME;
+    }
+
+    /**
+     * Hydrate a Translation_Version entity from database row.
+     *
+     * @param array $row Database row data.
+     * @return Translation_Version Hydrated version.
+     */
+    private function hydrate_version( array $row ): Translation_Version {
+        $fields = \json_decode( (string) $row['fields'], true );
+
+        return new Translation_Version(
+            id: (int) $row['id'],
+            type: $row['type'],
+            content_id: (int) $row['content_id'],
+            source_id: (int) $row['source_id'],
+            lang_to: $row['lang_to'],
+            fields: \is_array( $fields ) ? $fields : array(),
+            source: VersionSource::tryFrom( $row['source'] ) ?? VersionSource::Ai,
+            job_id: null !== $row['job_id'] ? (int) $row['job_id'] : null,
+            model: (string) $row['model'],
+            instructions: (string) $row['instructions'],
+            created_by: (int) $row['created_by'],
+            created_at: (int) $row['created_at'],
+        );
+    }
+}
@@ -5,9 +5,14 @@ namespace PLLAT\Translator\Services\Bulk;
 if ( ! defined( 'ABSPATH' ) ) {
 	exit; // Exit if accessed directly
 }
+use PLLAT\Common\Interfaces\Language_Manager;
+use PLLAT\Translator\Enums\JobStatus;
+use PLLAT\Translator\Enums\TaskStatus;
+use PLLAT\Translator\Enums\TranslatableMetaKey;
 use PLLAT\Translator\Models\Run;
 use PLLAT\Translator\Repositories\Job_Repository;
 use PLLAT\Translator\Repositories\Query\Job_Query;
+use PLLAT\Translator\Repositories\Task_Repository;
 use PLLAT\Translator\Services\Interfaces\Query_Service;
 
 /**
@@ -17,10 +22,14 @@ abstract class Base_Query_Service implements Query_Service {
     /**
      * Constructor.
      *
-     * @param Job_Repository $job_repository The job repository.
+     * @param Job_Repository   $job_repository   The job repository.
+     * @param Task_Repository  $task_repository  The task repository.
+     * @param Language_Manager $language_manager The language manager.
      */
     public function __construct(
         protected Job_Repository $job_repository,
+        protected Task_Repository $task_repository,
+        protected Language_Manager $language_manager,
     ) {
     }
 
@@ -39,6 +48,230 @@ abstract class Base_Query_Service implements Query_Service {
      */
     abstract protected function build_job_query_for_inactive_run( Job_Query $job_query, Run $run ): Job_Query;
 
+    /**
+     * Get a page of the IDs of the source language items of a content type, newest first.
+     *
+     * @param string $content_type The post type or taxonomy.
+     * @param string $lang_from    The source language.
+     * @param string $lang_to      The target language.
+     * @param string $search       Search term, empty for all items.
+     * @param string $status       'untranslated', 'translated' or 'all'.
+     * @param int    $limit        Number of items in the page.
+     * @param int    $offset       Number of items before the page.
+     * @return array{ids: array<int>, total: int} The item IDs of the page and the number of matching items.
+     */
+    abstract protected function query_source_ids(
+        string $content_type,
+        string $lang_from,
+        string $lang_to,
+        string $search,
+        string $status,
+        int $limit,
+        int $offset,
+    ): array;
+
+    /**
+     * Get the ID of the translation of an item.
+     *
+     * @param int    $id      The source item ID.
+     * @param string $lang_to The target language.
+     * @return int The translation ID, 0 if there is none.
+     */
+    abstract protected function get_translation_id( int $id, string $lang_to ): int;
+
+    /**
+     * Get a meta value of an item.
+     *
+     * @param int    $id  The item ID.
+     * @param string $key The meta key.
+     * @return mixed The meta value.
+     */
+    abstract protected function get_item_meta( int $id, string $key ): mixed;
+
+    /**
+     * Get the title and edit link of an item.
+     *
+     * @param int $id The item ID.
+     * @return array{title: string, edit_link: string|null} The item data.
+     */
+    abstract protected function get_item_data( int $id ): array;
+
+    /**
+     * Get a page of the source items of a content type with their state for a target language.
+     *
+     * The status filter and the paging are done in the query, the rows are only built for the requested page.
+     *
+     * @param string $content_type The post type or taxonomy.
+     * @param string $lang_from    The source language.
+     * @param string $lang_to      The target language.
+     * @param array  $args         {
+     *     Optional. Query arguments.
+     *
+     *     @type string $search   Search term.
+     *     @type string $status   'untranslated', 'translated' or 'all'. Default 'untranslated'.
+     *     @type int    $page     Page number. Default 1.
+     *     @type int    $per_page Items per page. Default 20.
+     * }
+     * @return array{items: array<int, array>, total: int, pages: int, page: int} The items page.
+     */
+    public function get_items_for_language( string $content_type, string $lang_from, string $lang_to, array $args = array() ): array {
+        $page     = \max( 1, (int) ( $args['page'] ?? 1 ) );
+        $per_page = \max( 1, (int) ( $args['per_page'] ?? 20 ) );
+
+        $result = $this->query_source_ids(
+            $content_type,
+            $lang_from,
+            $lang_to,
+            (string) ( $args['search'] ?? '' ),
+            (string) ( $args['status'] ?? 'untranslated' ),
+            $per_page,
+            ( $page - 1 ) * $per_page,
+        );
+
+        $items = array();
+        foreach ( $result['ids'] as $id ) {
+            $items[] = $this->build_item_row( $id, $this->get_translation_id( $id, $lang_to ), $lang_from, $lang_to );
+        }
+
+        return array(
+            'items' => $items,
+            'page'  => $page,
+            'pages' => (int) \ceil( $result['total'] / $per_page ),
+            'total' => $result['total'],
+        );
+    }
+
+    /**
+     * Build the SQL condition for the translation state of a source item in a target language.
+     * Polylang links translations with a term of the translations taxonomy (post_translations or term_translations).
+     *
+     * @param string $id_column            Column holding the source item ID.
+     * @param string $translation_taxonomy Polylang translations taxonomy.
+     * @param string $language_taxonomy    Polylang language taxonomy (language or term_language).
+     * @param int    $lang_to_id           Term ID of the target language.
+     * @param string $status               'untranslated', 'translated' or 'all'.
+     * @return string The condition, starting with AND, or an empty string for all items.
+     */
+    protected function build_translation_condition(
+        string $id_column,
+        string $translation_taxonomy,
+        string $language_taxonomy,
+        int $lang_to_id,
+        string $status,
+    ): string {
+        global $wpdb;
+
+        if ( 'translated' !== $status && 'untranslated' !== $status ) {
+            return '';
+        }
+
+        // phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $exists = $wpdb->prepare(
+            "
+			SELECT 1
+			FROM {$wpdb->term_relationships} tr_group
+			INNER JOIN {$wpdb->term_taxonomy} tt_group
+				ON tt_group.term_taxonomy_id = tr_group.term_taxonomy_id
+				AND tt_group.taxonomy = %s
+			INNER JOIN {$wpdb->term_relationships} tr_other
+				ON tr_other.term_taxonomy_id = tr_group.term_taxonomy_id
+			INNER JOIN {$wpdb->term_relationships} tr_other_lang
+				ON tr_other_lang.object_id = tr_other.object_id
+			INNER JOIN {$wpdb->term_taxonomy} tt_other_lang
+				ON tt_other_lang.term_taxonomy_id = tr_other_lang.term_taxonomy_id
+				AND tt_other_lang.taxonomy = %s
+				AND tt_other_lang.term_id = %d
+			WHERE tr_group.object_id = {$id_column}
+			",
+            $translation_taxonomy,
+            $language_taxonomy,
+            $lang_to_id,
+        );
+        // phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+        return ( 'translated' === $status ? 'AND EXISTS (' : 'AND NOT EXISTS (' ) . $exists . ')';
+    }
+
+    /**
+     * Run the page and count queries of the source items.
+     *
+     * @param string $id_column The selected ID column.
+     * @param string $from      The prepared FROM, JOIN and WHERE clauses.
+     * @param string $order_by  The ORDER BY columns.
+     * @param int    $limit     Number of items in the page.
+     * @param int    $offset    Number of items before the page.
+     * @return array{ids: array<int>, total: int} The item IDs of the page and the number of matching items.
+     */
+    protected function query_page( string $id_column, string $from, string $order_by, int $limit, int $offset ): array {
+        global $wpdb;
+
+        // phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQL.NotPrepared
+        $total = (int) $wpdb->get_var( "SELECT COUNT(*) {$from}" );
+        $ids   = $wpdb->get_col(
+            "SELECT {$id_column} {$from} ORDER BY {$order_by} LIMIT " . (int) $limit . ' OFFSET ' . (int) $offset,
+        );
+        // phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQL.NotPrepared
+
+        return array(
+            'ids'   => \array_map( 'intval', $ids ),
+            'total' => $total,
+        );
+    }
+
+    /**
+     * Get the term ID of a Polylang language.
+     *
+     * @param string $taxonomy Polylang language taxonomy (language or term_language).
+     * @param string $slug     Language term slug.
+     * @return int The term ID, 0 if the language doesn't exist.
+     */
+    protected function get_language_term_id( string $taxonomy, string $slug ): int {
+        $term = \get_term_by( 'slug', $slug, $taxonomy );
+
+        return $term instanceof \WP_Term ? $term->term_id : 0;
+    }
+
+    /**
+     * Build the row of an item for a target language.
+     *
+     * @param int    $id             The source item ID.
+     * @param int    $translation_id The translation ID, 0 if there is none.
+     * @param string $lang_from      The source language.
+     * @param string $lang_to        The target language.
+     * @return array The item row.
+     */
+    private function build_item_row( int $id, int $translation_id, string $lang_from, string $lang_to ): array {
+        $job    = $this->job_repository->find_latest_by_content_and_language( $this->get_type(), $id, $lang_from, $lang_to );
+        $errors = $job
+            ? \count(
+                \array_filter(
+                    $this->task_repository->find_by_job_id( $job->get_id() ),
+                    static fn( $task ) => TaskStatus::Failed === $task->get_status(),
+                ),
+            )
+            : 0;
+
+        // An unfinished or failed job says more than an existing (possibly outdated) translation.
+        $status = $translation_id ? 'translated' : 'untranslated';
+        if ( $job && ( JobStatus::Completed !== $job->get_status() || ! $translation_id ) ) {
+            $status = $job->get_status()->value;
+        }
+
+        return \array_merge(
+            $this->get_item_data( $id ),
+            array(
+                'errors'         => $errors,
+                'excluded'       => (bool) $this->get_item_meta( $id, TranslatableMetaKey::Exclude->value ),
+                'id'             => $id,
+                'job_id'         => $job ? $job->get_id() : null,
+                'last_processed' => (int) $this->get_item_meta( $id, TranslatableMetaKey::Processed->value ),
+                'status'         => $status,
+                'translation_id' => $translation_id ? $translation_id : null,
+                'type'           => $this->get_type(),
+            ),
+        );
+    }
+
     /**
      * Get jobs with their content data for a specific run.
      *
@@ -63,13 +296,14 @@ abstract class Base_Query_Service implements Query_Service {
         $run_status = $run->get_status();
         $job_query  = $this->job_repository->query( $this->get_type() );
 
-        // When running only query by run id.
-        if ( $run_status->isRunning() ) {
+        // When running or paused only query by run id, a paused run keeps its jobs.
+        $owns_jobs = $run_status->isRunning() || $run_status->isPaused();
+        if ( $owns_jobs ) {
             $job_query->set_run_id( $run->get_id() );
         }
 
         // When not running query by lang from, langs to, and statuses.
-        if ( ! $run_status->isRunning() ) {
+        if ( ! $owns_jobs ) {
             $job_query = $this->build_job_query_for_inactive_run( $job_query, $run );
         }
 
@@ -8,6 +8,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 use PLLAT\Translator\Enums\JobStatus;
 use PLLAT\Translator\Models\Run;
 use PLLAT\Translator\Repositories\Query\Job_Query;
+use PLLAT\Translator\Services\Translation_Stats_Service;
 
 /**
  * Service for querying posts with job data.
@@ -59,4 +60,107 @@ class Post_Query_Service extends Base_Query_Service {
 
         return $job_query;
     }
+
+    /**
+     * Get a page of the IDs of the source language posts of a post type, newest first.
+     * Counts the same post statuses as the translation statistics.
+     *
+     * @param string $content_type The post type.
+     * @param string $lang_from    The source language.
+     * @param string $lang_to      The target language.
+     * @param string $search       Search term, empty for all posts.
+     * @param string $status       'untranslated', 'translated' or 'all'.
+     * @param int    $limit        Number of posts in the page.
+     * @param int    $offset       Number of posts before the page.
+     * @return array{ids: array<int>, total: int} The post IDs of the page and the number of matching posts.
+     */
+    protected function query_source_ids(
+        string $content_type,
+        string $lang_from,
+        string $lang_to,
+        string $search,
+        string $status,
+        int $limit,
+        int $offset,
+    ): array {
+        global $wpdb;
+
+        $lang_from_id = $this->get_language_term_id( 'language', $lang_from );
+        $lang_to_id   = $this->get_language_term_id( 'language', $lang_to );
+
+        if ( 0 === $lang_from_id || 0 === $lang_to_id ) {
+            return array(
+                'ids'   => array(),
+                'total' => 0,
+            );
+        }
+
+        $statuses    = Translation_Stats_Service::POST_STATUSES;
+        $statuses_ph = \implode( ',', \array_fill( 0, \count( $statuses ), '%s' ) );
+        $search_sql  = '';
+
+        if ( '' !== $search ) {
+            $like       = '%' . $wpdb->esc_like( $search ) . '%';
+            $search_sql = $wpdb->prepare( 'AND ( p.post_title LIKE %s OR p.post_content LIKE %s )', $like, $like );
+        }
+
+        // phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $from = $wpdb->prepare(
+            "
+			FROM {$wpdb->posts} p
+			INNER JOIN {$wpdb->term_relationships} tr_lang
+				ON tr_lang.object_id = p.ID
+			INNER JOIN {$wpdb->term_taxonomy} tt_lang
+				ON tt_lang.term_taxonomy_id = tr_lang.term_taxonomy_id
+				AND tt_lang.taxonomy = 'language'
+				AND tt_lang.term_id = %d
+			WHERE p.post_type = %s
+				AND p.post_status IN ($statuses_ph)
+			",
+            ...\array_merge( array( $lang_from_id, $content_type ), $statuses ),
+        );
+        // phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+        $from .= $search_sql . ' ' . $this->build_translation_condition( 'p.ID', 'post_translations', 'language', $lang_to_id, $status );
+
+        return $this->query_page( 'p.ID', $from, 'p.post_date DESC, p.ID DESC', $limit, $offset );
+    }
+
+    /**
+     * Get the ID of the translation of a post.
+     *
+     * @param int    $id      The source post ID.
+     * @param string $lang_to The target language.
+     * @return int The translation ID, 0 if there is none.
+     */
+    protected function get_translation_id( int $id, string $lang_to ): int {
+        return $this->language_manager->get_post_by_language( $id, $lang_to );
+    }
+
+    /**
+     * Get a meta value of a post.
+     *
+     * @param int    $id  The post ID.
+     * @param string $key The meta key.
+     * @return mixed The meta value.
+     */
+    protected function get_item_meta( int $id, string $key ): mixed {
+        return \get_post_meta( $id, $key, true );
+    }
+
+    /**
+     * Get the title and edit link of a post.
+     *
+     * @param int $id The post ID.
+     * @return array{title: string, edit_link: string|null} The post data.
+     */
+    protected function get_item_data( int $id ): array {
+        $title     = \get_the_title( $id );
+        $edit_link = \get_edit_post_link( $id, 'raw' );
+
+        return array(
+            'edit_link' => $edit_link ? $edit_link : null,
+            'title'     => '' !== $title ? $title : \sprintf( '#%d', $id ),
+        );
+    }
 }
@@ -60,4 +60,116 @@ class Term_Query_Service extends Base_Query_Service {
 
         return $job_query;
     }
+
+    /**
+     * Get a page of the IDs of the source language terms of a taxonomy, newest first.
+     *
+     * @param string $content_type The taxonomy.
+     * @param string $lang_from    The source language.
+     * @param string $lang_to      The target language.
+     * @param string $search       Search term, empty for all terms.
+     * @param string $status       'untranslated', 'translated' or 'all'.
+     * @param int    $limit        Number of terms in the page.
+     * @param int    $offset       Number of terms before the page.
+     * @return array{ids: array<int>, total: int} The term IDs of the page and the number of matching terms.
+     */
+    protected function query_source_ids(
+        string $content_type,
+        string $lang_from,
+        string $lang_to,
+        string $search,
+        string $status,
+        int $limit,
+        int $offset,
+    ): array {
+        global $wpdb;
+
+        // Polylang gives terms their language with a term_language term, slug prefixed with pll_.
+        $lang_from_id = $this->get_language_term_id( 'term_language', 'pll_' . $lang_from );
+        $lang_to_id   = $this->get_language_term_id( 'term_language', 'pll_' . $lang_to );
+
+        if ( 0 === $lang_from_id || 0 === $lang_to_id ) {
+            return array(
+                'ids'   => array(),
+                'total' => 0,
+            );
+        }
+
+        $search_sql = '';
+
+        if ( '' !== $search ) {
+            $like       = '%' . $wpdb->esc_like( $search ) . '%';
+            $search_sql = $wpdb->prepare( 'AND ( t.name LIKE %s OR t.slug LIKE %s )', $like, $like );
+        }
+
+        // phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $from = $wpdb->prepare(
+            "
+			FROM {$wpdb->terms} t
+			INNER JOIN {$wpdb->term_taxonomy} tt
+				ON tt.term_id = t.term_id
+				AND tt.taxonomy = %s
+			INNER JOIN {$wpdb->term_relationships} tr_lang
+				ON tr_lang.object_id = t.term_id
+			INNER JOIN {$wpdb->term_taxonomy} tt_lang
+				ON tt_lang.term_taxonomy_id = tr_lang.term_taxonomy_id
+				AND tt_lang.taxonomy = 'term_language'
+				AND tt_lang.term_id = %d
+			WHERE 1 = 1
+			",
+            $content_type,
+            $lang_from_id,
+        );
+        // phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+        $from .= $search_sql . ' ' . $this->build_translation_condition( 't.term_id', 'term_translations', 'term_language', $lang_to_id, $status );
+
+        return $this->query_page( 't.term_id', $from, 't.term_id DESC', $limit, $offset );
+    }
+
+    /**
+     * Get the ID of the translation of a term.
+     *
+     * @param int    $id      The source term ID.
+     * @param string $lang_to The target language.
+     * @return int The translation ID, 0 if there is none.
+     */
+    protected function get_translation_id( int $id, string $lang_to ): int {
+        return $this->language_manager->get_term_by_language( $id, $lang_to );
+    }
+
+    /**
+     * Get a meta value of a term.
+     *
+     * @param int    $id  The term ID.
+     * @param string $key The meta key.
+     * @return mixed The meta value.
+     */
+    protected function get_item_meta( int $id, string $key ): mixed {
+        return \get_term_meta( $id, $key, true );
+    }
+
+    /**
+     * Get the title and edit link of a term.
+     *
+     * @param int $id The term ID.
+     * @return array{title: string, edit_link: string|null} The term data.
+     */
+    protected function get_item_data( int $id ): array {
+        $term = \get_term( $id );
+
+        if ( ! $term instanceof \WP_Term ) {
+            return array(
+                'edit_link' => null,
+                'title'     => \sprintf( '#%d', $id ),
+            );
+        }
+
+        $edit_link = \get_edit_term_link( $term );
+
+        return array(
+            'edit_link' => $edit_link ? $edit_link : null,
+            'title'     => $term->name,
+        );
+    }
 }
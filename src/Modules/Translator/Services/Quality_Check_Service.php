@@ -0,0 +1,157 @@
+<?php
+/**
+ * Quality_Check_Service class file.
+ *
+ * @package Polylang AI Automatic Translation
+ * @subpackage Translator
+ */
+
+declare(strict_types=1);
+
+namespace PLLAT\Translator\Services;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly
+}
+
+use PLLAT\Translator\Enums\JobStatus;
+use PLLAT\Translator\Models\Job;
+use PLLAT\Translator\Models\Task;
+use PLLAT\Translator\Repositories\Job_Repository;
+use PLLAT\Translator\Repositories\Task_Repository;
+
+/**
+ * Verifies completed jobs with a back-translation.
+ *
+ * Each translated text field is translated back into the source language
+ * and scored on how many words it shares with the original value.
+ * A low score hints at a translation that lost or changed meaning.
+ *
+ * This service is only available in BYOK mode when API keys are configured.
+ */
+class Quality_Check_Service {
+    /**
+     * Constructor.
+     *
+     * @param Job_Repository  $job_repository  Job repository.
+     * @param Task_Repository $task_repository Task repository.
+     * @param Translator      $translator      Text translator.
+     */
+    public function __construct(
+        private Job_Repository $job_repository,
+        private Task_Repository $task_repository,
+        private Translator $translator,
+    ) {
+    }
+
+    /**
+     * Verify the translated fields of a completed job.
+     *
+     * Fields that fail to back-translate are left unchecked.
+     *
+     * @param int $job_id The job ID.
+     * @return void
+     * @throws \Exception If the job is not found.
+     */
+    public function verify_job( int $job_id ): void {
+        $job = $this->job_repository->find( $job_id );
+
+        if ( JobStatus::Completed !== $job->get_status() ) {
+            return;
+        }
+
+        foreach ( $this->task_repository->find_by_job_id( $job_id ) as $task ) {
+            if ( ! $this->can_verify( $task ) ) {
+                continue;
+            }
+
+            try {
+                $back_translation = $this->translator->translate_single(
+                    (string) $task->get_translation(),
+                    $job->get_lang_to(),
+                    $job->get_lang_from(),
+                    $this->get_context( $job, $task ),
+                );
+            } catch ( \Exception $e ) {
+                continue;
+            }
+
+            $task->set_quality( $back_translation, self::get_similarity( (string) $task->get_value(), $back_translation ) );
+            $this->task_repository->update_quality( $task );
+        }
+    }
+
+    /**
+     * Get the similarity of two texts.
+     *
+     * Dice coefficient of their words, ignoring case, markup and punctuation.
+     *
+     * @param string $source           The original text.
+     * @param string $back_translation The back-translated text.
+     * @return int Similarity score (0-100).
+     */
+    public static function get_similarity( string $source, string $back_translation ): int {
+        $source_words = self::get_words( $source );
+        $back_words   = self::get_words( $back_translation );
+        $total        = \count( $source_words ) + \count( $back_words );
+
+        if ( 0 === $total ) {
+            return 100;
+        }
+
+        $source_counts = \array_count_values( $source_words );
+        $common        = 0;
+
+        foreach ( \array_count_values( $back_words ) as $word => $count ) {
+            $common += \min( $count, $source_counts[ $word ] ?? 0 );
+        }
+
+        return (int) \round( 200 * $common / $total );
+    }
+
+    /**
+     * Check if a task can be verified.
+     * Only completed text fields are back-translated, structured data (JSON, page builders) is skipped.
+     *
+     * @param Task $task The task.
+     * @return bool True if the task can be verified.
+     */
+    private function can_verify( Task $task ): bool {
+        if ( ! $task->is_completed() || '' === \trim( (string) $task->get_translation() ) ) {
+            return false;
+        }
+
+        /** This filter is documented in src/Modules/Translator/Services/Task_Processor.php */
+        return 'text' === \apply_filters( 'pllat_task_translator_type', 'text', $task );
+    }
+
+    /**
+     * Build the translation context for a back-translation.
+     *
+     * @param Job  $job  The job.
+     * @param Task $task The task.
+     * @return array The translation context.
+     */
+    private function get_context( Job $job, Task $task ): array {
+        return array(
+            'back_translation' => true,
+            'content_id'       => $job->get_id_from(),
+            'content_type'     => $job->get_content_type(),
+            'reference'        => $task->get_reference(),
+            'task_id'          => $task->get_id(),
+        );
+    }
+
+    /**
+     * Split a text into lowercase words.
+     *
+     * @param string $text The text.
+     * @return array<int, string> The words.
+     */
+    private static function get_words( string $text ): array {
+        $text  = \mb_strtolower( \wp_strip_all_tags( \html_entity_decode( $text, ENT_QUOTES ) ) );
+        $words = \preg_split( '/[^\p{L}\p{N}]+/u', $text, -1, PREG_SPLIT_NO_EMPTY );
+
+        return \is_array( $words ) ? $words : array();
+    }
+}
@@ -25,6 +25,13 @@ use PLLAT\Translator\Models\Task;
  * This service is only available in BYOK mode when API keys are configured.
  */
 class Task_Processor {
+    /**
+     * AI tokens spent on the last processed task.
+     *
+     * @var int
+     */
+    private int $last_token_usage = 0;
+
     /**
      * Constructor.
      *
@@ -48,6 +55,8 @@ class Task_Processor {
      * @throws \Exception If translator not available or translation fails.
      */
     public function process_task( Task $task, string $from, string $to, array $context = array() ): string {
+        $this->last_token_usage = 0;
+
         // Determine translator type via filter hook.
         $translator_type = $this->get_translator_type( $task );
 
@@ -66,12 +75,26 @@ class Task_Processor {
         );
 
         // Translate using selected translator.
-        return $translator->translate_single(
+        $translation = $translator->translate_single(
             $task->get_value(),
             $from,
             $to,
             $translation_context,
         );
+
+        // Usage of the translator that handled this task, not of the text translator.
+        $this->last_token_usage = $translator->get_last_token_usage();
+
+        return $translation;
+    }
+
+    /**
+     * Get the AI tokens spent on the last processed task.
+     *
+     * @return int The token count.
+     */
+    public function get_last_token_usage(): int {
+        return $this->last_token_usage;
     }
 
     /**
@@ -74,6 +74,34 @@ class Translation_Run_Service {
         \do_action( 'pllat_run_cancelled', $run );
     }
 
+    /**
+     * Pause a run.
+     * Its jobs keep their progress and continue when the run is resumed.
+     *
+     * @param Run $run The run to pause.
+     * @return void
+     */
+    public function pause_run( Run $run ): void {
+        $run->set_status( RunStatus::Paused );
+        $this->run_repository->save( $run );
+
+        \do_action( 'pllat_run_paused', $run );
+    }
+
+    /**
+     * Resume a paused run.
+     * The run becomes running again once its first job is picked up.
+     *
+     * @param Run $run The run to resume.
+     * @return void
+     */
+    public function resume_run( Run $run ): void {
+        $run->set_status( RunStatus::Pending );
+        $this->run_repository->save( $run );
+
+        \do_action( 'pllat_run_resumed', $run );
+    }
+
     /**
      * Delete a run.
      *
@@ -369,6 +397,7 @@ class Translation_Run_Service {
             'completed'   => 0,
             'failed'      => 0,
             'in_progress' => 0,
+            'paused'      => 0,
             'pending'     => 0,
             'total'       => 0,
         );
@@ -23,6 +23,14 @@ use PLLAT\Translator\Repositories\Job_Stats_Repository;
  * Calculates translation status across all content types and languages.
  */
 class Translation_Stats_Service {
+    /**
+     * Statuses of the posts that are counted.
+     * Translations can be written as draft or pending review, so these count as well.
+     *
+     * @var array<string>
+     */
+    public const POST_STATUSES = array( 'publish', 'future', 'draft', 'pending', 'private' );
+
     /**
      * Constructor.
      *
@@ -380,7 +388,7 @@ class Translation_Stats_Service {
                 'fields'           => 'ids',
                 'lang'             => $lang_from,
                 'posts_per_page'   => -1,
-                'post_status'      => 'publish',
+                'post_status'      => self::POST_STATUSES,
                 'post_type'        => $post_type,
                 'suppress_filters' => false,
             ),
@@ -428,7 +436,7 @@ class Translation_Stats_Service {
                 'lang'             => $lang_to,
                 'no_found_rows'    => false, // Enable SQL_CALC_FOUND_ROWS.
                 'posts_per_page'   => 1, // Only load 1 post ID.
-                'post_status'      => 'publish',
+                'post_status'      => self::POST_STATUSES,
                 'post_type'        => $post_type,
                 'suppress_filters' => false, // Allow Polylang filtering.
             ),
@@ -13,6 +13,13 @@ use PLLAT\Translator\Services\AI_Client;
  * Translation service with hookable prompts and basic tool calling.
  */
 class Translator {
+    /**
+     * AI tokens spent on the last translation.
+     *
+     * @var int
+     */
+    private int $last_token_usage = 0;
+
     /**
      * Constructor.
      *
@@ -36,6 +43,15 @@ class Translator {
         return $this->translate( $text, $from, $to, $context );
     }
 
+    /**
+     * Get the AI tokens spent on the last translation.
+     *
+     * @return int The token count, 0 if the provider doesn't report usage.
+     */
+    public function get_last_token_usage(): int {
+        return $this->last_token_usage;
+    }
+
     /**
      * Build system prompt for translation.
      * Hookable for customization.
@@ -53,7 +69,7 @@ class Translator {
         $prompt = $this->build_system_prompt_website_context( $prompt, $context );
 
         // Add custom instructions if provided.
-        $prompt = $this->build_system_prompt_instructions( $prompt, $context );
+        $prompt = $this->build_system_prompt_instructions( $prompt, $context, $to );
 
         /**
          * Filter the system prompt for translations.
@@ -79,17 +95,26 @@ class Translator {
 
     /**
      * Build system prompt instructions.
+     * Merges the shared instructions with the instructions for the target language.
      *
      * @param string $prompt The system prompt.
      * @param array  $context Context data.
+     * @param string $to Target language.
      * @return string System prompt.
      */
-    protected function build_system_prompt_instructions( string $prompt, array $context ): string {
-        if ( isset( $context['instructions'] ) && '' !== $context['instructions'] ) {
-            $sanitized_instructions = $this->sanitize_instructions( $context['instructions'] );
-            if ( '' !== $sanitized_instructions ) {
-                $prompt .= "\n\nAdditional instructions: " . $sanitized_instructions;
-            }
+    protected function build_system_prompt_instructions( string $prompt, array $context, string $to = '' ): string {
+        $instructions = array(
+            $context['instructions'] ?? '',
+            $context['language_instructions'][ $to ] ?? '',
+        );
+
+        $sanitized_instructions = \array_filter(
+            \array_map( fn( $text ) => $this->sanitize_instructions( (string) $text ), $instructions ),
+            static fn( $text ) => '' !== $text,
+        );
+
+        if ( 0 < \count( $sanitized_instructions ) ) {
+            $prompt .= "\n\nAdditional instructions: " . \implode( ' ', $sanitized_instructions );
         }
         return $prompt;
     }
@@ -125,7 +150,9 @@ class Translator {
         $messages = $this->build_messages( $text, $from, $to, $context );
 
         // Execute chat completion with tool calling.
-        $response = $this->ai_client->chat_completion( $messages );
+        $this->last_token_usage = 0;
+        $response               = $this->ai_client->chat_completion( $messages );
+        $this->last_token_usage = (int) ( $response['usage']['total_tokens'] ?? 0 );
 
         // Extract translation from response.
         return $this->extract_translation( $response );
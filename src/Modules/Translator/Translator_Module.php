@@ -16,11 +16,13 @@ use PLLAT\Common\Services\IP_Verification_Service;
 use PLLAT\Common\Services\Rate_Limiter_Service;
 use PLLAT\Content\Services\Content_Service;
 use PLLAT\Settings\Services\Settings_Service;
+use PLLAT\Translator\Handlers\Quality_Check_Handler;
 use PLLAT\Translator\Handlers\Translator_Handler;
 use PLLAT\Translator\Services\AI_Client;
 use PLLAT\Translator\Services\AI_Provider_Factory;
 use PLLAT\Translator\Services\Bulk\Post_Query_Service;
 use PLLAT\Translator\Services\Bulk\Term_Query_Service;
+use PLLAT\Translator\Services\Quality_Check_Service;
 use PLLAT\Translator\Services\Task_Processor;
 use PLLAT\Translator\Services\Translation_Run_Service;
 use PLLAT\Translator\Services\Translation_Stats_Service;
@@ -38,6 +40,7 @@ use XWP\DI\Interfaces\Can_Initialize;
     priority: 1,
     handlers: array(
         Translator_Handler::class,
+        Quality_Check_Handler::class,
     ),
     services: array(
         Post_Query_Service::class,
@@ -47,6 +50,7 @@ use XWP\DI\Interfaces\Can_Initialize;
         IP_Verification_Service::class,
         Rate_Limiter_Service::class,
         Content_Service::class,
+        Quality_Check_Service::class,
     ),
 )]
 class Translator_Module implements Can_Initialize {
@@ -23,6 +23,7 @@ function pllat_delete_database_tables() {
 
     // Get table names with proper prefix
     $tables = array(
+        $wpdb->prefix . 'pllat_translation_versions',
         $wpdb->prefix . 'pllat_tasks',
         $wpdb->prefix . 'pllat_jobs',
         $wpdb->prefix . 'pllat_bulk_runs',
@@ -39,6 +40,9 @@ function pllat_delete_database_tables() {
     // Delete database version tracking options
     delete_option( 'pllat_db_version' );
     delete_option( 'pllat_db_installed_at' );
+
+    // Delete dismissed notices of all users (stored as user options of this site)
+    delete_metadata( 'user', 0, $wpdb->get_blog_prefix() . 'pllat_dismissed_notices', '', true );
 }
 
 /**